@@ -1,8 +1,50 @@
-import { useState } from "react";
+import { lazy, Suspense, useEffect, useMemo, useRef, useState } from "react";
 import { motion } from "framer-motion";
-import Papa from "papaparse";
-import { API_BASE } from "./api";
-
+import { calcAqi, describeApiError, getApiSettings } from "./api";
+import { useQueryState, useRoute } from "./router";
+import { LANGUAGES, onLanguageChange, setLanguage, useI18n } from "./i18n";
+import { PALETTES, setPalette, usePalette } from "./palette";
+import { computeAqi } from "./lib/aqi";
+import {
+  STANDARD_LIST,
+  BACKEND_STANDARD_ID,
+  DEFAULT_STANDARD_ID,
+  getStandard,
+} from "./lib/standards";
+import {
+  CANONICAL_UNITS,
+  DEFAULT_CONDITIONS,
+  isValidCondition,
+  toCanonical,
+  validConditions,
+} from "./lib/units";
+import { mapStore } from "./lib/columnMapping";
+import { EMPTY_VIEW, columnNumbers, createView, viewFields } from "./lib/columnarStore";
+import { parseCsvInWorker } from "./lib/csvIngest";
+import { enrichRows, hasReportedAqi } from "./lib/batch";
+import { EMPTY_CLEANING, auditRows, cleanRows } from "./lib/dataQuality";
+import { toDateInputValue } from "./lib/dates";
+import { REACTION_FILTERS } from "./lib/reactions";
+import {
+  EMPTY_QUERY,
+  applyQuery,
+  inferColumnTypes,
+  isQueryActive,
+} from "./lib/tableQuery";
+import ImportWizard from "./components/ImportWizard";
+import ImportProgress from "./components/ImportProgress";
+import ApiSettingsPanel from "./components/ApiSettingsPanel";
+import WorkspacePanel from "./components/WorkspacePanel";
+import { FormulaText } from "./components/ChemicalEquation";
+import CategoryBadge from "./components/CategoryBadge";
+import {
+  saveDataset,
+  loadDataset,
+  updateDataset,
+  addCalculation,
+  getLastDatasetId,
+  setLastDatasetId,
+} from "./lib/workspace";
 
 import {
   Chart as ChartJS,
@@ -11,10 +53,12 @@ import {
   BarElement,
   PointElement,
   LineElement,
+  TimeScale,
+  Filler,
   Tooltip,
   Legend,
 } from "chart.js";
-import { Bar, Line } from "react-chartjs-2";
+import "chartjs-adapter-date-fns";
 
 // register chart.js pieces
 ChartJS.register(
@@ -23,11 +67,21 @@ ChartJS.register(
   BarElement,
   PointElement,
   LineElement,
+  TimeScale,
+  Filler,
   Tooltip,
   Legend
 );
 
-// tabs for the main content
+// chart axes, ticks and tooltips follow the UI language; charts pick the
+// defaults up when they mount (main is keyed on the language below)
+onLanguageChange(({ language }) => {
+  ChartJS.defaults.locale = language.locale;
+  ChartJS.defaults.scales.time.adapters.date = { locale: language.dateLocale };
+});
+
+// tabs for the main content; each one is its own chunk, loaded on first visit.
+// Labels are the English fallback of the `tabs.<id>` catalog keys.
 const TABS = [
   { id: "overview", label: "Overview" },
   { id: "chemistry", label: "Chemistry of Pollutants" },
@@ -35,27 +89,120 @@ const TABS = [
   { id: "health", label: "Health & AQI Categories" },
   { id: "data", label: "Data Explorer" },
 ];
+const TAB_IDS = TABS.map((t) => t.id);
+
+const OverviewTab = lazy(() => import("./tabs/OverviewTab"));
+const ChemistryTab = lazy(() => import("./tabs/ChemistryTab"));
+const ChartsTab = lazy(() => import("./tabs/ChartsTab"));
+const HealthTab = lazy(() => import("./tabs/HealthTab"));
+const DataTab = lazy(() => import("./tabs/DataTab"));
+
+// defaults of the URL-backed state (see router.js); values equal to these
+// are left out of the query string
+const EMPTY_FORM = { pm25: "", pm10: "", so2: "", no2: "", co: "", o3: "" };
+const APP_PARAMS = { std: DEFAULT_STANDARD_ID, engine: "auto" };
+
+// datasets saved before the conditions were stored were converted at the defaults
+const savedImportConfig = (saved) => ({
+  ...saved.importConfig,
+  conditions: validConditions(saved.importConfig.conditions ?? DEFAULT_CONDITIONS),
+});
 
 function App() {
-  const [activeTab, setActiveTab] = useState("overview");
-
-  // calculator state
-  const [form, setForm] = useState({
-    pm25: "",
-    pm10: "",
-    so2: "",
-    no2: "",
-    co: "",
-    o3: "",
-  });
+  const [activeTab, setActiveTab] = useRoute(TAB_IDS, "overview");
+  const { lang, t } = useI18n();
+  const palette = usePalette();
+
+  // calculator state, kept in the URL so a reading can be shared
+  const [form, setForm] = useQueryState(EMPTY_FORM);
+  // unit of each form field, converted to CANONICAL_UNITS before calculating
+  const [units, setUnits] = useQueryState(CANONICAL_UNITS, "u_");
+  // temperature / pressure used for ppb/ppm <-> mass conversion (form and CSV)
+  const [urlConditions, setConditions] = useQueryState(DEFAULT_CONDITIONS);
+  const conditions = useMemo(() => validConditions(urlConditions), [urlConditions]);
   const [result, setResult] = useState(null);
   const [loading, setLoading] = useState(false);
   const [calcError, setCalcError] = useState("");
+  // "Backend waking up…" note while the client retries
+  const [calcStatus, setCalcStatus] = useState("");
+  // readings pinned for side-by-side comparison: [{ id, label, input }]
+  const [pins, setPins] = useState([]);
+  const nextPinId = useRef(1);
+  // aborts the in-flight calculation (new submit or Cancel button)
+  const calcAbort = useRef(null);
+  // engine: "auto" = backend with local fallback, "server" = backend only,
+  // "local" = in-browser engine
+  const [{ std: standardId, engine }, setAppParams] = useQueryState(APP_PARAMS);
+  const setEngine = (id) => setAppParams({ engine: id });
+  const setStandardId = (id) => setAppParams({ std: id });
+  const standard = getStandard(standardId);
 
   // CSV / data state
-  const [csvData, setCsvData] = useState([]);
+  // columnar store of the confirmed file (see lib/columnarStore.js)
+  const [csvStore, setCsvStore] = useState(null);
+  // { fileName, loaded, total, rows, cancel } while the parse worker runs
+  const [ingest, setIngest] = useState(null);
+  // confirmed column mapping + units from the import wizard, with the
+  // temperature / pressure at confirmation used for ppb / ppm columns
+  const [importConfig, setImportConfig] = useState({
+    mapping: {},
+    units: {},
+    conditions: DEFAULT_CONDITIONS,
+  });
+  // parsed file waiting for the wizard to be confirmed
+  const [pendingImport, setPendingImport] = useState(null);
   const [csvError, setCsvError] = useState("");
 
+  // workspace (IndexedDB): id of the open saved dataset, and a counter bumped
+  // after every write so the sidebar lists reload
+  const [datasetId, setDatasetId] = useState(null);
+  const [workspaceRevision, setWorkspaceRevision] = useState(0);
+  const [workspaceError, setWorkspaceError] = useState("");
+  const bumpWorkspace = () => setWorkspaceRevision((r) => r + 1);
+
+  // view of the file on canonical column names, pollutants in the units the
+  // engine expects; every step below stays columnar (see lib/columnarStore.js).
+  // Converted with the import's conditions, so editing T / P on the form
+  // leaves a loaded dataset alone.
+  const mappedData = useMemo(
+    () =>
+      csvStore
+        ? createView(mapStore(csvStore, importConfig, importConfig.conditions))
+        : EMPTY_VIEW,
+    [csvStore, importConfig]
+  );
+
+  // data quality audit + the cleaning actions chosen per rule (see lib/dataQuality.js)
+  const [cleaning, setCleaning] = useState(EMPTY_CLEANING);
+  const qualityAudit = useMemo(() => auditRows(mappedData), [mappedData]);
+  const cleaned = useMemo(
+    () => cleanRows(mappedData, qualityAudit, cleaning.actions, importConfig),
+    [mappedData, qualityAudit, cleaning.actions, importConfig]
+  );
+
+  // cleaned rows plus computed AQI / category / dominant pollutant / sub-index columns
+  const csvData = useMemo(
+    () => enrichRows(cleaned.view, standard),
+    [cleaned, standard]
+  );
+  const csvHasReportedAqi = useMemo(() => hasReportedAqi(csvData), [csvData]);
+
+  // Data Explorer sort / filter / search; the filtered rows also feed the charts
+  const [tableQuery, setTableQuery] = useState(EMPTY_QUERY);
+  const csvColumns = useMemo(
+    () => (csvData.length > 0 ? viewFields(csvData) : []),
+    [csvData]
+  );
+  const columnTypes = useMemo(
+    () => inferColumnTypes(csvData, csvColumns),
+    [csvData, csvColumns]
+  );
+  const filteredData = useMemo(
+    () => applyQuery(csvData, tableQuery, columnTypes),
+    [csvData, tableQuery, columnTypes]
+  );
+  const filterActive = isQueryActive(tableQuery);
+
   // ---------------- FORM HANDLERS ----------------
   const handleChange = (e) => {
     setForm({
@@ -64,80 +211,311 @@ function App() {
     });
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    setLoading(true);
+  const handleUnitChange = (e) => {
+    setUnits({
+      ...units,
+      [e.target.name]: e.target.value,
+    });
+  };
+
+  // cleared, half-typed or out-of-range values are not applied: the last
+  // valid value stays in use (OverviewTab marks the field invalid)
+  const handleConditionChange = (e) => {
+    const value = parseFloat(e.target.value);
+    if (!isValidCondition(e.target.name, value)) return;
+    setConditions({
+      ...conditions,
+      [e.target.name]: value,
+    });
+  };
+
+  // show a result and add it to the workspace history
+  const finishCalculation = (res, record) => {
+    setResult(res);
+    if (!record) return;
+    addCalculation({
+      form: { ...form },
+      units: { ...units },
+      conditions: { ...conditions },
+      standard: standardId,
+      engine,
+      result: res,
+    })
+      .then(bumpWorkspace)
+      .catch((err) => setWorkspaceError(err.message));
+  };
+
+  // record = false when re-running a reading restored from the URL
+  const handleSubmit = async (e, { record = true } = {}) => {
+    e?.preventDefault();
+    calcAbort.current?.abort();
     setCalcError("");
+    setCalcStatus("");
     setResult(null);
 
-    try {
-      const payload = {
-        pm25: parseFloat(form.pm25) || 0,
-        pm10: parseFloat(form.pm10) || 0,
-        so2: parseFloat(form.so2) || 0,
-        no2: parseFloat(form.no2) || 0,
-        co: parseFloat(form.co) || 0,
-        o3: parseFloat(form.o3) || 0,
-      };
-
-     const res = await fetch(`${API_BASE}/api/calc-aqi`, {
-  method: "POST",
-  headers: { "Content-Type": "application/json" },
-  body: JSON.stringify(payload),
-});
+    // empty fields were not measured: they stay null and the engine skips them
+    const payload = {};
+    const entered = {};
+    Object.keys(CANONICAL_UNITS).forEach((key) => {
+      const value = parseFloat(form[key]);
+      entered[key] = Number.isFinite(value) ? value : null;
+      payload[key] =
+        entered[key] === null
+          ? null
+          : Math.round(toCanonical(entered[key], units[key], key, conditions) * 1000) / 1000;
+    });
+    // recorded so the snapshot can show what was assumed
+    const inputMeta = { input: payload, entered, units: { ...units }, conditions };
+
+    if (Object.values(payload).every((v) => v === null)) {
+      setCalcError(t("calc.error.empty"));
+      return;
+    }
+    // "server only" means the backend's answer or none, and it only knows NAQI
+    if (engine === "server" && standard.id !== BACKEND_STANDARD_ID) {
+      setCalcError(t("calc.error.serverStandard", { standard: standard.name }));
+      return;
+    }
+    setLoading(true);
+
+    // the backend only knows the Indian scale, other standards are computed locally
+    if (engine === "local" || standard.id !== BACKEND_STANDARD_ID) {
+      finishCalculation(
+        { ...computeAqi(payload, standard), source: "local", ...inputMeta },
+        record
+      );
+      setLoading(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    calcAbort.current = controller;
 
-      if (!res.ok) throw new Error("Backend error");
-      const data = await res.json();
-      setResult(data);
+    try {
+      // the backend requires all six fields; a 0 never wins its max()
+      const body = Object.fromEntries(
+        Object.entries(payload).map(([key, value]) => [key, value ?? 0])
+      );
+      const data = await calcAqi(body, {
+        signal: controller.signal,
+        // in auto mode fall back quickly instead of waiting out a cold start
+        ...(engine === "auto" ? { retries: 1, timeout: 8000 } : {}),
+        onRetry: ({ attempt }) =>
+          setCalcStatus(t("app.retrying", { attempt })),
+      });
+      finishCalculation(
+        {
+          ...data,
+          standard: BACKEND_STANDARD_ID,
+          source: getApiSettings().mock ? "mock" : "server",
+          ...inputMeta,
+        },
+        record
+      );
     } catch (err) {
       console.error(err);
-      setCalcError("Failed to calculate AQI. Is the FastAPI backend running?");
+      if (err.kind === "cancelled") {
+        // superseded by a newer submit, or cancelled by the user
+      } else if (engine === "auto" && err.kind !== "validation") {
+        // backend asleep / unreachable -> use the in-browser engine instead
+        finishCalculation(
+          {
+            ...computeAqi(payload, standard),
+            source: "local-fallback",
+            ...inputMeta,
+          },
+          record
+        );
+      } else {
+        setCalcError(t("app.calcFailed", { reason: describeApiError(err, t) }));
+      }
     } finally {
-      setLoading(false);
+      if (calcAbort.current === controller) {
+        calcAbort.current = null;
+        setLoading(false);
+        setCalcStatus("");
+      }
     }
   };
 
+  const handleCancelCalc = () => {
+    calcAbort.current?.abort();
+  };
+
+  // a shared link that carries a reading opens with its result
+  const restoreResult = useRef(Object.values(form).some((v) => v !== ""));
+  useEffect(() => {
+    if (!restoreResult.current) return;
+    restoreResult.current = false;
+    handleSubmit(undefined, { record: false });
+  });
+
   // ---------------- CSV HANDLER ----------------
   const handleFileUpload = (e) => {
     const file = e.target.files?.[0];
     if (!file) return;
     setCsvError("");
 
-    Papa.parse(file, {
-      header: true,
-      dynamicTyping: true,
-      skipEmptyLines: true,
-      complete: (results) => {
-        if (!results.data || results.data.length === 0) {
-          setCsvError("CSV is empty or invalid.");
-          setCsvData([]);
-          return;
-        }
-        setCsvData(results.data);
-      },
-      error: () => {
-        setCsvError("Could not read CSV file.");
-        setCsvData([]);
-      },
+    ingest?.cancel();
+
+    const { promise, cancel } = parseCsvInWorker(file, {
+      onProgress: ({ loaded, total, rows }) =>
+        setIngest((prev) => prev && { ...prev, loaded, total, rows }),
     });
+    setIngest({ fileName: file.name, loaded: 0, total: file.size, rows: 0, cancel });
+
+    promise
+      .then((store) => {
+        setPendingImport({ fileName: file.name, headers: store.fields, store });
+      })
+      .catch((err) => {
+        // a cancelled import keeps whatever dataset was loaded before
+        if (!err.cancelled) {
+          setCsvError(t(`import.error.${err.reason}`, { defaultValue: err.message }));
+          setCsvStore(null);
+        }
+      })
+      .finally(() => {
+        setIngest((prev) => (prev?.cancel === cancel ? null : prev));
+      });
+    // allow re-selecting the same file
+    e.target.value = "";
   };
 
+  const handleImportConfirm = (config) => {
+    const { store, fileName } = pendingImport;
+    // saved with the dataset so a reopened one converts the same way
+    const confirmed = { ...config, conditions: { ...conditions } };
+    setCsvStore(store);
+    setImportConfig(confirmed);
+    setCleaning(EMPTY_CLEANING);
+    setTableQuery(EMPTY_QUERY);
+    setPendingImport(null);
+    setDatasetId(null);
+
+    saveDataset({
+      name: fileName.replace(/\.csv$/i, ""),
+      fileName,
+      store,
+      importConfig: confirmed,
+    })
+      .then((id) => {
+        setDatasetId(id);
+        setLastDatasetId(id);
+        setWorkspaceError("");
+        bumpWorkspace();
+      })
+      .catch((err) => setWorkspaceError(t("app.datasetNotSaved", { reason: err.message })));
+  };
+
+  // ---------------- WORKSPACE ----------------
+  const showSavedDataset = (saved) => {
+    setCsvStore(saved.store);
+    setImportConfig(savedImportConfig(saved));
+    setCleaning(saved.cleaning || EMPTY_CLEANING);
+    setTableQuery(EMPTY_QUERY);
+    setDatasetId(saved.id);
+    setLastDatasetId(saved.id);
+  };
+
+  const handleOpenDataset = (id) => {
+    loadDataset(id)
+      .then((saved) => {
+        if (saved) showSavedDataset(saved);
+        else setWorkspaceError(t("app.datasetMissing"));
+      })
+      .catch((err) => setWorkspaceError(err.message));
+  };
+
+  const handleDatasetDeleted = (id) => {
+    if (id !== datasetId) return;
+    setCsvStore(null);
+    setDatasetId(null);
+  };
+
+  const handleOpenCalculation = (entry) => {
+    calcAbort.current?.abort();
+    setForm(entry.form);
+    setUnits(entry.units);
+    setConditions(entry.conditions);
+    setAppParams({ std: entry.standard, engine: entry.engine });
+    setResult(entry.result);
+    setCalcError("");
+    setActiveTab("overview");
+  };
+
+  // ---------------- DATA CLEANING ----------------
+  // actions: { ruleId: actionId }; every change is appended to the log and
+  // saved with the dataset
+  const handleCleaningChange = (actions) => {
+    const at = Date.now();
+    const changes = Object.keys({ ...cleaning.actions, ...actions })
+      .filter((rule) => (cleaning.actions[rule] || "keep") !== (actions[rule] || "keep"))
+      .map((rule) => ({
+        at,
+        rule,
+        action: actions[rule] || "keep",
+        values: qualityAudit.byRule[rule]?.values ?? 0,
+      }));
+    if (!changes.length) return;
+    const next = { actions, log: [...cleaning.log, ...changes] };
+    setCleaning(next);
+    if (datasetId !== null) {
+      updateDataset(datasetId, { cleaning: next }).catch((err) =>
+        setWorkspaceError(err.message)
+      );
+    }
+  };
+
+  // calendar day -> that day's rows in the Data Explorer
+  const handleShowDay = (t) => {
+    const day = toDateInputValue(t);
+    setTableQuery({ ...EMPTY_QUERY, filters: { date: { type: "date", from: day, to: day } } });
+    setActiveTab("data");
+  };
+
+  // dominant pollutant -> its reactions in the Chemistry tab explorer
+  const [, setReactionFilters] = useQueryState(REACTION_FILTERS, "rx_");
+  const handleShowReactions = (pollutant) => {
+    setReactionFilters({ ...REACTION_FILTERS, pollutant });
+    setActiveTab("chemistry");
+  };
+
+  // ---------------- PINNED READINGS ----------------
+  const handlePin = (label, input) => {
+    const id = nextPinId.current++;
+    setPins((prev) => [...prev, { id, label, input: { ...input } }]);
+  };
+  const handleUnpin = (id) => setPins((prev) => prev.filter((p) => p.id !== id));
+
+  // reopen the dataset from the last session
+  useEffect(() => {
+    const id = getLastDatasetId();
+    if (!id) return;
+    loadDataset(id)
+      .then((saved) => {
+        if (!saved) return;
+        setCsvStore(saved.store);
+        setImportConfig(savedImportConfig(saved));
+        setCleaning(saved.cleaning || EMPTY_CLEANING);
+        setDatasetId(saved.id);
+      })
+      .catch((err) => setWorkspaceError(err.message));
+  }, []);
+
   // --------------- CHART DATA FROM FORM ---------------
   const pollutantLabels = ["PM2.5", "PM10", "SO₂", "NO₂", "CO", "O₃"];
-  const pollutantValues = [
-    parseFloat(form.pm25) || 0,
-    parseFloat(form.pm10) || 0,
-    parseFloat(form.so2) || 0,
-    parseFloat(form.no2) || 0,
-    parseFloat(form.co) || 0,
-    parseFloat(form.o3) || 0,
-  ];
+  // empty fields are left as gaps rather than drawn as 0
+  const pollutantValues = ["pm25", "pm10", "so2", "no2", "co", "o3"].map((key) => {
+    const value = toCanonical(parseFloat(form[key]), units[key], key, conditions);
+    return Number.isNaN(value) ? null : value;
+  });
 
   const pollutantChartData = {
     labels: pollutantLabels,
     datasets: [
       {
-        label: "Concentration",
+        label: t("calc.concentration"),
         data: pollutantValues,
         backgroundColor: "rgba(56, 189, 248, 0.5)",
         borderColor: "rgb(56, 189, 248)",
@@ -147,43 +525,23 @@ function App() {
   };
 
   // --------------- CHART DATA FROM CSV ---------------
-  const aqiLineData =
-    csvData.length > 0
-      ? {
-          labels: csvData.map((r, i) => r.date || `Reading ${i + 1}`),
-          datasets: [
-            {
-              label: "AQI",
-              data: csvData.map((r) => r.AQI ?? r.aqi ?? 0),
-              borderColor: "rgb(129, 140, 248)",
-              backgroundColor: "rgba(129, 140, 248, 0.3)",
-              tension: 0.2,
-            },
-          ],
-        }
-      : null;
-
   const pollutantKeys = ["PM2_5", "PM10", "NO2", "SO2", "O3", "CO"];
   const pollutantMeans =
-    csvData.length > 0
+    filteredData.length > 0
       ? pollutantKeys.map((key) => {
-          const vals = csvData
-            .map((row) => row[key])
-            .filter(
-              (v) => typeof v === "number" && !Number.isNaN(v)
-            );
+          const vals = columnNumbers(filteredData, key);
           if (!vals.length) return 0;
           return vals.reduce((a, b) => a + b, 0) / vals.length;
         })
       : [];
 
   const pollutantMeanData =
-    csvData.length > 0
+    filteredData.length > 0
       ? {
           labels: pollutantKeys,
           datasets: [
             {
-              label: "Mean concentration (CSV)",
+              label: t("app.meanConcentration"),
               data: pollutantMeans,
               backgroundColor: "rgba(45, 212, 191, 0.5)",
               borderColor: "rgb(45, 212, 191)",
@@ -193,16 +551,33 @@ function App() {
         }
       : null;
 
-  const getBadgeColor = (category) => {
-    const map = {
-      Good: "bg-green-500",
-      Satisfactory: "bg-lime-500",
-      Moderate: "bg-yellow-400",
-      Poor: "bg-orange-500",
-      "Very Poor": "bg-red-600",
-      Severe: "bg-purple-700",
-    };
-    return map[category] || "bg-slate-700";
+  // --------------- TABS (WAI-ARIA) ---------------
+  // one tab in the tab order; arrow keys / Home / End move between tabs and
+  // select them, the panel below is labelled by the selected tab
+  const tabProps = (tab, idPrefix) => ({
+    id: `${idPrefix}-${tab.id}`,
+    type: "button",
+    role: "tab",
+    "data-tab": tab.id,
+    "aria-selected": activeTab === tab.id,
+    "aria-controls": "tab-panel",
+    tabIndex: activeTab === tab.id ? 0 : -1,
+    onClick: () => setActiveTab(tab.id),
+  });
+
+  const handleTabKeyDown = (e) => {
+    const index = TAB_IDS.indexOf(activeTab);
+    const next = {
+      ArrowRight: index + 1,
+      ArrowLeft: index - 1,
+      Home: 0,
+      End: TAB_IDS.length - 1,
+    }[e.key];
+    if (next === undefined) return;
+    e.preventDefault();
+    const id = TAB_IDS[(next + TAB_IDS.length) % TAB_IDS.length];
+    setActiveTab(id);
+    e.currentTarget.querySelector(`[data-tab="${id}"]`)?.focus();
   };
 
   // --------------- LAYOUT ---------------
@@ -221,20 +596,36 @@ function App() {
             </div>
             <div>
               <p className="text-[11px] uppercase tracking-[0.18em] text-cyan-300">
-                Controls
+                {t("sidebar.controls")}
               </p>
               <p className="text-xs text-slate-300">
-                Dataset & input settings
+                {t("sidebar.subtitle")}
               </p>
             </div>
           </div>
 
+          <label className="text-[11px] text-slate-300 space-y-1 block">
+            <span className="font-semibold text-slate-100">{t("sidebar.language")}</span>
+            <select
+              value={lang}
+              onChange={(e) => setLanguage(e.target.value)}
+              className="w-full rounded-lg bg-slate-800 border border-slate-600 px-2 py-1.5 text-[11px] focus:outline-none focus:ring-2 focus:ring-cyan-400"
+            >
+              {LANGUAGES.map((l) => (
+                <option key={l.id} value={l.id} lang={l.locale}>
+                  {l.label}
+                </option>
+              ))}
+            </select>
+          </label>
+
           <div className="text-[11px] text-slate-300 space-y-1">
-            <p className="font-semibold text-slate-100">Upload AQI CSV</p>
-              <p className="text-slate-400">
-    Upload the AQI dataset in CSV format with columns{" "}
-    <code>AQI, PM2_5, PM10, NO2, SO2, O3, CO, date</code>.
-  </p>
+            <p className="font-semibold text-slate-100">{t("sidebar.upload")}</p>
+            <p className="text-slate-400">
+              {t("sidebar.uploadHelp", {
+                columns: <code key="columns">AQI, PM2.5, NO2 (ppb), Ozone, From Date, Station</code>,
+              })}
+            </p>
 
             <input
               type="file"
@@ -242,6 +633,13 @@ function App() {
               onChange={handleFileUpload}
               className="mt-1 text-[11px] file:mr-3 file:px-3 file:py-1.5 file:rounded-full file:border-0 file:bg-cyan-500 file:text-slate-950 file:text-[11px] file:font-semibold hover:file:bg-cyan-400"
             />
+            {ingest && (
+              <ImportProgress
+                ingest={ingest}
+                onCancel={ingest.cancel}
+                className="mt-2"
+              />
+            )}
             {csvError && (
               <p className="mt-1 text-[11px] text-red-400">
                 {csvError}
@@ -249,25 +647,92 @@ function App() {
             )}
             {!csvError && csvData.length > 0 && (
               <p className="mt-1 text-[11px] text-emerald-300">
-                Loaded {csvData.length} rows.
+                {t("sidebar.loaded", { count: csvData.length })}
               </p>
             )}
           </div>
 
+          <div className="text-[11px] text-slate-300 space-y-1">
+            <label htmlFor="sidebar-standard" className="block font-semibold text-slate-100">
+              {t("sidebar.standard")}
+            </label>
+            <select
+              id="sidebar-standard"
+              value={standardId}
+              onChange={(e) => setStandardId(e.target.value)}
+              className="w-full rounded-lg bg-slate-800 border border-slate-600 px-2 py-1.5 text-[11px] focus:outline-none focus:ring-2 focus:ring-cyan-400"
+            >
+              {STANDARD_LIST.map((s) => (
+                <option key={s.id} value={s.id}>
+                  {s.name} ({s.agency})
+                </option>
+              ))}
+            </select>
+            <div className="flex flex-wrap gap-1 pt-1">
+              {standard.categories.map((c) => (
+                <CategoryBadge
+                  key={c.name}
+                  category={c}
+                  standard={standard}
+                  className="px-1.5 py-0.5 rounded text-[9px] font-semibold"
+                />
+              ))}
+            </div>
+          </div>
+
+          <div className="text-[11px] text-slate-300 space-y-1">
+            <label htmlFor="sidebar-palette" className="block font-semibold text-slate-100">
+              {t("sidebar.palette")}
+            </label>
+            <select
+              id="sidebar-palette"
+              value={palette.palette}
+              onChange={(e) => setPalette({ palette: e.target.value })}
+              className="w-full rounded-lg bg-slate-800 border border-slate-600 px-2 py-1.5 text-[11px] focus:outline-none focus:ring-2 focus:ring-cyan-400"
+            >
+              {PALETTES.map((p) => (
+                <option key={p.id} value={p.id}>
+                  {t(`palette.${p.id}`)}
+                </option>
+              ))}
+            </select>
+            <label className="flex items-center gap-1.5 pt-1">
+              <input
+                type="checkbox"
+                checked={palette.patterns}
+                onChange={(e) => setPalette({ patterns: e.target.checked })}
+              />
+              {t("sidebar.patterns")}
+            </label>
+          </div>
+
           <div className="mt-3 text-[11px] text-slate-300 space-y-2">
             <p className="font-semibold text-slate-100">
-              Chemistry perspective
+              {t("sidebar.chemistry")}
             </p>
             <ul className="list-disc list-inside space-y-1 text-slate-400">
-              <li>Combustion → SO₂, NOₓ, CO, PM</li>
-              <li>Atmospheric oxidation → acids & O₃</li>
-              <li>Particles carry toxic metals & organics</li>
+              {["combustion", "oxidation", "particles"].map((key) => (
+                <li key={key}>
+                  <FormulaText>{t(`sidebar.chemistry.${key}`)}</FormulaText>
+                </li>
+              ))}
             </ul>
           </div>
 
+          <WorkspacePanel
+            revision={workspaceRevision}
+            datasetId={datasetId}
+            error={workspaceError}
+            onOpenDataset={handleOpenDataset}
+            onDatasetDeleted={handleDatasetDeleted}
+            onOpenCalculation={handleOpenCalculation}
+          />
+
+          <ApiSettingsPanel />
+
           <div className="mt-auto text-[11px] text-slate-500">
-            <p>Frontend: React + Tailwind</p>
-            <p>Backend: FastAPI (Python)</p>
+            <p>{t("sidebar.frontend")}</p>
+            <p>{t("sidebar.backend")}</p>
           </div>
         </motion.aside>
 
@@ -285,44 +750,54 @@ function App() {
               </div>
               <div>
                 <p className="text-[11px] uppercase tracking-[0.2em] text-cyan-300">
-                  AQI Intelligence
+                  {t("app.kicker")}
                 </p>
                 <p className="font-semibold text-lg leading-tight">
-                  Environmental Chemistry Dashboard
+                  {t("app.title")}
                 </p>
               </div>
             </div>
 
-            <div className="hidden md:flex bg-slate-900/70 rounded-full border border-slate-700 p-1">
+            <div
+              role="tablist"
+              aria-label={t("app.tabsLabel")}
+              onKeyDown={handleTabKeyDown}
+              className="hidden md:flex bg-slate-900/70 rounded-full border border-slate-700 p-1"
+            >
               {TABS.map((tab) => (
                 <button
                   key={tab.id}
-                  onClick={() => setActiveTab(tab.id)}
-                  className={`px-3.5 py-1.5 text-[11px] rounded-full font-medium transition ${
+                  {...tabProps(tab, "tab")}
+                  className={`px-3.5 py-1.5 text-[11px] rounded-full font-medium transition focus:outline-none focus-visible:ring-2 focus-visible:ring-cyan-300 ${
                     activeTab === tab.id
                       ? "bg-cyan-500 text-slate-950 shadow-md shadow-cyan-400/30"
                       : "text-slate-300 hover:bg-slate-800/80"
                   }`}
                 >
-                  {tab.label}
+                  {t(`tabs.${tab.id}`, { defaultValue: tab.label })}
                 </button>
               ))}
             </div>
           </motion.nav>
 
           {/* mobile tab bar */}
-          <div className="md:hidden flex gap-2">
+          <div
+            role="tablist"
+            aria-label={t("app.tabsLabel")}
+            onKeyDown={handleTabKeyDown}
+            className="md:hidden flex gap-2"
+          >
             {TABS.map((tab) => (
               <button
                 key={tab.id}
-                onClick={() => setActiveTab(tab.id)}
-                className={`flex-1 px-3 py-1.5 text-[11px] rounded-full border ${
+                {...tabProps(tab, "tab-mobile")}
+                className={`flex-1 px-3 py-1.5 text-[11px] rounded-full border focus:outline-none focus-visible:ring-2 focus-visible:ring-cyan-300 ${
                   activeTab === tab.id
                     ? "bg-cyan-500 text-slate-950 border-cyan-400"
                     : "bg-slate-900/80 border-slate-700 text-slate-200"
                 }`}
               >
-                {tab.label}
+                {t(`tabs.${tab.id}`, { defaultValue: tab.label })}
               </button>
             ))}
           </div>
@@ -334,74 +809,144 @@ function App() {
             className="bg-slate-900/80 border border-slate-700 rounded-2xl p-4 md:p-6 shadow-[0_18px_45px_rgba(15,23,42,0.9)]"
           >
             <h1 className="text-2xl md:text-3xl font-bold tracking-tight">
-              AQI Analysis Dashboard –{" "}
+              {t("app.hero.title")}{" "}
               <span className="text-cyan-400">
-                Environmental Chemistry Focus
+                {t("app.hero.focus")}
               </span>
             </h1>
 
             <div className="flex flex-wrap gap-2 mt-3 text-[11px]">
               <span className="px-3 py-1 rounded-full border border-cyan-400/70 bg-cyan-400/10 text-cyan-100 font-medium">
-                Air Pollution Chemistry
+                {t("app.hero.chemistry")}
               </span>
               <span className="px-3 py-1 rounded-full border border-emerald-400/70 bg-emerald-400/10 text-emerald-100 font-medium">
-                Atmospheric Reactions
+                {t("app.hero.reactions")}
               </span>
               <span className="px-3 py-1 rounded-full border border-sky-400/70 bg-sky-400/10 text-sky-100 font-medium">
-                Health & Environment
+                {t("app.hero.health")}
               </span>
             </div>
 
             <p className="mt-3 text-xs md:text-sm text-slate-300 max-w-2xl">
-              Connects AQI numbers with{" "}
-              <b>combustion chemistry, photochemical smog, acid rain</b> and{" "}
-              <b>particulate pollution</b>, powered by a Python FastAPI backend
-              and a modern React interface.
+              {t("app.hero.body", {
+                chemistry: <b key="chemistry">{t("app.hero.chemistryTopics")}</b>,
+                particulates: <b key="particulates">{t("app.hero.particulates")}</b>,
+              })}
             </p>
           </motion.section>
 
           {/* MAIN CONTENT (tabs) */}
           <motion.main
-            key={activeTab}
+            key={`${activeTab}-${lang}`}
+            id="tab-panel"
+            role="tabpanel"
+            aria-labelledby={`tab-${activeTab}`}
             initial={{ opacity: 0, y: 10 }}
             animate={{ opacity: 1, y: 0 }}
             transition={{ duration: 0.25 }}
           >
-            {activeTab === "overview" && (
-              <OverviewTab
-                form={form}
-                handleChange={handleChange}
-                handleSubmit={handleSubmit}
-                loading={loading}
-                error={calcError}
-                result={result}
-                getBadgeColor={getBadgeColor}
-                pollutantChartData={pollutantChartData}
-              />
-            )}
-
-            {activeTab === "chemistry" && <ChemistryTab />}
-
-            {activeTab === "charts" && (
-              <ChartsTab
-                csvData={csvData}
-                aqiLineData={aqiLineData}
-                pollutantMeanData={pollutantMeanData}
-              />
-            )}
-
-            {activeTab === "health" && <HealthTab />}
-
-            {activeTab === "data" && (
-              <DataTab csvData={csvData} handleFileUpload={handleFileUpload} />
-            )}
+            <Suspense
+              fallback={<p className="text-xs text-slate-400">{t("app.loading")}</p>}
+            >
+              {activeTab === "overview" && (
+                <OverviewTab
+                  form={form}
+                  handleChange={handleChange}
+                  units={units}
+                  handleUnitChange={handleUnitChange}
+                  conditions={conditions}
+                  handleConditionChange={handleConditionChange}
+                  handleSubmit={handleSubmit}
+                  loading={loading}
+                  status={calcStatus}
+                  onCancel={handleCancelCalc}
+                  error={calcError}
+                  result={result}
+                  engine={engine}
+                  setEngine={setEngine}
+                  standard={standard}
+                  pollutantChartData={pollutantChartData}
+                  pins={pins}
+                  onPin={handlePin}
+                  onUnpin={handleUnpin}
+                  onClearPins={() => setPins([])}
+                  onShowReactions={handleShowReactions}
+                />
+              )}
+
+              {activeTab === "chemistry" && (
+                <ChemistryTab
+                  form={form}
+                  units={units}
+                  conditions={conditions}
+                  csvData={csvData}
+                />
+              )}
+
+              {activeTab === "charts" && (
+                <ChartsTab
+                  csvData={csvData}
+                  filterActive={filterActive}
+                  filteredData={filteredData}
+                  standard={standard}
+                  pollutantMeanData={pollutantMeanData}
+                  onShowDay={handleShowDay}
+                />
+              )}
+
+              {activeTab === "health" && (
+                <HealthTab
+                  standard={standard}
+                  result={result}
+                  csvData={csvData}
+                  onShowDay={handleShowDay}
+                />
+              )}
+
+              {activeTab === "data" && (
+                <DataTab
+                  csvData={csvData}
+                  filteredData={filteredData}
+                  columns={csvColumns}
+                  columnTypes={columnTypes}
+                  tableQuery={tableQuery}
+                  setTableQuery={setTableQuery}
+                  standard={standard}
+                  hasReportedAqi={csvHasReportedAqi}
+                  qualityAudit={qualityAudit}
+                  cleaning={cleaning}
+                  cleaningSteps={cleaned.steps}
+                  onCleaningChange={handleCleaningChange}
+                  ingest={ingest}
+                  handleFileUpload={handleFileUpload}
+                />
+              )}
+            </Suspense>
           </motion.main>
 
+          {pendingImport && (
+            <ImportWizard
+              pending={pendingImport}
+              conditions={conditions}
+              onConfirm={handleImportConfirm}
+              onCancel={() => setPendingImport(null)}
+            />
+          )}
+
           {/* FOOTER */}
           <footer className="pt-4 border-t border-slate-800 text-[11px] text-slate-500 text-center">
-            Built with <span className="text-cyan-300">Python (FastAPI)</span> +
-            <span className="text-cyan-300"> React & Tailwind</span> for AQI and
-            atmospheric chemistry analysis.
+            {t("app.footer", {
+              backend: (
+                <span key="backend" className="text-cyan-300">
+                  Python (FastAPI)
+                </span>
+              ),
+              frontend: (
+                <span key="frontend" className="text-cyan-300">
+                  React & Tailwind
+                </span>
+              ),
+            })}
           </footer>
         </div>
       </div>
@@ -409,436 +954,4 @@ function App() {
   );
 }
 
-/* =============== OVERVIEW TAB =============== */
-
-function OverviewTab({
-  form,
-  handleChange,
-  handleSubmit,
-  loading,
-  error,
-  result,
-  getBadgeColor,
-  pollutantChartData,
-}) {
-  return (
-    <div className="grid xl:grid-cols-2 gap-5 items-start">
-      {/* LEFT: calculator */}
-      <section className="bg-slate-900/80 border border-slate-700 rounded-2xl p-5 shadow-xl">
-        <h2 className="text-lg font-semibold mb-1">AQI Calculator</h2>
-        <p className="text-xs text-slate-400 mb-4">
-          Enter pollutant concentrations (µg/m³, CO in mg/m³ approx). Backend
-          returns AQI, category and a chemistry explanation.
-        </p>
-
-        <form onSubmit={handleSubmit} className="space-y-4">
-          <div className="grid grid-cols-2 gap-4">
-            {[
-              { name: "pm25", label: "PM₂.₅" },
-              { name: "pm10", label: "PM₁₀" },
-              { name: "so2", label: "SO₂" },
-              { name: "no2", label: "NO₂" },
-              { name: "co", label: "CO" },
-              { name: "o3", label: "O₃" },
-            ].map((field) => (
-              <div key={field.name} className="space-y-1">
-                <label className="block text-[11px] text-slate-300">
-                  {field.label}
-                </label>
-                <input
-                  type="number"
-                  step="0.01"
-                  name={field.name}
-                  value={form[field.name]}
-                  onChange={handleChange}
-                  className="w-full rounded-lg bg-slate-800 border border-slate-600 px-3 py-2 text-xs focus:outline-none focus:ring-2 focus:ring-cyan-400"
-                />
-              </div>
-            ))}
-          </div>
-
-          {error && (
-            <p className="text-xs text-red-300 bg-red-900/40 border border-red-700 rounded-lg px-3 py-2">
-              {error}
-            </p>
-          )}
-
-          <button
-            type="submit"
-            disabled={loading}
-            className="w-full mt-1 rounded-xl bg-cyan-500 hover:bg-cyan-400 disabled:opacity-60 disabled:cursor-not-allowed py-2.5 text-sm font-semibold shadow-lg shadow-cyan-500/30 transition"
-          >
-            {loading ? "Calculating..." : "Calculate AQI"}
-          </button>
-        </form>
-      </section>
-
-      {/* RIGHT: result + chart */}
-      <section className="space-y-4">
-        <div className="bg-slate-900/80 border border-slate-700 rounded-2xl p-5 shadow-xl">
-          <h2 className="text-lg font-semibold mb-3">Snapshot</h2>
-
-          {!result && (
-            <p className="text-sm text-slate-300">
-              Run a calculation to see AQI, category and a chemistry summary.
-            </p>
-          )}
-
-          {result && (
-            <div className="space-y-4">
-              <div className="flex items-center justify-between gap-3">
-                <div>
-                  <p className="text-[11px] uppercase text-slate-400">AQI</p>
-                  <p className="text-4xl font-bold">{result.aqi}</p>
-                </div>
-                <div className="text-right">
-                  <p className="text-[11px] uppercase text-slate-400">
-                    Category
-                  </p>
-                  <span
-                    className={
-                      "inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold " +
-                      getBadgeColor(result.category)
-                    }
-                  >
-                    {result.category}
-                  </span>
-                </div>
-              </div>
-
-              <div className="border-t border-slate-700 pt-3">
-                <p className="text-[11px] uppercase text-slate-400 mb-1">
-                  Dominant pollutant
-                </p>
-                <p className="text-xs md:text-sm font-medium">
-                  {result.dominant_pollutant}
-                </p>
-              </div>
-
-              <div className="border-t border-slate-700 pt-3">
-                <p className="text-[11px] uppercase text-slate-400 mb-1">
-                  Chemistry insight
-                </p>
-                <p className="text-xs md:text-sm text-slate-200 leading-relaxed whitespace-pre-line">
-                  {result.chemistry_note}
-                </p>
-              </div>
-            </div>
-          )}
-        </div>
-
-        <div className="bg-slate-900/70 border border-slate-700 rounded-2xl p-5 shadow-lg">
-          <h3 className="text-sm font-semibold mb-2">
-            Pollutant profile for this reading
-          </h3>
-          <p className="text-[11px] text-slate-400 mb-2">
-            Tallest bar = dominant pollutant. (SO₂, NO₂, CO), secondary aerosol formation (sulfates,
-            nitrates) or smog (O₃).
-          </p>
-          <Bar
-            data={pollutantChartData}
-            options={{
-              responsive: true,
-              plugins: {
-                legend: { labels: { color: "#e5e7eb", font: { size: 10 } } },
-              },
-              scales: {
-                x: {
-                  ticks: { color: "#9ca3af", font: { size: 9 } },
-                  grid: { color: "rgba(75,85,99,0.3)" },
-                },
-                y: {
-                  ticks: { color: "#9ca3af", font: { size: 9 } },
-                  grid: { color: "rgba(75,85,99,0.25)" },
-                },
-              },
-            }}
-          />
-        </div>
-      </section>
-    </div>
-  );
-}
-
-/* =============== CHEMISTRY TAB =============== */
-
-function ChemistryTab() {
-  return (
-    <section className="bg-slate-900/80 border border-slate-700 rounded-2xl p-5 shadow-xl space-y-3 text-xs md:text-sm text-slate-200">
-      <h2 className="text-lg font-semibold mb-1">
-        Chemistry of Major AQI Pollutants
-      </h2>
-      <p className="text-slate-300">
-  
-      </p>
-
-      <ul className="space-y-3">
-        <li>
-          <span className="font-semibold text-cyan-300">
-            SO₂ → H₂SO₄ (acid rain):
-          </span>{" "}
-          SO₂ from coal / fuel combustion oxidises:
-          <br />
-          2 SO₂ + O₂ → 2 SO₃
-          <br />
-          SO₃ + H₂O → H₂SO₄
-          <br />
-          Acidic droplets in rain corrode buildings, metals and damage leaves.
-        </li>
-        <li>
-          <span className="font-semibold text-cyan-300">
-            NO₂ & VOCs → O₃ (photochemical smog):
-          </span>{" "}
-          NO₂ absorbs sunlight:
-          <br />
-          NO₂ + hν → NO + O·
-          <br />
-          O· + O₂ → O₃
-          <br />
-          In presence of VOCs this leads to brownish photochemical smog; O₃ is a
-          strong oxidant that irritates lungs.
-        </li>
-        <li>
-          <span className="font-semibold text-cyan-300">
-            PM₂.₅ & PM₁₀ (particulate matter):
-          </span>{" "}
-          Complex mixture of sulfates, nitrates, carbon and metals. PM₂.₅
-          penetrates deep into alveoli and can enter bloodstream; acts as a
-          carrier for toxic chemicals.
-        </li>
-        <li>
-          <span className="font-semibold text-cyan-300">
-            CO (carbon monoxide):
-          </span>{" "}
-          Produced by incomplete combustion. Forms carboxyhaemoglobin
-          (HbCO) with blood, reducing oxygen transport; high levels cause
-          headache, dizziness and can be fatal.
-        </li>
-        <li>
-          <span className="font-semibold text-cyan-300">
-            Primary vs secondary pollutants:
-          </span>{" "}
-          Primary: emitted directly (SO₂, NO, CO, PM). Secondary: formed in
-          atmosphere (O₃, PAN, acids, some PM).
-        </li>
-      </ul>
-    </section>
-  );
-}
-
-/* =============== CHARTS / CITY TAB =============== */
-
-function ChartsTab({ csvData, aqiLineData, pollutantMeanData }) {
-  return (
-    <div className="space-y-5">
-      {csvData.length === 0 && (
-        <p className="text-xs md:text-sm text-slate-300">
-          Upload a CSV from the sidebar to unlock time-series and composition
-          charts.
-        </p>
-      )}
-
-      {csvData.length > 0 && (
-        <div className="grid lg:grid-cols-2 gap-5">
-          <section className="bg-slate-900/80 border border-slate-700 rounded-2xl p-5 shadow-xl">
-            <h3 className="text-sm font-semibold mb-2">
-              AQI time series (all rows)
-            </h3>
-            {aqiLineData ? (
-              <Line
-                data={aqiLineData}
-                options={{
-                  responsive: true,
-                  plugins: {
-                    legend: { labels: { color: "#e5e7eb", font: { size: 10 } } },
-                  },
-                  scales: {
-                    x: {
-                      ticks: { color: "#9ca3af", font: { size: 8 } },
-                      grid: { color: "rgba(75,85,99,0.25)" },
-                    },
-                    y: {
-                      ticks: { color: "#9ca3af", font: { size: 9 } },
-                      grid: { color: "rgba(75,85,99,0.25)" },
-                    },
-                  },
-                }}
-              />
-            ) : (
-              <p className="text-xs text-slate-400">
-                No AQI column detected (expects “AQI” or “aqi”).
-              </p>
-            )}
-          </section>
-
-          <section className="bg-slate-900/80 border border-slate-700 rounded-2xl p-5 shadow-xl">
-            <h3 className="text-sm font-semibold mb-2">
-              Average pollutant composition (from CSV)
-            </h3>
-            {pollutantMeanData ? (
-              <Bar
-                data={pollutantMeanData}
-                options={{
-                  responsive: true,
-                  plugins: {
-                    legend: { labels: { color: "#e5e7eb", font: { size: 10 } } },
-                  },
-                  scales: {
-                    x: {
-                      ticks: { color: "#9ca3af", font: { size: 10 } },
-                      grid: { color: "rgba(75,85,99,0.25)" },
-                    },
-                    y: {
-                      ticks: { color: "#9ca3af", font: { size: 9 } },
-                      grid: { color: "rgba(75,85,99,0.25)" },
-                    },
-                  },
-                }}
-              />
-            ) : (
-              <p className="text-xs text-slate-400">
-                CSV missing pollutant columns (PM2_5, PM10, NO2, SO2, O3, CO).
-              </p>
-            )}
-          </section>
-        </div>
-      )}
-    </div>
-  );
-}
-
-/* =============== HEALTH TAB =============== */
-
-function HealthTab() {
-  const categories = [
-    {
-      range: "0 – 50",
-      label: "Good",
-      desc: "Clean air, only background levels of pollutants. Suitable for outdoor activity for all groups.",
-      color: "bg-emerald-500/20 border-emerald-500",
-    },
-    {
-      range: "51 – 100",
-      label: "Moderate",
-      desc: "Some buildup of NO₂ and PM. Sensitive groups may feel mild irritation.",
-      color: "bg-yellow-500/20 border-yellow-500",
-    },
-    {
-      range: "101 – 200",
-      label: "Unhealthy (Sensitive)",
-      desc: "Higher PM₂.₅ / PM₁₀ and acidic / oxidizing species. Asthmatics and heart patients at risk.",
-      color: "bg-orange-500/20 border-orange-500",
-    },
-    {
-      range: "201 – 300",
-      label: "Very Unhealthy",
-      desc: "Strong smog, high oxidants and acids. Everyone may experience health effects.",
-      color: "bg-red-500/20 border-red-500",
-    },
-    {
-      range: "300+",
-      label: "Hazardous",
-      desc: "Severe pollution episodes. Schools should be closed; emergency health advisories.",
-      color: "bg-purple-500/20 border-purple-500",
-    },
-  ];
-
-  return (
-    <section className="bg-slate-900/80 border border-slate-700 rounded-2xl p-5 shadow-xl space-y-4">
-      <h2 className="text-lg font-semibold">AQI Categories & Health Effects</h2>
-      <p className="text-xs md:text-sm text-slate-300">
-       “AQI compresses concentrations of PM, SO₂, NO₂, CO and
-        O₃ into a single scale that directly relates to health impact.”
-      </p>
-
-      <div className="grid md:grid-cols-3 gap-3">
-        {categories.map((cat) => (
-          <div
-            key={cat.label}
-            className={`rounded-xl border px-3 py-3 text-xs md:text-sm ${cat.color}`}
-          >
-            <p className="text-[11px] uppercase tracking-wide text-slate-100">
-              {cat.range}
-            </p>
-            <p className="font-semibold text-slate-50">{cat.label}</p>
-            <p className="mt-1 text-slate-100 text-[11px] md:text-xs">
-              {cat.desc}
-            </p>
-          </div>
-        ))}
-      </div>
-    </section>
-  );
-}
-
-/* =============== DATA TAB =============== */
-
-function DataTab({ csvData, handleFileUpload }) {
-  const headers =
-    csvData.length > 0 ? Object.keys(csvData[0]) : ["No data loaded"];
-
-  return (
-    <div className="space-y-4">
-      <section className="bg-slate-900/80 border border-slate-700 rounded-2xl p-5 shadow-xl">
-        <h2 className="text-lg font-semibold mb-1">Raw Data Explorer</h2>
-        <p className="text-xs text-slate-300 mb-2">
-          “We used a React-based data explorer to inspect and verify the AQI dataset.”
-        </p>
-        <p className="text-[11px] text-slate-400 mb-2">
-          You can re-upload a CSV here if you want to test a different file.
-        </p>
-        <input
-          type="file"
-          accept=".csv"
-          onChange={handleFileUpload}
-          className="text-xs file:mr-3 file:px-3 file:py-1.5 file:rounded-full file:border-0 file:bg-cyan-500 file:text-slate-950 file:text-xs file:font-semibold hover:file:bg-cyan-400"
-        />
-      </section>
-
-      {csvData.length === 0 ? (
-        <p className="text-xs md:text-sm text-slate-300">
-          Upload a CSV from here or from the sidebar to explore the table.
-        </p>
-      ) : (
-        <section className="bg-slate-900/90 border border-slate-700 rounded-2xl p-4 shadow-xl overflow-auto">
-          <table className="min-w-full text-[11px] md:text-xs border-collapse">
-            <thead>
-              <tr className="bg-slate-800/90">
-                {headers.map((h) => (
-                  <th
-                    key={h}
-                    className="border-b border-slate-700 px-2 py-2 text-left font-semibold"
-                  >
-                    {h}
-                  </th>
-                ))}
-              </tr>
-            </thead>
-            <tbody>
-              {csvData.slice(0, 80).map((row, idx) => (
-                <tr
-                  key={idx}
-                  className={idx % 2 === 0 ? "bg-slate-900" : "bg-slate-950"}
-                >
-                  {headers.map((h) => (
-                    <td
-                      key={h}
-                      className="border-b border-slate-800 px-2 py-1"
-                    >
-                      {String(row[h] ?? "")}
-                    </td>
-                  ))}
-                </tr>
-              ))}
-            </tbody>
-          </table>
-          <p className="mt-2 text-[10px] text-slate-500">
-            Showing first 80 rows for performance.
-          </p>
-        </section>
-      )}
-    </div>
-  );
-}
-
 export default App;
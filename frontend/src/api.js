@@ -1 +1,182 @@
-export const API_BASE = "https://aqi-chemistry-project.onrender.com";
+// Client for the FastAPI backend.
+//
+// Base URL, in order of precedence:
+//   1. runtime setting saved from the sidebar (localStorage)
+//   2. VITE_API_BASE at build time (see .env.example)
+//   3. the hosted Render deployment
+// Setting VITE_API_MOCK=true (or "Mock" in the sidebar) answers every call
+// from ./lib/mockApi.js so the frontend runs without a backend.
+
+import { ApiError } from "./lib/apiError";
+import { mockRequest } from "./lib/mockApi";
+
+export { ApiError, describeApiError } from "./lib/apiError";
+
+export const DEFAULT_API_BASE = "https://aqi-chemistry-project.onrender.com";
+
+const SETTINGS_KEY = "aqi-dashboard.api-settings";
+
+const DEFAULT_TIMEOUT = 15000;
+// Render free instances take ~30 s to wake up, so retry a few times
+const DEFAULT_RETRIES = 3;
+const BACKOFF_BASE = 1000;
+
+/**
+ * @typedef {Object} PollutantInput
+ * @property {number} pm25  µg/m³
+ * @property {number} pm10  µg/m³
+ * @property {number} so2   µg/m³
+ * @property {number} no2   µg/m³
+ * @property {number} co    mg/m³
+ * @property {number} o3    µg/m³
+ */
+
+/**
+ * @typedef {Object} AqiResponse
+ * @property {number} aqi
+ * @property {string} category
+ * @property {string} dominant_pollutant
+ * @property {string} chemistry_note
+ */
+
+/**
+ * @typedef {Object} ChemistryInfoResponse
+ * @property {string[]} primary_pollutants
+ * @property {string[]} secondary_pollutants
+ * @property {string[]} acid_rain
+ */
+
+/* ---------------- settings ---------------- */
+
+// last saved settings, so they still apply when localStorage is unavailable
+let sessionSettings = null;
+
+export function getApiSettings() {
+  let saved = sessionSettings || {};
+  if (!sessionSettings) {
+    try {
+      saved = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+    } catch {
+      saved = {};
+    }
+  }
+  return {
+    baseUrl: saved.baseUrl || import.meta.env.VITE_API_BASE || DEFAULT_API_BASE,
+    mock: saved.mock ?? import.meta.env.VITE_API_MOCK === "true",
+  };
+}
+
+export function saveApiSettings({ baseUrl, mock }) {
+  sessionSettings = { baseUrl: baseUrl?.replace(/\/+$/, "") || "", mock };
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(sessionSettings));
+  } catch {
+    // private mode / storage full: kept for this session only
+  }
+}
+
+/* ---------------- transport ---------------- */
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new ApiError("cancelled", "Request cancelled."));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+async function requestOnce(url, { method, body, signal, timeout }) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener("abort", onAbort);
+
+  let res;
+  try {
+    res = await fetch(url, {
+      method,
+      headers: body ? { "Content-Type": "application/json" } : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+      signal: controller.signal,
+    });
+  } catch (err) {
+    if (signal?.aborted) throw new ApiError("cancelled", "Request cancelled.");
+    if (timedOut) throw new ApiError("timeout", `No response after ${timeout} ms.`);
+    throw new ApiError("network", err.message || "Network error.");
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+
+  let data = null;
+  try {
+    data = await res.json();
+  } catch {
+    data = null;
+  }
+
+  if (res.status === 422 || res.status === 400) {
+    // FastAPI validation errors: { detail: [{ loc, msg }] }
+    const detail = Array.isArray(data?.detail)
+      ? data.detail.map((d) => `${d.loc?.slice(1).join(".")}: ${d.msg}`).join("; ")
+      : data?.detail || "Invalid request.";
+    throw new ApiError("validation", detail, { status: res.status, details: data });
+  }
+  if (!res.ok) {
+    throw new ApiError("server", `HTTP ${res.status}`, { status: res.status, details: data });
+  }
+  return data;
+}
+
+// request with timeout, retries with exponential backoff and cancellation
+export async function request(
+  path,
+  {
+    method = "GET",
+    body,
+    signal,
+    timeout = DEFAULT_TIMEOUT,
+    retries = DEFAULT_RETRIES,
+    onRetry,
+  } = {}
+) {
+  const { baseUrl, mock } = getApiSettings();
+  if (mock) return mockRequest(path, { method, body, signal });
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await requestOnce(`${baseUrl}${path}`, { method, body, signal, timeout });
+    } catch (err) {
+      if (!err.retryable || attempt >= retries) throw err;
+      const delay = BACKOFF_BASE * 2 ** attempt;
+      onRetry?.({ attempt: attempt + 1, delay, error: err });
+      await sleep(delay, signal);
+    }
+  }
+}
+
+/* ---------------- endpoints ---------------- */
+
+/**
+ * @param {PollutantInput} payload
+ * @returns {Promise<AqiResponse>}
+ */
+export function calcAqi(payload, options) {
+  return request("/api/calc-aqi", { ...options, method: "POST", body: payload });
+}
+
+/**
+ * @returns {Promise<ChemistryInfoResponse>}
+ */
+export function getChemistryInfo(options) {
+  return request("/api/chemistry-info", options);
+}
@@ -0,0 +1,125 @@
+import { useState } from "react";
+import { chartSummary, chartTable } from "../lib/chartSummary";
+import { useI18n } from "../i18n";
+
+// long hourly series: the table stops here, the export menus have everything
+const TABLE_ROW_LIMIT = 500;
+
+const cellClass = "border-b border-slate-800 px-2 py-0.5";
+
+/* =============== CHART + TEXT ALTERNATIVE =============== */
+
+// A react-chartjs-2 chart (`chart={Bar}`) with its text alternative. The
+// canvas is announced as an image named by `title` and the summary; below it
+// a collapsible section repeats the summary and lists the plotted numbers as
+// a table. The table is only built once the section is opened.
+// `formatX` / `xLabel` override how the label axis is written out.
+function AccessibleChart({ chart, title, data, options, formatX, xLabel, ...chartProps }) {
+  const Chart = chart;
+  const { t, formatNumber, formatTimestamp } = useI18n();
+  const [open, setOpen] = useState(false);
+
+  // the axis carrying labels / x values (y for horizontal bar charts)
+  const labelScale = options?.indexAxis === "y" ? options?.scales?.y : options?.scales?.x;
+  const isTime = labelScale?.type === "time";
+  const writeX =
+    formatX ||
+    ((x) => (isTime ? formatTimestamp(x) : typeof x === "number" ? formatNumber(x) : String(x ?? "")));
+  const formatY = (y) => (typeof y === "number" ? formatNumber(y) : "–");
+  const labelHeader = xLabel || labelScale?.title?.text || t(isTime ? "chart.time" : "chart.label");
+
+  const summaries = chartSummary(data);
+  const summary = summaries.length
+    ? summaries
+        .map((s) =>
+          t("chart.summary", {
+            series: s.series,
+            count: formatNumber(s.count),
+            min: formatY(s.min),
+            minAt: writeX(s.minAt),
+            max: formatY(s.max),
+            maxAt: writeX(s.maxAt),
+            mean: formatY(s.mean),
+          })
+        )
+        .join(" ")
+    : t("chart.empty");
+
+  const renderTable = () => {
+    const { layout, series, rows } = chartTable(data);
+    const headers =
+      layout === "labels"
+        ? [labelHeader, ...series]
+        : layout === "points"
+          ? [labelHeader, series[0]]
+          : [t("chart.series"), labelHeader, t("chart.value")];
+    // cells before the x column are text, after it values
+    const xIndex = layout === "series" ? 1 : 0;
+    const shown = rows.slice(0, TABLE_ROW_LIMIT);
+    return (
+      <div className="max-h-64 overflow-auto border border-slate-800 rounded-lg">
+        <table className="min-w-full text-[11px] border-collapse">
+          <caption className="sr-only">{title}</caption>
+          <thead className="sticky top-0 bg-slate-800">
+            <tr>
+              {headers.map((h, i) => (
+                <th key={i} scope="col" className="px-2 py-1 text-left font-semibold">
+                  {h}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {shown.map((row, r) => (
+              <tr key={r}>
+                {row.map((cell, i) =>
+                  i === xIndex ? (
+                    <th key={i} scope="row" className={`${cellClass} text-left font-normal`}>
+                      {writeX(cell)}
+                    </th>
+                  ) : (
+                    <td key={i} className={cellClass}>
+                      {i < xIndex ? cell : formatY(cell)}
+                    </td>
+                  )
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {rows.length > shown.length && (
+          <p className="px-2 py-1 text-slate-500">
+            {t("chart.truncated", {
+              shown: formatNumber(shown.length),
+              total: formatNumber(rows.length),
+            })}
+          </p>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <figure>
+      <Chart
+        data={data}
+        options={options}
+        {...chartProps}
+        role="img"
+        aria-label={`${title}. ${summary}`}
+      />
+      <details
+        onToggle={(e) => setOpen(e.currentTarget.open)}
+        className="mt-1 text-[11px] text-slate-300"
+      >
+        <summary className="cursor-pointer text-slate-400 hover:text-cyan-300">
+          {t("chart.table")}
+        </summary>
+        <p className="my-1 text-slate-300">{summary}</p>
+        {open && renderTable()}
+      </details>
+    </figure>
+  );
+}
+
+export default AccessibleChart;
@@ -0,0 +1,341 @@
+import { useMemo, useState } from "react";
+import { Bar, Line } from "react-chartjs-2";
+import {
+  DEFAULT_INPUT,
+  GASES,
+  NATURAL_RAIN_PH,
+  SPECIES,
+  describePh,
+  phSweep,
+  rainComposition,
+  toPpb,
+} from "../lib/acidRain";
+import { formulaText } from "../lib/reactions";
+import { convert } from "../lib/units";
+import { viewRow } from "../lib/columnarStore";
+import { Formula } from "./ChemicalEquation";
+import AccessibleChart from "./AccessibleChart";
+import Slider from "./Slider";
+import { fixed, percent, useI18n } from "../i18n";
+
+const inputClass =
+  "w-24 rounded-lg bg-slate-800 border border-slate-600 px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-cyan-400";
+
+const axisStyle = {
+  ticks: { color: "#9ca3af", font: { size: 9 } },
+  grid: { color: "rgba(75,85,99,0.25)" },
+};
+
+const round = (v, digits = 1) => Number(v.toFixed(digits));
+
+// µmol/L with enough digits for trace species
+const micromolar = (mol, formatNumber) => {
+  const v = mol * 1e6;
+  if (v === 0) return formatNumber(0);
+  if (v >= 10) return formatNumber(v, fixed(1));
+  if (v >= 0.01) return formatNumber(v, fixed(3));
+  return formatNumber(v, { notation: "scientific", ...fixed(1) });
+};
+
+/* =============== ACID RAIN pH ESTIMATOR =============== */
+
+function AcidRainPanel({ form, units, conditions, rows }) {
+  const { t, formatNumber } = useI18n();
+  const [input, setInput] = useState(DEFAULT_INPUT);
+  // translation key and values, so the label follows the language
+  const [source, setSource] = useState({ key: "acidRain.source.example" });
+  const [rowNumber, setRowNumber] = useState(1);
+
+  const result = useMemo(() => rainComposition(input), [input]);
+  const sweeps = useMemo(
+    () => GASES.map((gas) => ({ gas, ...phSweep(input, gas.id) })),
+    [input]
+  );
+
+  const set = (patch) => setInput((i) => ({ ...i, ...patch }));
+
+  const formHasGas = form.so2 !== "" || form.no2 !== "";
+  const takeForm = () => {
+    const ppb = (key) => convert(parseFloat(form[key]) || 0, units[key], "ppb", key, conditions);
+    set({ so2: round(ppb("so2")), no2: round(ppb("no2")) });
+    setSource({ key: "acidRain.source.form" });
+  };
+
+  const row = rowNumber <= rows.length ? viewRow(rows, rowNumber - 1) : undefined;
+  const takeRow = () => {
+    // CSV pollutant columns are already in canonical µg/m³
+    const ppb = (column, key) =>
+      typeof row[column] === "number" ? round(toPpb(row[column], key, conditions)) : 0;
+    set({ so2: ppb("SO2", "so2"), no2: ppb("NO2", "no2") });
+    setSource({
+      key: "acidRain.source.row",
+      n: rowNumber,
+      detail: `${row.Station ? ` · ${row.Station}` : ""}${row.date ? ` · ${row.date}` : ""}`,
+    });
+  };
+
+  const acidic = result.pH < NATURAL_RAIN_PH;
+  const phLevel = describePh(result.pH);
+
+  const anionData = {
+    labels: result.anions.map((a) => formulaText(a.label)),
+    datasets: [
+      {
+        label: "µeq/L",
+        data: result.anions.map((a) => a.ueq),
+        backgroundColor: SPECIES.filter((s) => s.charge).map((s) => s.color),
+      },
+    ],
+  };
+  const anionOptions = {
+    indexAxis: "y",
+    responsive: true,
+    animation: false,
+    plugins: {
+      legend: { display: false },
+      tooltip: {
+        callbacks: {
+          label: (ctx) =>
+            t("acidRain.shareTooltip", {
+              value: formatNumber(ctx.parsed.x, fixed(2)),
+              share: formatNumber(result.anions[ctx.dataIndex].share, percent(1)),
+            }),
+        },
+      },
+    },
+    scales: {
+      x: { ...axisStyle, min: 0, title: { display: true, text: "µeq/L", color: "#9ca3af", font: { size: 9 } } },
+      y: axisStyle,
+    },
+  };
+
+  const sweepData = {
+    datasets: [
+      ...sweeps.map(({ gas, base, points }) => ({
+        label: t("acidRain.sweepLabel", { gas: gas.label, base, unit: gas.unit }),
+        data: points.map((p) => ({ x: p.factor, y: p.pH })),
+        borderColor: gas.color,
+        backgroundColor: gas.color,
+        pointRadius: 0,
+        borderWidth: 2,
+      })),
+      {
+        label: t("acidRain.cleanRain", { ph: NATURAL_RAIN_PH }),
+        data: [
+          { x: 0, y: NATURAL_RAIN_PH },
+          { x: 4, y: NATURAL_RAIN_PH },
+        ],
+        borderColor: "#94a3b8",
+        borderDash: [4, 4],
+        pointRadius: 0,
+        borderWidth: 1,
+      },
+    ],
+  };
+  const sweepOptions = {
+    responsive: true,
+    animation: false,
+    plugins: {
+      legend: { labels: { color: "#e5e7eb", font: { size: 10 } } },
+      tooltip: {
+        callbacks: {
+          title: (items) => t("acidRain.multiple", { factor: formatNumber(items[0].parsed.x, fixed(1)) }),
+          label: (ctx) => `${ctx.dataset.label}: pH ${formatNumber(ctx.parsed.y, fixed(2))}`,
+        },
+      },
+    },
+    scales: {
+      x: {
+        type: "linear",
+        ...axisStyle,
+        min: 0,
+        max: 4,
+        ticks: { ...axisStyle.ticks, callback: (v) => `${v}×` },
+        title: {
+          display: true,
+          text: t("acidRain.gasAxis"),
+          color: "#9ca3af",
+          font: { size: 9 },
+        },
+      },
+      y: {
+        ...axisStyle,
+        title: { display: true, text: t("acidRain.phAxis"), color: "#9ca3af", font: { size: 9 } },
+      },
+    },
+  };
+
+  return (
+    <section className="bg-slate-900/80 border border-slate-700 rounded-2xl p-5 shadow-xl space-y-4 text-xs md:text-sm text-slate-200">
+      <div>
+        <h2 className="text-lg font-semibold mb-1">{t("acidRain.title")}</h2>
+        <p className="text-[11px] text-slate-400">
+          {t("acidRain.intro")}
+        </p>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-[11px]">
+        <span className="text-slate-400">
+          {t("acidRain.input", { source: t(source.key, source) })}
+        </span>
+        <button
+          type="button"
+          onClick={takeForm}
+          disabled={!formHasGas}
+          className="ml-auto px-2.5 py-1 rounded-full border border-slate-600 text-slate-300 hover:bg-slate-800 disabled:opacity-40"
+        >
+          {t("acidRain.fromCalculator")}
+        </button>
+        {rows.length > 0 && (
+          <>
+            <label className="flex items-center gap-1 text-slate-300">
+              {t("acidRain.csvRow")}
+              <input
+                type="number"
+                min="1"
+                max={rows.length}
+                value={rowNumber}
+                onChange={(e) =>
+                  setRowNumber(Math.min(rows.length, Math.max(1, parseInt(e.target.value, 10) || 1)))
+                }
+                className={inputClass}
+              />
+            </label>
+            <button
+              type="button"
+              onClick={takeRow}
+              disabled={!row}
+              className="px-2.5 py-1 rounded-full border border-slate-600 text-slate-300 hover:bg-slate-800 disabled:opacity-40"
+            >
+              {t("acidRain.useRow")}
+            </button>
+          </>
+        )}
+      </div>
+
+      <div className="grid lg:grid-cols-[minmax(0,1fr)_minmax(0,1.4fr)] gap-5">
+        <div className="space-y-3">
+          <div className="space-y-1.5">
+            <p className="text-[11px] uppercase text-slate-400">{t("acidRain.gases")}</p>
+            {GASES.map((gas) => (
+              <label key={gas.id} className="flex items-center gap-2 text-[11px] text-slate-300">
+                <span className="w-10">{gas.label}</span>
+                <input
+                  type="number"
+                  min="0"
+                  step={gas.unit === "ppm" ? 10 : 1}
+                  value={input[gas.id]}
+                  onChange={(e) => set({ [gas.id]: Math.max(0, parseFloat(e.target.value) || 0) })}
+                  className={inputClass}
+                />
+                <span className="text-slate-400">{gas.unit}</span>
+              </label>
+            ))}
+          </div>
+
+          <div className="space-y-1.5">
+            <p className="text-[11px] uppercase text-slate-400">{t("acidRain.cloud")}</p>
+            <Slider
+              id="acid-so2-ox"
+              label={t("acidRain.toSulfate")}
+              value={input.so2Oxidised}
+              min={0}
+              max={1}
+              step={0.01}
+              display={`${Math.round(input.so2Oxidised * 100)}%`}
+              onChange={(v) => set({ so2Oxidised: v })}
+            />
+            <Slider
+              id="acid-no2-ox"
+              label={t("acidRain.toNitrate")}
+              value={input.no2Oxidised}
+              min={0}
+              max={1}
+              step={0.01}
+              display={`${Math.round(input.no2Oxidised * 100)}%`}
+              onChange={(v) => set({ no2Oxidised: v })}
+            />
+            <Slider
+              id="acid-lwc"
+              label={t("acidRain.liquidWater")}
+              value={input.lwc}
+              min={0.05}
+              max={2}
+              step={0.05}
+              display={`${formatNumber(input.lwc, fixed(2))} g/m³`}
+              onChange={(v) => set({ lwc: v })}
+            />
+            <Slider
+              id="acid-temp"
+              label={t("acidRain.temperature")}
+              value={input.temperatureC}
+              min={0}
+              max={40}
+              step={1}
+              display={`${input.temperatureC} °C`}
+              onChange={(v) => set({ temperatureC: v })}
+            />
+          </div>
+
+          <div
+            className={`rounded-xl border px-3 py-2 ${
+              acidic ? "border-amber-500/50 bg-amber-500/10" : "border-emerald-500/50 bg-emerald-500/10"
+            }`}
+          >
+            <p className="text-[10px] uppercase text-slate-400">{t("acidRain.estimated")}</p>
+            <p className="text-2xl font-semibold">{formatNumber(result.pH, fixed(2))}</p>
+            <p className="text-[11px] text-slate-300">
+              {t(`acidRain.ph.${phLevel.id}`, { defaultValue: phLevel.text })}
+            </p>
+          </div>
+
+          <table className="w-full text-[11px]">
+            <thead>
+              <tr className="text-slate-400">
+                <th className="text-left font-normal">{t("acidRain.species")}</th>
+                <th className="text-right font-normal">µmol/L</th>
+                <th className="text-right font-normal">{t("acidRain.share")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {SPECIES.map((s) => {
+                const anion = result.anions.find((a) => a.id === s.id);
+                return (
+                  <tr key={s.id} className="border-t border-slate-800">
+                    <td className="py-0.5">
+                      <Formula species={s.label} phase="aq" />
+                    </td>
+                    <td className="text-right">{micromolar(result.concentrations[s.id], formatNumber)}</td>
+                    <td className="text-right text-slate-400">
+                      {anion ? formatNumber(anion.share, percent(1)) : "—"}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="space-y-3">
+          <AccessibleChart
+            chart={Bar}
+            title={t("acidRain.anionChart")}
+            data={anionData}
+            options={anionOptions}
+          />
+          <AccessibleChart
+            chart={Line}
+            title={t("acidRain.sweepChart")}
+            data={sweepData}
+            options={sweepOptions}
+          />
+          <p className="text-[11px] text-slate-400">
+            {t("acidRain.sweepNote", { ph: NATURAL_RAIN_PH })}
+          </p>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+export default AcidRainPanel;
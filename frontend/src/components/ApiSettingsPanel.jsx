@@ -0,0 +1,83 @@
+import { useState } from "react";
+import {
+  DEFAULT_API_BASE,
+  getApiSettings,
+  saveApiSettings,
+  getChemistryInfo,
+  describeApiError,
+} from "../api";
+import { useI18n } from "../i18n";
+
+/* =============== BACKEND SETTINGS (sidebar) =============== */
+
+// Point the dashboard at another backend (e.g. a local uvicorn) or switch to
+// the mock adapter, without editing source.
+function ApiSettingsPanel() {
+  const { t } = useI18n();
+  const [settings, setSettings] = useState(getApiSettings);
+  const [status, setStatus] = useState(null);
+
+  const update = (patch) => {
+    const next = { ...settings, ...patch };
+    setSettings(next);
+    saveApiSettings(next);
+    setStatus(null);
+  };
+
+  const testConnection = async () => {
+    setStatus({ ok: null, text: t("api.checking") });
+    try {
+      await getChemistryInfo({ retries: 0, timeout: 8000 });
+      setStatus({ ok: true, text: t(settings.mock ? "api.mockActive" : "api.reachable") });
+    } catch (err) {
+      setStatus({ ok: false, text: describeApiError(err, t) });
+    }
+  };
+
+  return (
+    <div className="text-[11px] text-slate-300 space-y-1">
+      <p className="font-semibold text-slate-100">{t("api.title")}</p>
+      <input
+        type="url"
+        aria-label={t("api.baseUrl")}
+        value={settings.baseUrl}
+        placeholder={DEFAULT_API_BASE}
+        disabled={settings.mock}
+        onChange={(e) => update({ baseUrl: e.target.value })}
+        className="w-full rounded-lg bg-slate-800 border border-slate-600 px-2 py-1.5 text-[11px] disabled:opacity-50 focus:outline-none focus:ring-2 focus:ring-cyan-400"
+      />
+      <div className="flex items-center justify-between gap-2">
+        <label className="flex items-center gap-1 text-slate-400">
+          <input
+            type="checkbox"
+            checked={settings.mock}
+            onChange={(e) => update({ mock: e.target.checked })}
+          />
+          {t("api.mock")}
+        </label>
+        <button
+          type="button"
+          onClick={testConnection}
+          className="px-2 py-0.5 rounded-full border border-slate-600 hover:bg-slate-800"
+        >
+          {t("api.test")}
+        </button>
+      </div>
+      {status && (
+        <p
+          className={
+            status.ok === null
+              ? "text-slate-400"
+              : status.ok
+              ? "text-emerald-300"
+              : "text-red-400"
+          }
+        >
+          {status.text}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default ApiSettingsPanel;
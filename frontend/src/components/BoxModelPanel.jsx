@@ -0,0 +1,353 @@
+import { useMemo, useState } from "react";
+import { Line } from "react-chartjs-2";
+import {
+  DEFAULT_CONFIG,
+  PRESETS,
+  RATE_CONSTANTS,
+  SPECIES,
+  ozonePeak,
+  simulate,
+} from "../lib/boxModel";
+import AccessibleChart from "./AccessibleChart";
+import Slider from "./Slider";
+import { fixed, useI18n } from "../i18n";
+
+// day of year for the 15th of each month
+const MID_MONTH = Array.from({ length: 12 }, (_, m) => Math.round(m * 30.42 + 15));
+
+const axisStyle = {
+  ticks: { color: "#9ca3af", font: { size: 9 } },
+  grid: { color: "rgba(75,85,99,0.25)" },
+};
+
+const clock = (hour) => {
+  const h = ((hour % 24) + 24) % 24;
+  return `${String(Math.floor(h)).padStart(2, "0")}:${String(Math.round((h % 1) * 60) % 60).padStart(2, "0")}`;
+};
+
+// the mantissa in the language's digits; superscript exponents stay Latin
+const sci = (v, formatNumber) => {
+  if (!v) return formatNumber(0);
+  const exp = Math.floor(Math.log10(Math.abs(v)));
+  return `${formatNumber(v / 10 ** exp, fixed(1))}×10${String(exp).replace("-", "⁻").replace(/\d/g, (d) => "⁰¹²³⁴⁵⁶⁷⁸⁹"[d])}`;
+};
+
+/* =============== PHOTOCHEMICAL BOX MODEL =============== */
+
+function BoxModelPanel() {
+  const [config, setConfig] = useState(DEFAULT_CONFIG);
+  const { t, formatNumber, formatDate } = useI18n();
+  const result = useMemo(() => simulate(config), [config]);
+
+  const set = (patch) => setConfig((c) => ({ ...c, ...patch }));
+  const setIn = (group, key, value) =>
+    setConfig((c) => ({ ...c, [group]: { ...c[group], [key]: value } }));
+  const applyPreset = (preset) =>
+    setConfig({
+      ...DEFAULT_CONFIG,
+      ...preset.patch,
+      initial: { ...DEFAULT_CONFIG.initial, ...preset.patch.initial },
+      emissions: { ...DEFAULT_CONFIG.emissions, ...preset.patch.emissions },
+      mechanisms: { ...DEFAULT_CONFIG.mechanisms, ...preset.patch.mechanisms },
+    });
+
+  const enabled = (item) => !item.mechanism || config.mechanisms[item.mechanism];
+  const peak = ozonePeak(result);
+  const noonIdx = result.hours.findIndex((h) => h % 24 >= 12);
+  const noonLeighton = noonIdx >= 0 ? result.leighton[noonIdx] : null;
+
+  // plotted against the hour value (a linear axis), not as category labels
+  const xy = (values) => values.map((y, i) => ({ x: result.hours[i], y }));
+
+  const speciesData = {
+    datasets: SPECIES.filter(enabled).map((s) => ({
+      label: t(`boxModel.species.${s.id}`, { defaultValue: s.label }),
+      data: xy(result.series[s.id].map((v) => v * (s.scale ?? 1))),
+      borderColor: s.color,
+      backgroundColor: s.color,
+      pointRadius: 0,
+      borderWidth: s.id === "O3" ? 2.5 : 1.5,
+    })),
+  };
+  const sunData = {
+    datasets: [
+      {
+        label: "j(NO₂) ×10⁻³ s⁻¹",
+        data: xy(result.j.map((v) => v * 1000)),
+        borderColor: "#fbbf24",
+        backgroundColor: "rgba(251,191,36,0.15)",
+        fill: true,
+        pointRadius: 0,
+        borderWidth: 1.5,
+      },
+      {
+        label: "OH ×10⁶ cm⁻³",
+        data: xy(result.oh.map((v) => v / 1e6)),
+        borderColor: "#a78bfa",
+        backgroundColor: "#a78bfa",
+        pointRadius: 0,
+        borderWidth: 1.5,
+        hidden: !config.mechanisms.voc && !config.mechanisms.so2,
+      },
+    ],
+  };
+  const options = (yTitle) => ({
+    responsive: true,
+    animation: false,
+    plugins: { legend: { labels: { color: "#e5e7eb", font: { size: 10 } } } },
+    scales: {
+      x: {
+        type: "linear",
+        ...axisStyle,
+        min: config.startHour,
+        max: config.startHour + config.hours,
+        ticks: { ...axisStyle.ticks, stepSize: 3, callback: (v) => clock(v) },
+      },
+      y: {
+        ...axisStyle,
+        min: 0,
+        title: { display: true, text: yTitle, color: "#9ca3af", font: { size: 9 } },
+      },
+    },
+  });
+
+  return (
+    <section className="bg-slate-900/80 border border-slate-700 rounded-2xl p-5 shadow-xl space-y-4 text-xs md:text-sm text-slate-200">
+      <div>
+        <h2 className="text-lg font-semibold mb-1">{t("boxModel.title")}</h2>
+        <p className="text-[11px] text-slate-400">
+          {t("boxModel.intro")}
+        </p>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-1.5 text-[11px]">
+        {PRESETS.map((p) => (
+          <button
+            key={p.id}
+            type="button"
+            onClick={() => applyPreset(p)}
+            className="px-2.5 py-1 rounded-full border border-slate-600 text-slate-300 hover:bg-slate-800"
+          >
+            {t(`boxModel.preset.${p.id}`, { defaultValue: p.label })}
+          </button>
+        ))}
+        <label className="ml-auto flex items-center gap-1 text-slate-300">
+          <input
+            type="checkbox"
+            checked={config.mechanisms.voc}
+            onChange={(e) => setIn("mechanisms", "voc", e.target.checked)}
+            className="accent-cyan-400"
+          />
+          VOC / RO₂
+        </label>
+        <label className="flex items-center gap-1 text-slate-300">
+          <input
+            type="checkbox"
+            checked={config.mechanisms.so2}
+            onChange={(e) => setIn("mechanisms", "so2", e.target.checked)}
+            className="accent-cyan-400"
+          />
+          {t("boxModel.so2Oxidation")}
+        </label>
+      </div>
+
+      <div className="grid lg:grid-cols-[minmax(0,1fr)_minmax(0,1.4fr)] gap-5">
+        <div className="space-y-3">
+          <div className="space-y-1.5">
+            <p className="text-[11px] uppercase text-slate-400">{t("boxModel.initial")}</p>
+            {[
+              { key: "NO", label: "NO", max: 200 },
+              { key: "NO2", label: "NO₂", max: 200 },
+              { key: "O3", label: "O₃", max: 150 },
+              { key: "VOC", label: "VOC", max: 300, mechanism: "voc" },
+              { key: "SO2", label: "SO₂", max: 200, mechanism: "so2" },
+            ]
+              .filter(enabled)
+              .map((s) => (
+                <Slider
+                  key={s.key}
+                  id={`box-init-${s.key}`}
+                  label={s.label}
+                  value={config.initial[s.key]}
+                  min={0}
+                  max={s.max}
+                  step={1}
+                  display={`${config.initial[s.key]} ppb`}
+                  onChange={(v) => setIn("initial", s.key, v)}
+                />
+              ))}
+          </div>
+
+          <div className="space-y-1.5">
+            <p className="text-[11px] uppercase text-slate-400">{t("boxModel.emissions")}</p>
+            {[
+              { key: "NO", label: "NO", max: 20 },
+              { key: "VOC", label: "VOC", max: 30, mechanism: "voc" },
+              { key: "SO2", label: "SO₂", max: 20, mechanism: "so2" },
+            ]
+              .filter(enabled)
+              .map((s) => (
+                <Slider
+                  key={s.key}
+                  id={`box-emit-${s.key}`}
+                  label={t("boxModel.emission", { species: s.label })}
+                  value={config.emissions[s.key]}
+                  min={0}
+                  max={s.max}
+                  step={0.1}
+                  display={`${config.emissions[s.key]} ppb/h`}
+                  onChange={(v) => setIn("emissions", s.key, v)}
+                />
+              ))}
+            <Slider
+              id="box-mixing"
+              label={t("boxModel.mixing")}
+              value={config.mixing}
+              min={0}
+              max={0.5}
+              step={0.01}
+              display={`${formatNumber(config.mixing, fixed(2))} h⁻¹`}
+              onChange={(v) => set({ mixing: v })}
+            />
+          </div>
+
+          <div className="space-y-1.5">
+            <p className="text-[11px] uppercase text-slate-400">{t("boxModel.sun")}</p>
+            <Slider
+              id="box-start"
+              label={t("boxModel.start")}
+              value={config.startHour}
+              min={0}
+              max={23}
+              step={1}
+              display={clock(config.startHour)}
+              onChange={(v) => set({ startHour: v })}
+            />
+            <Slider
+              id="box-hours"
+              label={t("boxModel.duration")}
+              value={config.hours}
+              min={6}
+              max={48}
+              step={1}
+              display={`${config.hours} h`}
+              onChange={(v) => set({ hours: v })}
+            />
+            <Slider
+              id="box-lat"
+              label={t("boxModel.latitude")}
+              value={config.latitude}
+              min={-60}
+              max={60}
+              step={0.5}
+              display={`${config.latitude}°`}
+              onChange={(v) => set({ latitude: v })}
+            />
+            <div className="grid grid-cols-[7rem_1fr_5.5rem] items-center gap-2 text-[11px]">
+              <label htmlFor="box-month" className="text-slate-300">
+                {t("boxModel.month")}
+              </label>
+              <select
+                id="box-month"
+                value={MID_MONTH.indexOf(config.dayOfYear) >= 0 ? MID_MONTH.indexOf(config.dayOfYear) : 5}
+                onChange={(e) => set({ dayOfYear: MID_MONTH[Number(e.target.value)] })}
+                className="rounded-lg bg-slate-800 border border-slate-600 px-2 py-1 text-[11px]"
+              >
+                {MID_MONTH.map((_, i) => (
+                  <option key={i} value={i}>
+                    {formatDate(new Date(2001, i, 1), "MMM")}
+                  </option>
+                ))}
+              </select>
+              <span />
+            </div>
+            <Slider
+              id="box-sun"
+              label={t("boxModel.sunlight")}
+              value={config.sun}
+              min={0}
+              max={1.5}
+              step={0.05}
+              display={`${Math.round(config.sun * 100)}%`}
+              onChange={(v) => set({ sun: v })}
+            />
+            {(config.mechanisms.voc || config.mechanisms.so2) && (
+              <Slider
+                id="box-oh"
+                label={t("boxModel.ohNoon")}
+                value={config.ohNoon}
+                min={0}
+                max={15}
+                step={0.5}
+                display={`${config.ohNoon}×10⁶ cm⁻³`}
+                onChange={(v) => set({ ohNoon: v })}
+              />
+            )}
+          </div>
+
+          <div className="space-y-1.5">
+            <p className="text-[11px] uppercase text-slate-400">{t("boxModel.rates")}</p>
+            {RATE_CONSTANTS.filter(enabled).map((rc) => {
+              const scale = config.rateScale[rc.id] ?? 1;
+              return (
+                <Slider
+                  key={rc.id}
+                  id={`box-k-${rc.id}`}
+                  label={rc.label}
+                  value={Math.log2(scale)}
+                  min={-2}
+                  max={2}
+                  step={0.25}
+                  display={sci(rc.value * scale, formatNumber)}
+                  onChange={(v) => setIn("rateScale", rc.id, 2 ** v)}
+                />
+              );
+            })}
+          </div>
+        </div>
+
+        <div className="space-y-3">
+          <AccessibleChart
+            chart={Line}
+            title={t("boxModel.speciesChart")}
+            data={speciesData}
+            options={options("ppb")}
+            formatX={clock}
+          />
+          <AccessibleChart
+            chart={Line}
+            title={t("boxModel.sunChart")}
+            data={sunData}
+            options={options("")}
+            formatX={clock}
+          />
+          <div className="text-[11px] text-slate-300 space-y-1">
+            <p>
+              {t("boxModel.peak", {
+                time: (
+                  <span key="time" className="font-semibold">
+                    {clock(peak.hour)}
+                  </span>
+                ),
+                value: (
+                  <span key="value" className="font-semibold">
+                    {formatNumber(peak.value, fixed(0))} ppb
+                  </span>
+                ),
+              })}
+              {t(config.mechanisms.voc ? "boxModel.peakVoc" : "boxModel.peakNoVoc")}
+            </p>
+            {noonLeighton !== null && (
+              <p className="text-slate-400">
+                {t("boxModel.leighton", { ratio: formatNumber(noonLeighton, fixed(2)) })}{" "}
+                {t(noonLeighton > 1.02 ? "boxModel.leightonAbove" : "boxModel.leightonSteady")}
+              </p>
+            )}
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+export default BoxModelPanel;
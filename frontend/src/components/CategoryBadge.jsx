@@ -0,0 +1,17 @@
+import { categoryName, useI18n } from "../i18n";
+import { usePalette } from "../palette";
+
+// AQI category pill in the chosen palette. The category name is always
+// written out (children default to it), so colour is never the only cue.
+function CategoryBadge({ category, standard, className = "", children }) {
+  const { t } = useI18n();
+  const { badge } = usePalette();
+  const { className: colours, style } = badge(category, standard);
+  return (
+    <span className={`${className} ${colours}`} style={style}>
+      {children ?? (category ? categoryName(t, category.name) : "–")}
+    </span>
+  );
+}
+
+export default CategoryBadge;
@@ -0,0 +1,63 @@
+import { formatCoefficient, formulaParts } from "../lib/reactions";
+
+export function Formula({ species, state, phase }) {
+  return (
+    <span className="whitespace-nowrap">
+      {formulaParts(species).map((part, i) =>
+        part.kind === "sub" ? (
+          <sub key={i}>{part.text}</sub>
+        ) : part.kind === "sup" ? (
+          <sup key={i}>{part.text}</sup>
+        ) : (
+          <span key={i}>{part.text}</span>
+        )
+      )}
+      {state && <span>({state})</span>}
+      {phase && <span className="text-[0.7em] text-slate-400">({phase})</span>}
+    </span>
+  );
+}
+
+// Formulas written with Unicode sub/superscripts (SO₂, PM₂.₅, NH₄⁺) inside
+// running, possibly translated, text. Each formula is tagged lang="en" and
+// set in the Latin formula face so the subscript digits never fall back to
+// an Indic font's glyphs or get shaped together with the neighbouring script.
+const FORMULA_RE =
+  /[A-Za-z][\w.·₀-₉⁰-⁹¹²³⁺⁻ₓ]*[₀-₉⁰-⁹¹²³⁺⁻ₓ](?:[\w.·₀-₉⁰-⁹¹²³⁺⁻ₓ]*[\w₀-₉⁰-⁹¹²³⁺⁻ₓ])?/g;
+
+export function FormulaText({ children }) {
+  if (typeof children !== "string") return children;
+  const parts = [];
+  let last = 0;
+  for (const match of children.matchAll(FORMULA_RE)) {
+    if (match.index > last) parts.push(children.slice(last, match.index));
+    parts.push(
+      <span key={match.index} lang="en" className="font-formula whitespace-nowrap">
+        {match[0]}
+      </span>
+    );
+    last = match.index + match[0].length;
+  }
+  if (!parts.length) return children;
+  if (last < children.length) parts.push(children.slice(last));
+  return parts;
+}
+
+// a library reaction with real sub/superscripts
+function ChemicalEquation({ reaction, className = "" }) {
+  const side = (entries) =>
+    entries.map((entry, i) => (
+      <span key={i}>
+        {i > 0 && " + "}
+        {formatCoefficient(entry.coef) && <span>{formatCoefficient(entry.coef)} </span>}
+        <Formula {...entry} />
+      </span>
+    ));
+  return (
+    <span lang="en" className={`font-mono ${className}`}>
+      {side(reaction.reactants)} {reaction.reversible ? "⇌" : "→"} {side(reaction.products)}
+    </span>
+  );
+}
+
+export default ChemicalEquation;
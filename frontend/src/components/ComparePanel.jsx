@@ -0,0 +1,128 @@
+import { useMemo } from "react";
+import { Bar } from "react-chartjs-2";
+import { computeAqi, POLLUTANTS } from "../lib/aqi";
+import { categoryByName } from "../lib/standards";
+import { stationColor } from "../lib/stations";
+import AccessibleChart from "./AccessibleChart";
+import CategoryBadge from "./CategoryBadge";
+import { useI18n } from "../i18n";
+
+const axisStyle = {
+  ticks: { color: "#9ca3af", font: { size: 9 } },
+  grid: { color: "rgba(75,85,99,0.25)" },
+};
+
+const HEADERS = ["compare.reading", "compare.aqi", "compare.category", "compare.dominant", ""];
+
+/* =============== PINNED READINGS COMPARISON =============== */
+
+// Pinned readings keep their canonical concentrations and are re-evaluated
+// with the selected standard, so sub-indices stay comparable.
+function ComparePanel({ pins, standard, onRemove, onClear }) {
+  const { t } = useI18n();
+  const evaluated = useMemo(
+    () => pins.map((pin) => ({ ...pin, result: computeAqi(pin.input, standard) })),
+    [pins, standard]
+  );
+
+  const chartData = {
+    labels: POLLUTANTS.map((p) => p.label),
+    datasets: evaluated.map((pin, i) => ({
+      label: pin.label,
+      data: POLLUTANTS.map((p) => pin.result.sub_indices[p.label] ?? 0),
+      backgroundColor: stationColor(i),
+      borderWidth: 0,
+    })),
+  };
+
+  return (
+    <div className="bg-slate-900/80 border border-slate-700 rounded-2xl p-5 shadow-xl space-y-3">
+      <div className="flex items-center justify-between gap-2">
+        <div>
+          <h3 className="text-sm font-semibold">{t("compare.title")}</h3>
+          <p className="text-[11px] text-slate-400">
+            {t("compare.intro", { standard: standard.name })}
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={onClear}
+          className="px-2 py-0.5 rounded-full border border-slate-600 text-[11px] hover:bg-slate-800"
+        >
+          {t("compare.clear")}
+        </button>
+      </div>
+
+      <AccessibleChart
+        chart={Bar}
+        title={t("compare.chart")}
+        data={chartData}
+        options={{
+          responsive: true,
+          plugins: {
+            legend: { labels: { color: "#e5e7eb", font: { size: 10 } } },
+          },
+          scales: {
+            x: axisStyle,
+            y: { ...axisStyle, title: { display: true, text: t("compare.subIndex"), color: "#9ca3af" } },
+          },
+        }}
+      />
+
+      <table className="min-w-full text-[11px] border-collapse">
+        <thead>
+          <tr className="bg-slate-800/90">
+            {HEADERS.map((h) => (
+              <th
+                key={h}
+                className="border-b border-slate-700 px-2 py-1.5 text-left font-semibold"
+              >
+                {h && t(h)}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {evaluated.map((pin, i) => (
+            <tr key={pin.id} className={i % 2 === 0 ? "bg-slate-900" : "bg-slate-950"}>
+              <td className="border-b border-slate-800 px-2 py-1">
+                <span
+                  className="inline-block h-2 w-2 rounded-full mr-1.5"
+                  style={{ backgroundColor: stationColor(i) }}
+                />
+                {pin.label}
+              </td>
+              <td className="border-b border-slate-800 px-2 py-1 font-semibold">
+                {pin.result.aqi ?? "–"}
+              </td>
+              <td className="border-b border-slate-800 px-2 py-1">
+                {pin.result.category && (
+                  <CategoryBadge
+                    category={categoryByName(pin.result.category, standard)}
+                    standard={standard}
+                    className="px-2 py-0.5 rounded-full text-[10px] font-semibold"
+                  />
+                )}
+              </td>
+              <td className="border-b border-slate-800 px-2 py-1">
+                {pin.result.dominant_pollutant ?? "–"}
+              </td>
+              <td className="border-b border-slate-800 px-2 py-1 text-right">
+                <button
+                  type="button"
+                  onClick={() => onRemove(pin.id)}
+                  className="text-slate-400 hover:text-slate-100"
+                  aria-label={t("compare.unpin", { label: pin.label })}
+                >
+                  ✕
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default ComparePanel;
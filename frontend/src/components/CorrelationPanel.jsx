@@ -0,0 +1,304 @@
+import { useMemo } from "react";
+import { Scatter } from "react-chartjs-2";
+import {
+  CORRELATION_METHODS,
+  COLOR_MODES,
+  correlationMatrix,
+  describeStrength,
+  linearRegression,
+  pairedValues,
+  scatterPoints,
+} from "../lib/correlation";
+import { MAX_CHART_POINTS } from "../lib/downsample";
+import { CANONICAL_UNITS } from "../lib/units";
+import AccessibleChart from "./AccessibleChart";
+import ExportMenu from "./ExportMenu";
+import { useQueryState } from "../router";
+import { fixed, useI18n } from "../i18n";
+
+const axisStyle = {
+  ticks: { color: "#9ca3af", font: { size: 9 } },
+  grid: { color: "rgba(75,85,99,0.25)" },
+};
+
+const selectClass =
+  "rounded-lg bg-slate-800 border border-slate-600 px-2 py-1 text-[11px] focus:outline-none focus:ring-2 focus:ring-cyan-400";
+
+// x/y empty = NO2 vs O3 when both exist, otherwise the first two columns
+const SETTINGS = { method: "pearson", x: "", y: "", color: "none" };
+
+const fmtR = (r, formatNumber) => (r === null ? "–" : formatNumber(r, fixed(2)));
+
+// diverging scale: blue for negative, red for positive
+function cellColor(r) {
+  if (r === null) return "rgba(51,65,85,0.4)";
+  const alpha = 0.15 + Math.abs(r) * 0.75;
+  return r >= 0 ? `rgba(239,68,68,${alpha})` : `rgba(59,130,246,${alpha})`;
+}
+
+// every n-th point so large files stay responsive; the fit uses all of them
+const thin = (points) => {
+  if (points.length <= MAX_CHART_POINTS) return points;
+  const step = points.length / MAX_CHART_POINTS;
+  return Array.from({ length: MAX_CHART_POINTS }, (_, i) => points[Math.floor(i * step)]);
+};
+
+/* =============== CORRELATION EXPLORER =============== */
+
+function CorrelationPanel({ rows }) {
+  const [settings, setSettings] = useQueryState(SETTINGS, "cr_");
+  const { t, formatNumber } = useI18n();
+  const method = CORRELATION_METHODS.some((m) => m.id === settings.method)
+    ? settings.method
+    : SETTINGS.method;
+  const colorMode = COLOR_MODES.find((m) => m.id === settings.color) || COLOR_MODES[0];
+
+  const matrix = useMemo(() => correlationMatrix(rows, method), [rows, method]);
+  const columns = matrix.fields.map((f) => f.column);
+
+  const fallbackPair =
+    columns.includes("NO2") && columns.includes("O3") ? ["NO2", "O3"] : columns.slice(0, 2);
+  const xColumn = columns.includes(settings.x) ? settings.x : fallbackPair[0];
+  const yColumn = columns.includes(settings.y) ? settings.y : fallbackPair[1];
+  const xi = columns.indexOf(xColumn);
+  const yi = columns.indexOf(yColumn);
+
+  const fit = useMemo(() => {
+    const { xs, ys } = pairedValues(rows, xColumn, yColumn);
+    return linearRegression(xs, ys);
+  }, [rows, xColumn, yColumn]);
+  const points = useMemo(
+    () => scatterPoints(rows, xColumn, yColumn, colorMode.id),
+    [rows, xColumn, yColumn, colorMode.id]
+  );
+
+  if (columns.length < 2) {
+    return (
+      <section className="bg-slate-900/80 border border-slate-700 rounded-2xl p-5 shadow-xl">
+        <h3 className="text-sm font-semibold">{t("correlation.title")}</h3>
+        <p className="text-xs text-slate-400">{t("correlation.needsTwo")}</p>
+      </section>
+    );
+  }
+
+  const r = matrix.values[xi][yi];
+  const unitOf = (column) =>
+    CANONICAL_UNITS[matrix.fields.find((f) => f.column === column).id];
+
+  const pairLabel = t("correlation.pair", { x: xColumn, y: yColumn });
+  const groups = colorMode.groups.length
+    ? [
+        ...colorMode.groups.map((g) => ({
+          ...g,
+          label: t(`correlation.group.${g.id}`, { defaultValue: g.label }),
+        })),
+        { id: "undated", label: t("correlation.noDate"), color: "#64748b" },
+      ]
+    : [{ id: "all", label: pairLabel, color: "#22d3ee" }];
+  const datasets = groups
+    .map((g) => ({
+      label: g.label,
+      data: thin(points.filter((p) => p.group === g.id)),
+      backgroundColor: `${g.color}99`,
+      borderWidth: 0,
+      pointRadius: points.length > 500 ? 1.5 : 2.5,
+    }))
+    .filter((d) => d.data.length > 0);
+
+  if (fit) {
+    const lo = points.reduce((m, p) => Math.min(m, p.x), Infinity);
+    const hi = points.reduce((m, p) => Math.max(m, p.x), -Infinity);
+    datasets.push({
+      label: t("correlation.fitLine"),
+      data: [
+        { x: lo, y: fit.slope * lo + fit.intercept },
+        { x: hi, y: fit.slope * hi + fit.intercept },
+      ],
+      showLine: true,
+      borderColor: "#facc15",
+      borderWidth: 2,
+      pointRadius: 0,
+    });
+  }
+
+  const selectPair = (x, y) => setSettings({ x, y });
+
+  return (
+    <section className="bg-slate-900/80 border border-slate-700 rounded-2xl p-5 shadow-xl space-y-4">
+      <div className="flex flex-wrap items-start justify-between gap-2">
+        <div>
+          <h3 className="text-sm font-semibold">{t("correlation.title")}</h3>
+          <p className="text-[11px] text-slate-400">{t("correlation.intro")}</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <select
+            value={method}
+            onChange={(e) => setSettings({ method: e.target.value })}
+            className={selectClass}
+          >
+            {CORRELATION_METHODS.map((m) => (
+              <option key={m.id} value={m.id}>
+                {t(`correlation.method.${m.id}`, { defaultValue: m.label })}
+              </option>
+            ))}
+          </select>
+          <ExportMenu
+            getDataset={() => ({
+              name: `correlation-${method}`,
+              title: `Pollutant correlation matrix (${method})`,
+              meta: { Method: method, Rows: rows.length },
+              columns: [
+                { key: "pollutant", unit: "", description: "Pollutant" },
+                ...columns.map((c) => ({ key: c, unit: "r", description: `Correlation with ${c}` })),
+              ],
+              rows: columns.map((c, i) => {
+                const row = { pollutant: c };
+                columns.forEach((other, j) => {
+                  row[other] = matrix.values[i][j];
+                });
+                return row;
+              }),
+            })}
+          />
+        </div>
+      </div>
+
+      <div className="grid lg:grid-cols-2 gap-5">
+        <div className="overflow-x-auto">
+          <table className="text-[11px] border-separate border-spacing-0.5 mx-auto">
+            <thead>
+              <tr>
+                <th />
+                {columns.map((c) => (
+                  <th key={c} className="px-1 pb-1 font-semibold text-slate-300">
+                    {c}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {columns.map((row, i) => (
+                <tr key={row}>
+                  <th className="pr-2 text-right font-semibold text-slate-300">{row}</th>
+                  {columns.map((col, j) => {
+                    const value = matrix.values[i][j];
+                    const selected = (i === yi && j === xi) || (i === xi && j === yi);
+                    return (
+                      <td key={col} className="p-0">
+                        <button
+                          type="button"
+                          disabled={i === j}
+                          onClick={() => selectPair(col, row)}
+                          title={t("correlation.cell", {
+                            x: col,
+                            y: row,
+                            r: fmtR(value, formatNumber),
+                            n: matrix.counts[i][j],
+                          })}
+                          className={`w-14 h-10 rounded text-slate-100 font-semibold disabled:cursor-default ${
+                            selected ? "ring-2 ring-cyan-300" : ""
+                          }`}
+                          style={{ backgroundColor: cellColor(value) }}
+                        >
+                          {fmtR(value, formatNumber)}
+                        </button>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="mt-2 text-center text-[10px] text-slate-500">
+            <span className="text-blue-300">{t("correlation.opposite")}</span> ·{" "}
+            <span className="text-red-300">{t("correlation.together")}</span>
+          </p>
+        </div>
+
+        <div className="space-y-2">
+          <div className="flex flex-wrap items-center gap-2 text-[11px]">
+            <select
+              value={xColumn}
+              onChange={(e) => selectPair(e.target.value, yColumn)}
+              className={selectClass}
+            >
+              {columns.map((c) => (
+                <option key={c} value={c}>
+                  x: {c}
+                </option>
+              ))}
+            </select>
+            <select
+              value={yColumn}
+              onChange={(e) => selectPair(xColumn, e.target.value)}
+              className={selectClass}
+            >
+              {columns.map((c) => (
+                <option key={c} value={c}>
+                  y: {c}
+                </option>
+              ))}
+            </select>
+            <select
+              value={colorMode.id}
+              onChange={(e) => setSettings({ color: e.target.value })}
+              className={selectClass}
+            >
+              {COLOR_MODES.map((m) => (
+                <option key={m.id} value={m.id}>
+                  {t(`correlation.color.${m.id}`, { defaultValue: m.label })}
+                </option>
+              ))}
+            </select>
+          </div>
+          <AccessibleChart
+            chart={Scatter}
+            title={pairLabel}
+            data={{ datasets }}
+            options={{
+              responsive: true,
+              animation: false,
+              plugins: {
+                legend: { labels: { color: "#e5e7eb", font: { size: 10 } } },
+              },
+              scales: {
+                x: {
+                  ...axisStyle,
+                  title: { display: true, text: `${xColumn} (${unitOf(xColumn)})`, color: "#9ca3af" },
+                },
+                y: {
+                  ...axisStyle,
+                  title: { display: true, text: `${yColumn} (${unitOf(yColumn)})`, color: "#9ca3af" },
+                },
+              },
+            }}
+          />
+          <p className="text-[11px] text-slate-300">
+            {t("correlation.summary", {
+              symbol: method === "spearman" ? "ρ" : "r",
+              r: fmtR(r, formatNumber),
+              strength: t(`correlation.strength.${describeStrength(r)}`, {
+                defaultValue: describeStrength(r),
+              }),
+              n: matrix.counts[xi][yi],
+            })}
+            {fit && (
+              <span className="text-slate-400">
+                {" "}
+                ·{" "}
+                {t("correlation.fit", {
+                  formula: `${yColumn} = ${formatNumber(fit.slope, fixed(3))} × ${xColumn} ${
+                    fit.intercept < 0 ? "−" : "+"
+                  } ${formatNumber(Math.abs(fit.intercept), fixed(2))}`,
+                  r2: formatNumber(fit.r2, fixed(2)),
+                })}
+              </span>
+            )}
+          </p>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+export default CorrelationPanel;
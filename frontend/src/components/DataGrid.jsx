@@ -0,0 +1,350 @@
+import { useEffect, useRef, useState } from "react";
+import { distinctValues, EMPTY_QUERY } from "../lib/tableQuery";
+import { viewRows } from "../lib/columnarStore";
+import { parseDate } from "../lib/dates";
+import { useI18n } from "../i18n";
+
+const ROW_HEIGHT = 26;
+const VIEWPORT_HEIGHT = 480;
+const OVERSCAN = 12;
+const PAGE_SIZES = [100, 1000, 10000, Infinity];
+
+const inputClass =
+  "w-full min-w-0 rounded bg-slate-800 border border-slate-700 px-1 py-0.5 text-[10px] font-normal focus:outline-none focus:ring-1 focus:ring-cyan-400";
+
+// numbers (2 decimals) and dates in the UI language; the raw value otherwise
+function formatCell(v, type, { formatNumber, formatTimestamp }) {
+  if (typeof v === "number") return formatNumber(v, { maximumFractionDigits: 2, useGrouping: false });
+  const ts = type === "date" ? parseDate(v) : null;
+  return ts !== null ? formatTimestamp(ts) : String(v ?? "");
+}
+
+/* =============== DATA GRID =============== */
+
+// Virtualised table: only the rows inside the scroll viewport are rendered,
+// so a full year of hourly readings stays responsive. `rows` and `allRows`
+// are views (see lib/columnarStore.js); row objects are built for the
+// rendered window only.
+function DataGrid({ rows, allRows, columns, types, query, setQuery }) {
+  const [hidden, setHidden] = useState(() => new Set());
+  const [pageSize, setPageSize] = useState(1000);
+  const [page, setPage] = useState(0);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [showColumns, setShowColumns] = useState(false);
+  const viewportRef = useRef(null);
+  const i18n = useI18n();
+  const { t } = i18n;
+
+  // measured, since the filter row's height depends on the column types
+  const headerRef = useRef(null);
+  const [headerHeight, setHeaderHeight] = useState(0);
+  useEffect(() => {
+    const observer = new ResizeObserver(([entry]) =>
+      setHeaderHeight(entry.target.getBoundingClientRect().height)
+    );
+    observer.observe(headerRef.current);
+    return () => observer.disconnect();
+  }, []);
+
+  const visibleColumns = columns.filter((c) => !hidden.has(c));
+
+  const pageCount = Math.max(1, Math.ceil(rows.length / pageSize));
+  const currentPage = Math.min(page, pageCount - 1);
+  const pageStart = pageSize === Infinity ? 0 : currentPage * pageSize;
+  const pageLength =
+    pageSize === Infinity ? rows.length : Math.min(pageSize, rows.length - pageStart);
+
+  // The sticky two-row header keeps its place in the layout and covers the
+  // top of the viewport, so the body rows in view are those between
+  // scrollTop and scrollTop + (viewport - header).
+  const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const last = Math.min(
+    pageLength,
+    Math.ceil((scrollTop + VIEWPORT_HEIGHT - headerHeight) / ROW_HEIGHT) + OVERSCAN
+  );
+  const windowRows = viewRows(rows, pageStart + first, pageStart + last);
+
+  const goToPage = (next) => {
+    setPage(next);
+    setScrollTop(0);
+    if (viewportRef.current) viewportRef.current.scrollTop = 0;
+  };
+
+  const toggleSort = (column) => {
+    const current = query.sort?.column === column ? query.sort.dir : null;
+    const dir = current === null ? "asc" : current === "asc" ? "desc" : null;
+    setQuery({ ...query, sort: dir ? { column, dir } : null });
+  };
+
+  const setFilter = (column, patch) => {
+    const prev = query.filters[column] || { type: types[column] };
+    setQuery({
+      ...query,
+      filters: { ...query.filters, [column]: { ...prev, ...patch } },
+    });
+    goToPage(0);
+  };
+
+  const toggleColumn = (column) => {
+    const next = new Set(hidden);
+    if (next.has(column)) next.delete(column);
+    else next.add(column);
+    setHidden(next);
+  };
+
+  const renderFilter = (column) => {
+    const filter = query.filters[column] || {};
+    switch (types[column]) {
+      case "number":
+        return (
+          <div className="flex gap-0.5">
+            <input
+              type="number"
+              placeholder={t("grid.min")}
+              aria-label={t("grid.minLabel", { column })}
+              value={filter.min ?? ""}
+              onChange={(e) => setFilter(column, { min: e.target.value })}
+              className={inputClass}
+            />
+            <input
+              type="number"
+              placeholder={t("grid.max")}
+              aria-label={t("grid.maxLabel", { column })}
+              value={filter.max ?? ""}
+              onChange={(e) => setFilter(column, { max: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+        );
+      case "date":
+        return (
+          <div className="flex flex-col gap-0.5">
+            <input
+              type="date"
+              aria-label={t("grid.fromLabel", { column })}
+              value={filter.from ?? ""}
+              onChange={(e) => setFilter(column, { from: e.target.value })}
+              className={inputClass}
+            />
+            <input
+              type="date"
+              aria-label={t("grid.toLabel", { column })}
+              value={filter.to ?? ""}
+              onChange={(e) => setFilter(column, { to: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+        );
+      case "category":
+        return (
+          <select
+            aria-label={t("grid.filterLabel", { column })}
+            value={filter.value ?? ""}
+            onChange={(e) => setFilter(column, { value: e.target.value })}
+            className={inputClass}
+          >
+            <option value="">{t("grid.all")}</option>
+            {distinctValues(allRows, column).map((v) => (
+              <option key={String(v)} value={String(v)}>
+                {String(v)}
+              </option>
+            ))}
+          </select>
+        );
+      default:
+        return (
+          <input
+            type="text"
+            placeholder={t("grid.contains")}
+            aria-label={t("grid.containsLabel", { column })}
+            value={filter.text ?? ""}
+            onChange={(e) => setFilter(column, { text: e.target.value })}
+            className={inputClass}
+          />
+        );
+    }
+  };
+
+  return (
+    <section className="bg-slate-900/90 border border-slate-700 rounded-2xl p-4 shadow-xl space-y-3">
+      {/* toolbar */}
+      <div className="flex flex-wrap items-center gap-2 text-[11px]">
+        <input
+          type="search"
+          placeholder={t("grid.search")}
+          aria-label={t("grid.searchLabel")}
+          value={query.search}
+          onChange={(e) => {
+            setQuery({ ...query, search: e.target.value });
+            goToPage(0);
+          }}
+          className="flex-1 min-w-[10rem] rounded-lg bg-slate-800 border border-slate-600 px-3 py-1.5 text-xs focus:outline-none focus:ring-2 focus:ring-cyan-400"
+        />
+        <button
+          type="button"
+          onClick={() => setShowColumns(!showColumns)}
+          className="px-3 py-1.5 rounded-full border border-slate-600 hover:bg-slate-800"
+        >
+          {t("grid.columns", { visible: visibleColumns.length, total: columns.length })}
+        </button>
+        <button
+          type="button"
+          onClick={() => {
+            setQuery(EMPTY_QUERY);
+            goToPage(0);
+          }}
+          className="px-3 py-1.5 rounded-full border border-slate-600 hover:bg-slate-800"
+        >
+          {t("grid.clearFilters")}
+        </button>
+      </div>
+
+      {showColumns && (
+        <div className="flex flex-wrap gap-x-3 gap-y-1 text-[11px] text-slate-300 border border-slate-700 rounded-xl px-3 py-2">
+          {columns.map((c) => (
+            <label key={c} className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={!hidden.has(c)}
+                onChange={() => toggleColumn(c)}
+              />
+              {c}
+            </label>
+          ))}
+        </div>
+      )}
+
+      {/* grid */}
+      <div
+        ref={viewportRef}
+        className="overflow-auto border border-slate-800 rounded-xl"
+        style={{ height: VIEWPORT_HEIGHT }}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <table className="min-w-full text-[11px] md:text-xs border-collapse">
+          <thead ref={headerRef} className="sticky top-0 z-10">
+            <tr className="bg-slate-800">
+              {visibleColumns.map((h) => (
+                <th
+                  key={h}
+                  scope="col"
+                  aria-sort={
+                    query.sort?.column === h
+                      ? query.sort.dir === "asc"
+                        ? "ascending"
+                        : "descending"
+                      : "none"
+                  }
+                  className="border-b border-slate-700 px-2 py-2 text-left font-semibold whitespace-nowrap"
+                >
+                  <button
+                    type="button"
+                    onClick={() => toggleSort(h)}
+                    className="font-semibold select-none hover:text-cyan-300 focus:outline-none focus-visible:ring-2 focus-visible:ring-cyan-400 rounded"
+                  >
+                    {h}
+                    {query.sort?.column === h && (
+                      <span aria-hidden="true" className="ml-1 text-cyan-300">
+                        {query.sort.dir === "asc" ? "▲" : "▼"}
+                      </span>
+                    )}
+                  </button>
+                </th>
+              ))}
+            </tr>
+            <tr className="bg-slate-900">
+              {visibleColumns.map((h) => (
+                <th
+                  key={h}
+                  className="border-b border-slate-700 px-1 py-1 align-top min-w-[6rem]"
+                >
+                  {renderFilter(h)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {first > 0 && (
+              <tr style={{ height: first * ROW_HEIGHT }}>
+                <td colSpan={visibleColumns.length} />
+              </tr>
+            )}
+            {windowRows.map((row, i) => {
+              const idx = first + i;
+              return (
+                <tr
+                  key={pageStart + idx}
+                  style={{ height: ROW_HEIGHT }}
+                  className={idx % 2 === 0 ? "bg-slate-900" : "bg-slate-950"}
+                >
+                  {visibleColumns.map((h) => (
+                    <td
+                      key={h}
+                      className="border-b border-slate-800 px-2 whitespace-nowrap"
+                    >
+                      {formatCell(row[h], types[h], i18n)}
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+            {last < pageLength && (
+              <tr style={{ height: (pageLength - last) * ROW_HEIGHT }}>
+                <td colSpan={visibleColumns.length} />
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* pagination */}
+      <div className="flex flex-wrap items-center justify-between gap-2 text-[11px] text-slate-400">
+        <p>
+          {rows.length === allRows.length
+            ? t("grid.rows", { count: rows.length })
+            : t("grid.rowsMatch", { count: rows.length, total: allRows.length })}
+          {pageSize !== Infinity &&
+            rows.length > 0 &&
+            t("grid.showing", { from: pageStart + 1, to: pageStart + pageLength })}
+        </p>
+        <div className="flex items-center gap-2">
+          <select
+            value={pageSize}
+            onChange={(e) => {
+              setPageSize(Number(e.target.value));
+              goToPage(0);
+            }}
+            className="rounded-lg bg-slate-800 border border-slate-600 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-cyan-400"
+          >
+            {PAGE_SIZES.map((size) => (
+              <option key={size} value={size}>
+                {size === Infinity ? t("grid.allRows") : t("grid.perPage", { size })}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            disabled={currentPage === 0}
+            onClick={() => goToPage(currentPage - 1)}
+            className="px-2 py-1 rounded border border-slate-600 disabled:opacity-40 hover:bg-slate-800"
+          >
+            {t("grid.prev")}
+          </button>
+          <span>
+            {t("grid.page", { page: currentPage + 1, count: pageCount })}
+          </span>
+          <button
+            type="button"
+            disabled={currentPage >= pageCount - 1}
+            onClick={() => goToPage(currentPage + 1)}
+            className="px-2 py-1 rounded border border-slate-600 disabled:opacity-40 hover:bg-slate-800"
+          >
+            {t("grid.next")}
+          </button>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+export default DataGrid;
@@ -0,0 +1,230 @@
+import { useState } from "react";
+import {
+  QUALITY_RULES,
+  CLEANING_ACTIONS,
+  SPIKE_RATIO,
+  FLATLINE_RUN,
+} from "../lib/dataQuality";
+import { percent, useI18n } from "../i18n";
+
+const SAMPLE_SIZE = 25;
+
+const selectClass =
+  "rounded-lg bg-slate-800 border border-slate-600 px-2 py-1 text-[11px] focus:outline-none focus:ring-2 focus:ring-cyan-400";
+
+const HEADERS = ["rule", "values", "rows", "action"];
+
+// rule and action labels come from lib/dataQuality.js in English
+const ruleLabel = (t, rule) => t(`quality.rule.${rule.id}`, { defaultValue: rule.label });
+
+const actionLabel = (t, action) =>
+  t(`quality.action.${action}`, { defaultValue: CLEANING_ACTIONS[action] });
+
+// localized describeStep
+function stepLabel(t, step) {
+  const rule = QUALITY_RULES.find((r) => r.id === step.rule);
+  return `${rule ? ruleLabel(t, rule) : step.rule}: ${actionLabel(t, step.action).toLowerCase()}`;
+}
+
+/* =============== DATA QUALITY AUDIT =============== */
+
+function DataQualityPanel({ audit, cleaning, steps, onChange }) {
+  const { t, formatNumber, formatDate } = useI18n();
+  // actions picked in the form, applied together with "Apply cleaning"
+  const [draft, setDraft] = useState(cleaning.actions);
+  const [openRule, setOpenRule] = useState(null);
+  const [showLog, setShowLog] = useState(false);
+
+  const totalFlags = audit.flags.length;
+  const dirty = QUALITY_RULES.some(
+    (r) => (draft[r.id] || "keep") !== (cleaning.actions[r.id] || "keep")
+  );
+  const excludedRows = steps
+    .filter((s) => s.action === "exclude")
+    .reduce((acc, s) => acc + s.rows, 0);
+
+  return (
+    <section className="bg-slate-900/80 border border-slate-700 rounded-2xl p-5 shadow-xl space-y-4">
+      <div>
+        <h3 className="text-sm font-semibold">{t("quality.title")}</h3>
+        <p className="text-[11px] text-slate-400">
+          {totalFlags === 0
+            ? t("quality.clean", { rows: audit.rowCount })
+            : t("quality.flagged", { flags: totalFlags, rows: audit.rowCount })}
+        </p>
+      </div>
+
+      <div>
+        <p className="text-[11px] text-slate-300 mb-1">{t("quality.completeness")}</p>
+        <div className="grid sm:grid-cols-2 lg:grid-cols-3 gap-x-4 gap-y-1 text-[11px]">
+          {audit.completeness.map((c) => (
+            <div key={c.column} className="flex items-center gap-2">
+              <span className="w-20 truncate text-slate-400" title={c.column}>
+                {c.column}
+              </span>
+              <div className="flex-1 h-1.5 rounded bg-slate-800">
+                <div
+                  className={`h-1.5 rounded ${
+                    c.pct >= 90 ? "bg-emerald-400" : c.pct >= 60 ? "bg-amber-400" : "bg-red-400"
+                  }`}
+                  style={{ width: `${c.pct}%` }}
+                />
+              </div>
+              <span className="w-24 text-right text-slate-400">
+                {t("quality.missing", {
+                  pct: formatNumber(c.pct / 100, percent(1)),
+                  missing: c.missing,
+                })}
+              </span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <table className="min-w-full text-[11px] border-collapse">
+        <thead>
+          <tr className="bg-slate-800/90">
+            {HEADERS.map((h) => (
+              <th key={h} className="border-b border-slate-700 px-2 py-1.5 text-left font-semibold">
+                {t(`quality.${h}`)}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {QUALITY_RULES.map((rule, idx) => {
+            const counts = audit.byRule[rule.id];
+            const flags = openRule === rule.id
+              ? audit.flags.filter((f) => f.rule === rule.id).slice(0, SAMPLE_SIZE)
+              : [];
+            return [
+              <tr key={rule.id} className={idx % 2 === 0 ? "bg-slate-900" : "bg-slate-950"}>
+                <td className="border-b border-slate-800 px-2 py-1">
+                  <button
+                    type="button"
+                    disabled={counts.values === 0}
+                    onClick={() => setOpenRule(openRule === rule.id ? null : rule.id)}
+                    className="text-left disabled:cursor-default"
+                  >
+                    <span className="font-medium text-slate-200">
+                      {counts.values > 0 && (openRule === rule.id ? "▾ " : "▸ ")}
+                      {ruleLabel(t, rule)}
+                    </span>
+                    <span className="block text-[10px] text-slate-500">
+                      {t(`quality.rule.${rule.id}.description`, {
+                        defaultValue: rule.description,
+                        ratio: SPIKE_RATIO,
+                        run: FLATLINE_RUN,
+                      })}
+                    </span>
+                  </button>
+                </td>
+                <td className={`border-b border-slate-800 px-2 py-1 ${counts.values ? "text-amber-300" : "text-slate-500"}`}>
+                  {counts.values}
+                </td>
+                <td className="border-b border-slate-800 px-2 py-1 text-slate-400">{counts.rows}</td>
+                <td className="border-b border-slate-800 px-2 py-1">
+                  <select
+                    value={draft[rule.id] || "keep"}
+                    disabled={counts.values === 0}
+                    onChange={(e) => setDraft({ ...draft, [rule.id]: e.target.value })}
+                    className={`${selectClass} disabled:opacity-40`}
+                  >
+                    {rule.actions.map((a) => (
+                      <option key={a} value={a}>
+                        {actionLabel(t, a)}
+                      </option>
+                    ))}
+                  </select>
+                </td>
+              </tr>,
+              flags.length > 0 && (
+                <tr key={`${rule.id}-rows`}>
+                  <td colSpan={4} className="border-b border-slate-800 px-3 py-2 bg-slate-950/60">
+                    <div className="flex flex-wrap gap-1">
+                      {flags.map((f) => (
+                        <span
+                          key={`${f.row}-${f.column}`}
+                          className="px-1.5 py-0.5 rounded bg-slate-800 text-slate-300"
+                        >
+                          {t("quality.sample", {
+                            row: f.row + 1,
+                            column: f.column,
+                            value: String(f.value),
+                          })}
+                        </span>
+                      ))}
+                      {counts.values > SAMPLE_SIZE && (
+                        <span className="px-1.5 py-0.5 text-slate-500">
+                          {t("quality.more", { count: counts.values - SAMPLE_SIZE })}
+                        </span>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ),
+            ];
+          })}
+        </tbody>
+      </table>
+
+      <div className="flex flex-wrap items-center justify-between gap-2 text-[11px]">
+        <p className="text-slate-400">
+          {steps.length
+            ? t(excludedRows ? "quality.inEffectExcluded" : "quality.inEffect", {
+                steps: steps.map((s) => stepLabel(t, s)).join("; "),
+                rows: excludedRows,
+              })
+            : t("quality.asUploaded")}
+        </p>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={() => {
+              setDraft({});
+              onChange({});
+            }}
+            className="px-3 py-1 rounded-full border border-slate-600 hover:bg-slate-800"
+          >
+            {t("quality.reset")}
+          </button>
+          <button
+            type="button"
+            disabled={!dirty}
+            onClick={() => onChange(draft)}
+            className="px-3 py-1 rounded-full bg-cyan-500 text-slate-950 font-semibold hover:bg-cyan-400 disabled:opacity-50"
+          >
+            {t("quality.apply")}
+          </button>
+        </div>
+      </div>
+
+      {cleaning.log.length > 0 && (
+        <div className="text-[11px]">
+          <button
+            type="button"
+            onClick={() => setShowLog(!showLog)}
+            className="text-slate-400 hover:text-slate-200"
+          >
+            {showLog ? "▾" : "▸"} {t("quality.log", { count: cleaning.log.length })}
+          </button>
+          {showLog && (
+            <ol className="mt-1 space-y-0.5 text-slate-400 list-decimal list-inside">
+              {cleaning.log.map((entry, i) => (
+                <li key={i}>
+                  {t("quality.logEntry", {
+                    date: formatDate(entry.at, "dd MMM yyyy HH:mm"),
+                    step: stepLabel(t, entry),
+                    values: entry.values,
+                  })}
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default DataQualityPanel;
@@ -0,0 +1,137 @@
+import { useState } from "react";
+import { findDiscrepancies, DERIVED_COLUMNS } from "../lib/batch";
+import { viewRow } from "../lib/columnarStore";
+import { findCategory } from "../lib/standards";
+import CategoryBadge from "./CategoryBadge";
+import { fixed, percent, useI18n } from "../i18n";
+
+const MAX_LISTED = 100;
+
+const HEADERS = ["row", "date", "reported", "computed", "diff", "category", "dominant"];
+
+/* =============== REPORTED vs COMPUTED AQI =============== */
+
+// Compares the file's own AQI column with the engine's result row by row.
+function DiscrepancyPanel({ csvData, standard }) {
+  const { t, formatNumber } = useI18n();
+  const [tolerance, setTolerance] = useState(10);
+
+  const { compared, flagged, meanAbsDiff } = findDiscrepancies(
+    csvData,
+    tolerance
+  );
+  // row objects only for the rows listed
+  const listed = flagged
+    .slice(0, MAX_LISTED)
+    .map((f) => ({ ...f, row: viewRow(csvData, f.index) }));
+
+  return (
+    <section className="bg-slate-900/80 border border-slate-700 rounded-2xl p-5 shadow-xl space-y-3">
+      <div className="flex flex-wrap items-end justify-between gap-3">
+        <div>
+          <h3 className="text-sm font-semibold">{t("discrepancy.title")}</h3>
+          <p className="text-[11px] text-slate-400">
+            {t("discrepancy.intro", { standard: standard.name })}
+          </p>
+        </div>
+        <label className="flex items-center gap-2 text-[11px] text-slate-300">
+          {t("discrepancy.tolerance")}
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={tolerance}
+            onChange={(e) => setTolerance(parseFloat(e.target.value) || 0)}
+            className="w-20 rounded-lg bg-slate-800 border border-slate-600 px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-cyan-400"
+          />
+        </label>
+      </div>
+
+      <div className="grid grid-cols-3 gap-3 text-xs">
+        <div className="rounded-xl border border-slate-700 bg-slate-800/60 px-3 py-2">
+          <p className="text-[10px] uppercase text-slate-400">{t("discrepancy.compared")}</p>
+          <p className="text-lg font-semibold">{compared}</p>
+        </div>
+        <div className="rounded-xl border border-slate-700 bg-slate-800/60 px-3 py-2">
+          <p className="text-[10px] uppercase text-slate-400">{t("discrepancy.flagged")}</p>
+          <p
+            className={`text-lg font-semibold ${
+              flagged.length ? "text-amber-300" : "text-emerald-300"
+            }`}
+          >
+            {flagged.length}
+            {compared > 0 && (
+              <span className="text-[11px] text-slate-400 font-normal">
+                {" "}
+                ({formatNumber(flagged.length / compared, percent(1))})
+              </span>
+            )}
+          </p>
+        </div>
+        <div className="rounded-xl border border-slate-700 bg-slate-800/60 px-3 py-2">
+          <p className="text-[10px] uppercase text-slate-400">{t("discrepancy.meanDiff")}</p>
+          <p className="text-lg font-semibold">{formatNumber(meanAbsDiff, fixed(1))}</p>
+        </div>
+      </div>
+
+      {flagged.length > 0 && (
+        <div className="overflow-auto max-h-80 border border-slate-700 rounded-xl">
+          <table className="min-w-full text-[11px] border-collapse">
+            <thead className="sticky top-0">
+              <tr className="bg-slate-800">
+                {HEADERS.map((h) => (
+                  <th
+                    key={h}
+                    className="border-b border-slate-700 px-2 py-1.5 text-left font-semibold"
+                  >
+                    {t(`discrepancy.${h}`)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {listed.map((f, idx) => (
+                <tr
+                  key={f.index}
+                  className={idx % 2 === 0 ? "bg-slate-900" : "bg-slate-950"}
+                >
+                  <td className="border-b border-slate-800 px-2 py-1">{f.index + 1}</td>
+                  <td className="border-b border-slate-800 px-2 py-1">
+                    {String(f.row.date ?? "")}
+                  </td>
+                  <td className="border-b border-slate-800 px-2 py-1">{f.reported}</td>
+                  <td className="border-b border-slate-800 px-2 py-1">{f.computed}</td>
+                  <td
+                    className={`border-b border-slate-800 px-2 py-1 font-semibold ${
+                      f.diff > 0 ? "text-red-300" : "text-sky-300"
+                    }`}
+                  >
+                    {f.diff > 0 ? "+" : ""}
+                    {formatNumber(f.diff, fixed(1))}
+                  </td>
+                  <td className="border-b border-slate-800 px-2 py-1">
+                    <CategoryBadge
+                      category={findCategory(f.computed, standard)}
+                      standard={standard}
+                      className="px-1.5 py-0.5 rounded text-[10px] font-semibold"
+                    />
+                  </td>
+                  <td className="border-b border-slate-800 px-2 py-1">
+                    {f.row[DERIVED_COLUMNS.dominant]}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {flagged.length > MAX_LISTED && (
+            <p className="px-3 py-2 text-[10px] text-slate-500">
+              {t("discrepancy.truncated", { shown: MAX_LISTED, total: flagged.length })}
+            </p>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default DiscrepancyPanel;
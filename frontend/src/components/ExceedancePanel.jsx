@@ -0,0 +1,273 @@
+import { useMemo } from "react";
+import {
+  EXCEEDANCE_BASES,
+  LIMIT_PRESETS,
+  calendarYears,
+  dailyCalendar,
+  exceedanceSummary,
+  getLimitPreset,
+  resolveLimits,
+} from "../lib/exceedance";
+import { POLLUTANT_FIELDS } from "../lib/columnMapping";
+import { CANONICAL_UNITS } from "../lib/units";
+import { hasTimeAxis } from "../lib/timeseries";
+import ExportMenu from "./ExportMenu";
+import { useQueryState } from "../router";
+import { categoryName, fixed, percent, useI18n } from "../i18n";
+import { usePalette } from "../palette";
+
+const selectClass =
+  "rounded-lg bg-slate-800 border border-slate-600 px-2 py-1 text-[11px] focus:outline-none focus:ring-2 focus:ring-cyan-400";
+
+// custom limits per pollutant, "" = use the preset value
+const SETTINGS = {
+  preset: LIMIT_PRESETS[0].id,
+  basis: "day",
+  ...Object.fromEntries(POLLUTANT_FIELDS.map((f) => [f.id, ""])),
+};
+
+// Monday-first rows, every other one labelled; 1 Jan 2001 was a Monday
+const WEEKDAYS = [1, null, 3, null, 5, null, null].map((d) => d && new Date(2001, 0, d));
+
+const HEADERS = ["pollutant", "limit", "above", "peak", "longestRun"];
+
+const fmt = (v, formatNumber) => formatNumber(v, fixed(v >= 100 ? 0 : 1));
+
+/* =============== EXCEEDANCES =============== */
+
+function ExceedancePanel({ rows, standard, onShowDay }) {
+  const [settings, setSettings] = useQueryState(SETTINGS, "ex_");
+  const { t, formatNumber, formatDate } = useI18n();
+  const { swatch } = usePalette();
+  const preset = getLimitPreset(settings.preset);
+  const basis = EXCEEDANCE_BASES.some((b) => b.id === settings.basis) ? settings.basis : "day";
+  const periodName = basis === "day" ? "days" : "hours";
+
+  const timed = useMemo(() => hasTimeAxis(rows), [rows]);
+  const limits = resolveLimits(preset.id, basis, settings);
+  // compared by value: any change to the URL gives `settings` a new identity
+  const limitsKey = JSON.stringify(limits);
+  const summary = useMemo(
+    () => (timed ? exceedanceSummary(rows, JSON.parse(limitsKey), basis) : []),
+    [rows, timed, limitsKey, basis]
+  );
+  const calendar = useMemo(
+    () => (timed ? dailyCalendar(rows, standard) : []),
+    [rows, timed, standard]
+  );
+  const byDay = useMemo(() => new Map(calendar.map((d) => [d.t, d])), [calendar]);
+  const years = useMemo(
+    () => (calendar.length ? calendarYears(calendar[0].t, calendar[calendar.length - 1].t) : []),
+    [calendar]
+  );
+
+  if (!timed) {
+    return (
+      <section className="bg-slate-900/80 border border-slate-700 rounded-2xl p-5 shadow-xl">
+        <h3 className="text-sm font-semibold">{t("exceedance.title")}</h3>
+        <p className="text-xs text-slate-400">{t("exceedance.needsDate")}</p>
+      </section>
+    );
+  }
+
+  const periods = (n) =>
+    basis === "day"
+      ? t(n === 1 ? "exceedance.day" : "exceedance.days", { count: n })
+      : t(n === 1 ? "exceedance.hour" : "exceedance.hours", { count: n });
+  const formatMonth = (month) => (month ? formatDate(month.t, "MMM") : "");
+  const aqiDays = calendar.filter((d) => d.aqi > standard.exceedanceAqi).length;
+  const formatRun = (run) =>
+    basis === "day"
+      ? `${formatDate(run.from, "dd MMM yyyy")} – ${formatDate(run.to, "dd MMM yyyy")}`
+      : `${formatDate(run.from, "dd MMM HH:00")} – ${formatDate(run.to, "dd MMM HH:00")}`;
+
+  return (
+    <section className="bg-slate-900/80 border border-slate-700 rounded-2xl p-5 shadow-xl space-y-4">
+      <div className="flex flex-wrap items-start justify-between gap-2">
+        <div>
+          <h3 className="text-sm font-semibold">{t("exceedance.title")}</h3>
+          <p className="text-[11px] text-slate-400">
+            {/* a fresh lookup: passing `preset` to t() blocks memoising `summary` */}
+            {t(basis === "day" ? "exceedance.introDay" : "exceedance.introHour", {
+              limits: getLimitPreset(settings.preset).label,
+            })}
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={preset.id}
+            onChange={(e) => setSettings({ preset: e.target.value })}
+            className={selectClass}
+          >
+            {LIMIT_PRESETS.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.label}
+              </option>
+            ))}
+          </select>
+          <select
+            value={basis}
+            onChange={(e) => setSettings({ basis: e.target.value })}
+            className={selectClass}
+          >
+            {EXCEEDANCE_BASES.map((b) => (
+              <option key={b.id} value={b.id}>
+                {t(`exceedance.basis.${b.id}`, { defaultValue: b.label })}
+              </option>
+            ))}
+          </select>
+          <ExportMenu
+            getDataset={() => ({
+              name: `exceedances-${basis}`,
+              title: "Exceedance summary",
+              meta: { Limits: preset.label, Basis: basis, Rows: rows.length },
+              columns: [
+                { key: "pollutant", unit: "", description: "Pollutant" },
+                { key: "limit", unit: "", description: "Limit value, calculator units" },
+                { key: "exceeded", unit: periodName, description: "Periods above the limit" },
+                { key: "periods", unit: periodName, description: "Periods with data" },
+                { key: "longestRun", unit: periodName, description: "Longest consecutive run" },
+                { key: "runFrom", unit: "", description: "Start of the longest run" },
+                { key: "runTo", unit: "", description: "End of the longest run" },
+              ],
+              rows: summary.map((s) => ({
+                pollutant: s.field.column,
+                limit: s.limit,
+                exceeded: s.exceeded,
+                periods: s.periods,
+                longestRun: s.longest?.length ?? 0,
+                runFrom: s.longest ? new Date(s.longest.from).toISOString() : "",
+                runTo: s.longest ? new Date(s.longest.to).toISOString() : "",
+              })),
+            })}
+          />
+        </div>
+      </div>
+
+      <table className="min-w-full text-[11px] border-collapse">
+        <thead>
+          <tr className="bg-slate-800/90">
+            {HEADERS.map((h) => (
+              <th key={h} className="border-b border-slate-700 px-2 py-1.5 text-left font-semibold">
+                {h === "above"
+                  ? t(basis === "day" ? "exceedance.aboveDay" : "exceedance.aboveHour")
+                  : t(`exceedance.${h}`)}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {summary.map((s, idx) => (
+            <tr key={s.field.id} className={idx % 2 === 0 ? "bg-slate-900" : "bg-slate-950"}>
+              <td className="border-b border-slate-800 px-2 py-1 font-medium">{s.field.label}</td>
+              <td className="border-b border-slate-800 px-2 py-1">
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={settings[s.field.id]}
+                  placeholder={preset[basis][s.field.id] ?? t("exceedance.none")}
+                  onChange={(e) => setSettings({ [s.field.id]: e.target.value })}
+                  className="w-16 rounded bg-slate-800 border border-slate-700 px-1 py-0.5 text-[11px] focus:outline-none focus:ring-1 focus:ring-cyan-400"
+                />{" "}
+                <span className="text-slate-500">{CANONICAL_UNITS[s.field.id]}</span>
+              </td>
+              <td className="border-b border-slate-800 px-2 py-1">
+                {s.limit === null ? (
+                  <span className="text-slate-500">{t("exceedance.notAssessed")}</span>
+                ) : (
+                  <span className={s.exceeded ? "text-red-300" : "text-emerald-300"}>
+                    {formatNumber(s.exceeded)} / {formatNumber(s.periods)}{" "}
+                    ({formatNumber(s.pct / 100, percent(0))})
+                  </span>
+                )}
+              </td>
+              <td className="border-b border-slate-800 px-2 py-1 text-slate-300">
+                {fmt(s.peak, formatNumber)}
+              </td>
+              <td className="border-b border-slate-800 px-2 py-1 text-slate-300">
+                {s.longest ? (
+                  <>
+                    <span className="font-semibold">{periods(s.longest.length)}</span>{" "}
+                    <span className="text-slate-500">{formatRun(s.longest)}</span>
+                  </>
+                ) : (
+                  "–"
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="space-y-2">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <p className="text-[11px] text-slate-300">
+            {t("exceedance.calendar", {
+              standard: standard.name,
+              above: aqiDays,
+              days: calendar.length,
+              threshold: standard.exceedanceAqi,
+            })}
+          </p>
+          <div className="flex flex-wrap gap-2 text-[10px] text-slate-400">
+            {standard.categories.map((c) => (
+              <span key={c.name} className="flex items-center gap-1">
+                <span className="inline-block w-2.5 h-2.5 rounded-sm" style={swatch(c, standard)} />
+                {categoryName(t, c.name)}
+              </span>
+            ))}
+          </div>
+        </div>
+        {years.map(({ year, weeks, months }) => (
+          <div key={year} className="overflow-x-auto">
+            <p className="text-[10px] font-semibold text-slate-400">{year}</p>
+            <div className="inline-grid grid-flow-col gap-0.5" style={{ gridTemplateRows: "auto repeat(7, 11px)" }}>
+              <span />
+              {WEEKDAYS.map((d, i) => (
+                <span key={i} className="pr-1 text-[9px] leading-[11px] text-slate-500">
+                  {d ? formatDate(d, "EEE") : ""}
+                </span>
+              ))}
+              {weeks.map((week, w) => [
+                <span key={`m${w}`} className="text-[9px] text-slate-500 h-3 w-[11px] overflow-visible whitespace-nowrap">
+                  {formatMonth(months.find((m) => m.week === w))}
+                </span>,
+                ...week.map((ts, i) => {
+                  const day = ts === null ? null : byDay.get(ts);
+                  if (!day) {
+                    return (
+                      <span
+                        key={`${w}-${i}`}
+                        className={`w-[11px] h-[11px] rounded-sm ${ts === null ? "" : "bg-slate-800/70"}`}
+                      />
+                    );
+                  }
+                  const label = t("exceedance.dayLabel", {
+                    date: formatDate(ts, "EEE dd MMM yyyy"),
+                    aqi: Math.round(day.aqi),
+                    category: categoryName(t, day.category.name),
+                    readings: day.readings,
+                  });
+                  return (
+                    <button
+                      key={`${w}-${i}`}
+                      type="button"
+                      onClick={() => onShowDay(ts)}
+                      title={label}
+                      aria-label={label}
+                      className="w-[11px] h-[11px] rounded-sm hover:ring-1 hover:ring-white focus:outline-none focus-visible:ring-2 focus-visible:ring-cyan-300"
+                      style={swatch(day.category, standard)}
+                    />
+                  );
+                }),
+              ])}
+            </div>
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
+
+export default ExceedancePanel;
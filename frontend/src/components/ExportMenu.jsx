@@ -0,0 +1,39 @@
+import { useState } from "react";
+import { EXPORT_FORMATS, exportDataset } from "../lib/exporters";
+import { useI18n } from "../i18n";
+
+// CSV / JSON / XLSX buttons. getDataset is only called on click so large
+// tables are not serialised on every render.
+function ExportMenu({ getDataset, label, className = "" }) {
+  const { t } = useI18n();
+  const [error, setError] = useState("");
+
+  const handleExport = (formatId) => {
+    setError("");
+    try {
+      exportDataset(getDataset(), formatId);
+    } catch (err) {
+      console.error(err);
+      setError(t("export.failed"));
+    }
+  };
+
+  return (
+    <div className={`flex items-center gap-1 text-[11px] ${className}`}>
+      <span className="text-slate-400 mr-1">{label ?? t("export.label")}</span>
+      {EXPORT_FORMATS.map((f) => (
+        <button
+          key={f.id}
+          type="button"
+          onClick={() => handleExport(f.id)}
+          className="px-2 py-0.5 rounded-full border border-slate-600 text-slate-300 hover:bg-slate-800"
+        >
+          {f.label}
+        </button>
+      ))}
+      {error && <span className="text-red-400 ml-1">{error}</span>}
+    </div>
+  );
+}
+
+export default ExportMenu;
@@ -0,0 +1,380 @@
+import { useMemo } from "react";
+import { Line } from "react-chartjs-2";
+import {
+  FORECAST_INTERVALS,
+  FORECAST_MODELS,
+  INTERVAL_LEVELS,
+  backtest,
+  fitForecast,
+  forecastTimes,
+  minLength,
+  regularSeries,
+} from "../lib/forecast";
+import { hasTimeAxis, toSeries } from "../lib/timeseries";
+import { hasNumbers } from "../lib/columnarStore";
+import { POLLUTANT_FIELDS } from "../lib/columnMapping";
+import { DERIVED_COLUMNS } from "../lib/batch";
+import { findCategory } from "../lib/standards";
+import { CANONICAL_UNITS } from "../lib/units";
+import { formatTimestamp } from "../lib/exporters";
+import AccessibleChart from "./AccessibleChart";
+import ExportMenu from "./ExportMenu";
+import { useQueryState } from "../router";
+import { categoryName, fixed, useI18n } from "../i18n";
+
+const selectClass =
+  "rounded-lg bg-slate-800 border border-slate-600 px-2 py-1 text-[11px] focus:outline-none focus:ring-2 focus:ring-cyan-400";
+
+const SETTINGS = {
+  column: DERIVED_COLUMNS.aqi,
+  interval: "day",
+  model: "holtWinters",
+  horizon: 7,
+  level: 80,
+};
+
+const HORIZONS = { hour: [6, 12, 24, 48], day: [3, 7, 14] };
+
+const fmt = (v, formatNumber) => formatNumber(v, fixed(v >= 100 ? 0 : 1));
+
+/* =============== FORECAST =============== */
+
+function ForecastPanel({ rows, standard }) {
+  const [settings, setSettings] = useQueryState(SETTINGS, "fc_");
+  const { t, formatNumber, formatDate } = useI18n();
+  const modelLabel = (m) => t(`forecast.model.${m.id}`, { defaultValue: m.label });
+  const interval =
+    FORECAST_INTERVALS.find((i) => i.id === settings.interval) || FORECAST_INTERVALS[1];
+  const model = FORECAST_MODELS.find((m) => m.id === settings.model) || FORECAST_MODELS[0];
+  const horizon = HORIZONS[interval.id].includes(settings.horizon)
+    ? settings.horizon
+    : HORIZONS[interval.id][1];
+  const level = settings.level in INTERVAL_LEVELS ? settings.level : SETTINGS.level;
+  const season = interval.season;
+
+  const seriesOptions = [
+    { column: DERIVED_COLUMNS.aqi, label: t("series.aqiComputed", { standard: standard.name }) },
+    ...POLLUTANT_FIELDS.filter((f) => hasNumbers(rows, f.column)).map(
+      (f) => ({ column: f.column, label: f.label, field: f.id })
+    ),
+  ];
+  const selected = seriesOptions.find((o) => o.column === settings.column) || seriesOptions[0];
+  const isAqi = !selected.field;
+  const unit = isAqi ? "index" : CANONICAL_UNITS[selected.field];
+  const unitLabel = isAqi ? t("forecast.index") : unit;
+
+  const timed = useMemo(() => hasTimeAxis(rows), [rows]);
+  const series = useMemo(
+    () => (timed ? regularSeries(toSeries(rows, selected.column), interval.id) : null),
+    [rows, timed, selected.column, interval.id]
+  );
+  const values = useMemo(() => series?.points.map((p) => p.v) ?? [], [series]);
+  const needed = minLength(season) + horizon;
+  const enough = values.length >= needed;
+
+  const result = useMemo(
+    () => (enough ? fitForecast(model.id, values, season, horizon, level) : null),
+    [enough, model.id, values, season, horizon, level]
+  );
+  const scores = useMemo(
+    () =>
+      enough
+        ? FORECAST_MODELS.map((m) => ({ ...m, score: backtest(m.id, values, season, horizon) }))
+        : [],
+    [enough, values, season, horizon]
+  );
+
+  const header = (
+    <div>
+      <h3 className="text-sm font-semibold">{t("forecast.title")}</h3>
+      <p className="text-[11px] text-slate-400">
+        {t(`forecast.intro.${interval.id}`, { horizon, level })}
+      </p>
+    </div>
+  );
+
+  if (!timed || !enough) {
+    return (
+      <section className="bg-slate-900/80 border border-slate-700 rounded-2xl p-5 shadow-xl">
+        {header}
+        <p className="mt-2 text-xs text-slate-400">
+          {!timed
+            ? t("forecast.needsDate")
+            : t(`forecast.needsMore.${interval.id}`, {
+                needed,
+                series: selected.label,
+                count: values.length,
+              })}
+        </p>
+        {timed && interval.id === "day" && (
+          <button
+            type="button"
+            onClick={() => setSettings({ interval: "hour" })}
+            className="mt-2 px-2 py-0.5 rounded-full text-[11px] border border-slate-600 hover:bg-slate-800"
+          >
+            {t("forecast.tryHourly")}
+          </button>
+        )}
+      </section>
+    );
+  }
+
+  const { points } = series;
+  const times = forecastTimes(points[points.length - 1].t, interval.id, horizon);
+  const history = points.slice(-Math.max(4 * season, 3 * horizon));
+  const best = scores
+    .filter((s) => s.score)
+    .reduce((a, b) => (!a || b.score.rmse < a.score.rmse ? b : a), null);
+
+  const threshold = standard.exceedanceAqi;
+  const likely = isAqi ? times.filter((_, k) => result.mean[k] > threshold) : [];
+  const possible = isAqi ? times.filter((_, k) => result.upper[k] > threshold).length : 0;
+  const peakIdx = result.mean.reduce((best, v, k, mean) => (v > mean[best] ? k : best), 0);
+  const daily = interval.id === "day";
+
+  const datasets = [
+    {
+      label: t(`forecast.history.${interval.id}`, { series: selected.label }),
+      data: history.map((p) => ({ x: p.t, y: p.v })),
+      borderColor: "rgb(129, 140, 248)",
+      backgroundColor: "rgba(129, 140, 248, 0.3)",
+      pointRadius: history.length > 200 ? 0 : 1.5,
+      borderWidth: 1.5,
+      tension: 0.2,
+    },
+    {
+      label: t("forecast.lower", { level }),
+      data: times.map((t, k) => ({ x: t, y: result.lower[k] })),
+      borderColor: "rgba(250, 204, 21, 0.3)",
+      pointRadius: 0,
+      borderWidth: 1,
+    },
+    {
+      label: t("forecast.band", { level }),
+      data: times.map((t, k) => ({ x: t, y: result.upper[k] })),
+      borderColor: "rgba(250, 204, 21, 0.3)",
+      backgroundColor: "rgba(250, 204, 21, 0.15)",
+      pointRadius: 0,
+      borderWidth: 1,
+      fill: "-1",
+    },
+    {
+      label: t("forecast.line", { model: modelLabel(model) }),
+      data: times.map((t, k) => ({ x: t, y: result.mean[k] })),
+      borderColor: "rgb(250, 204, 21)",
+      backgroundColor: "rgb(250, 204, 21)",
+      borderDash: [5, 3],
+      pointRadius: 2,
+      borderWidth: 2,
+    },
+  ];
+
+  const getExport = () => ({
+    name: `forecast-${selected.column}-${model.id}`,
+    title: `${selected.label} forecast (${model.label})`,
+    meta: {
+      Series: selected.label,
+      Model: model.label,
+      Interval: `${interval.label} mean`,
+      "Prediction interval": `${level}%`,
+      "Gaps filled": series.filled,
+    },
+    columns: [
+      { key: "time", unit: "local time", description: "Period start" },
+      { key: "forecast", unit, description: "Point forecast" },
+      { key: "lower", unit, description: `Lower ${level}% bound` },
+      { key: "upper", unit, description: `Upper ${level}% bound` },
+    ],
+    rows: times.map((t, k) => ({
+      time: formatTimestamp(t),
+      forecast: result.mean[k],
+      lower: result.lower[k],
+      upper: result.upper[k],
+    })),
+  });
+
+  return (
+    <section className="bg-slate-900/80 border border-slate-700 rounded-2xl p-5 shadow-xl space-y-3">
+      <div className="flex flex-wrap items-start justify-between gap-2">
+        {header}
+        <ExportMenu getDataset={getExport} />
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-[11px]">
+        <select
+          value={selected.column}
+          onChange={(e) => setSettings({ column: e.target.value })}
+          className={selectClass}
+        >
+          {seriesOptions.map((o) => (
+            <option key={o.column} value={o.column}>
+              {o.label}
+            </option>
+          ))}
+        </select>
+        <select
+          value={interval.id}
+          onChange={(e) => setSettings({ interval: e.target.value, horizon: SETTINGS.horizon })}
+          className={selectClass}
+        >
+          {FORECAST_INTERVALS.map((i) => (
+            <option key={i.id} value={i.id}>
+              {t(`forecast.interval.${i.id}`, { defaultValue: i.label })}
+            </option>
+          ))}
+        </select>
+        <select
+          value={model.id}
+          onChange={(e) => setSettings({ model: e.target.value })}
+          className={selectClass}
+        >
+          {FORECAST_MODELS.map((m) => (
+            <option key={m.id} value={m.id}>
+              {modelLabel(m)}
+            </option>
+          ))}
+        </select>
+        <select
+          value={horizon}
+          onChange={(e) => setSettings({ horizon: Number(e.target.value) })}
+          className={selectClass}
+        >
+          {HORIZONS[interval.id].map((h) => (
+            <option key={h} value={h}>
+              {t(`forecast.ahead.${interval.id}`, { count: h })}
+            </option>
+          ))}
+        </select>
+        <select
+          value={level}
+          onChange={(e) => setSettings({ level: Number(e.target.value) })}
+          className={selectClass}
+        >
+          {Object.keys(INTERVAL_LEVELS).map((l) => (
+            <option key={l} value={l}>
+              {t("forecast.band", { level: l })}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <AccessibleChart
+        chart={Line}
+        title={t("forecast.chart", { series: selected.label, model: modelLabel(model) })}
+        data={{ datasets }}
+        options={{
+          responsive: true,
+          animation: false,
+          plugins: {
+            legend: {
+              labels: {
+                color: "#e5e7eb",
+                font: { size: 10 },
+                // the lower bound only outlines the band
+                filter: (item) => item.datasetIndex !== 1,
+              },
+            },
+          },
+          scales: {
+            x: {
+              type: "time",
+              ticks: { color: "#9ca3af", font: { size: 8 }, maxRotation: 0 },
+              grid: { color: "rgba(75,85,99,0.25)" },
+            },
+            y: {
+              ticks: { color: "#9ca3af", font: { size: 9 } },
+              grid: { color: "rgba(75,85,99,0.25)" },
+            },
+          },
+        }}
+      />
+
+      <div className="grid md:grid-cols-2 gap-4 text-[11px]">
+        <div className="space-y-1 text-slate-300">
+          <p>
+            {t(isAqi ? "forecast.peakCategory" : "forecast.peak", {
+              value: fmt(result.mean[peakIdx], formatNumber),
+              unit: unitLabel,
+              time: formatDate(times[peakIdx], daily ? "EEE dd MMM" : "dd MMM HH:00"),
+              category: isAqi
+                ? categoryName(t, findCategory(result.mean[peakIdx], standard)?.name)
+                : "",
+            })}
+          </p>
+          {isAqi && (
+            <p className={likely.length ? "text-red-300" : "text-emerald-300"}>
+              {likely.length
+                ? t("forecast.expected", {
+                    threshold,
+                    times: likely
+                      .map((time) => formatDate(time, daily ? "EEE dd MMM" : "HH:00"))
+                      .join(", "),
+                  })
+                : t(`forecast.none.${interval.id}`, { threshold })}{" "}
+              {possible > likely.length && (
+                <span className="text-amber-300">
+                  {t("forecast.possible", { count: possible, level })}
+                </span>
+              )}
+            </p>
+          )}
+          {series.filled > 0 && (
+            <p className="text-slate-500">
+              {t(`forecast.filled.${interval.id}`, { count: series.filled })}
+            </p>
+          )}
+          {model.id === "holtWinters" && (
+            <p className="text-slate-500">
+              α = {result.params.alpha}, β = {result.params.beta}, γ = {result.params.gamma}
+            </p>
+          )}
+          {model.id === "ar" && (
+            <p className="text-slate-500">
+              {t("forecast.arOrder", { order: result.params.order })}
+            </p>
+          )}
+        </div>
+
+        <div>
+          <p className="text-slate-300 mb-1">
+            {t(`forecast.backtest.${interval.id}`, { count: horizon })}
+          </p>
+          <table className="min-w-full border-collapse">
+            <thead>
+              <tr className="bg-slate-800/90">
+                {[t("forecast.modelHeader"), `MAE (${unitLabel})`, `RMSE (${unitLabel})`].map((h) => (
+                  <th key={h} className="border-b border-slate-700 px-2 py-1 text-left font-semibold">
+                    {h}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {scores.map((s) => (
+                <tr
+                  key={s.id}
+                  className={s.id === model.id ? "bg-slate-800/60 font-semibold" : "bg-slate-900"}
+                >
+                  <td className="border-b border-slate-800 px-2 py-1">
+                    {modelLabel(s)}
+                    {s === best && (
+                      <span className="ml-1 text-emerald-300">{t("forecast.best")}</span>
+                    )}
+                  </td>
+                  <td className="border-b border-slate-800 px-2 py-1">
+                    {s.score ? fmt(s.score.mae, formatNumber) : "–"}
+                  </td>
+                  <td className="border-b border-slate-800 px-2 py-1">
+                    {s.score ? fmt(s.score.rmse, formatNumber) : "–"}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+export default ForecastPanel;
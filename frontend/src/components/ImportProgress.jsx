@@ -0,0 +1,40 @@
+import { percent, useI18n } from "../i18n";
+
+/* =============== CSV IMPORT PROGRESS =============== */
+
+// Progress bar + cancel button while the parse worker streams a file.
+function ImportProgress({ ingest, onCancel, className = "" }) {
+  const { t, formatNumber } = useI18n();
+  const pct = ingest.total
+    ? Math.min(100, Math.round((ingest.loaded / ingest.total) * 100))
+    : 0;
+
+  return (
+    <div className={`space-y-1 ${className}`}>
+      <div className="flex items-center justify-between gap-2 text-[11px] text-slate-300">
+        <span className="truncate">
+          {t("import.reading", {
+            file: ingest.fileName,
+            pct: formatNumber(pct / 100, percent(0)),
+            rows: ingest.rows,
+          })}
+        </span>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="shrink-0 px-2 py-0.5 rounded-full border border-red-500/70 text-red-300 hover:bg-red-500/10"
+        >
+          {t("import.cancel")}
+        </button>
+      </div>
+      <div className="h-1.5 rounded-full bg-slate-800 overflow-hidden">
+        <div
+          className="h-full bg-cyan-400 transition-[width]"
+          style={{ width: `${pct}%` }}
+        />
+      </div>
+    </div>
+  );
+}
+
+export default ImportProgress;
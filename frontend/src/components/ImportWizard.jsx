@@ -0,0 +1,228 @@
+import { useState } from "react";
+import {
+  IMPORT_FIELDS,
+  detectMapping,
+  detectUnits,
+  applyMapping,
+  loadPresets,
+  savePreset,
+  deletePreset,
+  presetForHeaders,
+  matchesHeaders,
+} from "../lib/columnMapping";
+import { UNIT_OPTIONS } from "../lib/units";
+import { storeRows } from "../lib/columnarStore";
+import { fieldLabel, useI18n } from "../i18n";
+
+const PREVIEW_ROWS = 5;
+
+function detectedConfig(headers) {
+  const mapping = detectMapping(headers);
+  return { mapping, units: detectUnits(mapping) };
+}
+
+/* =============== CSV IMPORT WIZARD =============== */
+
+// Shown after a CSV has been parsed: confirm or override the detected
+// column mapping and units, preview the result, save it as a preset.
+function ImportWizard({ pending, conditions, onConfirm, onCancel }) {
+  const { fileName, headers, store } = pending;
+  const { t, formatNumber } = useI18n();
+
+  const [presets, setPresets] = useState(loadPresets);
+  // a saved preset whose columns are all present wins over auto-detection,
+  // so a known source format imports in one click
+  const [presetName, setPresetName] = useState(
+    () => presets.find((p) => matchesHeaders(p, headers))?.name || ""
+  );
+  const [config, setConfig] = useState(() => {
+    const preset = presets.find((p) => p.name === presetName);
+    return preset ? presetForHeaders(preset, headers) : detectedConfig(headers);
+  });
+
+  const handleMappingChange = (fieldId, header) => {
+    const mapping = { ...config.mapping };
+    if (header) mapping[fieldId] = header;
+    else delete mapping[fieldId];
+    setConfig({ ...config, mapping });
+  };
+
+  const handleUnitChange = (fieldId, unit) => {
+    setConfig({ ...config, units: { ...config.units, [fieldId]: unit } });
+  };
+
+  // "" goes back to the auto-detected mapping
+  const applyPreset = (name) => {
+    const preset = presets.find((p) => p.name === name);
+    setConfig(preset ? presetForHeaders(preset, headers) : detectedConfig(headers));
+    setPresetName(preset ? name : "");
+  };
+
+  const handleSavePreset = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    setPresets(savePreset(name, config));
+  };
+
+  const handleDeletePreset = () => {
+    setPresets(deletePreset(presetName));
+    setPresetName("");
+  };
+
+  const mappedFields = IMPORT_FIELDS.filter((f) => config.mapping[f.id]);
+  const preview = applyMapping(storeRows(store, 0, PREVIEW_ROWS), config, conditions);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-950/80 backdrop-blur-sm p-4">
+      <div className="w-full max-w-3xl max-h-[90vh] overflow-auto bg-slate-900 border border-slate-700 rounded-2xl p-5 shadow-2xl space-y-4 text-slate-100">
+        <div>
+          <h2 className="text-lg font-semibold">{t("import.title")}</h2>
+          <p className="text-[11px] text-slate-400">
+            {t("import.summary", {
+              file: fileName,
+              rows: formatNumber(store.rowCount),
+              columns: headers.length,
+            })}
+          </p>
+        </div>
+
+        {/* presets */}
+        <div className="flex flex-wrap items-center gap-2 text-[11px]">
+          <span className="text-slate-300">{t("import.preset")}</span>
+          <select
+            value={presets.some((p) => p.name === presetName) ? presetName : ""}
+            onChange={(e) => applyPreset(e.target.value)}
+            className="rounded-lg bg-slate-800 border border-slate-600 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-cyan-400"
+          >
+            <option value="">{t("import.autoDetected")}</option>
+            {presets.map((p) => (
+              <option key={p.name} value={p.name}>
+                {p.name}
+              </option>
+            ))}
+          </select>
+          <input
+            type="text"
+            placeholder={t("import.presetName")}
+            value={presetName}
+            onChange={(e) => setPresetName(e.target.value)}
+            className="rounded-lg bg-slate-800 border border-slate-600 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-cyan-400"
+          />
+          <button
+            type="button"
+            onClick={handleSavePreset}
+            disabled={!presetName.trim()}
+            className="px-3 py-1 rounded-full border border-cyan-400/70 text-cyan-200 hover:bg-cyan-400/10 disabled:opacity-50"
+          >
+            {t("import.savePreset")}
+          </button>
+          {presets.some((p) => p.name === presetName) && (
+            <button
+              type="button"
+              onClick={handleDeletePreset}
+              className="px-3 py-1 rounded-full border border-red-500/70 text-red-300 hover:bg-red-500/10"
+            >
+              {t("import.delete")}
+            </button>
+          )}
+        </div>
+
+        {/* mapping */}
+        <div className="grid sm:grid-cols-2 gap-x-4 gap-y-2">
+          {IMPORT_FIELDS.map((field) => (
+            <div key={field.id} className="flex items-center gap-2 text-[11px]">
+              <span className="w-20 shrink-0 text-slate-300">{fieldLabel(t, field)}</span>
+              <select
+                value={config.mapping[field.id] || ""}
+                onChange={(e) => handleMappingChange(field.id, e.target.value)}
+                className="flex-1 min-w-0 rounded-lg bg-slate-800 border border-slate-600 px-2 py-1 focus:outline-none focus:ring-2 focus:ring-cyan-400"
+              >
+                <option value="">{t("import.notInFile")}</option>
+                {headers.map((h) => (
+                  <option key={h} value={h}>
+                    {h}
+                  </option>
+                ))}
+              </select>
+              {UNIT_OPTIONS[field.id] && (
+                <select
+                  value={config.units[field.id]}
+                  onChange={(e) => handleUnitChange(field.id, e.target.value)}
+                  disabled={!config.mapping[field.id]}
+                  className="rounded-lg bg-slate-800 border border-slate-600 px-1 py-1 disabled:opacity-40 focus:outline-none focus:ring-2 focus:ring-cyan-400"
+                >
+                  {UNIT_OPTIONS[field.id].map((u) => (
+                    <option key={u} value={u}>
+                      {u}
+                    </option>
+                  ))}
+                </select>
+              )}
+            </div>
+          ))}
+        </div>
+
+        {/* preview */}
+        <div className="overflow-auto border border-slate-700 rounded-xl">
+          <table className="min-w-full text-[11px] border-collapse">
+            <thead>
+              <tr className="bg-slate-800/90">
+                {mappedFields.map((f) => (
+                  <th
+                    key={f.id}
+                    className="border-b border-slate-700 px-2 py-1.5 text-left font-semibold"
+                  >
+                    {f.column}
+                    <span className="block font-normal text-slate-500">
+                      ← {config.mapping[f.id]}
+                    </span>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {preview.map((row, idx) => (
+                <tr
+                  key={idx}
+                  className={idx % 2 === 0 ? "bg-slate-900" : "bg-slate-950"}
+                >
+                  {mappedFields.map((f) => (
+                    <td key={f.id} className="border-b border-slate-800 px-2 py-1">
+                      {typeof row[f.column] === "number"
+                        ? Math.round(row[f.column] * 100) / 100
+                        : String(row[f.column] ?? "")}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {mappedFields.length === 0 && (
+            <p className="px-3 py-2 text-[11px] text-amber-300">
+              {t("import.noColumns")}
+            </p>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 rounded-xl border border-slate-600 text-sm hover:bg-slate-800"
+          >
+            {t("import.cancel")}
+          </button>
+          <button
+            type="button"
+            onClick={() => onConfirm(config)}
+            className="px-4 py-2 rounded-xl bg-cyan-500 hover:bg-cyan-400 text-slate-950 text-sm font-semibold shadow-lg shadow-cyan-500/30"
+          >
+            {t("import.confirm", { rows: formatNumber(store.rowCount) })}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ImportWizard;
@@ -0,0 +1,186 @@
+import { useState } from "react";
+import {
+  REACTION_FILTERS,
+  REACTION_KINDS,
+  REACTION_POLLUTANTS,
+  checkBalance,
+  filterReactions,
+} from "../lib/reactions";
+import { CHEMISTRY_TOPICS } from "../lib/chemistryTopics";
+import ChemicalEquation from "./ChemicalEquation";
+import { useQueryState } from "../router";
+import { useI18n } from "../i18n";
+
+const selectClass =
+  "rounded-lg bg-slate-800 border border-slate-600 px-2 py-1 text-[11px] focus:outline-none focus:ring-2 focus:ring-cyan-400";
+
+const pathwayTitle = (t, id) =>
+  t(`topic.${id}.title`, { defaultValue: CHEMISTRY_TOPICS.find((c) => c.id === id)?.title ?? id });
+
+function BalanceBadge({ reaction }) {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const balance = checkBalance(reaction);
+  return (
+    <div className="text-[10px]">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className={`px-1.5 py-0.5 rounded-full border ${
+          balance.balanced
+            ? "border-emerald-500/60 text-emerald-300"
+            : "border-red-500/60 text-red-300"
+        }`}
+      >
+        {t(balance.balanced ? "reactions.balanced" : "reactions.unbalanced")}
+      </button>
+      {open && (
+        <table className="mt-1 border-collapse">
+          <thead>
+            <tr className="text-slate-400">
+              <th className="pr-2 text-left font-normal">{t("reactions.atom")}</th>
+              <th className="pr-2 font-normal">{t("reactions.left")}</th>
+              <th className="font-normal">{t("reactions.right")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {balance.elements.map((e) => (
+              <tr key={e.element} className={e.left === e.right ? "text-slate-300" : "text-red-300"}>
+                <td className="pr-2">{e.element}</td>
+                <td className="pr-2 text-center">{e.left}</td>
+                <td className="text-center">{e.right}</td>
+              </tr>
+            ))}
+            <tr
+              className={
+                balance.charge.left === balance.charge.right ? "text-slate-300" : "text-red-300"
+              }
+            >
+              <td className="pr-2">{t("reactions.charge")}</td>
+              <td className="pr-2 text-center">{balance.charge.left}</td>
+              <td className="text-center">{balance.charge.right}</td>
+            </tr>
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+/* =============== REACTION EXPLORER =============== */
+
+function ReactionExplorer() {
+  const { t } = useI18n();
+  const [filters, setFilters] = useQueryState(REACTION_FILTERS, "rx_");
+  const reactions = filterReactions(filters);
+
+  // group by pathway so a pollutant's reactions read as a sequence
+  const pathways = [];
+  reactions.forEach((r) => {
+    let group = pathways.find((p) => p.id === r.pathway);
+    if (!group) {
+      group = { id: r.pathway, reactions: [] };
+      pathways.push(group);
+    }
+    group.reactions.push(r);
+  });
+
+  const chip = (active) =>
+    `px-2.5 py-1 rounded-full text-[11px] border transition ${
+      active
+        ? "bg-cyan-500 text-slate-950 font-semibold border-transparent"
+        : "text-slate-300 border-slate-600 hover:bg-slate-800"
+    }`;
+
+  return (
+    <section className="bg-slate-900/80 border border-slate-700 rounded-2xl p-5 shadow-xl space-y-3 text-xs md:text-sm text-slate-200">
+      <div>
+        <h2 className="text-lg font-semibold mb-1">{t("reactions.title")}</h2>
+        <p className="text-[11px] text-slate-400">{t("reactions.intro")}</p>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-1.5">
+        <button
+          type="button"
+          onClick={() => setFilters({ pollutant: "" })}
+          className={chip(!filters.pollutant)}
+        >
+          {t("reactions.allPollutants")}
+        </button>
+        {REACTION_POLLUTANTS.map((p) => (
+          <button
+            key={p}
+            type="button"
+            onClick={() => setFilters({ pollutant: p })}
+            className={chip(filters.pollutant === p)}
+          >
+            {p}
+          </button>
+        ))}
+        <select
+          value={filters.kind}
+          onChange={(e) => setFilters({ kind: e.target.value })}
+          className={`${selectClass} ml-auto`}
+        >
+          <option value="">{t("reactions.allKinds")}</option>
+          {REACTION_KINDS.map((k) => (
+            <option key={k.id} value={k.id}>
+              {t(`reactions.kindFilter.${k.id}`, { defaultValue: k.label })}
+            </option>
+          ))}
+        </select>
+        <input
+          type="search"
+          value={filters.q}
+          onChange={(e) => setFilters({ q: e.target.value })}
+          placeholder={t("reactions.search")}
+          className={`${selectClass} w-44`}
+        />
+      </div>
+
+      {reactions.length === 0 && (
+        <p className="text-slate-400 text-xs">{t("reactions.none")}</p>
+      )}
+
+      {pathways.map((pathway) => (
+        <div key={pathway.id} className="space-y-2">
+          <p className="text-[11px] uppercase text-slate-400">{pathwayTitle(t, pathway.id)}</p>
+          <ol className="space-y-2">
+            {pathway.reactions.map((r) => (
+              <li
+                key={r.id}
+                className="rounded-xl border border-slate-700 bg-slate-950/50 px-3 py-2 flex flex-wrap items-start justify-between gap-2"
+              >
+                <div className="space-y-1">
+                  <ChemicalEquation reaction={r} className="text-sm text-slate-100" />
+                  <p className="text-[11px] text-slate-300">
+                    <span className="font-semibold">{r.name}.</span> {r.conditions}.
+                  </p>
+                  <div className="flex flex-wrap gap-1 text-[10px]">
+                    <span
+                      className={`px-1.5 py-0.5 rounded ${
+                        r.kind === "primary"
+                          ? "bg-amber-500/20 text-amber-200"
+                          : "bg-violet-500/20 text-violet-200"
+                      }`}
+                    >
+                      {t(`reactions.kind.${r.kind}`)}
+                    </span>
+                    {r.pollutants.map((p) => (
+                      <span key={p} className="px-1.5 py-0.5 rounded bg-slate-800 text-slate-300">
+                        {p}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+                <BalanceBadge reaction={r} />
+              </li>
+            ))}
+          </ol>
+        </div>
+      ))}
+    </section>
+  );
+}
+
+export default ReactionExplorer;
@@ -0,0 +1,174 @@
+import { useMemo, useState } from "react";
+import { format } from "date-fns";
+import { buildReport } from "../lib/report";
+import { renderReportPdf } from "../lib/reportPdf";
+import { downloadBlob } from "../lib/exporters";
+import { percent, useI18n } from "../i18n";
+
+const inputClass =
+  "w-full rounded-lg bg-slate-800 border border-slate-600 px-3 py-1.5 text-xs focus:outline-none focus:ring-2 focus:ring-cyan-400";
+
+/* =============== ANALYSIS REPORT =============== */
+
+// Preview of the weekly report for the rows shown in the charts, plus a
+// client-side PDF download. The report is only built once the panel is opened.
+function ReportPanel({ rows, standard }) {
+  const { t, formatNumber, formatDate } = useI18n();
+  const [open, setOpen] = useState(false);
+  // the PDF itself stays English: its built-in fonts only cover Latin script
+  const [title, setTitle] = useState("AQI analysis report");
+  const [notes, setNotes] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const report = useMemo(
+    () => (open ? buildReport(rows, standard) : null),
+    [open, rows, standard]
+  );
+
+  const handleDownload = async () => {
+    setBusy(true);
+    setError("");
+    try {
+      const blob = await renderReportPdf(report, { title, notes });
+      downloadBlob(blob, `aqi-report-${format(Date.now(), "yyyyMMdd")}.pdf`);
+    } catch (err) {
+      console.error(err);
+      setError(t("report.pdfFailed"));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!open) {
+    return (
+      <section className="bg-slate-900/80 border border-slate-700 rounded-2xl p-5 shadow-xl flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h3 className="text-sm font-semibold">{t("report.title")}</h3>
+          <p className="text-[11px] text-slate-400">{t("report.intro")}</p>
+        </div>
+        <button
+          type="button"
+          onClick={() => setOpen(true)}
+          className="px-4 py-2 rounded-xl bg-cyan-500 hover:bg-cyan-400 text-slate-950 text-xs font-semibold"
+        >
+          {t("report.generate")}
+        </button>
+      </section>
+    );
+  }
+
+  const ex = report.exceedance;
+
+  return (
+    <section className="bg-slate-900/80 border border-slate-700 rounded-2xl p-5 shadow-xl space-y-4">
+      <div className="flex items-center justify-between gap-2">
+        <h3 className="text-sm font-semibold">{t("report.title")}</h3>
+        <button
+          type="button"
+          onClick={() => setOpen(false)}
+          className="text-[11px] text-slate-400 hover:text-slate-200"
+        >
+          {t("report.close")}
+        </button>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-3">
+        <label className="space-y-1 text-[11px] text-slate-300">
+          <span>{t("report.titleField")}</span>
+          <input
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            className={inputClass}
+          />
+        </label>
+        <label className="space-y-1 text-[11px] text-slate-300">
+          <span>{t("report.notes")}</span>
+          <textarea
+            rows={2}
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            className={inputClass}
+          />
+        </label>
+      </div>
+
+      <div className="grid sm:grid-cols-4 gap-2 text-[11px]">
+        {[
+          [t("report.readings"), report.rowCount],
+          [
+            t("report.period"),
+            report.period
+              ? `${formatDate(report.period.from, "dd MMM yyyy")} – ${formatDate(
+                  report.period.to,
+                  "dd MMM yyyy"
+                )}`
+              : t("report.noDates"),
+          ],
+          [
+            t("report.daysAbove", { threshold: ex.threshold }),
+            t("report.daysOf", { days: ex.days, total: ex.totalDays }),
+          ],
+          [t("report.topPollutant"), report.dominant[0]?.pollutant ?? "–"],
+        ].map(([label, value]) => (
+          <div
+            key={label}
+            className="rounded-lg border border-slate-700 bg-slate-800/60 px-2 py-1.5"
+          >
+            <p className="uppercase text-[10px] text-slate-500">{label}</p>
+            <p className="font-semibold text-slate-200">{value}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-4 text-[11px]">
+        <div>
+          <p className="text-slate-300 mb-1">{t("report.dominant")}</p>
+          {report.dominant.map((d) => (
+            <div key={d.pollutant} className="flex items-center gap-2 mb-0.5">
+              <span className="w-12 text-slate-400">{d.pollutant}</span>
+              <div className="flex-1 h-2 rounded bg-slate-800">
+                <div
+                  className="h-2 rounded bg-cyan-500"
+                  style={{ width: `${d.share * 100}%` }}
+                />
+              </div>
+              <span className="w-12 text-right">{formatNumber(d.share, percent(1))}</span>
+            </div>
+          ))}
+        </div>
+        <div>
+          <p className="text-slate-300 mb-1">{t("report.chemistry")}</p>
+          <ul className="list-disc list-inside text-slate-400 space-y-0.5">
+            {report.chemistry.notes.map((n) => (
+              <li key={n.pollutant}>{n.pollutant} (chemistry_note)</li>
+            ))}
+            {report.chemistry.topics.map((topic) => (
+              <li key={topic.id}>
+                {t(`topic.${topic.id}.title`, { defaultValue: topic.title })}
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+
+      {error && <p className="text-xs text-red-300">{error}</p>}
+
+      <div className="flex items-center justify-between gap-2">
+        <p className="text-[10px] text-slate-500">
+          {t("report.scope", { count: report.rowCount, standard: standard.name })}
+        </p>
+        <button
+          type="button"
+          onClick={handleDownload}
+          disabled={busy || report.rowCount === 0}
+          className="px-4 py-2 rounded-xl bg-cyan-500 hover:bg-cyan-400 disabled:opacity-60 text-slate-950 text-xs font-semibold"
+        >
+          {busy ? t("report.building") : t("report.download")}
+        </button>
+      </div>
+    </section>
+  );
+}
+
+export default ReportPanel;
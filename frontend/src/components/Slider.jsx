@@ -0,0 +1,23 @@
+// labelled range input with the current value on the right
+function Slider({ id, label, value, min, max, step, display, onChange }) {
+  return (
+    <div className="grid grid-cols-[7rem_1fr_5.5rem] items-center gap-2 text-[11px]">
+      <label htmlFor={id} className="text-slate-300">
+        {label}
+      </label>
+      <input
+        id={id}
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className="accent-cyan-400"
+      />
+      <span className="text-right text-slate-400">{display ?? value}</span>
+    </div>
+  );
+}
+
+export default Slider;
@@ -0,0 +1,256 @@
+import { useMemo, useState } from "react";
+import { Bar, Line } from "react-chartjs-2";
+import {
+  groupByStation,
+  rankStations,
+  stationComposition,
+  stationColor,
+} from "../lib/stations";
+import { DERIVED_COLUMNS } from "../lib/batch";
+import { POLLUTANT_FIELDS } from "../lib/columnMapping";
+import { hasTimeAxis, toSeries, resample } from "../lib/timeseries";
+import { numberColumn } from "../lib/columnarStore";
+import { lttb } from "../lib/downsample";
+import AccessibleChart from "./AccessibleChart";
+import ExportMenu from "./ExportMenu";
+import { useQueryState } from "../router";
+import { fixed, useI18n } from "../i18n";
+
+const axisStyle = {
+  ticks: { color: "#9ca3af", font: { size: 9 } },
+  grid: { color: "rgba(75,85,99,0.25)" },
+};
+
+const SETTINGS = { rank: "meanAqi" };
+
+/* =============== MULTI-STATION ANALYSIS =============== */
+
+function StationsPanel({ rows, standard }) {
+  const { t, formatNumber } = useI18n();
+  const groups = useMemo(() => groupByStation(rows), [rows]);
+  const stations = [...groups.keys()];
+
+  // null = every station selected
+  const [selected, setSelected] = useState(null);
+  const [{ rank: rankBy }, setSettings] = useQueryState(SETTINGS, "st_");
+  const setRankBy = (value) => setSettings({ rank: value });
+
+  const active = selected
+    ? stations.filter((s) => selected.includes(s))
+    : stations;
+  const colorOf = (station) => stationColor(stations.indexOf(station));
+
+  const toggleStation = (station) => {
+    const current = selected || stations;
+    setSelected(
+      current.includes(station)
+        ? current.filter((s) => s !== station)
+        : [...current, station]
+    );
+  };
+
+  const timed = useMemo(() => hasTimeAxis(rows), [rows]);
+
+  const ranking = useMemo(
+    () => rankStations(rows, standard.exceedanceAqi, rankBy),
+    [rows, standard, rankBy]
+  );
+  const composition = useMemo(() => stationComposition(rows), [rows]);
+
+  // daily means keep the overlay readable with several hourly stations
+  const lineData = {
+    datasets: active.map((station) => {
+      const stationRows = groups.get(station);
+      const data = lttb(
+        timed
+          ? resample(toSeries(stationRows, DERIVED_COLUMNS.aqi), "day", "mean").map(
+              (p) => ({ x: p.t, y: p.v })
+            )
+          : Array.from(numberColumn(stationRows, DERIVED_COLUMNS.aqi), (y, i) => ({
+              x: i + 1,
+              y,
+            })).filter((p) => !Number.isNaN(p.y))
+      );
+      return {
+        label: station,
+        data,
+        borderColor: colorOf(station),
+        backgroundColor: colorOf(station),
+        pointRadius: data.length > 200 ? 0 : 2,
+        borderWidth: 1.5,
+        tension: 0.2,
+      };
+    }),
+  };
+
+  const barData = {
+    labels: POLLUTANT_FIELDS.map((f) => f.column),
+    datasets: active.map((station) => ({
+      label: station,
+      data: POLLUTANT_FIELDS.map((f) => composition[station]?.[f.column] ?? 0),
+      backgroundColor: colorOf(station),
+      borderWidth: 0,
+    })),
+  };
+
+  const chartOptions = (x) => ({
+    responsive: true,
+    plugins: {
+      legend: { labels: { color: "#e5e7eb", font: { size: 10 } } },
+    },
+    scales: { x: { ...axisStyle, ...x }, y: axisStyle },
+  });
+
+  return (
+    <section className="bg-slate-900/80 border border-slate-700 rounded-2xl p-5 shadow-xl space-y-4">
+      <div>
+        <h3 className="text-sm font-semibold">{t("stations.title")}</h3>
+        <p className="text-[11px] text-slate-400">
+          {t("stations.intro", { count: stations.length })}
+        </p>
+      </div>
+
+      <div className="flex flex-wrap gap-1.5">
+        {stations.map((station) => (
+          <button
+            key={station}
+            type="button"
+            onClick={() => toggleStation(station)}
+            className={`px-2.5 py-1 rounded-full text-[11px] border transition ${
+              active.includes(station)
+                ? "text-slate-950 font-semibold border-transparent"
+                : "text-slate-300 border-slate-600 hover:bg-slate-800"
+            }`}
+            style={
+              active.includes(station)
+                ? { backgroundColor: colorOf(station) }
+                : undefined
+            }
+          >
+            {station}
+          </button>
+        ))}
+        <button
+          type="button"
+          onClick={() => setSelected(null)}
+          className="px-2.5 py-1 rounded-full text-[11px] border border-slate-600 text-slate-300 hover:bg-slate-800"
+        >
+          {t("stations.all")}
+        </button>
+      </div>
+
+      <div className="grid lg:grid-cols-2 gap-5">
+        <div>
+          <p className="text-[11px] text-slate-300 mb-1">
+            {t(timed ? "stations.aqiDaily" : "stations.aqi")}
+          </p>
+          <AccessibleChart
+            chart={Line}
+            title={t(timed ? "stations.aqiDaily" : "stations.aqi")}
+            data={lineData}
+            options={chartOptions(timed ? { type: "time" } : { type: "linear" })}
+          />
+        </div>
+        <div>
+          <p className="text-[11px] text-slate-300 mb-1">{t("stations.composition")}</p>
+          <AccessibleChart
+            chart={Bar}
+            title={t("stations.composition")}
+            data={barData}
+            options={chartOptions({})}
+          />
+        </div>
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between gap-2 mb-1">
+          <p className="text-[11px] text-slate-300">{t("stations.ranking")}</p>
+          <ExportMenu
+            className="ml-auto"
+            getDataset={() => ({
+              name: "station-ranking",
+              title: "Station ranking",
+              meta: {
+                Standard: standard.name,
+                "Exceedance day": `daily mean computed AQI above ${standard.exceedanceAqi}`,
+                "Ranked by": rankBy,
+              },
+              columns: [
+                { key: "station", unit: "", description: "Station" },
+                { key: "readings", unit: "count", description: "Readings" },
+                { key: "meanAqi", unit: "index", description: "Mean computed AQI" },
+                { key: "maxAqi", unit: "index", description: "Max computed AQI" },
+                { key: "exceedanceDays", unit: "days", description: "Exceedance days" },
+              ],
+              rows: ranking,
+            })}
+          />
+          <select
+            value={rankBy}
+            onChange={(e) => setRankBy(e.target.value)}
+            className="rounded-lg bg-slate-800 border border-slate-600 px-2 py-1 text-[11px] focus:outline-none focus:ring-2 focus:ring-cyan-400"
+          >
+            <option value="meanAqi">{t("stations.rankMean")}</option>
+            <option value="exceedanceDays">{t("stations.rankExceedance")}</option>
+          </select>
+        </div>
+        <table className="min-w-full text-[11px] border-collapse">
+          <thead>
+            <tr className="bg-slate-800/90">
+              {[
+                "#",
+                t("stations.station"),
+                t("stations.readings"),
+                t("stations.meanAqi"),
+                t("stations.maxAqi"),
+                t("stations.daysAbove", { threshold: standard.exceedanceAqi }),
+              ].map((h) => (
+                <th
+                  key={h}
+                  className="border-b border-slate-700 px-2 py-1.5 text-left font-semibold"
+                >
+                  {h}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {ranking.map((r, idx) => (
+              <tr
+                key={r.station}
+                className={idx % 2 === 0 ? "bg-slate-900" : "bg-slate-950"}
+              >
+                <td className="border-b border-slate-800 px-2 py-1">{idx + 1}</td>
+                <td className="border-b border-slate-800 px-2 py-1">
+                  <span
+                    className="inline-block h-2 w-2 rounded-full mr-1.5"
+                    style={{ backgroundColor: colorOf(r.station) }}
+                  />
+                  {r.station}
+                </td>
+                <td className="border-b border-slate-800 px-2 py-1">{r.readings}</td>
+                <td className="border-b border-slate-800 px-2 py-1">
+                  {r.meanAqi === null ? "–" : formatNumber(r.meanAqi, fixed(1))}
+                </td>
+                <td className="border-b border-slate-800 px-2 py-1">
+                  {r.maxAqi ?? "–"}
+                </td>
+                <td className="border-b border-slate-800 px-2 py-1">
+                  {r.exceedanceDays}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="mt-1 text-[10px] text-slate-500">
+          {t("stations.exceedanceNote", {
+            threshold: standard.exceedanceAqi,
+            standard: standard.name,
+          })}
+        </p>
+      </div>
+    </section>
+  );
+}
+
+export default StationsPanel;
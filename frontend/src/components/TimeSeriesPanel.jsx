@@ -0,0 +1,347 @@
+import { useMemo } from "react";
+import { Line } from "react-chartjs-2";
+import {
+  INTERVALS,
+  AGGREGATIONS,
+  toSeries,
+  hasTimeAxis,
+  resample,
+  rollingMean,
+  dailyMaxRolling,
+  ROLLING_WINDOWS,
+} from "../lib/timeseries";
+import { POLLUTANT_FIELDS } from "../lib/columnMapping";
+import { DERIVED_COLUMNS, hasReportedAqi } from "../lib/batch";
+import { hasNumbers, numberColumn } from "../lib/columnarStore";
+import { findCategory } from "../lib/standards";
+import { lttb, seriesStats, MAX_CHART_POINTS } from "../lib/downsample";
+import { CANONICAL_UNITS } from "../lib/units";
+import { formatTimestamp } from "../lib/exporters";
+import AccessibleChart from "./AccessibleChart";
+import ExportMenu from "./ExportMenu";
+import { useQueryState } from "../router";
+import { usePalette } from "../palette";
+import { fixed, useI18n } from "../i18n";
+
+const selectClass =
+  "rounded-lg bg-slate-800 border border-slate-600 px-2 py-1 text-[11px] focus:outline-none focus:ring-2 focus:ring-cyan-400";
+
+// chart settings live in the URL ("ts_" params) so the view can be shared
+const SETTINGS = {
+  column: DERIVED_COLUMNS.aqi,
+  interval: "raw",
+  agg: "mean",
+  pct: 95,
+  rolling: true,
+};
+
+/* =============== AQI / POLLUTANT TIME SERIES =============== */
+
+function TimeSeriesPanel({ rows, standard, title }) {
+  const [settings, setSettings] = useQueryState(SETTINGS, "ts_");
+  const { t, formatNumber } = useI18n();
+  const intervalLabel = (i) => t(`timeSeries.interval.${i.id}`, { defaultValue: i.label });
+  const aggLabel = (a) => t(`timeSeries.agg.${a.id}`, { defaultValue: a.label });
+  const { column, pct, rolling: showRolling } = settings;
+  // hand-edited links may carry unknown values
+  const resampleInterval = INTERVALS.some((i) => i.id === settings.interval)
+    ? settings.interval
+    : SETTINGS.interval;
+  const agg = AGGREGATIONS.some((a) => a.id === settings.agg) ? settings.agg : SETTINGS.agg;
+  const setColumn = (value) => setSettings({ column: value });
+  const setResampleInterval = (value) => setSettings({ interval: value });
+  const setAgg = (value) => setSettings({ agg: value });
+  const setPct = (value) => setSettings({ pct: value });
+  const setShowRolling = (value) => setSettings({ rolling: value });
+
+  const timed = useMemo(() => hasTimeAxis(rows), [rows]);
+  const palette = usePalette();
+  // AQI points take their category colour in the chosen palette
+  const pointColor = (aqi) => {
+    const category = findCategory(aqi, standard);
+    return category ? palette.color(category, standard) : "#64748b";
+  };
+
+  const seriesOptions = [
+    { column: DERIVED_COLUMNS.aqi, label: t("series.aqiComputed", { standard: standard.name }) },
+    ...(hasReportedAqi(rows) ? [{ column: "AQI", label: t("series.aqiReported") }] : []),
+    ...POLLUTANT_FIELDS.filter((f) => hasNumbers(rows, f.column)).map(
+      (f) => ({ column: f.column, label: f.label, field: f.id })
+    ),
+  ];
+  const selected =
+    seriesOptions.find((o) => o.column === column) || seriesOptions[0];
+  const isAqi = !selected.field;
+  // regulatory rolling window for the pollutant, whatever the standard
+  const hours = ROLLING_WINDOWS[selected.field] ?? null;
+
+  const raw = useMemo(
+    () => (timed ? toSeries(rows, selected.column) : []),
+    [rows, selected.column, timed]
+  );
+
+  // statistics always use every reading, only the plotted points are reduced
+  const stats = useMemo(
+    () =>
+      seriesStats(timed ? raw.map((p) => p.v) : numberColumn(rows, selected.column)),
+    [timed, raw, rows, selected.column]
+  );
+
+  const datasets = [];
+  let plotted = 0;
+  let total = 0;
+  // full-resolution series behind the main line, for export
+  let exportRows = [];
+  if (timed) {
+    const resampled = resample(raw, resampleInterval, agg, pct);
+    const main = lttb(resampled.map((p) => ({ x: p.t, y: p.v })));
+    plotted = main.length;
+    total = resampled.length;
+    exportRows = resampled.map((p) => ({
+      time: formatTimestamp(p.t),
+      value: p.v,
+      readings: p.n,
+    }));
+    const interval = INTERVALS.find((i) => i.id === resampleInterval);
+    datasets.push({
+      label:
+        resampleInterval === "raw"
+          ? selected.label
+          : t("timeSeries.resampled", {
+              series: selected.label,
+              interval: intervalLabel(interval).toLowerCase(),
+              agg:
+                agg === "percentile"
+                  ? `p${pct}`
+                  : aggLabel(AGGREGATIONS.find((a) => a.id === agg)).toLowerCase(),
+            }),
+      data: main,
+      borderColor: "rgb(129, 140, 248)",
+      backgroundColor: "rgba(129, 140, 248, 0.3)",
+      pointRadius: main.length > 400 ? 0 : 2,
+      pointBackgroundColor: isAqi
+        ? main.map((p) => pointColor(p.y))
+        : undefined,
+      borderWidth: 1.5,
+      tension: 0.2,
+    });
+
+    if (showRolling && hours) {
+      datasets.push({
+        label: t("timeSeries.rolling", { hours }),
+        data: lttb(rollingMean(raw, hours).map((p) => ({ x: p.t, y: p.v }))),
+        borderColor: "rgb(45, 212, 191)",
+        backgroundColor: "rgba(45, 212, 191, 0.3)",
+        pointRadius: 0,
+        borderWidth: 1.5,
+        tension: 0.2,
+      });
+      if (hours === 8) {
+        datasets.push({
+          label: t("timeSeries.dailyMax8h"),
+          data: dailyMaxRolling(raw, 8).map((p) => ({ x: p.t, y: p.v })),
+          borderColor: "rgb(251, 146, 60)",
+          backgroundColor: "rgb(251, 146, 60)",
+          showLine: false,
+          pointRadius: 3,
+        });
+      }
+    }
+  } else {
+    // no parseable dates: plot in file order like before
+    const ordered = [];
+    numberColumn(rows, selected.column).forEach((y, i) => {
+      if (!Number.isNaN(y)) ordered.push({ x: i + 1, y });
+    });
+    const main = lttb(ordered);
+    plotted = main.length;
+    total = ordered.length;
+    exportRows = ordered.map((p) => ({ reading: p.x, value: p.y }));
+    datasets.push({
+      label: selected.label,
+      data: main,
+      borderColor: "rgb(129, 140, 248)",
+      backgroundColor: "rgba(129, 140, 248, 0.3)",
+      pointRadius: main.length > 400 ? 0 : 2,
+      pointBackgroundColor: isAqi
+        ? main.map((p) => pointColor(p.y))
+        : undefined,
+      tension: 0.2,
+    });
+  }
+
+  const unit = selected.field ? CANONICAL_UNITS[selected.field] : "index";
+  const getExport = () => ({
+    name: `series-${selected.column}`,
+    title: `${selected.label} time series`,
+    meta: {
+      Series: selected.label,
+      Standard: standard.name,
+      Resampling: timed
+        ? resampleInterval === "raw"
+          ? "raw readings"
+          : `${resampleInterval} ${agg === "percentile" ? `p${pct}` : agg}`
+        : "file order (no dates)",
+      Rows: `${rows.length} source rows`,
+    },
+    columns: timed
+      ? [
+          { key: "time", unit: "local time", description: "Bucket start or reading time" },
+          { key: "value", unit, description: selected.label },
+          { key: "readings", unit: "count", description: "Readings aggregated into the value" },
+        ]
+      : [
+          { key: "reading", unit: "#", description: "Row position in the file" },
+          { key: "value", unit, description: selected.label },
+        ],
+    rows: exportRows,
+  });
+
+  const options = {
+    responsive: true,
+    // data is already sorted {x, y}; skip Chart.js parsing for big series
+    parsing: false,
+    normalized: true,
+    animation: total > MAX_CHART_POINTS ? false : undefined,
+    plugins: {
+      legend: { labels: { color: "#e5e7eb", font: { size: 10 } } },
+    },
+    scales: {
+      x: timed
+        ? {
+            type: "time",
+            ticks: { color: "#9ca3af", font: { size: 8 }, maxRotation: 0 },
+            grid: { color: "rgba(75,85,99,0.25)" },
+          }
+        : {
+            type: "linear",
+            title: {
+              display: true,
+              text: t("timeSeries.readingAxis"),
+              color: "#9ca3af",
+              font: { size: 9 },
+            },
+            ticks: { color: "#9ca3af", font: { size: 8 } },
+            grid: { color: "rgba(75,85,99,0.25)" },
+          },
+      y: {
+        ticks: { color: "#9ca3af", font: { size: 9 } },
+        grid: { color: "rgba(75,85,99,0.25)" },
+      },
+    },
+  };
+
+  return (
+    <section className="bg-slate-900/80 border border-slate-700 rounded-2xl p-5 shadow-xl">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h3 className="text-sm font-semibold">{title}</h3>
+        <ExportMenu getDataset={getExport} />
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-3 text-[11px] text-slate-300">
+        <select
+          value={selected.column}
+          onChange={(e) => setColumn(e.target.value)}
+          className={selectClass}
+        >
+          {seriesOptions.map((o) => (
+            <option key={o.column} value={o.column}>
+              {o.label}
+            </option>
+          ))}
+        </select>
+        {timed && (
+          <>
+            <select
+              value={resampleInterval}
+              onChange={(e) => setResampleInterval(e.target.value)}
+              className={selectClass}
+            >
+              {INTERVALS.map((i) => (
+                <option key={i.id} value={i.id}>
+                  {intervalLabel(i)}
+                </option>
+              ))}
+            </select>
+            <select
+              value={agg}
+              onChange={(e) => setAgg(e.target.value)}
+              disabled={resampleInterval === "raw"}
+              className={`${selectClass} disabled:opacity-40`}
+            >
+              {AGGREGATIONS.map((a) => (
+                <option key={a.id} value={a.id}>
+                  {aggLabel(a)}
+                </option>
+              ))}
+            </select>
+            {agg === "percentile" && resampleInterval !== "raw" && (
+              <input
+                type="number"
+                min="1"
+                max="99"
+                value={pct}
+                onChange={(e) => setPct(Math.min(99, Math.max(1, Number(e.target.value) || 95)))}
+                className={`${selectClass} w-14`}
+              />
+            )}
+            {hours && (
+              <label className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={showRolling}
+                  onChange={(e) => setShowRolling(e.target.checked)}
+                />
+                {t("timeSeries.window", { hours })}
+              </label>
+            )}
+          </>
+        )}
+      </div>
+
+      <AccessibleChart
+        chart={Line}
+        title={t("timeSeries.chart", { series: selected.label })}
+        data={{ datasets }}
+        options={options}
+      />
+
+      {stats && (
+        <div className="mt-2 grid grid-cols-3 sm:grid-cols-6 gap-2 text-[10px]">
+          {[
+            ["readings", stats.count],
+            ["mean", stats.mean],
+            ["median", stats.median],
+            ["p95", stats.p95],
+            ["min", stats.min],
+            ["max", stats.max],
+          ].map(([label, value]) => (
+            <div
+              key={label}
+              className="rounded-lg border border-slate-700 bg-slate-800/60 px-2 py-1"
+            >
+              <p className="uppercase text-slate-500">{t(`timeSeries.stat.${label}`)}</p>
+              <p className="font-semibold text-slate-200">
+                {formatNumber(value, fixed(Number.isInteger(value) ? 0 : 1))}
+              </p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <p className="mt-2 text-[10px] text-slate-500">
+        {plotted < total && `${t("timeSeries.downsampled", { plotted, total })} `}
+        {timed
+          ? hours
+            ? t("timeSeries.regulatory", {
+                standard: standard.name,
+                averaging: standard.averaging[selected.field],
+              })
+            : t("timeSeries.timeAxis")
+          : t("timeSeries.fileOrder")}
+      </p>
+    </section>
+  );
+}
+
+export default TimeSeriesPanel;
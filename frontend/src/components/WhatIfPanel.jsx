@@ -0,0 +1,189 @@
+import { useMemo, useState } from "react";
+import { computeAqi, POLLUTANTS } from "../lib/aqi";
+import { CANONICAL_UNITS } from "../lib/units";
+import { categoryByName } from "../lib/standards";
+import {
+  reductionsToLowerCategory,
+  scaleConcentrations,
+} from "../lib/scenarios";
+import CategoryBadge from "./CategoryBadge";
+import { fixed, percent, useI18n } from "../i18n";
+
+const MAX_FACTOR = 1.5;
+
+const fmt = (v, formatNumber) => formatNumber(v, fixed(Math.abs(v) >= 100 ? 0 : 1));
+
+/* =============== WHAT-IF PLANNER =============== */
+
+// Scale each pollutant of the current reading and watch the AQI follow.
+// The parent remounts this panel (key) when a new reading is calculated.
+function WhatIfPanel({ input, standard, onPin }) {
+  const { t, formatNumber } = useI18n();
+  // 1 = unchanged, 0.6 = cut by 40 %
+  const [factors, setFactors] = useState({});
+
+  const scenario = useMemo(() => scaleConcentrations(input, factors), [input, factors]);
+  const baseline = useMemo(() => computeAqi(input, standard), [input, standard]);
+  const current = useMemo(() => computeAqi(scenario, standard), [scenario, standard]);
+  const plan = useMemo(() => reductionsToLowerCategory(scenario, standard), [scenario, standard]);
+
+  const changes = POLLUTANTS.filter(({ key }) => (factors[key] ?? 1) !== 1);
+  const scenarioLabel = changes.length
+    ? t("whatIf.label", {
+        changes: changes
+          .map(({ key, label }) => `${label} ${Math.round((factors[key] - 1) * 100)}%`)
+          .join(", "),
+      })
+    : t("whatIf.unchanged");
+
+  // apply the cuts from the plan on top of the current sliders
+  const applyPlan = () => {
+    const next = { ...factors };
+    plan.reductions.forEach((r) => {
+      // whole percent, rounded down so the level ends up at or below the target
+      next[r.key] = Math.floor((r.required / input[r.key]) * 100) / 100;
+    });
+    setFactors(next);
+  };
+
+  const delta = current.aqi !== null && baseline.aqi !== null ? current.aqi - baseline.aqi : 0;
+
+  return (
+    <div className="bg-slate-900/80 border border-slate-700 rounded-2xl p-5 shadow-xl space-y-4">
+      <div className="flex items-center justify-between gap-2">
+        <div>
+          <h3 className="text-sm font-semibold">{t("whatIf.title")}</h3>
+          <p className="text-[11px] text-slate-400">
+            {t("whatIf.intro", { standard: standard.name })}
+          </p>
+        </div>
+        <div className="flex gap-2 text-[11px]">
+          <button
+            type="button"
+            onClick={() => setFactors({})}
+            className="px-2 py-0.5 rounded-full border border-slate-600 hover:bg-slate-800"
+          >
+            {t("whatIf.reset")}
+          </button>
+          <button
+            type="button"
+            onClick={() => onPin(scenarioLabel, scenario)}
+            className="px-2 py-0.5 rounded-full border border-cyan-500 text-cyan-200 hover:bg-cyan-500/10"
+          >
+            {t("whatIf.pin")}
+          </button>
+        </div>
+      </div>
+
+      <div className="flex items-center justify-between gap-3">
+        <div>
+          <p className="text-[11px] uppercase text-slate-400">{t("whatIf.aqi")}</p>
+          <p className="text-3xl font-bold">
+            {current.aqi ?? "–"}
+            {delta !== 0 && (
+              <span
+                className={`ml-2 text-sm font-semibold ${
+                  delta < 0 ? "text-emerald-300" : "text-red-300"
+                }`}
+              >
+                {delta > 0 ? "+" : ""}
+                {fmt(delta, formatNumber)}
+              </span>
+            )}
+          </p>
+        </div>
+        <div className="text-right">
+          <CategoryBadge
+            category={categoryByName(current.category, standard)}
+            standard={standard}
+            className="inline-flex px-3 py-1 rounded-full text-xs font-semibold"
+          />
+          <p className="mt-1 text-[11px] text-slate-400">
+            {t("whatIf.dominant", { pollutant: current.dominant_pollutant ?? "–" })}
+          </p>
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        {POLLUTANTS.map(({ key, label }) => {
+          const factor = factors[key] ?? 1;
+          return (
+            <div key={key} className="grid grid-cols-[3.5rem_1fr_8.5rem] items-center gap-2 text-[11px]">
+              <label htmlFor={`whatif-${key}`} className="text-slate-300">
+                {label}
+              </label>
+              <input
+                id={`whatif-${key}`}
+                type="range"
+                min="0"
+                max={MAX_FACTOR}
+                step="0.01"
+                value={factor}
+                onChange={(e) => setFactors({ ...factors, [key]: Number(e.target.value) })}
+                className="accent-cyan-400"
+              />
+              <span className="text-right text-slate-400">
+                {fmt(scenario[key], formatNumber)} {CANONICAL_UNITS[key]}{" "}
+                <span className={factor < 1 ? "text-emerald-300" : factor > 1 ? "text-red-300" : ""}>
+                  ({factor === 1 ? "±0" : `${factor > 1 ? "+" : ""}${Math.round((factor - 1) * 100)}`}%)
+                </span>
+              </span>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="border-t border-slate-700 pt-3 text-[11px]">
+        {plan ? (
+          <>
+            <p className="text-slate-300 mb-1">
+              {t(plan.reductions.length > 1 ? "whatIf.moveDownAll" : "whatIf.moveDown", {
+                category: (
+                  <CategoryBadge
+                    key="category"
+                    category={plan.category}
+                    standard={standard}
+                    className="px-1.5 py-0.5 rounded font-semibold"
+                  />
+                ),
+                target: plan.target,
+              })}
+            </p>
+            <ul className="space-y-0.5">
+              {plan.reductions.map((r) => (
+                <li key={r.key} className="text-slate-300">
+                  {t("whatIf.reduction", {
+                    pollutant: (
+                      <span key="pollutant" className="font-semibold">
+                        {r.label}
+                      </span>
+                    ),
+                    from: fmt(r.current, formatNumber),
+                    to: fmt(r.required, formatNumber),
+                  })}{" "}
+                  {CANONICAL_UNITS[r.key]}{" "}
+                  <span className="text-amber-300">(−{formatNumber(r.cutPct / 100, percent(0))})</span>
+                </li>
+              ))}
+            </ul>
+            <button
+              type="button"
+              onClick={applyPlan}
+              className="mt-2 px-2 py-0.5 rounded-full border border-slate-600 hover:bg-slate-800"
+            >
+              {t("whatIf.apply")}
+            </button>
+          </>
+        ) : (
+          <p className="text-slate-400">
+            {current.aqi === null
+              ? t("whatIf.noValid")
+              : t("whatIf.lowest")}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default WhatIfPanel;
@@ -0,0 +1,213 @@
+import { useEffect, useState } from "react";
+import {
+  listDatasets,
+  renameDataset,
+  deleteDataset,
+  listCalculations,
+  deleteCalculation,
+  clearCalculations,
+} from "../lib/workspace";
+import { getStandard } from "../lib/standards";
+import { categoryName, useI18n } from "../i18n";
+
+const HISTORY_PREVIEW = 6;
+
+const linkButton = "text-[10px] text-slate-400 hover:text-slate-100";
+
+/* =============== WORKSPACE (sidebar) =============== */
+
+// Saved datasets and calculator history from IndexedDB. `revision` is bumped
+// by the app whenever it writes to the workspace so the lists reload.
+function WorkspacePanel({
+  revision,
+  datasetId,
+  error,
+  onOpenDataset,
+  onDatasetDeleted,
+  onOpenCalculation,
+}) {
+  const { t, formatDate } = useI18n();
+  const [datasets, setDatasets] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [localRevision, setLocalRevision] = useState(0);
+  const [renaming, setRenaming] = useState(null);
+  const [showAll, setShowAll] = useState(false);
+  const [loadError, setLoadError] = useState("");
+
+  useEffect(() => {
+    let stale = false;
+    Promise.all([listDatasets(), listCalculations()])
+      .then(([ds, calcs]) => {
+        if (stale) return;
+        setDatasets(ds);
+        setHistory(calcs);
+        setLoadError("");
+      })
+      .catch((err) => {
+        if (!stale) setLoadError(err.message);
+      });
+    return () => {
+      stale = true;
+    };
+  }, [revision, localRevision]);
+
+  const refresh = () => setLocalRevision((r) => r + 1);
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    const name = renaming.name.trim();
+    if (name) await renameDataset(renaming.id, name);
+    setRenaming(null);
+    refresh();
+  };
+
+  const handleDelete = async (ds) => {
+    if (!window.confirm(t("workspace.confirmDelete", { name: ds.name }))) return;
+    await deleteDataset(ds.id);
+    onDatasetDeleted(ds.id);
+    refresh();
+  };
+
+  const shownHistory = showAll ? history : history.slice(0, HISTORY_PREVIEW);
+
+  return (
+    <div className="text-[11px] text-slate-300 space-y-2">
+      <p className="font-semibold text-slate-100">{t("workspace.title")}</p>
+      {(error || loadError) && (
+        <p className="text-red-400">{error || loadError}</p>
+      )}
+
+      <div className="space-y-1">
+        <p className="text-slate-400">{t("workspace.datasets")}</p>
+        {datasets.length === 0 && (
+          <p className="text-slate-500">{t("workspace.noDatasets")}</p>
+        )}
+        {datasets.map((ds) => (
+          <div
+            key={ds.id}
+            className={`rounded-lg border px-2 py-1 ${
+              ds.id === datasetId
+                ? "border-cyan-400 bg-cyan-400/10"
+                : "border-slate-700 bg-slate-900/60"
+            }`}
+          >
+            {renaming?.id === ds.id ? (
+              <form onSubmit={handleRename} className="flex gap-1">
+                <input
+                  autoFocus
+                  value={renaming.name}
+                  onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                  onKeyDown={(e) => e.key === "Escape" && setRenaming(null)}
+                  className="flex-1 min-w-0 rounded bg-slate-800 border border-slate-600 px-1 py-0.5 text-[11px]"
+                />
+                <button type="submit" className={linkButton}>
+                  {t("workspace.save")}
+                </button>
+              </form>
+            ) : (
+              <button
+                type="button"
+                onClick={() => onOpenDataset(ds.id)}
+                className="block w-full text-left truncate font-medium text-slate-200"
+                title={ds.fileName}
+              >
+                {ds.name}
+              </button>
+            )}
+            <div className="flex items-center justify-between gap-1">
+              <span className="text-[10px] text-slate-500">
+                {t("workspace.rows", {
+                  count: ds.rowCount,
+                  time: formatDate(ds.savedAt, "dd MMM HH:mm"),
+                })}
+              </span>
+              <span className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={() => setRenaming({ id: ds.id, name: ds.name })}
+                  className={linkButton}
+                >
+                  {t("workspace.rename")}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(ds)}
+                  className={linkButton}
+                >
+                  {t("workspace.delete")}
+                </button>
+              </span>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="space-y-1">
+        <div className="flex items-center justify-between">
+          <p className="text-slate-400">{t("workspace.history")}</p>
+          {history.length > 0 && (
+            <button
+              type="button"
+              onClick={async () => {
+                await clearCalculations();
+                refresh();
+              }}
+              className={linkButton}
+            >
+              {t("workspace.clear")}
+            </button>
+          )}
+        </div>
+        {history.length === 0 && (
+          <p className="text-slate-500">{t("workspace.noHistory")}</p>
+        )}
+        {shownHistory.map((entry) => (
+          <div
+            key={entry.id}
+            className="flex items-center gap-2 rounded-lg border border-slate-700 bg-slate-900/60 px-2 py-1"
+          >
+            <button
+              type="button"
+              onClick={() => onOpenCalculation(entry)}
+              className="flex-1 min-w-0 text-left"
+              title={t("workspace.reopen")}
+            >
+              <span className="font-semibold text-slate-100">
+                AQI {entry.result.aqi}
+              </span>{" "}
+              <span className="text-slate-400">
+                {entry.result.category && categoryName(t, entry.result.category)}
+              </span>
+              <span className="block text-[10px] text-slate-500 truncate">
+                {formatDate(entry.at, "dd MMM HH:mm")} ·{" "}
+                {getStandard(entry.result.standard).name}
+              </span>
+            </button>
+            <button
+              type="button"
+              onClick={async () => {
+                await deleteCalculation(entry.id);
+                refresh();
+              }}
+              className={linkButton}
+              aria-label={t("workspace.deleteCalculation")}
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+        {history.length > HISTORY_PREVIEW && (
+          <button
+            type="button"
+            onClick={() => setShowAll(!showAll)}
+            className={linkButton}
+          >
+            {showAll ? t("workspace.showFewer") : t("workspace.showAll", { count: history.length })}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default WorkspacePanel;
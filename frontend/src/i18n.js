@@ -0,0 +1,175 @@
+// Translations and locale-aware formatting.
+//
+// Catalogs in ./locales/<code>.js are flat { "key": "text" } objects with
+// {name} placeholders. English is bundled; the other languages are loaded
+// the first time they are picked. A key missing from a catalog falls back
+// to English, then to the `defaultValue` the caller passed (used for text
+// that lives in lib data, such as category names), then to the key itself.
+//
+// The language is a per-browser preference, stored in localStorage like the
+// API settings, and not part of shareable URLs.
+
+import { useSyncExternalStore } from "react";
+import { format } from "date-fns";
+import { bn, enIN, hi, ta, te } from "date-fns/locale";
+import en from "./locales/en";
+
+const LANGUAGE_KEY = "aqi-dashboard.language";
+const CHANGE_EVENT = "aqi-dashboard:language";
+
+// `locale` drives Intl number formatting, `dateLocale` date-fns / chart axes
+export const LANGUAGES = [
+  { id: "en", label: "English", locale: "en-IN", dateLocale: enIN },
+  { id: "hi", label: "हिन्दी", locale: "hi-IN", dateLocale: hi },
+  { id: "bn", label: "বাংলা", locale: "bn-IN", dateLocale: bn },
+  { id: "ta", label: "தமிழ்", locale: "ta-IN", dateLocale: ta },
+  { id: "te", label: "తెలుగు", locale: "te-IN", dateLocale: te },
+];
+
+const LOADERS = {
+  hi: () => import("./locales/hi"),
+  bn: () => import("./locales/bn"),
+  ta: () => import("./locales/ta"),
+  te: () => import("./locales/te"),
+};
+
+const catalogs = { en };
+
+const getLanguage = (id) => LANGUAGES.find((l) => l.id === id) || LANGUAGES[0];
+
+function initialLanguage() {
+  try {
+    const saved = localStorage.getItem(LANGUAGE_KEY);
+    if (saved) return getLanguage(saved).id;
+  } catch {
+    // storage disabled: fall through to the browser language
+  }
+  const browser = (navigator.language || "en").slice(0, 2);
+  return getLanguage(browser).id;
+}
+
+// ---------------- translate / format ----------------
+
+// "{count} rows" + { count: 3 } -> "3 rows"; when a value is a React element
+// the result is an array of parts so it can be rendered inside JSX
+// numbers in `vars` are written with the language's digits
+function interpolate(text, vars, formatNumber) {
+  const parts = text.split(/\{(\w+)\}/);
+  if (parts.length === 1) return text;
+  const value = (name) =>
+    typeof vars[name] === "number" ? formatNumber(vars[name]) : (vars[name] ?? `{${name}}`);
+  const values = parts.map((part, i) => (i % 2 ? value(part) : part));
+  return values.every((v) => typeof v === "string" || typeof v === "number")
+    ? values.join("")
+    : values;
+}
+
+function createI18n(id) {
+  const language = getLanguage(id);
+  const catalog = catalogs[language.id] || {};
+  const numberFormats = new Map();
+
+  const t = (key, vars = {}) => {
+    const text = catalog[key] ?? en[key] ?? vars.defaultValue ?? key;
+    return interpolate(text, vars, formatNumber);
+  };
+
+  const formatNumber = (value, options = { maximumFractionDigits: 2 }) => {
+    if (typeof value !== "number" || Number.isNaN(value)) return "";
+    const cacheKey = JSON.stringify(options);
+    if (!numberFormats.has(cacheKey)) {
+      numberFormats.set(cacheKey, new Intl.NumberFormat(language.locale, options));
+    }
+    return numberFormats.get(cacheKey).format(value);
+  };
+
+  // date-fns pattern, month and weekday names in the active language
+  const formatDate = (value, pattern = "PP") =>
+    format(value, pattern, { locale: language.dateLocale });
+
+  // a reading's time: the date alone when it falls on midnight (daily data)
+  const formatTimestamp = (value) => {
+    const d = new Date(value);
+    return formatDate(d, d.getHours() || d.getMinutes() ? "P HH:mm" : "P");
+  };
+
+  return {
+    lang: language.id,
+    language,
+    loaded: language.id in catalogs,
+    t,
+    formatNumber,
+    formatDate,
+    formatTimestamp,
+  };
+}
+
+// ---------------- store ----------------
+
+let current = createI18n(initialLanguage());
+
+function subscribe(callback) {
+  window.addEventListener(CHANGE_EVENT, callback);
+  return () => window.removeEventListener(CHANGE_EVENT, callback);
+}
+
+const getSnapshot = () => current;
+
+function activate(id) {
+  current = createI18n(id);
+  document.documentElement.lang = current.language.locale;
+  window.dispatchEvent(new Event(CHANGE_EVENT));
+}
+
+export function setLanguage(id) {
+  const { id: lang } = getLanguage(id);
+  try {
+    localStorage.setItem(LANGUAGE_KEY, lang);
+  } catch {
+    // not remembered, but still switched for this session
+  }
+  if (lang in catalogs) {
+    activate(lang);
+    return;
+  }
+  // switch right away (English fallback) and again once the catalog arrives
+  activate(lang);
+  LOADERS[lang]()
+    .then((module) => {
+      catalogs[lang] = module.default;
+      if (current.lang === lang) activate(lang);
+    })
+    .catch((err) => {
+      // offline or a stale deploy: stay usable in English
+      console.error(err);
+      if (current.lang === lang) activate("en");
+    });
+}
+
+if (!current.loaded) setLanguage(current.lang);
+else document.documentElement.lang = current.language.locale;
+
+// { lang, language, t, formatNumber, formatDate, formatTimestamp }; re-renders on switch
+export function useI18n() {
+  return useSyncExternalStore(subscribe, getSnapshot);
+}
+
+// Calls listener(i18n) now and after every switch, before React re-renders;
+// for settings outside React such as library defaults.
+export function onLanguageChange(listener) {
+  listener(current);
+  return subscribe(() => listener(current));
+}
+
+// formatNumber options: the locale-aware toFixed, and a fraction as a percentage
+export const fixed = (digits) => ({ minimumFractionDigits: digits, maximumFractionDigits: digits });
+export const percent = (digits) => ({ style: "percent", ...fixed(digits) });
+
+// category names and health text come from lib/standards.js in English
+export const categoryName = (t, name) => t(`category.${name}`, { defaultValue: name });
+
+export const categoryHealth = (t, standard, category) =>
+  t(`categoryHealth.${standard.id}.${category.name}`, { defaultValue: category.health });
+
+// import field labels come from lib/columnMapping.js
+export const fieldLabel = (t, field) => t(`importField.${field.id}`, { defaultValue: field.label });
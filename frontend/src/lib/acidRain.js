@@ -0,0 +1,168 @@
+// Rainwater pH from gas-phase SO₂, NO₂ and CO₂.
+// Open system: the droplet is in Henry's-law equilibrium with fixed partial
+// pressures of CO₂ and SO₂, and the dissolved gases dissociate:
+//   CO₂(aq) ⇌ HCO₃⁻ + H⁺ ⇌ CO₃²⁻ + 2H⁺
+//   SO₂·H₂O ⇌ HSO₃⁻ + H⁺ ⇌ SO₃²⁻ + 2H⁺         (so2-dissolution)
+// Sulfate and nitrate are strong acids that the drop scavenges completely:
+// the oxidised share of each gas (H₂SO₄ from SO₂, HNO₃ from NO₂) ends up in
+// the liquid water content L, so [X] = f · p / (R T L).
+// [H⁺] then follows from the charge balance, solved by bisection on pH.
+//
+// Constants at 298 K with van't Hoff temperature dependence
+// (Seinfeld & Pandis, Atmospheric Chemistry and Physics, tables 7.2–7.4).
+// Alkaline dust and ammonia, which neutralise much of the acidity in Indian
+// rain, are not included, so results are an upper bound on acidity.
+
+import { convert } from "./units";
+
+const R = 0.082057; // L atm mol⁻¹ K⁻¹
+
+// value at 298 K and −ΔH/R in K
+const CONSTANTS = {
+  kHCO2: [3.4e-2, 2420],
+  kaCO2: [4.3e-7, -1000],
+  kaHCO3: [4.68e-11, -1760],
+  kHSO2: [1.23, 3120],
+  kaSO2: [1.3e-2, 1960],
+  kaHSO3: [6.6e-8, 1500],
+  kw: [1.0e-14, -6710],
+};
+
+function constantsAt(temperatureC) {
+  const T = temperatureC + 273.15;
+  return Object.fromEntries(
+    Object.entries(CONSTANTS).map(([key, [k298, dh]]) => [
+      key,
+      k298 * Math.exp(dh * (1 / T - 1 / 298.15)),
+    ])
+  );
+}
+
+// pH of rain in equilibrium with CO₂ alone, the conventional acid-rain threshold
+export const NATURAL_RAIN_PH = 5.6;
+
+export const GASES = [
+  { id: "so2", label: "SO₂", unit: "ppb", reference: 10, color: "#f87171" },
+  { id: "no2", label: "NO₂", unit: "ppb", reference: 20, color: "#f97316" },
+  { id: "co2", label: "CO₂", unit: "ppm", reference: 420, color: "#a3e635" },
+];
+
+export const DEFAULT_INPUT = {
+  so2: 5, // ppb
+  no2: 15, // ppb
+  co2: 420, // ppm
+  // share of each gas already oxidised to H₂SO₄ / HNO₃ and rained out
+  so2Oxidised: 0.1,
+  no2Oxidised: 0.05,
+  // cloud / rain liquid water content, g m⁻³
+  lwc: 0.5,
+  temperatureC: 25,
+};
+
+// dissolved species shown in the distribution; charge only for anions
+export const SPECIES = [
+  { id: "H", label: "H^+" },
+  { id: "CO2", label: "CO2·H2O" },
+  { id: "HCO3", label: "HCO3^-", charge: 1, color: "#a3e635" },
+  { id: "CO3", label: "CO3^2-", charge: 2, color: "#65a30d" },
+  { id: "SO2", label: "SO2·H2O" },
+  { id: "HSO3", label: "HSO3^-", charge: 1, color: "#fca5a5" },
+  { id: "SO3", label: "SO3^2-", charge: 2, color: "#fda4af" },
+  { id: "SO4", label: "SO4^2-", charge: 2, color: "#ef4444" },
+  { id: "NO3", label: "NO3^-", charge: 1, color: "#f97316" },
+  { id: "OH", label: "OH^-", charge: 1, color: "#94a3b8" },
+];
+
+// µg/m³ → ppb for SO₂ / NO₂ (CSV rows and the calculator form are in µg/m³)
+export function toPpb(value, pollutant, conditions) {
+  return convert(value, "µg/m³", "ppb", pollutant, conditions);
+}
+
+// concentrations (mol L⁻¹) of every species at a given [H⁺]
+function speciation(h, k, fixed) {
+  const co2 = fixed.co2;
+  const hco3 = (k.kaCO2 * co2) / h;
+  const so2 = fixed.so2;
+  const hso3 = (k.kaSO2 * so2) / h;
+  return {
+    H: h,
+    OH: k.kw / h,
+    CO2: co2,
+    HCO3: hco3,
+    CO3: (k.kaHCO3 * hco3) / h,
+    SO2: so2,
+    HSO3: hso3,
+    SO3: (k.kaHSO3 * hso3) / h,
+    SO4: fixed.so4,
+    NO3: fixed.no3,
+  };
+}
+
+// cations minus anions; increases monotonically with [H⁺]
+function chargeImbalance(c) {
+  return c.H - (c.OH + c.HCO3 + 2 * c.CO3 + c.HSO3 + 2 * c.SO3 + 2 * c.SO4 + c.NO3);
+}
+
+// { pH, concentrations: { H, OH, CO2, ... } in mol L⁻¹, anions: [{ id, ueq, share }] }
+export function rainComposition(input) {
+  const k = constantsAt(input.temperatureC);
+  const T = input.temperatureC + 273.15;
+  const L = input.lwc * 1e-6; // L water per L air
+  const atm = (ppb) => Math.max(0, ppb) * 1e-9;
+
+  // the oxidised share no longer exists as SO₂ gas
+  const so2Gas = atm(input.so2) * (1 - input.so2Oxidised);
+  const fixed = {
+    co2: k.kHCO2 * Math.max(0, input.co2) * 1e-6,
+    so2: k.kHSO2 * so2Gas,
+    so4: L > 0 ? (input.so2Oxidised * atm(input.so2)) / (R * T * L) : 0,
+    no3: L > 0 ? (input.no2Oxidised * atm(input.no2)) / (R * T * L) : 0,
+  };
+
+  let lo = -1; // pH bounds as log10 [H⁺]
+  let hi = -14;
+  for (let i = 0; i < 80; i++) {
+    const mid = (lo + hi) / 2;
+    if (chargeImbalance(speciation(10 ** mid, k, fixed)) > 0) lo = mid;
+    else hi = mid;
+  }
+  const concentrations = speciation(10 ** ((lo + hi) / 2), k, fixed);
+
+  const anions = SPECIES.filter((s) => s.charge).map((s) => ({
+    id: s.id,
+    label: s.label,
+    ueq: concentrations[s.id] * s.charge * 1e6,
+  }));
+  const total = anions.reduce((sum, a) => sum + a.ueq, 0) || 1;
+  anions.forEach((a) => {
+    a.share = a.ueq / total;
+  });
+
+  return { pH: -Math.log10(concentrations.H), concentrations, anions };
+}
+
+// pH as one gas is scaled from 0 to `maxFactor` × its level in `input`;
+// a zero level is swept around the gas's reference value instead
+export function phSweep(input, gasId, maxFactor = 4, steps = 40) {
+  const gas = GASES.find((g) => g.id === gasId);
+  const base = input[gasId] > 0 ? input[gasId] : gas.reference;
+  const points = [];
+  for (let i = 0; i <= steps; i++) {
+    const factor = (maxFactor * i) / steps;
+    points.push({ factor, pH: rainComposition({ ...input, [gasId]: base * factor }).pH });
+  }
+  return { base, points };
+}
+
+// { id, text } for a rain pH; the id keys translations of the text
+export function describePh(pH) {
+  if (pH < 4.3) {
+    return {
+      id: "strong",
+      text: "strongly acidic rain, typical downwind of coal power and smelters",
+    };
+  }
+  if (pH < 5) return { id: "acid", text: "acid rain" };
+  if (pH < NATURAL_RAIN_PH) return { id: "mild", text: "mildly acidic rain" };
+  return { id: "clean", text: "no more acidic than clean rain in equilibrium with CO₂" };
+}
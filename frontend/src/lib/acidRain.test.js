@@ -0,0 +1,77 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_INPUT,
+  NATURAL_RAIN_PH,
+  describePh,
+  phSweep,
+  rainComposition,
+  toPpb,
+} from "./acidRain";
+
+const CLEAN = { ...DEFAULT_INPUT, so2: 0, no2: 0 };
+
+describe("rainComposition", () => {
+  it("gives pH 5.6 for rain with CO₂ alone", () => {
+    expect(rainComposition(CLEAN).pH).toBeCloseTo(NATURAL_RAIN_PH, 1);
+  });
+
+  it("balances cation and anion charge", () => {
+    const { concentrations: c } = rainComposition(DEFAULT_INPUT);
+    const anions = c.OH + c.HCO3 + 2 * c.CO3 + c.HSO3 + 2 * c.SO3 + 2 * c.SO4 + c.NO3;
+
+    expect(anions / c.H).toBeCloseTo(1, 6);
+  });
+
+  it("acidifies with sulfur and nitrogen oxides", () => {
+    const polluted = rainComposition({ ...DEFAULT_INPUT, so2: 40, no2: 60 }).pH;
+
+    expect(rainComposition(DEFAULT_INPUT).pH).toBeLessThan(rainComposition(CLEAN).pH);
+    expect(polluted).toBeLessThan(rainComposition(DEFAULT_INPUT).pH);
+  });
+
+  it("shares the anion charge out to one", () => {
+    const { anions } = rainComposition(DEFAULT_INPUT);
+    const total = anions.reduce((sum, a) => sum + a.share, 0);
+
+    expect(total).toBeCloseTo(1, 10);
+    expect(anions.find((a) => a.id === "SO4").ueq).toBeGreaterThan(0);
+  });
+
+  it("scavenges no strong acid without liquid water", () => {
+    const { concentrations } = rainComposition({ ...DEFAULT_INPUT, lwc: 0 });
+
+    expect(concentrations.SO4).toBe(0);
+    expect(concentrations.NO3).toBe(0);
+  });
+});
+
+describe("phSweep", () => {
+  it("lowers the pH as the gas is scaled up", () => {
+    const { base, points } = phSweep(DEFAULT_INPUT, "so2", 4, 8);
+
+    expect(base).toBe(DEFAULT_INPUT.so2);
+    expect(points).toHaveLength(9);
+    expect(points[0].factor).toBe(0);
+    expect(points[8].factor).toBe(4);
+    points.slice(1).forEach((p, i) => expect(p.pH).toBeLessThan(points[i].pH));
+  });
+
+  it("sweeps around the reference level of an absent gas", () => {
+    expect(phSweep(CLEAN, "no2").base).toBe(20);
+  });
+});
+
+describe("describePh", () => {
+  it("classes rain by acidity", () => {
+    expect(describePh(4).id).toBe("strong");
+    expect(describePh(4.6).id).toBe("acid");
+    expect(describePh(5.3).id).toBe("mild");
+    expect(describePh(5.6).id).toBe("clean");
+  });
+});
+
+describe("toPpb", () => {
+  it("converts µg/m³ of SO₂ to ppb", () => {
+    expect(toPpb(26.2, "so2")).toBeCloseTo(10, 1);
+  });
+});
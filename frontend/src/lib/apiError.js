@@ -0,0 +1,40 @@
+// Error type shared by the API client (../api.js) and its mock adapter.
+// `kind` lets the UI show a specific message instead of a generic failure.
+
+// kind: "network" | "timeout" | "validation" | "server" | "cancelled"
+export class ApiError extends Error {
+  constructor(kind, message, { status = null, details = null } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.kind = kind;
+    this.status = status;
+    this.details = details;
+  }
+
+  get retryable() {
+    return (
+      this.kind === "network" ||
+      this.kind === "timeout" ||
+      (this.kind === "server" && [502, 503, 504].includes(this.status))
+    );
+  }
+}
+
+// short, user-facing explanation for each kind of failure; `t` is the
+// translate function from useI18n (../i18n.js)
+export function describeApiError(err, t) {
+  switch (err?.kind) {
+    case "network":
+      return t("apiError.network");
+    case "timeout":
+      return t("apiError.timeout");
+    case "validation":
+      return t("apiError.validation", { message: err.message });
+    case "server":
+      return t("apiError.server", { status: err.status });
+    case "cancelled":
+      return t("apiError.cancelled");
+    default:
+      return t("apiError.unknown");
+  }
+}
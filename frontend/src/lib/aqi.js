@@ -0,0 +1,121 @@
+// Client-side AQI engine.
+// Mirrors the response shape of the backend's /api/calc-aqi so the dashboard
+// can work without a server, but uses proper piecewise-linear breakpoint
+// tables (see ./standards.js) instead of fixed multipliers.
+
+import { getStandard, findCategory } from "./standards";
+
+// pollutant keys as used by the calculator form, and the labels the backend
+// returns as `dominant_pollutant`
+export const POLLUTANTS = [
+  { key: "pm25", label: "PM2.5" },
+  { key: "pm10", label: "PM10" },
+  { key: "so2", label: "SO2" },
+  { key: "no2", label: "NO2" },
+  { key: "co", label: "CO" },
+  { key: "o3", label: "O3" },
+];
+
+// same wording as chemistry_explanation() in backend/main.py
+const CHEMISTRY_NOTES = {
+  "PM2.5":
+    "PM2.5 are fine particles (<2.5 μm) that can reach deep into the lungs. " +
+    "They often carry adsorbed heavy metals and organic compounds, causing " +
+    "respiratory and cardiovascular problems.",
+  PM10:
+    "PM10 are coarse particles (<10 μm). They mostly deposit in the upper " +
+    "respiratory tract and can cause irritation, coughing and breathing difficulty.",
+  SO2:
+    "SO₂ is released when sulfur-containing fuels are burned. In air it forms " +
+    "SO₃ which reacts with water to give H₂SO₄ (sulfuric acid), contributing " +
+    "to acid rain and corrosion.\n" +
+    "Reactions: SO₂ + ½O₂ → SO₃;  SO₃ + H₂O → H₂SO₄",
+  NO2:
+    "NO₂ is a major component of vehicle exhaust. It participates in " +
+    "photochemical smog formation and can lead to ozone (O₃) formation in the troposphere.",
+  CO:
+    "CO is formed by incomplete combustion of fuels. It binds strongly to " +
+    "hemoglobin forming carboxyhemoglobin, reducing the oxygen-carrying capacity of blood.",
+  O3:
+    "Ground-level O₃ is a secondary pollutant formed when NOx and VOCs react " +
+    "in sunlight. It is a strong oxidizing agent and irritates eyes and lungs.",
+};
+
+export function chemistryNote(dominant) {
+  return (
+    CHEMISTRY_NOTES[dominant] ||
+    "The dominant pollutant has significant health and environmental impacts."
+  );
+}
+
+// Linear interpolation inside the matching breakpoint segment.
+// Returns null for missing / invalid concentrations so they are ignored.
+export function subIndex(concentration, segments, maxIndex = 500) {
+  if (typeof concentration !== "number" || Number.isNaN(concentration)) {
+    return null;
+  }
+  if (concentration < 0 || !segments?.length) return null;
+
+  const seg =
+    segments.find(([, cHi]) => concentration <= cHi) ||
+    segments[segments.length - 1];
+  const [cLo, cHi, iLo, iHi] = seg;
+  const value = ((iHi - iLo) / (cHi - cLo)) * (concentration - cLo) + iLo;
+  return Math.min(value, maxIndex);
+}
+
+// sub-index of one pollutant; `capped` is true when the concentration is past
+// the end of a table the standard does not extrapolate (see `cappedTables`)
+function pollutantIndex(concentration, key, standard) {
+  const segments = standard.breakpoints[key];
+  const [, cTop, , iTop] = segments[segments.length - 1];
+  if (standard.cappedTables?.includes(key) && concentration > cTop) {
+    return { value: iTop, capped: true };
+  }
+  return { value: subIndex(concentration, segments, standard.maxIndex), capped: false };
+}
+
+// concentrations: { pm25, pm10, so2, no2, co, o3 } as numbers (null = not measured)
+// returns { aqi, category, dominant_pollutant, chemistry_note, sub_indices,
+// beyond_table, standard }; beyond_table lists pollutants held at the top of
+// their table, whose true sub-index is higher
+export function computeAqi(concentrations, standard = getStandard()) {
+  const sub_indices = {};
+  const beyond_table = [];
+  let dominant = null;
+  let aqi = 0;
+
+  POLLUTANTS.forEach(({ key, label }) => {
+    const { value, capped } = pollutantIndex(concentrations[key], key, standard);
+    if (value === null) return;
+    if (capped) beyond_table.push(label);
+    sub_indices[label] = Math.round(value * 10) / 10;
+    if (dominant === null || value > aqi) {
+      aqi = value;
+      dominant = label;
+    }
+  });
+
+  if (dominant === null) {
+    return {
+      aqi: null,
+      category: null,
+      dominant_pollutant: null,
+      chemistry_note: "No valid pollutant concentrations were provided.",
+      sub_indices,
+      beyond_table,
+      standard: standard.id,
+    };
+  }
+
+  const rounded = Math.round(aqi * 10) / 10;
+  return {
+    aqi: rounded,
+    category: findCategory(rounded, standard).name,
+    dominant_pollutant: dominant,
+    chemistry_note: chemistryNote(dominant),
+    sub_indices,
+    beyond_table,
+    standard: standard.id,
+  };
+}
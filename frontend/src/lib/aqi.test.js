@@ -0,0 +1,81 @@
+import { describe, expect, it } from "vitest";
+import { computeAqi, subIndex } from "./aqi";
+import { getStandard } from "./standards";
+
+const NAQI = getStandard("naqi");
+
+describe("subIndex", () => {
+  const segments = NAQI.breakpoints.pm25;
+
+  it("interpolates inside the matching segment", () => {
+    expect(subIndex(0, segments)).toBe(0);
+    expect(subIndex(30, segments)).toBe(50);
+    expect(subIndex(45, segments)).toBe(75);
+    expect(subIndex(75, segments)).toBe(150);
+  });
+
+  it("extrapolates the last segment up to the maximum index", () => {
+    expect(subIndex(380, segments)).toBe(500);
+    expect(subIndex(1000, segments)).toBe(500);
+    expect(subIndex(1000, segments, 600)).toBeGreaterThan(500);
+  });
+
+  it("ignores missing and negative concentrations", () => {
+    expect(subIndex(null, segments)).toBeNull();
+    expect(subIndex(NaN, segments)).toBeNull();
+    expect(subIndex(-1, segments)).toBeNull();
+    expect(subIndex(10, [])).toBeNull();
+  });
+});
+
+describe("computeAqi", () => {
+  it("takes the highest sub-index as the AQI", () => {
+    const result = computeAqi({ pm25: 45, pm10: 80, so2: 20, no2: 30, co: 0.5, o3: 40 }, NAQI);
+
+    expect(result.sub_indices).toEqual({
+      "PM2.5": 75,
+      PM10: 80,
+      SO2: 25,
+      NO2: 37.5,
+      CO: 25,
+      O3: 40,
+    });
+    expect(result.aqi).toBe(80);
+    expect(result.dominant_pollutant).toBe("PM10");
+    expect(result.category).toBe("Satisfactory");
+    expect(result.standard).toBe("naqi");
+  });
+
+  it("skips pollutants that were not measured", () => {
+    const result = computeAqi({ pm25: 95 }, NAQI);
+
+    expect(Object.keys(result.sub_indices)).toEqual(["PM2.5"]);
+    expect(result.aqi).toBeCloseTo(216.7, 1);
+    expect(result.category).toBe("Poor");
+  });
+
+  it("returns no AQI without any valid concentration", () => {
+    const result = computeAqi({ pm25: null, o3: -5 }, NAQI);
+
+    expect(result.aqi).toBeNull();
+    expect(result.category).toBeNull();
+    expect(result.dominant_pollutant).toBeNull();
+  });
+
+  it("holds capped tables at their top and flags them", () => {
+    const epa = getStandard("us-epa");
+    const result = computeAqi({ o3: 1000 }, epa);
+
+    expect(result.aqi).toBe(300);
+    expect(result.beyond_table).toEqual(["O3"]);
+  });
+
+  it("names categories in the standard's own scale", () => {
+    const input = { pm25: 45 };
+
+    expect(computeAqi(input, NAQI).category).toBe("Satisfactory");
+    expect(computeAqi(input, getStandard("us-epa")).category).toBe(
+      "Unhealthy for Sensitive Groups"
+    );
+  });
+});
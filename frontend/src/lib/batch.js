@@ -0,0 +1,100 @@
+// Batch AQI for uploaded datasets.
+// Runs every row through the same engine as the calculator and appends the
+// results as derived columns, so files that only hold raw concentrations
+// still get an AQI series.
+
+import { computeAqi, POLLUTANTS } from "./aqi";
+import { IMPORT_FIELDS } from "./columnMapping";
+import { encodeColumn, numberColumn, withColumns, withStore } from "./columnarStore";
+
+// calculator key -> canonical CSV column (PM2_5, PM10, ...)
+const COLUMN_FOR = Object.fromEntries(
+  IMPORT_FIELDS.map((f) => [f.id, f.column])
+);
+
+export const DERIVED_COLUMNS = {
+  aqi: "AQI_computed",
+  category: "Category_computed",
+  dominant: "Dominant_computed",
+};
+
+// "SI_PM2_5", "SI_NO2", ... one sub-index column per pollutant
+export const subIndexColumn = (key) => `SI_${COLUMN_FOR[key]}`;
+
+// the file's own AQI in view order (NaN = none); an "AQI" column wins over "aqi"
+function reportedColumn(view) {
+  const upper = numberColumn(view, "AQI");
+  const lower = numberColumn(view, "aqi");
+  return upper.map((v, k) => (Number.isNaN(v) ? lower[k] : v));
+}
+
+export function hasReportedAqi(view) {
+  return reportedColumn(view).some((v) => !Number.isNaN(v));
+}
+
+// Adds the derived columns to the view's store; they are only filled in for
+// the rows in the view.
+export function enrichRows(view, standard) {
+  const n = view.store.rowCount;
+  const concentrations = POLLUTANTS.map(({ key }) => [key, numberColumn(view, COLUMN_FOR[key])]);
+  const aqi = new Float64Array(n).fill(NaN);
+  const category = new Array(n).fill(null);
+  const dominant = new Array(n).fill(null);
+  const subIndices = Object.fromEntries(
+    POLLUTANTS.map(({ key }) => [key, new Float64Array(n).fill(NaN)])
+  );
+
+  for (let k = 0; k < view.length; k++) {
+    const i = view.index[k];
+    const result = computeAqi(
+      Object.fromEntries(concentrations.map(([key, values]) => [key, values[k]])),
+      standard
+    );
+    if (result.aqi !== null) aqi[i] = result.aqi;
+    category[i] = result.category;
+    dominant[i] = result.dominant_pollutant;
+    POLLUTANTS.forEach(({ key, label }) => {
+      subIndices[key][i] = result.sub_indices[label] ?? NaN;
+    });
+  }
+
+  const store = withColumns(view.store, {
+    [DERIVED_COLUMNS.aqi]: { kind: "number", data: aqi },
+    [DERIVED_COLUMNS.category]: encodeColumn(category),
+    [DERIVED_COLUMNS.dominant]: encodeColumn(dominant),
+    ...Object.fromEntries(
+      POLLUTANTS.map(({ key }) => [subIndexColumn(key), { kind: "number", data: subIndices[key] }])
+    ),
+  });
+  return withStore(view, store);
+}
+
+// Rows where |reported - computed| exceeds the tolerance (absolute AQI points).
+// Expects a view that already went through enrichRows; `index` is the
+// position in it.
+export function findDiscrepancies(view, tolerance) {
+  const flagged = [];
+  let compared = 0;
+  let sumAbsDiff = 0;
+  const reportedValues = reportedColumn(view);
+  const computedValues = numberColumn(view, DERIVED_COLUMNS.aqi);
+
+  for (let index = 0; index < view.length; index++) {
+    const reported = reportedValues[index];
+    const computed = computedValues[index];
+    if (Number.isNaN(reported) || Number.isNaN(computed)) continue;
+
+    const diff = computed - reported;
+    compared += 1;
+    sumAbsDiff += Math.abs(diff);
+    if (Math.abs(diff) > tolerance) {
+      flagged.push({ index, reported, computed, diff });
+    }
+  }
+
+  return {
+    compared,
+    flagged,
+    meanAbsDiff: compared ? sumAbsDiff / compared : 0,
+  };
+}
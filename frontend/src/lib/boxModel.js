@@ -0,0 +1,243 @@
+// Zero-dimensional (box) model of NO–NO₂–O₃ photochemistry.
+// Concentrations in ppb, time in minutes, 298 K and 1 atm.
+//
+// Mechanism (reaction ids from ./reactions.js where they exist):
+//   R1  NO₂ + hν → NO + O₃         (no2-photolysis + o-o2, O atom in steady state)
+//   R2  NO + O₃ → NO₂ + O₂         (no-o3)
+// optional VOC / RO₂ chemistry, lumped:
+//   R3  VOC + OH → RO₂             (ch4-oh + ch3-o2)
+//   R4  RO₂ + NO → NO₂ + RO₂·y     (ro2-no; y = radical recycling via HO₂)
+//   R5  RO₂ + RO₂ → products       (radical termination)
+//   R6  NO₂ + OH → HNO₃            (no2-oh)
+// optional sulfur:
+//   R7  SO₂ + OH → H₂SO₄           (so2-oh + hoso2-o2 + so3-h2o)
+//
+// OH is not integrated: it follows the sun (scaled from j(NO₂)) up to the
+// noon value set by the user, which is how box models for teaching usually
+// prescribe it. Mixing with background air (dilution plus deposition) pulls
+// every species towards BACKGROUND at `mixing` per hour; without it O₃
+// would only ever accumulate until sunset.
+
+export const PPB = 2.46e10; // molecules cm⁻³ per ppb at 298 K, 1 atm
+
+export const SPECIES = [
+  { id: "NO", label: "NO", color: "#60a5fa" },
+  { id: "NO2", label: "NO₂", color: "#f97316" },
+  { id: "O3", label: "O₃", color: "#22d3ee" },
+  { id: "VOC", label: "VOC", color: "#a3e635", mechanism: "voc" },
+  { id: "RO2", label: "RO₂ (ppt)", color: "#e879f9", mechanism: "voc", scale: 1000 },
+  { id: "HNO3", label: "HNO₃", color: "#facc15", mechanism: "voc" },
+  { id: "SO2", label: "SO₂", color: "#f87171", mechanism: "so2" },
+  { id: "H2SO4", label: "H₂SO₄ (sulfate)", color: "#94a3b8", mechanism: "so2" },
+];
+
+// cm³ molecule⁻¹ s⁻¹ (JPL / IUPAC values at 298 K; VOC is a reactive lumped species)
+export const RATE_CONSTANTS = [
+  { id: "kNoO3", label: "NO + O₃", value: 1.8e-14 },
+  { id: "kVocOh", label: "VOC + OH", value: 1.0e-11, mechanism: "voc" },
+  { id: "kRo2No", label: "RO₂ + NO", value: 8.0e-12, mechanism: "voc" },
+  { id: "kRo2Ro2", label: "RO₂ + RO₂", value: 5.0e-12, mechanism: "voc" },
+  { id: "kNo2Oh", label: "NO₂ + OH", value: 1.1e-11, mechanism: "voc" },
+  { id: "kSo2Oh", label: "SO₂ + OH", value: 9.0e-13, mechanism: "so2" },
+];
+
+// ppb, free-troposphere air mixed into the box
+const BACKGROUND = { NO: 0, NO2: 1, O3: 40, VOC: 5, RO2: 0, HNO3: 0, SO2: 1, H2SO4: 0 };
+
+// RO₂ regenerated per NO converted (RO₂ → HO₂ → OH → RO₂ chain)
+const RADICAL_YIELD = 0.8;
+
+// clear-sky j(NO₂) = J_MAX · exp(-0.4 / cos θ), in s⁻¹
+const J_MAX = 0.0117;
+
+export const DEFAULT_CONFIG = {
+  initial: { NO: 20, NO2: 20, O3: 30, VOC: 60, SO2: 10 },
+  // continuous emissions, ppb per hour
+  emissions: { NO: 2, VOC: 4, SO2: 0 },
+  mechanisms: { voc: true, so2: false },
+  startHour: 6,
+  hours: 18,
+  latitude: 28.6,
+  dayOfYear: 167,
+  // 1 = clear sky, lower for haze / cloud
+  sun: 1,
+  // OH at solar noon, 10⁶ molecules cm⁻³
+  ohNoon: 5,
+  // exchange with background air, h⁻¹
+  mixing: 0.1,
+  // multipliers on RATE_CONSTANTS
+  rateScale: {},
+};
+
+export const PRESETS = [
+  { id: "leighton", label: "Leighton cycle only", patch: { mechanisms: { voc: false, so2: false }, emissions: { NO: 0, VOC: 0, SO2: 0 } } },
+  { id: "urban", label: "Urban traffic", patch: {} },
+  {
+    id: "industrial",
+    label: "Industrial plume (SO₂)",
+    patch: {
+      initial: { NO: 10, NO2: 15, O3: 35, VOC: 40, SO2: 60 },
+      emissions: { NO: 1, VOC: 2, SO2: 4 },
+      mechanisms: { voc: true, so2: true },
+    },
+  },
+  {
+    id: "rural",
+    label: "Clean rural",
+    patch: {
+      initial: { NO: 1, NO2: 3, O3: 35, VOC: 15, SO2: 1 },
+      emissions: { NO: 0.1, VOC: 1, SO2: 0 },
+    },
+  },
+];
+
+const DEG = Math.PI / 180;
+
+// cosine of the solar zenith angle at local solar time `hour`
+export function solarCosZenith(hour, dayOfYear, latitude) {
+  const declination = -23.44 * DEG * Math.cos((2 * Math.PI * (dayOfYear + 10)) / 365);
+  const hourAngle = 15 * DEG * (hour - 12);
+  const lat = latitude * DEG;
+  return (
+    Math.sin(lat) * Math.sin(declination) +
+    Math.cos(lat) * Math.cos(declination) * Math.cos(hourAngle)
+  );
+}
+
+// j(NO₂) in s⁻¹; 0 at night
+export function photolysisNO2(hour, dayOfYear, latitude, sun = 1) {
+  const cosZ = solarCosZenith(hour, dayOfYear, latitude);
+  return cosZ > 0.01 ? sun * J_MAX * Math.exp(-0.4 / cosZ) : 0;
+}
+
+const STATE = ["NO", "NO2", "O3", "VOC", "RO2", "HNO3", "SO2", "H2SO4"];
+
+// d[x]/dt in ppb min⁻¹
+function derivatives(y, env, k, config) {
+  const [NO, NO2, O3, VOC, RO2, , SO2] = y;
+  const { voc, so2 } = config.mechanisms;
+  const dy = new Array(STATE.length).fill(0);
+
+  const r1 = env.j * 60 * NO2;
+  const r2 = k.kNoO3 * NO * O3;
+  dy[0] += r1 - r2 + config.emissions.NO / 60;
+  dy[1] += -r1 + r2;
+  dy[2] += r1 - r2;
+
+  if (voc) {
+    const r3 = k.kVocOh * env.oh * VOC;
+    const r4 = k.kRo2No * RO2 * NO;
+    const r5 = k.kRo2Ro2 * RO2 * RO2;
+    const r6 = k.kNo2Oh * env.oh * NO2;
+    dy[0] -= r4;
+    dy[1] += r4 - r6;
+    dy[3] += -r3 + config.emissions.VOC / 60;
+    dy[4] += r3 - (1 - RADICAL_YIELD) * r4 - 2 * r5;
+    dy[5] += r6;
+  }
+  if (so2) {
+    const r7 = k.kSo2Oh * env.oh * SO2;
+    dy[6] += -r7 + config.emissions.SO2 / 60;
+    dy[7] += r7;
+  }
+  const mix = config.mixing / 60;
+  STATE.forEach((s, i) => {
+    dy[i] -= mix * (y[i] - BACKGROUND[s]);
+  });
+  return dy;
+}
+
+// Runge-Kutta-Fehlberg 4(5) with step-size control; the fast NO/O₃/RO₂
+// exchange makes fixed steps either slow or unstable
+const RKF = {
+  a: [0, 1 / 4, 3 / 8, 12 / 13, 1, 1 / 2],
+  b: [
+    [],
+    [1 / 4],
+    [3 / 32, 9 / 32],
+    [1932 / 2197, -7200 / 2197, 7296 / 2197],
+    [439 / 216, -8, 3680 / 513, -845 / 4104],
+    [-8 / 27, 2, -3544 / 2565, 1859 / 4104, -11 / 40],
+  ],
+  c4: [25 / 216, 0, 1408 / 2565, 2197 / 4104, -1 / 5, 0],
+  c5: [16 / 135, 0, 6656 / 12825, 28561 / 56430, -9 / 50, 2 / 55],
+};
+
+function rkfStep(f, t, y, h) {
+  const ks = [];
+  for (let s = 0; s < 6; s++) {
+    const yi = y.map((v, i) => v + h * RKF.b[s].reduce((acc, b, j) => acc + b * ks[j][i], 0));
+    ks.push(f(t + RKF.a[s] * h, yi));
+  }
+  const y4 = y.map((v, i) => v + h * RKF.c4.reduce((acc, c, s) => acc + c * ks[s][i], 0));
+  const y5 = y.map((v, i) => v + h * RKF.c5.reduce((acc, c, s) => acc + c * ks[s][i], 0));
+  const error = Math.max(...y5.map((v, i) => Math.abs(v - y4[i]) / (1e-2 + 1e-3 * Math.abs(v))));
+  return { y: y5, error };
+}
+
+// { hours: [], series: { NO: [], ... }, j: [], oh: [], leighton: [] }
+// sampled every `outputMinutes`
+export function simulate(config, outputMinutes = 10) {
+  const k = {};
+  RATE_CONSTANTS.forEach((rc) => {
+    // cm³ molecule⁻¹ s⁻¹ -> ppb⁻¹ min⁻¹; OH terms stay per molecule cm⁻³
+    const scaled = rc.value * (config.rateScale[rc.id] ?? 1) * 60;
+    k[rc.id] = ["kVocOh", "kNo2Oh", "kSo2Oh"].includes(rc.id) ? scaled : scaled * PPB;
+  });
+
+  const jNoon = photolysisNO2(12, config.dayOfYear, config.latitude, 1) || J_MAX;
+  const environment = (t) => {
+    const hour = config.startHour + t / 60;
+    const j = photolysisNO2(hour % 24, config.dayOfYear, config.latitude, config.sun);
+    return { j, oh: config.ohNoon * 1e6 * (j / jNoon) };
+  };
+  const f = (t, y) => derivatives(y, environment(t), k, config);
+
+  const { initial } = config;
+  let y = [initial.NO, initial.NO2, initial.O3, initial.VOC, 0, 0, initial.SO2, 0];
+  const end = config.hours * 60;
+  const out = {
+    hours: [],
+    series: Object.fromEntries(STATE.map((s) => [s, []])),
+    j: [],
+    oh: [],
+    leighton: [],
+  };
+  const record = (t) => {
+    const env = environment(t);
+    out.hours.push(config.startHour + t / 60);
+    STATE.forEach((s, i) => out.series[s].push(y[i]));
+    out.j.push(env.j);
+    out.oh.push(env.oh);
+    // photostationary state: 1 when only R1/R2 act, > 1 when RO₂ converts NO
+    const loss = k.kNoO3 * y[0] * y[2];
+    out.leighton.push(env.j > 0 && loss > 0 ? (env.j * 60 * y[1]) / loss : null);
+  };
+
+  let t = 0;
+  let h = 0.1;
+  record(0);
+  for (let next = outputMinutes; next <= end + 1e-9; next += outputMinutes) {
+    while (t < next - 1e-9) {
+      const step = Math.min(h, next - t);
+      const { y: candidate, error } = rkfStep(f, t, y, step);
+      if (error <= 1 || step < 1e-4) {
+        t += step;
+        y = candidate.map((v) => Math.max(0, v));
+      }
+      h = step * Math.min(4, Math.max(0.2, 0.9 * error ** -0.2));
+    }
+    record(t);
+  }
+  return out;
+}
+
+// time and value of the ozone maximum
+export function ozonePeak(result) {
+  const o3 = result.series.O3;
+  let idx = 0;
+  o3.forEach((v, i) => {
+    if (v > o3[idx]) idx = i;
+  });
+  return { hour: result.hours[idx], value: o3[idx] };
+}
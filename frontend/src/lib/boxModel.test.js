@@ -0,0 +1,65 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_CONFIG, ozonePeak, photolysisNO2, simulate, solarCosZenith } from "./boxModel";
+
+// NO–NO₂–O₃ only, closed box: NOx and Ox can only change into each other
+const LEIGHTON = {
+  ...DEFAULT_CONFIG,
+  mechanisms: { voc: false, so2: false },
+  emissions: { NO: 0, VOC: 0, SO2: 0 },
+  mixing: 0,
+  hours: 6,
+};
+
+describe("solarCosZenith", () => {
+  it("puts the equinox sun overhead at the equator at noon", () => {
+    expect(solarCosZenith(12, 80, 0)).toBeCloseTo(1, 2);
+  });
+
+  it("is symmetric about solar noon and negative at midnight", () => {
+    expect(solarCosZenith(9, 167, 28.6)).toBeCloseTo(solarCosZenith(15, 167, 28.6), 12);
+    expect(solarCosZenith(0, 167, 28.6)).toBeLessThan(0);
+  });
+});
+
+describe("photolysisNO2", () => {
+  it("is zero at night and peaks at noon", () => {
+    expect(photolysisNO2(0, 167, 28.6)).toBe(0);
+    expect(photolysisNO2(12, 167, 28.6)).toBeGreaterThan(photolysisNO2(9, 167, 28.6));
+    expect(photolysisNO2(12, 167, 28.6)).toBeLessThan(0.0117);
+  });
+
+  it("scales with the sky factor", () => {
+    expect(photolysisNO2(12, 167, 28.6, 0.5)).toBeCloseTo(photolysisNO2(12, 167, 28.6) / 2, 12);
+  });
+});
+
+describe("simulate", () => {
+  const result = simulate(LEIGHTON);
+  const last = result.hours.length - 1;
+
+  it("samples every output interval", () => {
+    expect(result.hours).toHaveLength(6 * 6 + 1);
+    expect(result.hours[0]).toBe(LEIGHTON.startHour);
+    expect(result.hours[last]).toBeCloseTo(LEIGHTON.startHour + 6, 6);
+  });
+
+  it("conserves NOx and Ox in the Leighton cycle", () => {
+    const { NO, NO2, O3 } = result.series;
+    const { initial } = LEIGHTON;
+
+    expect(NO[last] + NO2[last]).toBeCloseTo(initial.NO + initial.NO2, 2);
+    expect(O3[last] + NO2[last]).toBeCloseTo(initial.O3 + initial.NO2, 2);
+  });
+
+  it("settles into the photostationary state", () => {
+    expect(result.leighton[last]).toBeCloseTo(1, 2);
+  });
+
+  it("builds afternoon ozone with VOC chemistry", () => {
+    const peak = ozonePeak(simulate(DEFAULT_CONFIG));
+
+    expect(peak.value).toBeGreaterThan(DEFAULT_CONFIG.initial.O3);
+    expect(peak.hour).toBeGreaterThan(12);
+    expect(peak.hour).toBeLessThan(20);
+  });
+});
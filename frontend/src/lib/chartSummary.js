@@ -0,0 +1,81 @@
+// Text alternative for a Chart.js `data` object: the same numbers as a table
+// and a per-series summary (count, lowest, highest, mean).
+//
+// Charts with `labels` (bar charts, category lines) become one row per label
+// and one column per dataset. Charts of { x, y } points (time series,
+// scatter) become one row per point, with a series column when there is more
+// than one dataset.
+
+const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+
+// a dataset value as { x, y }; bare numbers take their x from `labels`
+function point(value, i, labels) {
+  if (value !== null && typeof value === "object") return { x: value.x, y: value.y };
+  return { x: labels?.[i] ?? i, y: value };
+}
+
+const seriesName = (dataset, i) => dataset.label || `#${i + 1}`;
+
+// datasets switched off in the chart (`hidden: true`) are left out
+const shownDatasets = (data) => (data.datasets || []).filter((d) => !d.hidden);
+
+// { layout, series, rows }:
+//   "labels" rows are [label, ...one value per series]
+//   "points" rows are [x, y] (a single series)
+//   "series" rows are [series, x, y]
+export function chartTable(data) {
+  const datasets = shownDatasets(data);
+  const series = datasets.map(seriesName);
+  if (data.labels?.length) {
+    return {
+      layout: "labels",
+      series,
+      rows: data.labels.map((label, i) => [
+        label,
+        ...datasets.map((d) => point(d.data[i], i, data.labels).y ?? null),
+      ]),
+    };
+  }
+  const single = datasets.length === 1;
+  return {
+    layout: single ? "points" : "series",
+    series,
+    rows: datasets.flatMap((d, di) =>
+      d.data.map((value, i) => {
+        const { x, y } = point(value, i);
+        return single ? [x, y ?? null] : [series[di], x, y ?? null];
+      })
+    ),
+  };
+}
+
+// per dataset: { series, count, min, minAt, max, maxAt, mean }; datasets
+// without a single numeric value are left out
+export function chartSummary(data) {
+  return shownDatasets(data).flatMap((d, di) => {
+    let count = 0;
+    let sum = 0;
+    let min = null;
+    let max = null;
+    d.data.forEach((value, i) => {
+      const p = point(value, i, data.labels);
+      if (!isNumber(p.y)) return;
+      count += 1;
+      sum += p.y;
+      if (min === null || p.y < min.y) min = p;
+      if (max === null || p.y > max.y) max = p;
+    });
+    if (!count) return [];
+    return [
+      {
+        series: seriesName(d, di),
+        count,
+        min: min.y,
+        minAt: min.x,
+        max: max.y,
+        maxAt: max.x,
+        mean: sum / count,
+      },
+    ];
+  });
+}
@@ -0,0 +1,57 @@
+// Background chemistry shown in the Chemistry tab and reused by the
+// analysis report. `pollutants` uses the dominant-pollutant labels from
+// ./aqi.js so a report can pick the topics that matter for its data;
+// `reactions` are ids in the reaction library (./reactions.js).
+
+export const CHEMISTRY_TOPICS = [
+  {
+    id: "acid-rain",
+    title: "SO₂ → H₂SO₄ (acid rain)",
+    pollutants: ["SO2"],
+    intro: "SO₂ from coal / fuel combustion oxidises:",
+    reactions: ["so2-o2", "so3-h2o"],
+    outro: "Acidic droplets in rain corrode buildings, metals and damage leaves.",
+  },
+  {
+    id: "smog",
+    title: "NO₂ & VOCs → O₃ (photochemical smog)",
+    pollutants: ["NO2", "O3"],
+    intro: "NO₂ absorbs sunlight:",
+    reactions: ["no2-photolysis", "o-o2"],
+    outro:
+      "In presence of VOCs this leads to brownish photochemical smog; O₃ is a " +
+      "strong oxidant that irritates lungs.",
+  },
+  {
+    id: "particulates",
+    title: "PM₂.₅ & PM₁₀ (particulate matter)",
+    pollutants: ["PM2.5", "PM10"],
+    intro:
+      "Complex mixture of sulfates, nitrates, carbon and metals. PM₂.₅ " +
+      "penetrates deep into alveoli and can enter bloodstream; acts as a " +
+      "carrier for toxic chemicals.",
+    reactions: [],
+  },
+  {
+    id: "carbon-monoxide",
+    title: "CO (carbon monoxide)",
+    pollutants: ["CO"],
+    intro:
+      "Produced by incomplete combustion. Forms carboxyhaemoglobin (HbCO) with " +
+      "blood, reducing oxygen transport; high levels cause headache, dizziness " +
+      "and can be fatal.",
+    reactions: [],
+  },
+  {
+    id: "primary-secondary",
+    title: "Primary vs secondary pollutants",
+    pollutants: [],
+    intro:
+      "Primary: emitted directly (SO₂, NO, CO, PM). Secondary: formed in " +
+      "atmosphere (O₃, PAN, acids, some PM).",
+    reactions: [],
+  },
+];
+
+export const topicsForPollutants = (labels) =>
+  CHEMISTRY_TOPICS.filter((t) => t.pollutants.some((p) => labels.includes(p)));
@@ -0,0 +1,183 @@
+// CSV column mapping.
+// Real exports name their columns "PM2.5 (µg/m³)", "From Date", "Ozone", ...
+// This module guesses which column holds which field, guesses its unit from
+// the header, and rewrites rows onto the canonical column names the charts
+// use (date, Station, AQI, PM2_5, PM10, SO2, NO2, CO, O3).
+
+import { CANONICAL_UNITS, UNIT_OPTIONS, toCanonical } from "./units";
+import { mapColumn } from "./columnarStore";
+
+// field -> canonical column name + header patterns, most specific first
+export const IMPORT_FIELDS = [
+  { id: "date", column: "date", label: "Date / time", patterns: [/^from date/, /date/, /time/] },
+  { id: "station", column: "Station", label: "City / station", patterns: [/station/, /\bcity\b/, /\bsite\b/, /location/] },
+  { id: "aqi", column: "AQI", label: "AQI", patterns: [/^aqi$/, /\baqi\b/, /air quality index/] },
+  { id: "pm25", column: "PM2_5", label: "PM2.5", patterns: [/pm\s*2[._ ]?5/] },
+  { id: "pm10", column: "PM10", label: "PM10", patterns: [/pm\s*10/] },
+  { id: "so2", column: "SO2", label: "SO₂", patterns: [/\bso2\b/, /sulph?ur dioxide/] },
+  { id: "no2", column: "NO2", label: "NO₂", patterns: [/\bno2\b/, /nitrogen dioxide/] },
+  { id: "co", column: "CO", label: "CO", patterns: [/\bco\b/, /carbon monoxide/] },
+  { id: "o3", column: "O3", label: "O₃", patterns: [/\bo3\b/, /ozone/] },
+];
+
+// the six pollutant fields (everything that carries a unit)
+export const POLLUTANT_FIELDS = IMPORT_FIELDS.filter((f) => f.id in CANONICAL_UNITS);
+
+const SUBSCRIPTS = { "₀": "0", "₁": "1", "₂": "2", "₃": "3", "₅": "5" };
+
+const normalizeHeader = (header) =>
+  String(header)
+    .toLowerCase()
+    .replace(/[₀₁₂₃₅]/g, (c) => SUBSCRIPTS[c])
+    .trim();
+
+// unit named in a header such as "NO2 (ppb)" or "CO mg/m3"; null if none
+export function detectUnit(header) {
+  const h = normalizeHeader(header).replace(/\s+/g, "");
+  if (/ppb/.test(h)) return "ppb";
+  if (/ppm/.test(h)) return "ppm";
+  if (/mg\/?m(3|³)/.test(h)) return "mg/m³";
+  if (/(µ|μ|u)g\/?m(3|³)/.test(h)) return "µg/m³";
+  return null;
+}
+
+// { fieldId: header } for every field a header could be found for
+export function detectMapping(headers) {
+  const mapping = {};
+  const taken = new Set();
+
+  IMPORT_FIELDS.forEach((field) => {
+    // exact canonical names (the old fixed format) always win
+    const exact = headers.find(
+      (h) => !taken.has(h) && (h === field.column || h === field.column.toLowerCase())
+    );
+    if (exact) {
+      mapping[field.id] = exact;
+      taken.add(exact);
+      return;
+    }
+    for (const pattern of field.patterns) {
+      const match = headers.find(
+        (h) => !taken.has(h) && pattern.test(normalizeHeader(h))
+      );
+      if (match) {
+        mapping[field.id] = match;
+        taken.add(match);
+        return;
+      }
+    }
+  });
+
+  return mapping;
+}
+
+// units implied by the mapped headers, canonical where nothing is stated
+export function detectUnits(mapping) {
+  const units = {};
+  Object.keys(CANONICAL_UNITS).forEach((key) => {
+    const unit = mapping[key] ? detectUnit(mapping[key]) : null;
+    units[key] = unit && UNIT_OPTIONS[key].includes(unit) ? unit : CANONICAL_UNITS[key];
+  });
+  return units;
+}
+
+// Which fields are mapped, and which source headers they consume.
+function mappingPlan(mapping) {
+  const mapped = IMPORT_FIELDS.filter((f) => mapping[f.id]);
+  const mappedHeaders = new Set(mapped.map((f) => mapping[f.id]));
+  return { mapping, mapped, mappedHeaders };
+}
+
+// Rewrite one record onto canonical column names. `get(column)` reads a
+// source cell, so the same logic serves row objects and the columnar store.
+function mapRecord(get, sourceFields, plan, units, conditions) {
+  const out = {};
+  sourceFields.forEach((key) => {
+    if (!plan.mappedHeaders.has(key)) out[key] = get(key);
+  });
+  plan.mapped.forEach((field) => {
+    const value = get(plan.mapping[field.id]);
+    const unit = units?.[field.id];
+    out[field.column] =
+      typeof value === "number" && unit && unit !== CANONICAL_UNITS[field.id]
+        ? toCanonical(value, unit, field.id, conditions)
+        : value;
+  });
+  return out;
+}
+
+// Rewrite rows onto canonical column names, converting pollutant values to
+// canonical units. Unmapped columns are kept as they are.
+export function applyMapping(rows, { mapping, units }, conditions) {
+  const plan = mappingPlan(mapping);
+  return rows.map((row) =>
+    mapRecord((key) => row[key], Object.keys(row), plan, units, conditions)
+  );
+}
+
+// Same as applyMapping for a columnar store (see ./columnarStore.js), column
+// by column: renamed columns are shared and only pollutants that need a unit
+// conversion get a new column.
+export function mapStore(store, { mapping, units }, conditions) {
+  const plan = mappingPlan(mapping);
+  const fields = store.fields.filter((key) => !plan.mappedHeaders.has(key));
+  const columns = Object.fromEntries(fields.map((key) => [key, store.columns[key]]));
+  plan.mapped.forEach((field) => {
+    const col = store.columns[plan.mapping[field.id]];
+    if (!col) return;
+    const unit = units?.[field.id];
+    if (!(field.column in columns)) fields.push(field.column);
+    columns[field.column] =
+      unit && unit !== CANONICAL_UNITS[field.id]
+        ? mapColumn(col, (v) =>
+            typeof v === "number" ? toCanonical(v, unit, field.id, conditions) : v
+          )
+        : col;
+  });
+  return { fields, columns, rowCount: store.rowCount };
+}
+
+/* ---------------- saved presets (localStorage) ---------------- */
+
+const PRESET_KEY = "aqi-dashboard.import-presets";
+
+export function loadPresets() {
+  try {
+    return JSON.parse(localStorage.getItem(PRESET_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+function storePresets(presets) {
+  try {
+    localStorage.setItem(PRESET_KEY, JSON.stringify(presets));
+  } catch {
+    // quota or private mode: the list still holds for this session
+  }
+  return presets;
+}
+
+export function savePreset(name, config) {
+  const presets = loadPresets().filter((p) => p.name !== name);
+  presets.push({ name, mapping: config.mapping, units: config.units });
+  return storePresets(presets);
+}
+
+export function deletePreset(name) {
+  return storePresets(loadPresets().filter((p) => p.name !== name));
+}
+
+// a preset only applies to the headers that actually exist in this file
+export function presetForHeaders(preset, headers) {
+  const mapping = {};
+  Object.entries(preset.mapping).forEach(([field, header]) => {
+    if (headers.includes(header)) mapping[field] = header;
+  });
+  return { mapping, units: { ...CANONICAL_UNITS, ...preset.units } };
+}
+
+export function matchesHeaders(preset, headers) {
+  const columns = Object.values(preset.mapping);
+  return columns.length > 0 && columns.every((h) => headers.includes(h));
+}
@@ -0,0 +1,265 @@
+// Columnar storage for uploaded datasets.
+// One array per column instead of one object per row: numeric columns become
+// Float64Arrays (NaN = missing) and repetitive text columns (station names,
+// categories) are dictionary-encoded, which keeps large station exports small
+// and lets the parse worker hand buffers over without copying.
+//
+// The rest of the app reads a store through views (bottom of this file), so
+// mapping, cleaning, enrichment and table queries stay column-based and row
+// objects are only built for the rows actually on screen or being exported.
+
+import { parseDate } from "./dates";
+
+const DICTIONARY_RATIO = 0.5;
+
+const isMissing = (v) => v === null || v === undefined || v === "";
+
+const INITIAL_CAPACITY = 1024;
+
+// typed array of at least `needed` slots holding the first `length` values
+function grow(array, needed, length) {
+  if (needed <= array.length) return array;
+  const next = new array.constructor(Math.max(needed, array.length * 2));
+  next.set(array.subarray(0, length));
+  return next;
+}
+
+// Encodes a column a cell at a time, so the parse worker never holds the
+// file as plain arrays. It starts as numbers in a growable Float64Array; the
+// first text cell turns it into dictionary codes, and a dictionary that gets
+// mostly unique (timestamps, free text) into a plain array.
+//   push(value) for every cell, then finish() -> encoded column
+export function columnBuilder() {
+  let kind = "number";
+  let length = 0;
+  let data = new Float64Array(INITIAL_CAPACITY);
+  let codes = null;
+  let dict = null;
+  let index = null;
+  let text = null;
+
+  const code = (v) => {
+    let c = index.get(v);
+    if (c === undefined) {
+      c = dict.length;
+      dict.push(v);
+      index.set(v, c);
+    }
+    return c;
+  };
+
+  const toDict = () => {
+    kind = "dict";
+    dict = [];
+    index = new Map();
+    codes = new Uint32Array(data.length);
+    for (let i = 0; i < length; i++) codes[i] = code(Number.isNaN(data[i]) ? null : data[i]);
+    data = null;
+  };
+
+  const toText = () => {
+    kind = "text";
+    text = new Array(length);
+    for (let i = 0; i < length; i++) text[i] = dict[codes[i]];
+    codes = dict = index = null;
+  };
+
+  const push = (value) => {
+    const v = isMissing(value) ? null : value;
+    if (kind === "number" && v !== null && typeof v !== "number") toDict();
+    if (kind === "number") {
+      data = grow(data, length + 1, length);
+      data[length++] = v === null ? NaN : v;
+    } else if (kind === "dict") {
+      codes = grow(codes, length + 1, length);
+      codes[length++] = code(v);
+      if (dict.length > 256 && dict.length > length * DICTIONARY_RATIO) toText();
+    } else {
+      text.push(v);
+      length++;
+    }
+  };
+
+  const finish = () => {
+    if (kind === "number") return { kind, data: data.slice(0, length) };
+    if (kind === "dict") return { kind, codes: codes.slice(0, length), dict };
+    return { kind, data: text };
+  };
+
+  return { push, finish };
+}
+
+// values: plain array of cells -> encoded column
+export function encodeColumn(values) {
+  const builder = columnBuilder();
+  for (let i = 0; i < values.length; i++) builder.push(values[i]);
+  return builder.finish();
+}
+
+// ArrayBuffers that can be transferred out of a worker
+export function transferables(store) {
+  const buffers = [];
+  Object.values(store.columns).forEach((col) => {
+    if (col.kind === "number") buffers.push(col.data.buffer);
+    if (col.kind === "dict") buffers.push(col.codes.buffer);
+  });
+  return buffers;
+}
+
+export function getValue(store, field, i) {
+  const col = store.columns[field];
+  if (!col) return undefined;
+  if (col.kind === "number") {
+    const v = col.data[i];
+    return Number.isNaN(v) ? null : v;
+  }
+  if (col.kind === "dict") return col.dict[col.codes[i]];
+  return col.data[i];
+}
+
+export function storeRow(store, i) {
+  const row = {};
+  store.fields.forEach((field) => {
+    row[field] = getValue(store, field, i);
+  });
+  return row;
+}
+
+export function storeRows(store, start = 0, end = store.rowCount) {
+  const rows = [];
+  for (let i = start; i < Math.min(end, store.rowCount); i++) {
+    rows.push(storeRow(store, i));
+  }
+  return rows;
+}
+
+// new column with fn applied to every present value; missing cells stay missing
+export function mapColumn(col, fn) {
+  if (col.kind === "number") {
+    return { kind: "number", data: col.data.map((v) => (Number.isNaN(v) ? v : fn(v))) };
+  }
+  if (col.kind === "dict") {
+    return { kind: "dict", codes: col.codes, dict: col.dict.map((v) => (v === null ? v : fn(v))) };
+  }
+  return { kind: "text", data: col.data.map((v) => (v === null ? v : fn(v))) };
+}
+
+// plain array of every cell of a column (null = missing)
+export function decodeColumn(col, rowCount) {
+  const values = new Array(rowCount);
+  for (let i = 0; i < rowCount; i++) {
+    if (col.kind === "number") values[i] = Number.isNaN(col.data[i]) ? null : col.data[i];
+    else if (col.kind === "dict") values[i] = col.dict[col.codes[i]];
+    else values[i] = col.data[i];
+  }
+  return values;
+}
+
+// same rows, some columns replaced or appended
+export function withColumns(store, columns) {
+  return {
+    fields: [...store.fields, ...Object.keys(columns).filter((f) => !(f in store.columns))],
+    columns: { ...store.columns, ...columns },
+    rowCount: store.rowCount,
+  };
+}
+
+/* ---------------- views ---------------- */
+
+// A view is a store seen through a list of row numbers:
+//   { store, index: Uint32Array, length }
+// Excluding, filtering and sorting only build a new index; the columns are
+// shared. `k` below is a position in the view, not a store row.
+
+export function createView(store, index) {
+  const rows = index || Uint32Array.from({ length: store.rowCount }, (_, i) => i);
+  return { store, index: rows, length: rows.length };
+}
+
+export const EMPTY_VIEW = createView({ fields: [], columns: {}, rowCount: 0 });
+
+export const viewFields = (view) => view.store.fields;
+
+// same positions over a store that has more (or replaced) columns
+export const withStore = (view, store) => createView(store, view.index);
+
+// the positions where keep(k) is true, in order
+export function filterView(view, keep) {
+  const index = new Uint32Array(view.length);
+  let n = 0;
+  for (let k = 0; k < view.length; k++) {
+    if (keep(k)) index[n++] = view.index[k];
+  }
+  return n === view.length ? view : createView(view.store, index.slice(0, n));
+}
+
+// positions listed in `order` (e.g. after sorting them)
+export const reorderView = (view, order) =>
+  createView(view.store, Uint32Array.from(order, (k) => view.index[k]));
+
+// read(k) = the cell of `field` at position k (null = missing, undefined = no such column)
+export function columnReader(view, field) {
+  const col = view.store.columns[field];
+  const { index } = view;
+  if (!col) return () => undefined;
+  if (col.kind === "number") {
+    return (k) => {
+      const v = col.data[index[k]];
+      return Number.isNaN(v) ? null : v;
+    };
+  }
+  if (col.kind === "dict") return (k) => col.dict[col.codes[index[k]]];
+  return (k) => col.data[index[k]];
+}
+
+// numeric cells of a column in view order, NaN where missing or not a number
+export function numberColumn(view, field) {
+  const col = view.store.columns[field];
+  const out = new Float64Array(view.length);
+  if (col?.kind === "number") {
+    for (let k = 0; k < view.length; k++) out[k] = col.data[view.index[k]];
+    return out;
+  }
+  const read = columnReader(view, field);
+  for (let k = 0; k < view.length; k++) {
+    const v = read(k);
+    out[k] = typeof v === "number" ? v : NaN;
+  }
+  return out;
+}
+
+// present numbers of a column, in view order
+export const columnNumbers = (view, field) =>
+  numberColumn(view, field).filter((v) => !Number.isNaN(v));
+
+export const hasNumbers = (view, field) =>
+  numberColumn(view, field).some((v) => !Number.isNaN(v));
+
+// timestamps per stored cell, parsed once per column however many views read it
+const parsedTimes = new WeakMap();
+
+// timestamps of a date column in view order, NaN where there is no readable date
+export function timeColumn(view, field = "date") {
+  const col = view.store.columns[field];
+  const out = new Float64Array(view.length).fill(NaN);
+  if (!col || col.kind === "number") return out;
+  let times = parsedTimes.get(col);
+  if (!times) {
+    const cells = col.kind === "dict" ? col.dict : col.data;
+    times = Float64Array.from(cells, (v) => parseDate(v) ?? NaN);
+    parsedTimes.set(col, times);
+  }
+  for (let k = 0; k < view.length; k++) {
+    const i = view.index[k];
+    out[k] = times[col.kind === "dict" ? col.codes[i] : i];
+  }
+  return out;
+}
+
+export const viewRow = (view, k) => storeRow(view.store, view.index[k]);
+
+export function viewRows(view, start = 0, end = view.length) {
+  const rows = [];
+  for (let k = start; k < Math.min(end, view.length); k++) rows.push(viewRow(view, k));
+  return rows;
+}
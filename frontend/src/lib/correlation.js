@@ -0,0 +1,171 @@
+// Pairwise statistics between pollutant columns: Pearson / Spearman
+// correlation, least-squares regression and the time-of-day / season
+// groupings the scatter plot can be coloured by.
+// Every pair uses only the rows where both columns are numeric.
+
+import { POLLUTANT_FIELDS } from "./columnMapping";
+import { hasNumbers, numberColumn, timeColumn } from "./columnarStore";
+
+export const CORRELATION_METHODS = [
+  { id: "pearson", label: "Pearson (linear)" },
+  { id: "spearman", label: "Spearman (rank)" },
+];
+
+// fewer paired readings than this and r is not reported
+export const MIN_PAIRS = 3;
+
+// pollutant columns present in the view, in POLLUTANT_FIELDS order
+export function pollutantColumns(view) {
+  return POLLUTANT_FIELDS.filter((f) => hasNumbers(view, f.column));
+}
+
+export function pairedValues(view, xColumn, yColumn) {
+  const xValues = numberColumn(view, xColumn);
+  const yValues = numberColumn(view, yColumn);
+  const xs = [];
+  const ys = [];
+  for (let k = 0; k < view.length; k++) {
+    if (Number.isNaN(xValues[k]) || Number.isNaN(yValues[k])) continue;
+    xs.push(xValues[k]);
+    ys.push(yValues[k]);
+  }
+  return { xs, ys };
+}
+
+export function pearson(xs, ys) {
+  const n = xs.length;
+  if (n < MIN_PAIRS) return null;
+  let mx = 0;
+  let my = 0;
+  for (let i = 0; i < n; i++) {
+    mx += xs[i];
+    my += ys[i];
+  }
+  mx /= n;
+  my /= n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = xs[i] - mx;
+    const dy = ys[i] - my;
+    sxy += dx * dy;
+    sxx += dx * dx;
+    syy += dy * dy;
+  }
+  // a constant column has no defined correlation
+  if (sxx === 0 || syy === 0) return null;
+  return sxy / Math.sqrt(sxx * syy);
+}
+
+// 1-based ranks, ties share their average rank
+export function ranks(values) {
+  const order = values.map((v, i) => [v, i]).sort((a, b) => a[0] - b[0]);
+  const out = new Array(values.length);
+  for (let start = 0; start < order.length; ) {
+    let end = start + 1;
+    while (end < order.length && order[end][0] === order[start][0]) end++;
+    const rank = (start + end + 1) / 2;
+    for (let k = start; k < end; k++) out[order[k][1]] = rank;
+    start = end;
+  }
+  return out;
+}
+
+export const spearman = (xs, ys) => pearson(ranks(xs), ranks(ys));
+
+// { fields, values: r[i][j] | null, counts: n[i][j] }
+export function correlationMatrix(view, method = "pearson") {
+  const fields = pollutantColumns(view);
+  const corr = method === "spearman" ? spearman : pearson;
+  const values = fields.map(() => new Array(fields.length).fill(null));
+  const counts = fields.map(() => new Array(fields.length).fill(0));
+
+  fields.forEach((a, i) => {
+    for (let j = i; j < fields.length; j++) {
+      const { xs, ys } = pairedValues(view, a.column, fields[j].column);
+      const r = i === j ? (xs.length >= MIN_PAIRS ? 1 : null) : corr(xs, ys);
+      values[i][j] = values[j][i] = r;
+      counts[i][j] = counts[j][i] = xs.length;
+    }
+  });
+  return { fields, values, counts };
+}
+
+// least squares y = slope * x + intercept, r2 = coefficient of determination
+export function linearRegression(xs, ys) {
+  const r = pearson(xs, ys);
+  if (r === null) return null;
+  const n = xs.length;
+  const mx = xs.reduce((a, b) => a + b, 0) / n;
+  const my = ys.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+  }
+  const slope = sxy / sxx;
+  return { slope, intercept: my - slope * mx, r2: r * r, n };
+}
+
+export function describeStrength(r) {
+  if (r === null) return "not enough data";
+  const a = Math.abs(r);
+  const strength =
+    a >= 0.7 ? "strong" : a >= 0.4 ? "moderate" : a >= 0.2 ? "weak" : "negligible";
+  if (strength === "negligible") return "no clear relationship";
+  return `${strength} ${r > 0 ? "positive" : "negative"}`;
+}
+
+/* ---------------- scatter grouping ---------------- */
+
+// photochemistry follows the sun, so time of day separates night-time NO2
+// build-up from afternoon O3 production
+const TIME_OF_DAY = [
+  { id: "night", label: "Night (00–06)", color: "#6366f1", test: (h) => h < 6 },
+  { id: "morning", label: "Morning (06–12)", color: "#f59e0b", test: (h) => h < 12 },
+  { id: "afternoon", label: "Afternoon (12–18)", color: "#ef4444", test: (h) => h < 18 },
+  { id: "evening", label: "Evening (18–24)", color: "#22d3ee", test: () => true },
+];
+
+// IMD seasons
+const SEASONS = [
+  { id: "winter", label: "Winter (Dec–Feb)", color: "#60a5fa", months: [11, 0, 1] },
+  { id: "summer", label: "Pre-monsoon (Mar–May)", color: "#f97316", months: [2, 3, 4] },
+  { id: "monsoon", label: "Monsoon (Jun–Sep)", color: "#34d399", months: [5, 6, 7, 8] },
+  { id: "postMonsoon", label: "Post-monsoon (Oct–Nov)", color: "#e879f9", months: [9, 10] },
+];
+
+export const COLOR_MODES = [
+  { id: "none", label: "Single colour", groups: [] },
+  { id: "hour", label: "Time of day", groups: TIME_OF_DAY },
+  { id: "season", label: "Season", groups: SEASONS },
+];
+
+function groupOf(t, mode) {
+  if (mode === "hour") {
+    const h = new Date(t).getHours();
+    return TIME_OF_DAY.find((g) => g.test(h)).id;
+  }
+  if (mode === "season") {
+    const m = new Date(t).getMonth();
+    return SEASONS.find((g) => g.months.includes(m)).id;
+  }
+  return "all";
+}
+
+// [{ x, y, group }]; rows without a date go to "undated" when grouping
+export function scatterPoints(view, xColumn, yColumn, mode = "none", dateColumn = "date") {
+  const xs = numberColumn(view, xColumn);
+  const ys = numberColumn(view, yColumn);
+  const times = mode === "none" ? null : timeColumn(view, dateColumn);
+  const points = [];
+  for (let k = 0; k < view.length; k++) {
+    if (Number.isNaN(xs[k]) || Number.isNaN(ys[k])) continue;
+    let group = "all";
+    if (times) group = Number.isNaN(times[k]) ? "undated" : groupOf(times[k], mode);
+    points.push({ x: xs[k], y: ys[k], group });
+  }
+  return points;
+}
@@ -0,0 +1,59 @@
+import { describe, expect, it } from "vitest";
+import { describeStrength, linearRegression, pearson, ranks, spearman } from "./correlation";
+
+describe("pearson", () => {
+  it("is ±1 for exact linear relationships", () => {
+    const xs = [1, 2, 3, 4, 5];
+    expect(pearson(xs, xs.map((x) => 3 * x + 2))).toBeCloseTo(1, 12);
+    expect(pearson(xs, xs.map((x) => 10 - x))).toBeCloseTo(-1, 12);
+  });
+
+  it("matches a hand-computed value", () => {
+    expect(pearson([1, 2, 3, 4], [2, 1, 4, 3])).toBeCloseTo(0.6, 12);
+  });
+
+  it("is undefined for too few pairs or a constant column", () => {
+    expect(pearson([1, 2], [3, 4])).toBeNull();
+    expect(pearson([1, 2, 3], [5, 5, 5])).toBeNull();
+  });
+});
+
+describe("ranks", () => {
+  it("gives ties their average rank", () => {
+    expect(ranks([10, 30, 20, 30])).toEqual([1, 3.5, 2, 3.5]);
+  });
+});
+
+describe("spearman", () => {
+  it("is 1 for any monotonic relationship", () => {
+    const xs = [1, 2, 3, 4, 5, 6];
+    expect(spearman(xs, xs.map((x) => x ** 3))).toBeCloseTo(1, 12);
+    expect(pearson(xs, xs.map((x) => x ** 3))).toBeLessThan(1);
+  });
+});
+
+describe("linearRegression", () => {
+  it("recovers slope and intercept", () => {
+    const xs = [0, 1, 2, 3, 4];
+    const fit = linearRegression(xs, xs.map((x) => 2 * x - 1));
+
+    expect(fit.slope).toBeCloseTo(2, 12);
+    expect(fit.intercept).toBeCloseTo(-1, 12);
+    expect(fit.r2).toBeCloseTo(1, 12);
+    expect(fit.n).toBe(5);
+  });
+
+  it("has no fit without a correlation", () => {
+    expect(linearRegression([1, 1, 1], [1, 2, 3])).toBeNull();
+  });
+});
+
+describe("describeStrength", () => {
+  it("names the strength and direction", () => {
+    expect(describeStrength(0.85)).toBe("strong positive");
+    expect(describeStrength(-0.5)).toBe("moderate negative");
+    expect(describeStrength(0.25)).toBe("weak positive");
+    expect(describeStrength(0.1)).toBe("no clear relationship");
+    expect(describeStrength(null)).toBe("not enough data");
+  });
+});
@@ -0,0 +1,42 @@
+// Main-thread side of the CSV parse worker.
+
+// The Error's `reason` ("empty" | "unreadable") names the message to show,
+// `import.error.<reason>` in the locale files.
+const csvError = (reason) => Object.assign(new Error(`CSV import failed: ${reason}`), { reason });
+
+// returns { promise, cancel }; promise resolves with the columnar store,
+// or rejects with an Error (err.cancelled === true after cancel())
+export function parseCsvInWorker(file, { onProgress } = {}) {
+  const worker = new Worker(
+    new URL("../workers/csvParser.worker.js", import.meta.url),
+    { type: "module" }
+  );
+  let rejectPromise;
+
+  const promise = new Promise((resolve, reject) => {
+    rejectPromise = reject;
+    worker.onmessage = ({ data }) => {
+      if (data.type === "progress") {
+        onProgress?.(data);
+        return;
+      }
+      worker.terminate();
+      if (data.type === "done") resolve(data.store);
+      else reject(csvError(data.reason));
+    };
+    worker.onerror = () => {
+      worker.terminate();
+      reject(csvError("unreadable"));
+    };
+    worker.postMessage({ file });
+  });
+
+  const cancel = () => {
+    worker.terminate();
+    const err = new Error("Import cancelled.");
+    err.cancelled = true;
+    rejectPromise(err);
+  };
+
+  return { promise, cancel };
+}
@@ -0,0 +1,337 @@
+// Data quality audit and cleaning for uploaded datasets.
+// Runs on the mapped view (canonical columns and units, see columnMapping.js
+// and columnarStore.js) before AQI is computed, so whatever the user decides to exclude,
+// interpolate or cap never reaches the sub-indices or the chart means.
+//
+// Sequence-based rules (flatline, spike, interpolation) walk each station's
+// readings in time order; files without dates use file order.
+
+import { IMPORT_FIELDS, POLLUTANT_FIELDS } from "./columnMapping";
+import { STATION_COLUMN } from "./stations";
+import { CANONICAL_UNITS, toCanonical } from "./units";
+import {
+  columnReader,
+  createView,
+  decodeColumn,
+  encodeColumn,
+  filterView,
+  timeColumn,
+  viewFields,
+  withColumns,
+} from "./columnarStore";
+
+export const SPIKE_RATIO = 4;
+// spikes also need an absolute jump, so noise around tiny values is ignored
+const SPIKE_MIN_JUMP = { pm25: 50, pm10: 80, so2: 40, no2: 40, co: 2, o3: 40 };
+const SPIKE_WINDOW = 3;
+export const FLATLINE_RUN = 6;
+
+export const CLEANING_ACTIONS = {
+  keep: "Keep",
+  coerce: "Parse as number",
+  blank: "Set to blank",
+  interpolate: "Interpolate",
+  cap: "Cap",
+  exclude: "Exclude row",
+};
+
+export const QUALITY_RULES = [
+  {
+    id: "nonNumeric",
+    label: "Non-numeric value",
+    description: "Text in a pollutant column (e.g. \"NA\", \"12,5\", a misread number).",
+    actions: ["keep", "coerce", "blank", "interpolate", "exclude"],
+  },
+  {
+    id: "negative",
+    label: "Negative concentration",
+    description: "Below zero; capping sets it to 0.",
+    actions: ["keep", "cap", "blank", "interpolate", "exclude"],
+  },
+  {
+    id: "implausible",
+    label: "Physically implausible",
+    description: "Above the plausible maximum for the pollutant; capping clamps to it.",
+    actions: ["keep", "cap", "blank", "interpolate", "exclude"],
+  },
+  {
+    id: "spike",
+    label: "Spike",
+    description: `More than ${SPIKE_RATIO}× the median of the neighbouring readings; capping replaces it with that median.`,
+    actions: ["keep", "cap", "blank", "interpolate", "exclude"],
+  },
+  {
+    id: "flatline",
+    label: "Stuck sensor",
+    description: `Same value ${FLATLINE_RUN} or more readings in a row.`,
+    actions: ["keep", "blank", "exclude"],
+  },
+  {
+    id: "duplicate",
+    label: "Duplicate timestamp",
+    description: "Same station and time as an earlier row.",
+    actions: ["keep", "exclude"],
+  },
+];
+
+// in canonical units (µg/m³, CO in mg/m³)
+export const PLAUSIBLE_MAX = {
+  pm25: 1500,
+  pm10: 3000,
+  so2: 2000,
+  no2: 1000,
+  co: 50,
+  o3: 800,
+};
+
+const DATE_COLUMN = IMPORT_FIELDS.find((f) => f.id === "date").column;
+
+const isMissing = (v) => v === null || v === undefined || v === "";
+const isNumber = (v) => typeof v === "number" && !Number.isNaN(v);
+
+// "12,5" / " 45.2 " -> number, anything else -> null
+export function coerceNumber(value) {
+  if (isNumber(value)) return value;
+  if (typeof value !== "string") return null;
+  const text = value.trim().replace(/^(-?\d+),(\d+)$/, "$1.$2");
+  if (!/^-?(\d+\.?\d*|\.\d+)(e-?\d+)?$/i.test(text)) return null;
+  return Number(text);
+}
+
+function coerceToCanonical(flag, { units, conditions }) {
+  const value = coerceNumber(flag.value);
+  const unit = units?.[flag.field];
+  return value !== null && unit && unit !== CANONICAL_UNITS[flag.field]
+    ? toCanonical(value, unit, flag.field, conditions)
+    : value;
+}
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// view positions per station, in time order
+function sequences(view) {
+  const station = columnReader(view, STATION_COLUMN);
+  const times = timeColumn(view, DATE_COLUMN);
+  const groups = new Map();
+  for (let i = 0; i < view.length; i++) {
+    const key = station(i) ?? "";
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ i, t: Number.isNaN(times[i]) ? null : times[i] });
+  }
+  return [...groups.values()].map((items) => {
+    if (items.every((it) => it.t !== null)) items.sort((a, b) => a.t - b.t);
+    return items;
+  });
+}
+
+/* ---------------- audit ---------------- */
+
+// { rowCount, completeness: [{ column, present, missing, pct }],
+//   flags: [{ row, column, field, rule, value }], byRule: { id: { values, rows } } }
+export function auditRows(view) {
+  const columns = viewFields(view);
+  const completeness = columns.map((column) => {
+    const read = columnReader(view, column);
+    let present = 0;
+    for (let i = 0; i < view.length; i++) {
+      if (!isMissing(read(i))) present += 1;
+    }
+    return {
+      column,
+      present,
+      missing: view.length - present,
+      pct: view.length ? (present / view.length) * 100 : 0,
+    };
+  });
+
+  const flags = [];
+  const pollutants = POLLUTANT_FIELDS.filter((f) => columns.includes(f.column));
+  const readers = Object.fromEntries(pollutants.map((f) => [f.column, columnReader(view, f.column)]));
+
+  for (let i = 0; i < view.length; i++) {
+    pollutants.forEach((f) => {
+      const value = readers[f.column](i);
+      if (isMissing(value)) return;
+      const flag = (rule) => flags.push({ row: i, column: f.column, field: f.id, rule, value });
+      if (!isNumber(value)) flag("nonNumeric");
+      else if (value < 0) flag("negative");
+      else if (value > PLAUSIBLE_MAX[f.id]) flag("implausible");
+    });
+  }
+
+  const dates = columnReader(view, DATE_COLUMN);
+  const seqs = sequences(view);
+  seqs.forEach((seq) => {
+    pollutants.forEach((f) => {
+      const points = seq
+        .map(({ i }) => ({ i, v: readers[f.column](i) }))
+        .filter((p) => isNumber(p.v) && p.v >= 0);
+
+      points.forEach((p, k) => {
+        if (p.v > PLAUSIBLE_MAX[f.id]) return;
+        const neighbours = [
+          ...points.slice(Math.max(0, k - SPIKE_WINDOW), k),
+          ...points.slice(k + 1, k + 1 + SPIKE_WINDOW),
+        ].map((n) => n.v);
+        if (neighbours.length < 2) return;
+        const m = median(neighbours);
+        if (p.v > SPIKE_RATIO * m && p.v - m > SPIKE_MIN_JUMP[f.id]) {
+          flags.push({ row: p.i, column: f.column, field: f.id, rule: "spike", value: p.v, median: m });
+        }
+      });
+
+      let start = 0;
+      for (let k = 1; k <= points.length; k++) {
+        if (k < points.length && points[k].v === points[start].v) continue;
+        if (k - start >= FLATLINE_RUN) {
+          points.slice(start, k).forEach((p) => {
+            flags.push({ row: p.i, column: f.column, field: f.id, rule: "flatline", value: p.v });
+          });
+        }
+        start = k;
+      }
+    });
+
+    if (columns.includes(DATE_COLUMN)) {
+      const seen = new Set();
+      seq.forEach(({ i, t }) => {
+        const key = t ?? dates(i);
+        if (isMissing(key)) return;
+        if (seen.has(key)) {
+          flags.push({ row: i, column: DATE_COLUMN, rule: "duplicate", value: dates(i) });
+        }
+        seen.add(key);
+      });
+    }
+  });
+
+  const byRule = {};
+  QUALITY_RULES.forEach((r) => {
+    const ruleFlags = flags.filter((f) => f.rule === r.id);
+    byRule[r.id] = { values: ruleFlags.length, rows: new Set(ruleFlags.map((f) => f.row)).size };
+  });
+
+  return { rowCount: view.length, completeness, flags, byRule };
+}
+
+/* ---------------- cleaning ---------------- */
+
+// actions: { ruleId: actionId }. Returns { view, steps: [{ rule, action, values, rows }] }.
+// Only the edited columns are rewritten; excluded rows just drop out of the index.
+// importConfig ({ units, conditions }) converts coerced text, which the
+// mapping left in the file's unit since it was not a number then.
+export function cleanRows(view, audit, actions, importConfig = {}) {
+  const active = audit.flags.filter((f) => (actions[f.rule] || "keep") !== "keep");
+  if (!active.length) return { view, steps: [] };
+
+  // column -> Map<position, new value>
+  const edits = new Map();
+  const edit = (flag, value) => {
+    if (!edits.has(flag.column)) edits.set(flag.column, new Map());
+    edits.get(flag.column).set(flag.row, value);
+  };
+  const readers = {};
+  const current = (i, column) => {
+    const edited = edits.get(column);
+    if (edited?.has(i)) return edited.get(i);
+    if (!readers[column]) readers[column] = columnReader(view, column);
+    return readers[column](i);
+  };
+  const excluded = new Set();
+  const toInterpolate = [];
+  // cells whose original value must not be used as an interpolation anchor
+  const unusable = new Set();
+  const steps = new Map();
+
+  active.forEach((flag) => {
+    const action = actions[flag.rule];
+    const key = `${flag.rule}:${action}`;
+    if (!steps.has(key)) steps.set(key, { rule: flag.rule, action, values: 0, rows: new Set() });
+    const step = steps.get(key);
+    step.values += 1;
+    step.rows.add(flag.row);
+
+    if (action === "exclude") {
+      excluded.add(flag.row);
+      return;
+    }
+    unusable.add(`${flag.row}:${flag.column}`);
+    if (action === "blank") edit(flag, null);
+    if (action === "coerce") edit(flag, coerceToCanonical(flag, importConfig));
+    if (action === "cap") {
+      edit(
+        flag,
+        flag.rule === "negative"
+          ? 0
+          : flag.rule === "spike"
+          ? flag.median
+          : PLAUSIBLE_MAX[flag.field]
+      );
+    }
+    if (action === "interpolate") toInterpolate.push(flag);
+  });
+
+  if (toInterpolate.length) {
+    const position = new Map();
+    sequences(view).forEach((seq) => {
+      seq.forEach((item, k) => position.set(item.i, { seq, k }));
+    });
+    const anchor = (i, column) => {
+      if (excluded.has(i) || unusable.has(`${i}:${column}`)) return null;
+      const v = current(i, column);
+      return isNumber(v) ? v : null;
+    };
+
+    toInterpolate.forEach((flag) => {
+      const { seq, k } = position.get(flag.row);
+      let prev = null;
+      let next = null;
+      for (let j = k - 1; j >= 0 && !prev; j--) {
+        const v = anchor(seq[j].i, flag.column);
+        if (v !== null) prev = { ...seq[j], v, k: j };
+      }
+      for (let j = k + 1; j < seq.length && !next; j++) {
+        const v = anchor(seq[j].i, flag.column);
+        if (v !== null) next = { ...seq[j], v, k: j };
+      }
+      let value = prev?.v ?? next?.v ?? null;
+      if (prev && next) {
+        const at = seq[k];
+        // by time when dated, otherwise by position
+        const frac =
+          at.t !== null && prev.t !== null && next.t !== null && next.t !== prev.t
+            ? (at.t - prev.t) / (next.t - prev.t)
+            : (k - prev.k) / (next.k - prev.k);
+        value = prev.v + frac * (next.v - prev.v);
+      }
+      edit(flag, value === null ? null : Math.round(value * 1000) / 1000);
+    });
+  }
+
+  const { store } = view;
+  const columns = {};
+  edits.forEach((cells, column) => {
+    const values = decodeColumn(store.columns[column], store.rowCount);
+    cells.forEach((value, i) => {
+      values[view.index[i]] = value;
+    });
+    columns[column] = encodeColumn(values);
+  });
+  const cleaned = createView(withColumns(store, columns), view.index);
+
+  return {
+    view: excluded.size ? filterView(cleaned, (i) => !excluded.has(i)) : cleaned,
+    steps: [...steps.values()].map((s) => ({ ...s, rows: s.rows.size })),
+  };
+}
+
+export const EMPTY_CLEANING = { actions: {}, log: [] };
+
+export function describeStep(step) {
+  const rule = QUALITY_RULES.find((r) => r.id === step.rule);
+  return `${rule?.label ?? step.rule}: ${CLEANING_ACTIONS[step.action].toLowerCase()}`;
+}
@@ -0,0 +1,41 @@
+// Date parsing for uploaded datasets.
+// CPCB / Indian exports usually write "dd-mm-yyyy hh:mm" or "dd/mm/yyyy",
+// which Date.parse either rejects or reads as mm/dd. ISO strings and Excel-ish
+// "yyyy-mm-dd hh:mm:ss" go through Date.parse as local time.
+
+const DMY = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+const YMD = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+
+// timestamp in ms, or null when the value is not a recognisable date
+export function parseDate(value) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.getTime();
+  }
+  if (typeof value !== "string") return null;
+  const text = value.trim();
+  if (!text) return null;
+
+  let m = text.match(YMD);
+  if (m) {
+    const [, y, mo, d, h = 0, mi = 0, s = 0] = m;
+    return new Date(+y, +mo - 1, +d, +h, +mi, +s).getTime();
+  }
+  m = text.match(DMY);
+  if (m) {
+    const [, d, mo, y, h = 0, mi = 0, s = 0] = m;
+    return new Date(+y, +mo - 1, +d, +h, +mi, +s).getTime();
+  }
+
+  // only accept free-form strings that contain a 4-digit year, so plain
+  // numbers and station codes are not mistaken for dates
+  if (!/\d{4}/.test(text)) return null;
+  const parsed = Date.parse(text);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+// "2024-03-01" in local time, for <input type="date"> values
+export function toDateInputValue(ts) {
+  const d = new Date(ts);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
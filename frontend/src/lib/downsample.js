@@ -0,0 +1,70 @@
+// Display downsampling for long time series.
+// Largest-Triangle-Three-Buckets (Steinarsson, 2013) keeps the visual shape
+// of a series - peaks included - with a fraction of the points. Only the
+// plotted data is reduced; statistics are always computed on the full series.
+
+import { percentile } from "./timeseries";
+
+export const MAX_CHART_POINTS = 2000;
+
+// points: [{ x, y }] sorted by x; returns at most `threshold` points
+export function lttb(points, threshold = MAX_CHART_POINTS) {
+  const n = points.length;
+  if (threshold >= n || threshold < 3) return points;
+
+  const sampled = [points[0]];
+  const bucketSize = (n - 2) / (threshold - 2);
+  let a = 0;
+
+  for (let i = 0; i < threshold - 2; i++) {
+    // average of the next bucket, used as the third triangle vertex
+    const nextStart = Math.floor((i + 1) * bucketSize) + 1;
+    const nextEnd = Math.min(Math.floor((i + 2) * bucketSize) + 1, n);
+    let avgX = 0;
+    let avgY = 0;
+    for (let j = nextStart; j < nextEnd; j++) {
+      avgX += points[j].x;
+      avgY += points[j].y;
+    }
+    const count = nextEnd - nextStart || 1;
+    avgX /= count;
+    avgY /= count;
+
+    // pick the point in this bucket forming the largest triangle
+    const start = Math.floor(i * bucketSize) + 1;
+    const end = Math.floor((i + 1) * bucketSize) + 1;
+    const { x: ax, y: ay } = points[a];
+    let maxArea = -1;
+    let chosen = start;
+    for (let j = start; j < end; j++) {
+      const area = Math.abs(
+        (ax - avgX) * (points[j].y - ay) - (ax - points[j].x) * (avgY - ay)
+      );
+      if (area > maxArea) {
+        maxArea = area;
+        chosen = j;
+      }
+    }
+    sampled.push(points[chosen]);
+    a = chosen;
+  }
+
+  sampled.push(points[n - 1]);
+  return sampled;
+}
+
+// full-resolution summary of a numeric series
+export function seriesStats(values) {
+  const finite = values.filter((v) => typeof v === "number" && Number.isFinite(v));
+  if (!finite.length) return null;
+  const sorted = [...finite].sort((a, b) => a - b);
+  const sum = finite.reduce((acc, v) => acc + v, 0);
+  return {
+    count: finite.length,
+    mean: sum / finite.length,
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    median: percentile(sorted, 50),
+    p95: percentile(sorted, 95),
+  };
+}
@@ -0,0 +1,40 @@
+import { describe, expect, it } from "vitest";
+import { lttb, seriesStats } from "./downsample";
+
+const series = (n, f) => Array.from({ length: n }, (_, x) => ({ x, y: f(x) }));
+
+describe("lttb", () => {
+  it("keeps short series untouched", () => {
+    const points = series(10, (x) => x);
+    expect(lttb(points, 20)).toBe(points);
+    expect(lttb(points, 2)).toBe(points);
+  });
+
+  it("reduces to the threshold and keeps both ends", () => {
+    const points = series(1000, (x) => Math.sin(x / 20));
+    const sampled = lttb(points, 100);
+
+    expect(sampled).toHaveLength(100);
+    expect(sampled[0]).toBe(points[0]);
+    expect(sampled[99]).toBe(points[999]);
+    sampled.slice(1).forEach((p, i) => expect(p.x).toBeGreaterThan(sampled[i].x));
+  });
+
+  it("keeps isolated peaks", () => {
+    const points = series(1000, (x) => (x === 437 ? 500 : 10));
+    expect(lttb(points, 50)).toContain(points[437]);
+  });
+});
+
+describe("seriesStats", () => {
+  it("summarises the finite values", () => {
+    const stats = seriesStats([4, null, 1, NaN, 3, 2, "x"]);
+
+    expect(stats).toMatchObject({ count: 4, mean: 2.5, min: 1, max: 4, median: 2.5 });
+    expect(stats.p95).toBeCloseTo(3.85, 10);
+  });
+
+  it("returns null without numbers", () => {
+    expect(seriesStats([null, NaN])).toBeNull();
+  });
+});
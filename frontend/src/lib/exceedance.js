@@ -0,0 +1,170 @@
+// Exceedance analytics: how often, and for how long in a row, each pollutant
+// was above a limit value, plus the daily AQI calendar.
+// Averages hide episodes; these counts are what limit values are written in.
+//
+// Concentrations are averaged per station over each hour or day first. With
+// several stations a period counts as exceeded when any station exceeded
+// (the worst station decides), like a city-level compliance check.
+
+import { DERIVED_COLUMNS } from "./batch";
+import { POLLUTANT_FIELDS } from "./columnMapping";
+import { STATION_COLUMN } from "./stations";
+import { findCategory } from "./standards";
+import { columnReader, numberColumn, timeColumn } from "./columnarStore";
+import { bucketStart, toSeries, resample } from "./timeseries";
+
+const HOUR = 3600 * 1000;
+
+// largest value; Math.max(...values) overflows the stack on long series
+const maxOf = (values) => values.reduce((a, b) => (b > a ? b : a), -Infinity);
+
+export const EXCEEDANCE_BASES = [
+  { id: "day", label: "Daily means" },
+  { id: "hour", label: "Hourly means" },
+];
+
+// Limit values in calculator units (µg/m³, CO in mg/m³). Where a standard
+// only defines an 8-hour limit (NAAQS CO and O₃) the daily value uses it.
+// Pollutants missing from a basis are not assessed unless a custom limit is set.
+export const LIMIT_PRESETS = [
+  {
+    id: "naaqs",
+    label: "India NAAQS 2009",
+    day: { pm25: 60, pm10: 100, so2: 80, no2: 80, co: 2, o3: 100 },
+    hour: { co: 4, o3: 180 },
+  },
+  {
+    id: "who",
+    label: "WHO 2021 guidelines",
+    day: { pm25: 15, pm10: 45, so2: 40, no2: 25, co: 4, o3: 100 },
+    hour: {},
+  },
+];
+
+export const getLimitPreset = (id) =>
+  LIMIT_PRESETS.find((p) => p.id === id) || LIMIT_PRESETS[0];
+
+// { pm25: 60, ... } from a preset and per-pollutant overrides ("" = preset)
+export function resolveLimits(presetId, basis, overrides = {}) {
+  const preset = getLimitPreset(presetId)[basis] || {};
+  const limits = {};
+  POLLUTANT_FIELDS.forEach((f) => {
+    const custom = overrides[f.id];
+    const value = custom === "" || custom === undefined ? preset[f.id] : Number(custom);
+    limits[f.id] = typeof value === "number" && value > 0 ? value : null;
+  });
+  return limits;
+}
+
+// start of the period after `t` (calendar days, so DST days still follow on)
+function nextPeriod(t, basis) {
+  if (basis === "hour") return t + HOUR;
+  const d = new Date(t);
+  d.setDate(d.getDate() + 1);
+  return d.getTime();
+}
+
+// [{ t, v }] per period: the worst station's mean
+function periodMeans(view, column, basis) {
+  const values = numberColumn(view, column);
+  const times = timeColumn(view);
+  const stationOf = columnReader(view, STATION_COLUMN);
+  const buckets = new Map();
+  for (let k = 0; k < view.length; k++) {
+    const v = values[k];
+    const t = times[k];
+    if (Number.isNaN(t) || Number.isNaN(v)) continue;
+    const key = bucketStart(t, basis);
+    if (!buckets.has(key)) buckets.set(key, new Map());
+    const stations = buckets.get(key);
+    const station = stationOf(k) ?? "";
+    const acc = stations.get(station) || { sum: 0, n: 0 };
+    acc.sum += v;
+    acc.n += 1;
+    stations.set(station, acc);
+  }
+  return [...buckets.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([t, stations]) => ({
+      t,
+      v: maxOf([...stations.values()].map((s) => s.sum / s.n)),
+    }));
+}
+
+// longest stretch of consecutive exceeded periods: { length, from, to } or null
+export function longestRun(periods, basis) {
+  let best = null;
+  let current = null;
+  periods.forEach((p) => {
+    if (!p.exceeded) {
+      current = null;
+      return;
+    }
+    if (current && nextPeriod(current.to, basis) === p.t) {
+      current.to = p.t;
+      current.length += 1;
+    } else {
+      current = { length: 1, from: p.t, to: p.t };
+    }
+    if (!best || current.length > best.length) best = { ...current };
+  });
+  return best;
+}
+
+// [{ field, limit, periods, exceeded, pct, peak, longest }] for every
+// pollutant present in the view
+export function exceedanceSummary(view, limits, basis = "day") {
+  return POLLUTANT_FIELDS.map((field) => {
+    const means = periodMeans(view, field.column, basis);
+    if (!means.length) return null;
+    const limit = limits[field.id] ?? null;
+    const periods = means.map((p) => ({ ...p, exceeded: limit !== null && p.v > limit }));
+    const exceeded = periods.filter((p) => p.exceeded).length;
+    return {
+      field,
+      limit,
+      periods: periods.length,
+      exceeded,
+      pct: limit === null ? null : (exceeded / periods.length) * 100,
+      peak: maxOf(means.map((p) => p.v)),
+      longest: longestRun(periods, basis),
+    };
+  }).filter(Boolean);
+}
+
+/* ---------------- calendar ---------------- */
+
+// [{ t, aqi, category, readings }] per day, mean computed AQI
+export function dailyCalendar(view, standard) {
+  return resample(toSeries(view, DERIVED_COLUMNS.aqi), "day", "mean").map((p) => ({
+    t: p.t,
+    aqi: p.v,
+    category: findCategory(p.v, standard),
+    readings: p.n,
+  }));
+}
+
+// One grid per year: weeks as columns (Monday first), 7 weekday rows.
+// [{ year, weeks: [[dayTs | null x 7]], months: [{ t, week }] }], t = the 1st of the month
+export function calendarYears(from, to) {
+  const years = [];
+  for (let year = new Date(from).getFullYear(); year <= new Date(to).getFullYear(); year++) {
+    const start = new Date(year, 0, 1);
+    const end = new Date(year, 11, 31);
+    const first = bucketStart(start.getTime(), "week");
+    const weeks = [];
+    const months = [];
+    for (let d = new Date(first); d <= end; d.setDate(d.getDate() + 1)) {
+      const weekday = (d.getDay() + 6) % 7;
+      if (weekday === 0) weeks.push(new Array(7).fill(null));
+      if (d.getFullYear() === year) {
+        weeks[weeks.length - 1][weekday] = d.getTime();
+        if (d.getDate() === 1) {
+          months.push({ t: d.getTime(), week: weeks.length - 1 });
+        }
+      }
+    }
+    years.push({ year, weeks, months });
+  }
+  return years;
+}
@@ -0,0 +1,163 @@
+// Export of datasets and chart series as CSV, JSON or XLSX.
+// An export is described as
+//   { name, title, meta: { key: value }, columns: [{ key, unit, description }], rows }
+// and every format carries the metadata and per-column units with it:
+// a "#" comment section in CSV, a "meta" object in JSON and a "Columns"
+// sheet in XLSX. `rows` is an array of objects or a table view (see
+// columnarStore.js), whose row objects are then built one at a time.
+
+import { format } from "date-fns";
+import { IMPORT_FIELDS, POLLUTANT_FIELDS } from "./columnMapping";
+import { CANONICAL_UNITS } from "./units";
+import { DERIVED_COLUMNS } from "./batch";
+import { viewRow } from "./columnarStore";
+import { writeXlsx } from "./xlsxWriter";
+
+export const EXPORT_FORMATS = [
+  { id: "csv", label: "CSV" },
+  { id: "json", label: "JSON" },
+  { id: "xlsx", label: "XLSX" },
+];
+
+const MIME = {
+  csv: "text/csv;charset=utf-8",
+  json: "application/json",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+/* ---------------- column metadata ---------------- */
+
+// unit + description for a column of the enriched upload (see batch.js)
+export function describeColumn(column, standard) {
+  const pollutant = POLLUTANT_FIELDS.find((f) => f.column === column);
+  if (pollutant) {
+    return {
+      key: column,
+      unit: CANONICAL_UNITS[pollutant.id],
+      description: `${pollutant.label} concentration (converted at import)`,
+    };
+  }
+  if (column === DERIVED_COLUMNS.aqi) {
+    return { key: column, unit: "index", description: `AQI computed with ${standard.name}` };
+  }
+  if (column === DERIVED_COLUMNS.category) {
+    return { key: column, unit: "", description: `${standard.name} category` };
+  }
+  if (column === DERIVED_COLUMNS.dominant) {
+    return { key: column, unit: "", description: "Pollutant with the highest sub-index" };
+  }
+  if (column.startsWith("SI_")) {
+    return {
+      key: column,
+      unit: "index",
+      description: `${standard.name} sub-index for ${column.slice(3)}`,
+    };
+  }
+  const field = IMPORT_FIELDS.find((f) => f.column === column);
+  if (field?.id === "aqi") {
+    return { key: column, unit: "index", description: "AQI as reported in the file" };
+  }
+  return { key: column, unit: "", description: field ? field.label : "Column from the uploaded file" };
+}
+
+export const formatTimestamp = (t) => format(t, "yyyy-MM-dd HH:mm");
+
+/* ---------------- serialisers ---------------- */
+
+// one output item per row, without materialising all rows of a view first
+function mapRows(dataset, fn) {
+  const { rows } = dataset;
+  if (Array.isArray(rows)) return rows.map(fn);
+  const out = new Array(rows.length);
+  for (let k = 0; k < rows.length; k++) out[k] = fn(viewRow(rows, k));
+  return out;
+}
+
+const metaEntries = (dataset) => [
+  ["Exported", new Date().toISOString()],
+  ...Object.entries(dataset.meta || {}),
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(dataset) {
+  const lines = [`# ${dataset.title}`];
+  metaEntries(dataset).forEach(([key, value]) => lines.push(`# ${key}: ${value}`));
+  lines.push("# Columns:");
+  dataset.columns.forEach((c) => {
+    lines.push(`#   ${c.key}${c.unit ? ` [${c.unit}]` : ""} – ${c.description}`);
+  });
+
+  lines.push(dataset.columns.map((c) => csvCell(c.key)).join(","));
+  const body = mapRows(dataset, (row) =>
+    dataset.columns.map((c) => csvCell(row[c.key])).join(",")
+  );
+  // BOM so Excel reads µg/m³ correctly
+  return "\uFEFF" + lines.concat(body).join("\r\n");
+}
+
+export function toJson(dataset) {
+  return JSON.stringify(
+    {
+      title: dataset.title,
+      meta: Object.fromEntries(metaEntries(dataset)),
+      columns: dataset.columns,
+      rows: mapRows(dataset, (row) =>
+        Object.fromEntries(dataset.columns.map((c) => [c.key, row[c.key] ?? null]))
+      ),
+    },
+    null,
+    2
+  );
+}
+
+export function toXlsx(dataset) {
+  const keys = dataset.columns.map((c) => c.key);
+  return writeXlsx([
+    {
+      name: "Data",
+      rows: [keys, ...mapRows(dataset, (row) => keys.map((k) => row[k] ?? null))],
+    },
+    {
+      name: "Columns",
+      rows: [
+        [dataset.title],
+        ...metaEntries(dataset),
+        [],
+        ["Column", "Unit", "Description"],
+        ...dataset.columns.map((c) => [c.key, c.unit, c.description]),
+      ],
+    },
+  ]);
+}
+
+/* ---------------- download ---------------- */
+
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function exportDataset(dataset, formatId) {
+  const content =
+    formatId === "xlsx"
+      ? toXlsx(dataset)
+      : formatId === "json"
+      ? toJson(dataset)
+      : toCsv(dataset);
+  const stamp = format(Date.now(), "yyyyMMdd-HHmm");
+  downloadBlob(
+    new Blob([content], { type: MIME[formatId] }),
+    `${dataset.name}-${stamp}.${formatId}`
+  );
+}
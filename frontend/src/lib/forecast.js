@@ -0,0 +1,251 @@
+// Short-term forecasting for hourly / daily series, entirely in the browser.
+// Three small models, each returning point forecasts plus prediction
+// intervals from its own error variance:
+//   - seasonal naive: the value one season ago (baseline to beat)
+//   - Holt-Winters: additive level + trend + season, smoothing parameters by
+//     grid search on one-step-ahead errors
+//   - AR(p): autoregression fitted by Yule-Walker (Levinson-Durbin), order by AIC
+// Backtests hold out the last `horizon` points, refit and score MAE / RMSE.
+
+import { bucketStart, resample } from "./timeseries";
+
+const HOUR = 3600 * 1000;
+
+export const FORECAST_INTERVALS = [
+  { id: "hour", label: "Hourly", season: 24 },
+  { id: "day", label: "Daily", season: 7 },
+];
+
+export const FORECAST_MODELS = [
+  { id: "holtWinters", label: "Holt-Winters" },
+  { id: "ar", label: "Autoregressive (AR)" },
+  { id: "snaive", label: "Seasonal naive" },
+];
+
+// two-sided normal quantiles for the offered interval levels
+export const INTERVAL_LEVELS = { 80: 1.2816, 95: 1.96 };
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+function nextTime(t, interval) {
+  if (interval === "hour") return t + HOUR;
+  const d = new Date(t);
+  d.setDate(d.getDate() + 1);
+  return d.getTime();
+}
+
+// Resample to one point per period with no holes: gaps are filled by linear
+// interpolation. Returns { points: [{ t, v, filled }], filled }.
+export function regularSeries(points, interval) {
+  const buckets = resample(points, interval, "mean");
+  if (!buckets.length) return { points: [], filled: 0 };
+  const out = [];
+  let filled = 0;
+  buckets.forEach((b, i) => {
+    if (i > 0) {
+      const prev = buckets[i - 1];
+      const gap = [];
+      for (let t = nextTime(prev.t, interval); t < b.t; t = nextTime(t, interval)) {
+        gap.push(bucketStart(t, interval));
+      }
+      gap.forEach((t, k) => {
+        const frac = (k + 1) / (gap.length + 1);
+        out.push({ t, v: prev.v + frac * (b.v - prev.v), filled: true });
+      });
+      filled += gap.length;
+    }
+    out.push({ t: b.t, v: b.v, filled: false });
+  });
+  return { points: out, filled };
+}
+
+export function forecastTimes(lastT, interval, horizon) {
+  const times = [];
+  let t = lastT;
+  for (let k = 0; k < horizon; k++) {
+    t = nextTime(t, interval);
+    times.push(t);
+  }
+  return times;
+}
+
+// shortest history each model needs for `season`
+export const minLength = (season) => 2 * season + 2;
+
+/* ---------------- seasonal naive ---------------- */
+
+function seasonalNaive(y, m, horizon) {
+  const n = y.length;
+  const residuals = [];
+  for (let t = m; t < n; t++) residuals.push(y[t] - y[t - m]);
+  const sigma = Math.sqrt(mean(residuals.map((e) => e * e)));
+  const forecast = [];
+  const sd = [];
+  for (let k = 1; k <= horizon; k++) {
+    forecast.push(y[n - m + ((k - 1) % m)]);
+    sd.push(sigma * Math.sqrt(Math.floor((k - 1) / m) + 1));
+  }
+  return { forecast, sd, params: {} };
+}
+
+/* ---------------- Holt-Winters (additive) ---------------- */
+
+const GRID = [0.05, 0.2, 0.4, 0.6, 0.8];
+
+function holtWintersRun(y, m, alpha, beta, gamma) {
+  // initial level / trend from the first two seasons, season from the first
+  const first = mean(y.slice(0, m));
+  const second = mean(y.slice(m, 2 * m));
+  let level = first;
+  let trend = (second - first) / m;
+  const season = y.slice(0, m).map((v) => v - first);
+  let sse = 0;
+  let count = 0;
+
+  for (let t = m; t < y.length; t++) {
+    const s = season[t % m];
+    const predicted = level + trend + s;
+    const error = y[t] - predicted;
+    sse += error * error;
+    count += 1;
+    const prevLevel = level;
+    level = alpha * (y[t] - s) + (1 - alpha) * (level + trend);
+    trend = beta * (level - prevLevel) + (1 - beta) * trend;
+    season[t % m] = gamma * (y[t] - level) + (1 - gamma) * s;
+  }
+  return { level, trend, season, sse, count };
+}
+
+function holtWinters(y, m, horizon) {
+  let best = null;
+  GRID.forEach((alpha) => {
+    GRID.forEach((beta) => {
+      GRID.forEach((gamma) => {
+        const run = holtWintersRun(y, m, alpha, beta / 4, gamma);
+        if (!best || run.sse < best.run.sse) best = { run, alpha, beta: beta / 4, gamma };
+      });
+    });
+  });
+  const { run, alpha, beta, gamma } = best;
+  const sigma = Math.sqrt(run.sse / run.count);
+  const n = y.length;
+  const forecast = [];
+  const sd = [];
+  // variance multipliers for the additive model (Hyndman et al., ch. 6)
+  let acc = 0;
+  for (let k = 1; k <= horizon; k++) {
+    forecast.push(run.level + k * run.trend + run.season[(n + k - 1) % m]);
+    sd.push(sigma * Math.sqrt(1 + acc));
+    const c = alpha * (1 + k * beta) + (k % m === 0 ? gamma * (1 - alpha) : 0);
+    acc += c * c;
+  }
+  return { forecast, sd, params: { alpha, beta, gamma } };
+}
+
+/* ---------------- AR(p) ---------------- */
+
+function autocovariance(x, maxLag) {
+  const n = x.length;
+  const out = [];
+  for (let lag = 0; lag <= maxLag; lag++) {
+    let sum = 0;
+    for (let t = lag; t < n; t++) sum += x[t] * x[t - lag];
+    out.push(sum / n);
+  }
+  return out;
+}
+
+// Yule-Walker coefficients for every order up to maxOrder, with the
+// innovation variance of each: [{ phi, variance }]
+function levinsonDurbin(gamma, maxOrder) {
+  const fits = [{ phi: [], variance: gamma[0] }];
+  let phi = [];
+  let variance = gamma[0];
+  for (let p = 1; p <= maxOrder; p++) {
+    let num = gamma[p];
+    for (let j = 1; j < p; j++) num -= phi[j - 1] * gamma[p - j];
+    const k = variance > 0 ? num / variance : 0;
+    const next = phi.map((c, j) => c - k * phi[p - 2 - j]);
+    next.push(k);
+    phi = next;
+    variance *= 1 - k * k;
+    fits.push({ phi, variance });
+  }
+  return fits;
+}
+
+function autoregressive(y, m, horizon) {
+  const n = y.length;
+  const mu = mean(y);
+  const x = y.map((v) => v - mu);
+  const maxOrder = Math.min(m + 1, Math.floor(n / 4));
+  const fits = levinsonDurbin(autocovariance(x, maxOrder), maxOrder);
+
+  let best = fits[0];
+  let bestAic = Infinity;
+  fits.forEach((fit, p) => {
+    if (fit.variance <= 0) return;
+    const aic = n * Math.log(fit.variance) + 2 * p;
+    if (aic < bestAic) {
+      bestAic = aic;
+      best = fit;
+    }
+  });
+
+  const { phi, variance } = best;
+  const p = phi.length;
+  const history = x.slice();
+  const forecast = [];
+  for (let k = 0; k < horizon; k++) {
+    let v = 0;
+    for (let j = 0; j < p; j++) v += phi[j] * history[history.length - 1 - j];
+    history.push(v);
+    forecast.push(v + mu);
+  }
+
+  // psi weights of the MA(inf) form give the h-step variance
+  const psi = [1];
+  for (let k = 1; k < horizon; k++) {
+    let v = 0;
+    for (let j = 1; j <= Math.min(k, p); j++) v += phi[j - 1] * psi[k - j];
+    psi.push(v);
+  }
+  const sd = [];
+  let acc = 0;
+  psi.forEach((w) => {
+    acc += w * w;
+    sd.push(Math.sqrt(variance * acc));
+  });
+  return { forecast, sd, params: { order: p } };
+}
+
+/* ---------------- public API ---------------- */
+
+const MODELS = { snaive: seasonalNaive, holtWinters, ar: autoregressive };
+
+// { mean, lower, upper, params }; concentrations and AQI cannot go below 0
+export function fitForecast(modelId, values, season, horizon, level = 80) {
+  const z = INTERVAL_LEVELS[level] ?? INTERVAL_LEVELS[80];
+  const { forecast, sd, params } = (MODELS[modelId] || holtWinters)(values, season, horizon);
+  return {
+    mean: forecast.map((v) => Math.max(0, v)),
+    lower: forecast.map((v, k) => Math.max(0, v - z * sd[k])),
+    upper: forecast.map((v, k) => Math.max(0, v + z * sd[k])),
+    params,
+  };
+}
+
+// Fit on everything but the last `horizon` values and score the forecast
+// against them: { mae, rmse, predicted } or null when the series is too short.
+export function backtest(modelId, values, season, horizon) {
+  const train = values.slice(0, values.length - horizon);
+  if (train.length < minLength(season)) return null;
+  const actual = values.slice(values.length - horizon);
+  const { mean: predicted } = fitForecast(modelId, train, season, horizon);
+  const errors = actual.map((v, k) => v - predicted[k]);
+  return {
+    mae: mean(errors.map(Math.abs)),
+    rmse: Math.sqrt(mean(errors.map((e) => e * e))),
+    predicted,
+  };
+}
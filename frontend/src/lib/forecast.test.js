@@ -0,0 +1,109 @@
+import { describe, expect, it } from "vitest";
+import { backtest, fitForecast, forecastTimes, minLength, regularSeries } from "./forecast";
+
+const HOUR = 3600 * 1000;
+const START = new Date(2024, 0, 1).getTime();
+
+// six days of a clean daily cycle around 50
+const SEASON = 24;
+const cycle = Array.from({ length: 6 * SEASON }, (_, i) => 50 + 10 * Math.sin((2 * Math.PI * i) / SEASON));
+
+describe("regularSeries", () => {
+  it("fills missing hours by linear interpolation", () => {
+    const { points, filled } = regularSeries(
+      [
+        { t: START, v: 10 },
+        { t: START + 3 * HOUR, v: 40 },
+      ],
+      "hour"
+    );
+
+    expect(filled).toBe(2);
+    expect(points.map((p) => p.t)).toEqual([0, 1, 2, 3].map((h) => START + h * HOUR));
+    expect(points.map((p) => p.v)).toEqual([10, 20, 30, 40]);
+    expect(points.map((p) => p.filled)).toEqual([false, true, true, false]);
+  });
+
+  it("averages readings within the same period", () => {
+    const { points, filled } = regularSeries(
+      [
+        { t: START, v: 10 },
+        { t: START + 30 * 60 * 1000, v: 20 },
+      ],
+      "hour"
+    );
+
+    expect(filled).toBe(0);
+    expect(points).toEqual([{ t: START, v: 15, filled: false }]);
+  });
+
+  it("returns nothing for an empty series", () => {
+    expect(regularSeries([], "day")).toEqual({ points: [], filled: 0 });
+  });
+});
+
+describe("forecastTimes", () => {
+  it("steps forward one period at a time", () => {
+    expect(forecastTimes(START, "hour", 3)).toEqual([1, 2, 3].map((h) => START + h * HOUR));
+    expect(forecastTimes(START, "day", 2)).toEqual([
+      new Date(2024, 0, 2).getTime(),
+      new Date(2024, 0, 3).getTime(),
+    ]);
+  });
+});
+
+describe("fitForecast", () => {
+  it("repeats the last season with the seasonal naive model", () => {
+    const { mean } = fitForecast("snaive", cycle, SEASON, SEASON);
+    mean.forEach((v, k) => expect(v).toBeCloseTo(cycle[cycle.length - SEASON + k], 10));
+  });
+
+  it("brackets every point forecast with its interval", () => {
+    ["holtWinters", "ar", "snaive"].forEach((model) => {
+      const noisy = cycle.map((v, i) => v + ((i * 7) % 5) - 2);
+      const { mean, lower, upper } = fitForecast(model, noisy, SEASON, 12, 95);
+
+      expect(mean).toHaveLength(12);
+      mean.forEach((v, k) => {
+        expect(lower[k]).toBeLessThanOrEqual(v);
+        expect(upper[k]).toBeGreaterThanOrEqual(v);
+      });
+    });
+  });
+
+  it("widens the interval with the confidence level", () => {
+    const noisy = cycle.map((v, i) => v + ((i * 7) % 5) - 2);
+    const narrow = fitForecast("holtWinters", noisy, SEASON, 6, 80);
+    const wide = fitForecast("holtWinters", noisy, SEASON, 6, 95);
+
+    expect(wide.upper[0] - wide.lower[0]).toBeGreaterThan(narrow.upper[0] - narrow.lower[0]);
+  });
+
+  it("never forecasts below zero", () => {
+    const falling = Array.from({ length: 4 * SEASON }, (_, i) => Math.max(0, 100 - i));
+    const { mean, lower } = fitForecast("holtWinters", falling, SEASON, SEASON);
+
+    expect(Math.min(...mean, ...lower)).toBeGreaterThanOrEqual(0);
+  });
+});
+
+describe("backtest", () => {
+  it("scores a perfectly seasonal series without error", () => {
+    const score = backtest("snaive", cycle, SEASON, SEASON);
+
+    expect(score.mae).toBeCloseTo(0, 10);
+    expect(score.rmse).toBeCloseTo(0, 10);
+    expect(score.predicted).toHaveLength(SEASON);
+  });
+
+  it("follows the daily cycle with Holt-Winters", () => {
+    expect(backtest("holtWinters", cycle, SEASON, 12).mae).toBeLessThan(1);
+  });
+
+  it("needs two seasons of training data", () => {
+    const short = cycle.slice(0, minLength(SEASON) + 5);
+
+    expect(backtest("ar", short, SEASON, 6)).toBeNull();
+    expect(backtest("ar", short, SEASON, 5)).not.toBeNull();
+  });
+});
@@ -0,0 +1,201 @@
+// Personalised health advisories.
+// Rules run over the per-pollutant sub-indices, the dominant pollutant and
+// the selected profiles. Every standard has its own number of categories, so
+// sub-indices are first mapped onto a common 0–5 level (good … severe) through
+// each category's `severity` (see ./standards.js).
+// A profile that is sensitive to a pollutant reacts one level earlier, which
+// is how CPCB and US EPA word their "sensitive groups" advice.
+
+import { POLLUTANTS } from "./aqi";
+import { subIndexColumn } from "./batch";
+import { findCategory } from "./standards";
+import { numberColumn, timeColumn } from "./columnarStore";
+import { bucketStart } from "./timeseries";
+
+export const MAX_LEVEL = 5;
+
+export const LEVEL_NAMES = ["Good", "Satisfactory", "Moderate", "Poor", "Very poor", "Severe"];
+
+export const PROFILES = [
+  { id: "asthma", label: "Asthma / lung disease", sensitiveTo: ["PM2.5", "PM10", "O3", "SO2", "NO2"] },
+  { id: "heart", label: "Heart disease", sensitiveTo: ["PM2.5", "PM10", "CO"] },
+  { id: "children", label: "Children", sensitiveTo: ["PM2.5", "PM10", "O3", "NO2"] },
+  { id: "elderly", label: "Older adults", sensitiveTo: ["PM2.5", "PM10", "O3", "CO"] },
+  // not more susceptible, but exposed for the whole working day
+  { id: "outdoor", label: "Outdoor workers", sensitiveTo: ["PM2.5", "PM10", "O3", "SO2", "NO2", "CO"] },
+  // breathing rate multiplies the inhaled dose
+  { id: "athletes", label: "Athletes", sensitiveTo: ["PM2.5", "PM10", "O3", "NO2"] },
+];
+
+const GENERAL = { id: "general", label: "Everyone", sensitiveTo: [] };
+
+// the query-string form of the selected profiles ("asthma,children")
+export const HEALTH_PARAMS = { profiles: "" };
+
+export const parseProfiles = (text) =>
+  text.split(",").filter((id) => PROFILES.some((p) => p.id === id));
+
+// activity guidance by level
+const ACTIONS = [
+  "Enjoy outdoor activities",
+  "Outdoor activity is fine",
+  "Stay active outdoors, but take it easier if you notice coughing or throat irritation",
+  "Reduce prolonged or heavy outdoor exertion",
+  "Avoid prolonged or heavy outdoor exertion and move workouts indoors",
+  "Avoid all outdoor physical activity and stay indoors as much as possible",
+];
+
+// when and where each pollutant is worst, appended to the activity advice
+const TIMING = {
+  "PM2.5": "fine particles build up overnight and in the early morning, especially in winter",
+  PM10: "dust is worst near construction sites, unpaved roads and on windy afternoons",
+  SO2: "SO₂ comes from power plants and industry, so stay away from the downwind side of stacks",
+  NO2: "NO₂ is highest near busy roads at rush hour",
+  CO: "CO collects in slow traffic and around stoves, heaters and generators",
+  O3: "O₃ peaks in the afternoon, so go out in the early morning or evening",
+};
+
+// extra advice; fires when the audience's level for any of `pollutants`
+// (all pollutants when omitted) reaches `minLevel`
+const RULES = [
+  { id: "windows", audience: "general", pollutants: ["PM2.5", "PM10"], minLevel: 4, text: "Keep windows closed and run an air purifier if you have one" },
+  { id: "indoor-sources", audience: "general", minLevel: 5, text: "Avoid adding indoor pollution: no incense, candles or wood burning" },
+  { id: "inhaler", audience: "asthma", minLevel: 2, text: "Keep your reliever inhaler with you" },
+  { id: "so2-airways", audience: "asthma", pollutants: ["SO2"], minLevel: 2, text: "SO₂ can tighten airways within minutes; stop exertion at the first wheeze" },
+  { id: "action-plan", audience: "asthma", minLevel: 4, text: "Follow your asthma action plan and seek care if symptoms do not settle" },
+  { id: "co-oxygen", audience: "heart", pollutants: ["CO"], minLevel: 2, text: "CO lowers the blood's oxygen supply; avoid traffic jams and unvented heaters" },
+  { id: "cardiac-symptoms", audience: "heart", pollutants: ["PM2.5", "PM10", "CO"], minLevel: 3, text: "Watch for chest pain, palpitations or unusual breathlessness and keep medicines at hand" },
+  { id: "school-sports", audience: "children", minLevel: 3, text: "Shorten outdoor play; schools should move PE and sports indoors" },
+  { id: "morning-walks", audience: "elderly", pollutants: ["PM2.5", "PM10"], minLevel: 3, text: "Postpone early-morning walks until the haze lifts" },
+  { id: "breaks", audience: "outdoor", minLevel: 3, text: "Take more frequent breaks indoors and rotate heavy tasks" },
+  { id: "respirator", audience: "outdoor", pollutants: ["PM2.5", "PM10"], minLevel: 3, text: "Wear a well-fitted N95 / FFP2 respirator; it filters particles, not gases" },
+  { id: "intensity", audience: "athletes", minLevel: 2, text: "Lower training intensity and duration; hard breathing multiplies the dose you inhale" },
+  { id: "o3-training", audience: "athletes", pollutants: ["O3"], minLevel: 2, text: "Train early in the morning, before ozone builds up" },
+];
+
+// sub-index -> common 0–5 level
+export function levelOf(subIndex, standard) {
+  return findCategory(subIndex, standard)?.severity ?? null;
+}
+
+// { "PM2.5": 3, ... } for every pollutant with a sub-index
+export function pollutantLevels(subIndices = {}, standard) {
+  const levels = {};
+  POLLUTANTS.forEach(({ label }) => {
+    const level = levelOf(subIndices[label], standard);
+    if (level !== null) levels[label] = level;
+  });
+  return levels;
+}
+
+function audienceAdvice(audience, levels, dominant) {
+  const effective = (p) =>
+    Math.min(MAX_LEVEL, levels[p] + (audience.sensitiveTo.includes(p) ? 1 : 0));
+  const pollutants = Object.keys(levels);
+
+  // highest level wins; the dominant pollutant breaks ties
+  let driver = null;
+  pollutants.forEach((p) => {
+    if (
+      driver === null ||
+      effective(p) > effective(driver) ||
+      (effective(p) === effective(driver) && p === dominant)
+    ) {
+      driver = p;
+    }
+  });
+  const level = effective(driver);
+
+  const action = [{ key: `advice.action.${level}`, text: ACTIONS[level] }];
+  if (level >= 2) action.push({ key: `advice.timing.${driver}`, text: TIMING[driver] });
+  const items = [{ id: "activity", parts: action, level }];
+  RULES.forEach((rule) => {
+    if (rule.audience !== audience.id) return;
+    const considered = (rule.pollutants || pollutants).filter((p) => p in levels);
+    const ruleLevel = Math.max(-1, ...considered.map(effective));
+    if (ruleLevel >= rule.minLevel) {
+      items.push({ id: rule.id, parts: [{ key: `advice.rule.${rule.id}`, text: rule.text }], level: ruleLevel });
+    }
+  });
+
+  return { audience, level, driver, items };
+}
+
+// Advice for one reading: { level, dominant, groups: [{ audience, level, driver, items }] }
+// with the general public first and then every selected profile. Each item's
+// text is a list of `parts` ({ key, text }) joined with "; ", so the UI can
+// translate them one by one (see ../i18n.js).
+// Returns null when no sub-index is available.
+export function adviceFor({ subIndices, dominant }, standard, profileIds = []) {
+  const levels = pollutantLevels(subIndices, standard);
+  if (!Object.keys(levels).length) return null;
+  const audiences = [GENERAL, ...PROFILES.filter((p) => profileIds.includes(p.id))];
+  const groups = audiences.map((a) => audienceAdvice(a, levels, dominant));
+  return { level: groups[0].level, dominant, groups };
+}
+
+// the group with the most urgent advice (profiles win ties over the public)
+export function worstGroup(advice) {
+  return advice.groups.reduce((worst, g) => (g.level >= worst.level ? g : worst));
+}
+
+// Short averaging periods (1 h / 8 h) are judged on the day's worst reading,
+// 24 h pollutants on the day's mean.
+const DAILY_MAX = ["CO", "O3"];
+
+// [{ t, aqi, category, dominant, peakHour, advice }] per day, oldest first.
+// Expects a view that went through enrichRows; all stations are pooled like
+// the daily AQI calendar.
+export function dailyAdvice(view, standard, profileIds = []) {
+  const times = timeColumn(view);
+  const columns = POLLUTANTS.map(({ key, label }) => [
+    label,
+    numberColumn(view, subIndexColumn(key)),
+  ]);
+  const days = new Map();
+  for (let k = 0; k < view.length; k++) {
+    const t = times[k];
+    if (Number.isNaN(t)) continue;
+    const key = bucketStart(t, "day");
+    if (!days.has(key)) days.set(key, {});
+    const day = days.get(key);
+    columns.forEach(([label, values]) => {
+      const v = values[k];
+      if (Number.isNaN(v)) return;
+      const acc = day[label] || (day[label] = { sum: 0, n: 0, max: -Infinity, maxAt: t });
+      acc.sum += v;
+      acc.n += 1;
+      if (v > acc.max) {
+        acc.max = v;
+        acc.maxAt = t;
+      }
+    });
+  }
+
+  return [...days.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([t, day]) => {
+      const subIndices = {};
+      Object.entries(day).forEach(([label, acc]) => {
+        subIndices[label] = DAILY_MAX.includes(label) ? acc.max : acc.sum / acc.n;
+      });
+      let dominant = null;
+      Object.keys(subIndices).forEach((label) => {
+        if (dominant === null || subIndices[label] > subIndices[dominant]) dominant = label;
+      });
+      if (dominant === null) return null;
+      const aqi = subIndices[dominant];
+      const peak = day[dominant];
+      return {
+        t,
+        aqi,
+        category: findCategory(aqi, standard),
+        dominant,
+        // only meaningful for sub-daily data
+        peakHour: peak.n > 1 ? new Date(peak.maxAt).getHours() : null,
+        advice: adviceFor({ subIndices, dominant }, standard, profileIds),
+      };
+    })
+    .filter(Boolean);
+}
+
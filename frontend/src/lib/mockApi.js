@@ -0,0 +1,52 @@
+// Mock adapter for ../api.js.
+// Answers the backend's endpoints in the browser with the same response
+// shapes, so the dashboard can be developed and demoed with no server.
+
+import { computeAqi } from "./aqi";
+import { getStandard, BACKEND_STANDARD_ID } from "./standards";
+import { ApiError } from "./apiError";
+
+const LATENCY = 150;
+
+const CHEMISTRY_INFO = {
+  primary_pollutants: [
+    "SO₂, NO₂, CO, PM₂.₅, PM₁₀ – directly emitted from sources like vehicles, industries, burning of fuels.",
+  ],
+  secondary_pollutants: [
+    "O₃, PAN, some particulate matter – formed in the atmosphere by chemical reactions " +
+      "between primary pollutants (e.g., NOx + VOCs + sunlight → O₃).",
+  ],
+  acid_rain: [
+    "SO₂ and NO₂ are oxidised in air to sulfuric and nitric acids.",
+    "These acids dissolve in rainwater and fall as acid rain, damaging vegetation, soil and buildings.",
+  ],
+};
+
+const FIELDS = ["pm25", "pm10", "so2", "no2", "co", "o3"];
+
+export async function mockRequest(path, { method = "GET", body, signal } = {}) {
+  await new Promise((resolve) => setTimeout(resolve, LATENCY));
+  if (signal?.aborted) throw new ApiError("cancelled", "Request cancelled.");
+
+  if (path === "/api/calc-aqi" && method === "POST") {
+    const missing = FIELDS.filter((f) => typeof body?.[f] !== "number");
+    if (missing.length) {
+      throw new ApiError("validation", `${missing.join(", ")}: field required`, {
+        status: 422,
+      });
+    }
+    const result = computeAqi(body, getStandard(BACKEND_STANDARD_ID));
+    return {
+      aqi: result.aqi,
+      category: result.category,
+      dominant_pollutant: result.dominant_pollutant,
+      chemistry_note: result.chemistry_note,
+    };
+  }
+
+  if (path === "/api/chemistry-info" && method === "GET") {
+    return CHEMISTRY_INFO;
+  }
+
+  throw new ApiError("server", "Not Found", { status: 404 });
+}
@@ -0,0 +1,416 @@
+// Structured reaction library behind the Chemistry tab.
+// Each reaction lists its species with stoichiometric coefficients, so
+// equations can be rendered with real sub/superscripts and checked for atom
+// and charge balance instead of living in prose strings.
+//
+// Formulas use plain ASCII: digits are subscripts, "^2-" / "^+" is the
+// charge, a trailing "•" marks a radical, and parentheses group atoms
+// ("(NH4)2SO4", "CH3C(O)O2"). "hν" (a photon) and "M" (any third body, N₂
+// or O₂) carry no atoms. `state` is an electronic state shown as O(¹D).
+
+// `pollutants` uses the dominant-pollutant labels from ./aqi.js
+export const REACTIONS = [
+  /* ---------------- sulfur / acid rain ---------------- */
+  {
+    id: "s-combustion",
+    name: "Sulfur in fuel burns to SO₂",
+    reactants: [{ species: "S" }, { species: "O2" }],
+    products: [{ species: "SO2" }],
+    conditions: "Combustion of coal, diesel and fuel oil",
+    kind: "primary",
+    pollutants: ["SO2"],
+    pathway: "acid-rain",
+  },
+  {
+    id: "so2-oh",
+    name: "OH radical attacks SO₂",
+    reactants: [{ species: "SO2" }, { species: "OH•" }, { species: "M" }],
+    products: [{ species: "HOSO2•" }, { species: "M" }],
+    conditions: "Gas phase, daytime (OH from sunlight)",
+    kind: "secondary",
+    pollutants: ["SO2"],
+    pathway: "acid-rain",
+  },
+  {
+    id: "hoso2-o2",
+    name: "HOSO₂ gives SO₃",
+    reactants: [{ species: "HOSO2•" }, { species: "O2" }],
+    products: [{ species: "HO2•" }, { species: "SO3" }],
+    conditions: "Gas phase, fast",
+    kind: "secondary",
+    pollutants: ["SO2"],
+    pathway: "acid-rain",
+  },
+  {
+    id: "so2-o2",
+    name: "Catalytic oxidation of SO₂",
+    reactants: [{ species: "SO2", coef: 2 }, { species: "O2" }],
+    products: [{ species: "SO3", coef: 2 }],
+    conditions: "On metal-bearing particles and in plumes; slow in clean air",
+    kind: "secondary",
+    pollutants: ["SO2"],
+    pathway: "acid-rain",
+  },
+  {
+    id: "so3-h2o",
+    name: "SO₃ hydrates to sulfuric acid",
+    reactants: [{ species: "SO3" }, { species: "H2O" }],
+    products: [{ species: "H2SO4" }],
+    conditions: "Gas phase or on droplets, very fast",
+    kind: "secondary",
+    pollutants: ["SO2"],
+    pathway: "acid-rain",
+  },
+  {
+    id: "so2-dissolution",
+    name: "SO₂ dissolves in cloud water",
+    reactants: [{ species: "SO2", phase: "aq" }, { species: "H2O", phase: "l" }],
+    products: [{ species: "HSO3^-", phase: "aq" }, { species: "H^+", phase: "aq" }],
+    reversible: true,
+    conditions: "Cloud and fog droplets; more SO₂ dissolves at higher pH",
+    kind: "secondary",
+    pollutants: ["SO2"],
+    pathway: "acid-rain",
+  },
+  {
+    id: "hso3-h2o2",
+    name: "Aqueous oxidation by H₂O₂",
+    reactants: [{ species: "HSO3^-", phase: "aq" }, { species: "H2O2", phase: "aq" }],
+    products: [
+      { species: "SO4^2-", phase: "aq" },
+      { species: "H^+", phase: "aq" },
+      { species: "H2O", phase: "l" },
+    ],
+    conditions: "In cloud droplets; dominant sulfate source in many regions",
+    kind: "secondary",
+    pollutants: ["SO2"],
+    pathway: "acid-rain",
+  },
+  {
+    id: "ammonium-sulfate",
+    name: "Ammonia neutralises sulfuric acid",
+    reactants: [{ species: "H2SO4" }, { species: "NH3", coef: 2 }],
+    products: [{ species: "(NH4)2SO4", phase: "s" }],
+    conditions: "NH₃ from agriculture; forms fine sulfate particles",
+    kind: "secondary",
+    pollutants: ["SO2", "PM2.5"],
+    pathway: "particulates",
+  },
+
+  /* ---------------- nitrogen oxides / ozone ---------------- */
+  {
+    id: "thermal-no",
+    name: "Thermal NO in engines and furnaces",
+    reactants: [{ species: "N2" }, { species: "O2" }],
+    products: [{ species: "NO", coef: 2 }],
+    conditions: "Above ~1500 °C (Zeldovich mechanism)",
+    kind: "primary",
+    pollutants: ["NO2"],
+    pathway: "smog",
+  },
+  {
+    id: "no-o2",
+    name: "NO oxidised by O₂",
+    reactants: [{ species: "NO", coef: 2 }, { species: "O2" }],
+    products: [{ species: "NO2", coef: 2 }],
+    conditions: "Only fast at the high NO levels of fresh exhaust",
+    kind: "secondary",
+    pollutants: ["NO2"],
+    pathway: "smog",
+  },
+  {
+    id: "no2-photolysis",
+    name: "NO₂ photolysis",
+    reactants: [{ species: "NO2" }, { species: "hν" }],
+    products: [{ species: "NO" }, { species: "O", state: "³P" }],
+    conditions: "Sunlight, λ < 420 nm",
+    kind: "secondary",
+    pollutants: ["NO2", "O3"],
+    pathway: "smog",
+  },
+  {
+    id: "o-o2",
+    name: "Atomic oxygen forms ozone",
+    reactants: [{ species: "O", state: "³P" }, { species: "O2" }, { species: "M" }],
+    products: [{ species: "O3" }, { species: "M" }],
+    conditions: "Immediately after NO₂ photolysis",
+    kind: "secondary",
+    pollutants: ["O3"],
+    pathway: "smog",
+  },
+  {
+    id: "no-o3",
+    name: "NO titrates ozone",
+    reactants: [{ species: "NO" }, { species: "O3" }],
+    products: [{ species: "NO2" }, { species: "O2" }],
+    conditions: "Closes the Leighton cycle; lowers O₃ near busy roads and at night",
+    kind: "secondary",
+    pollutants: ["NO2", "O3"],
+    pathway: "smog",
+  },
+  {
+    id: "ch4-oh",
+    name: "OH starts VOC oxidation (methane)",
+    reactants: [{ species: "CH4" }, { species: "OH•" }],
+    products: [{ species: "CH3•" }, { species: "H2O" }],
+    conditions: "Gas phase; other VOCs react the same way, faster",
+    kind: "secondary",
+    pollutants: ["O3"],
+    pathway: "smog",
+  },
+  {
+    id: "ch3-o2",
+    name: "Peroxy radical formation",
+    reactants: [{ species: "CH3•" }, { species: "O2" }, { species: "M" }],
+    products: [{ species: "CH3O2•" }, { species: "M" }],
+    conditions: "Gas phase, fast",
+    kind: "secondary",
+    pollutants: ["O3"],
+    pathway: "smog",
+  },
+  {
+    id: "ro2-no",
+    name: "Peroxy radicals turn NO into NO₂",
+    reactants: [{ species: "CH3O2•" }, { species: "NO" }],
+    products: [{ species: "CH3O•" }, { species: "NO2" }],
+    conditions: "Converts NO without using O₃, so ozone accumulates",
+    kind: "secondary",
+    pollutants: ["NO2", "O3"],
+    pathway: "smog",
+  },
+  {
+    id: "o3-photolysis",
+    name: "Ozone photolysis",
+    reactants: [{ species: "O3" }, { species: "hν" }],
+    products: [{ species: "O", state: "¹D" }, { species: "O2" }],
+    conditions: "UV, λ < 320 nm",
+    kind: "secondary",
+    pollutants: ["O3"],
+    pathway: "smog",
+  },
+  {
+    id: "o1d-h2o",
+    name: "Excited oxygen makes OH",
+    reactants: [{ species: "O", state: "¹D" }, { species: "H2O" }],
+    products: [{ species: "OH•", coef: 2 }],
+    conditions: "Main daytime source of the OH radical",
+    kind: "secondary",
+    pollutants: ["O3"],
+    pathway: "smog",
+  },
+  {
+    id: "pan",
+    name: "PAN formation",
+    reactants: [{ species: "CH3C(O)O2•" }, { species: "NO2" }],
+    products: [{ species: "CH3C(O)O2NO2" }],
+    reversible: true,
+    conditions: "Cool air stabilises PAN, which carries NOx far downwind",
+    kind: "secondary",
+    pollutants: ["NO2", "O3"],
+    pathway: "smog",
+  },
+  {
+    id: "no2-oh",
+    name: "NO₂ oxidised to nitric acid",
+    reactants: [{ species: "NO2" }, { species: "OH•" }, { species: "M" }],
+    products: [{ species: "HNO3" }, { species: "M" }],
+    conditions: "Daytime sink of NOx; nitric acid adds to acid rain",
+    kind: "secondary",
+    pollutants: ["NO2"],
+    pathway: "acid-rain",
+  },
+  {
+    id: "ammonium-nitrate",
+    name: "Ammonium nitrate particles",
+    reactants: [{ species: "HNO3" }, { species: "NH3" }],
+    products: [{ species: "NH4NO3", phase: "s" }],
+    reversible: true,
+    conditions: "Favoured in cold, humid winter air",
+    kind: "secondary",
+    pollutants: ["NO2", "PM2.5"],
+    pathway: "particulates",
+  },
+
+  /* ---------------- carbon monoxide ---------------- */
+  {
+    id: "incomplete-combustion",
+    name: "Incomplete combustion",
+    reactants: [{ species: "C", coef: 2 }, { species: "O2" }],
+    products: [{ species: "CO", coef: 2 }],
+    conditions: "Oxygen-starved burning: vehicles, biomass, stoves",
+    kind: "primary",
+    pollutants: ["CO"],
+    pathway: "carbon-monoxide",
+  },
+  {
+    id: "co-oh",
+    name: "CO removed by OH",
+    reactants: [{ species: "CO" }, { species: "OH•" }],
+    products: [{ species: "CO2" }, { species: "H•" }],
+    conditions: "Gas phase; CO lives about two months",
+    kind: "secondary",
+    pollutants: ["CO"],
+    pathway: "carbon-monoxide",
+  },
+  {
+    id: "h-o2",
+    name: "H atom forms HO₂",
+    reactants: [{ species: "H•" }, { species: "O2" }, { species: "M" }],
+    products: [{ species: "HO2•" }, { species: "M" }],
+    conditions: "Gas phase; HO₂ then converts NO to NO₂ like RO₂",
+    kind: "secondary",
+    pollutants: ["CO", "O3"],
+    pathway: "carbon-monoxide",
+  },
+
+  /* ---------------- particulate matter ---------------- */
+  {
+    id: "soot",
+    name: "Soot from fuel-rich flames",
+    reactants: [{ species: "C2H2" }],
+    products: [{ species: "C", coef: 2, phase: "s" }, { species: "H2" }],
+    conditions: "Pyrolysis in diesel engines and open burning",
+    kind: "primary",
+    pollutants: ["PM2.5", "PM10"],
+    pathway: "particulates",
+  },
+];
+
+export const REACTION_KINDS = [
+  { id: "primary", label: "Primary (at the source)" },
+  { id: "secondary", label: "Secondary (in the atmosphere)" },
+];
+
+export const REACTION_POLLUTANTS = ["PM2.5", "PM10", "SO2", "NO2", "CO", "O3"];
+
+// explorer filters, kept in the URL ("rx_" params)
+export const REACTION_FILTERS = { pollutant: "", kind: "", q: "" };
+
+export const getReaction = (id) => REACTIONS.find((r) => r.id === id) || null;
+
+/* ---------------- formulas ---------------- */
+
+// species with no atoms
+const NON_MATTER = new Set(["hν", "M"]);
+
+// "SO4^2-" -> [{ text: "SO", kind: "text" }, { text: "4", kind: "sub" },
+//              { text: "2−", kind: "sup" }]
+export function formulaParts(formula) {
+  if (NON_MATTER.has(formula)) return [{ text: formula, kind: "text" }];
+  const [body, charge] = formula.split("^");
+  const parts = [];
+  body.match(/\d+|[^\d]+/g).forEach((chunk) => {
+    const kind = /^\d+$/.test(chunk) ? "sub" : "text";
+    const last = parts[parts.length - 1];
+    if (last && last.kind === kind) last.text += chunk;
+    else parts.push({ text: chunk, kind });
+  });
+  if (charge) parts.push({ text: charge.replace("-", "−"), kind: "sup" });
+  return parts;
+}
+
+// { atoms: { S: 1, O: 4 }, charge: -2 }
+export function parseFormula(formula) {
+  if (NON_MATTER.has(formula)) return { atoms: {}, charge: 0 };
+  const [body, chargeText = ""] = formula.replace("•", "").split("^");
+  const tokens = body.match(/[A-Z][a-z]?|\d+|\(|\)/g) || [];
+  const stack = [{}];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token === "(") {
+      stack.push({});
+      continue;
+    }
+    // a number right after an element or ")" multiplies it
+    const hasCount = /^\d+$/.test(tokens[i + 1] || "");
+    const count = hasCount ? Number(tokens[i + 1]) : 1;
+    const group = token === ")" ? stack.pop() : { [token]: 1 };
+    const top = stack[stack.length - 1];
+    Object.entries(group).forEach(([el, n]) => {
+      top[el] = (top[el] || 0) + n * count;
+    });
+    if (hasCount) i += 1;
+  }
+  const m = /^(\d*)([+-])$/.exec(chargeText);
+  const charge = m ? (m[2] === "-" ? -1 : 1) * Number(m[1] || 1) : 0;
+  return { atoms: stack[0], charge };
+}
+
+// { balanced, elements: [{ element, left, right }], charge: { left, right } }
+export function checkBalance(reaction) {
+  const side = (entries) => {
+    const atoms = {};
+    let charge = 0;
+    entries.forEach(({ species, coef = 1 }) => {
+      const parsed = parseFormula(species);
+      Object.entries(parsed.atoms).forEach(([el, n]) => {
+        atoms[el] = (atoms[el] || 0) + n * coef;
+      });
+      charge += parsed.charge * coef;
+    });
+    return { atoms, charge };
+  };
+  const left = side(reaction.reactants);
+  const right = side(reaction.products);
+  const elements = [...new Set([...Object.keys(left.atoms), ...Object.keys(right.atoms)])]
+    .sort()
+    .map((element) => ({
+      element,
+      left: left.atoms[element] || 0,
+      right: right.atoms[element] || 0,
+    }));
+  const close = (a, b) => Math.abs(a - b) < 1e-9;
+  return {
+    balanced:
+      elements.every((e) => close(e.left, e.right)) && close(left.charge, right.charge),
+    elements,
+    charge: { left: left.charge, right: right.charge },
+  };
+}
+
+/* ---------------- plain text ---------------- */
+
+const SUB = "₀₁₂₃₄₅₆₇₈₉";
+const SUP = { 0: "⁰", 1: "¹", 2: "²", 3: "³", 4: "⁴", 5: "⁵", 6: "⁶", 7: "⁷", 8: "⁸", 9: "⁹", "+": "⁺", "−": "⁻" };
+const FRACTIONS = { 0.5: "½", 1.5: "³⁄₂", 0.25: "¼" };
+
+export const formatCoefficient = (coef = 1) =>
+  coef === 1 ? "" : FRACTIONS[coef] || String(coef);
+
+// "SO₄²⁻" style text for places without markup (topics, PDF)
+export function formulaText(formula, state) {
+  const text = formulaParts(formula)
+    .map(({ text, kind }) => {
+      if (kind === "sub") return [...text].map((d) => SUB[d]).join("");
+      if (kind === "sup") return [...text].map((c) => SUP[c] ?? c).join("");
+      return text;
+    })
+    .join("");
+  return state ? `${text}(${state})` : text;
+}
+
+export function reactionText(reaction) {
+  const side = (entries) =>
+    entries
+      .map(({ species, coef, state }) => {
+        const c = formatCoefficient(coef);
+        return `${c ? `${c} ` : ""}${formulaText(species, state)}`;
+      })
+      .join(" + ");
+  return `${side(reaction.reactants)} ${reaction.reversible ? "⇌" : "→"} ${side(
+    reaction.products
+  )}`;
+}
+
+export function filterReactions({ pollutant = "", kind = "", q = "" }) {
+  const query = q.trim().toLowerCase();
+  return REACTIONS.filter(
+    (r) =>
+      (!pollutant || r.pollutants.includes(pollutant)) &&
+      (!kind || r.kind === kind) &&
+      (!query ||
+        [r.name, r.conditions, reactionText(r), ...r.reactants, ...r.products]
+          .map((x) => (typeof x === "string" ? x : x.species))
+          .some((text) => text.toLowerCase().includes(query)))
+  );
+}
@@ -0,0 +1,121 @@
+// Analysis report model.
+// Collects everything the weekly report needs from the (filtered, enriched)
+// dataset view in one plain object, so the on-screen preview and the PDF renderer
+// (./reportPdf.js) show exactly the same numbers.
+
+import { chemistryNote } from "./aqi";
+import { DERIVED_COLUMNS } from "./batch";
+import { POLLUTANT_FIELDS } from "./columnMapping";
+import { CANONICAL_UNITS } from "./units";
+import { columnNumbers, columnReader, hasNumbers, numberColumn, timeColumn } from "./columnarStore";
+import { seriesStats } from "./downsample";
+import { hasTimeAxis, toSeries, resample } from "./timeseries";
+import { exceedanceDays, groupByStation, hasStations } from "./stations";
+import { topicsForPollutants } from "./chemistryTopics";
+
+function period(view) {
+  let from = Infinity;
+  let to = -Infinity;
+  timeColumn(view).forEach((t) => {
+    if (Number.isNaN(t)) return;
+    if (t < from) from = t;
+    if (t > to) to = t;
+  });
+  return Number.isFinite(from) ? { from, to } : null;
+}
+
+// readings per value of a text column
+function countValues(view, column) {
+  const read = columnReader(view, column);
+  const counts = new Map();
+  for (let k = 0; k < view.length; k++) {
+    const v = read(k);
+    counts.set(v, (counts.get(v) || 0) + 1);
+  }
+  return counts;
+}
+
+export function buildReport(view, standard) {
+  const aqiColumn = DERIVED_COLUMNS.aqi;
+  const pollutants = POLLUTANT_FIELDS.filter((f) => hasNumbers(view, f.column));
+
+  // summary statistics: computed AQI first, then every pollutant present
+  const summary = [
+    { column: aqiColumn, label: `AQI (${standard.name})`, unit: "index" },
+    ...pollutants.map((f) => ({
+      column: f.column,
+      label: f.label,
+      unit: CANONICAL_UNITS[f.id],
+    })),
+  ]
+    .map((s) => ({ ...s, stats: seriesStats(numberColumn(view, s.column)) }))
+    .filter((s) => s.stats);
+
+  const aqiValues = [...columnNumbers(view, aqiColumn)];
+  const timed = hasTimeAxis(view);
+  const dailyAqi = timed ? resample(toSeries(view, aqiColumn), "day", "mean") : [];
+
+  const exceedance = {
+    threshold: standard.exceedanceAqi,
+    readings: aqiValues.filter((v) => v > standard.exceedanceAqi).length,
+    totalReadings: aqiValues.length,
+    days: exceedanceDays(view, standard.exceedanceAqi),
+    totalDays: timed ? dailyAqi.length : aqiValues.length,
+    byStation: hasStations(view)
+      ? [...groupByStation(view)].map(([station, stationRows]) => ({
+          station,
+          days: exceedanceDays(stationRows, standard.exceedanceAqi),
+        }))
+      : [],
+  };
+
+  const categoryCounts = countValues(view, DERIVED_COLUMNS.category);
+  const categories = standard.categories.map((cat) => ({
+    name: cat.name,
+    color: cat.color,
+    count: categoryCounts.get(cat.name) || 0,
+  }));
+
+  const dominantCounts = countValues(view, DERIVED_COLUMNS.dominant);
+  dominantCounts.delete(null);
+  const dominantTotal = [...dominantCounts.values()].reduce((a, b) => a + b, 0);
+  const dominant = [...dominantCounts]
+    .map(([pollutant, count]) => ({
+      pollutant,
+      count,
+      share: dominantTotal ? count / dominantTotal : 0,
+    }))
+    .sort((a, b) => b.count - a.count);
+
+  // notes for pollutants that drive at least a tenth of the readings
+  const relevant = dominant.filter((d) => d.share >= 0.1).map((d) => d.pollutant);
+  const chemistry = {
+    notes: relevant.map((pollutant) => ({ pollutant, note: chemistryNote(pollutant) })),
+    topics: topicsForPollutants(relevant),
+  };
+
+  const composition = pollutants.map((f) => ({
+    column: f.column,
+    unit: CANONICAL_UNITS[f.id],
+    mean: summary.find((s) => s.column === f.column)?.stats.mean ?? 0,
+  }));
+
+  return {
+    standard: { id: standard.id, name: standard.name },
+    rowCount: view.length,
+    stationCount: hasStations(view) ? groupByStation(view).size : 0,
+    period: period(view),
+    summary,
+    exceedance,
+    categories,
+    dominant,
+    chemistry,
+    series: {
+      timed,
+      aqi: timed
+        ? dailyAqi.map((p) => ({ x: p.t, y: p.v }))
+        : aqiValues.map((v, i) => ({ x: i + 1, y: v })),
+      composition,
+    },
+  };
+}
@@ -0,0 +1,269 @@
+// PDF rendering of a report built by ./report.js.
+// Charts are drawn with Chart.js on an off-screen canvas (light theme, fixed
+// size) and embedded as PNGs; jsPDF is loaded on demand.
+
+import { Chart } from "chart.js";
+import { format } from "date-fns";
+import { lttb } from "./downsample";
+import { findCategory, getStandard } from "./standards";
+import { getReaction, reactionText } from "./reactions";
+
+const PAGE_MARGIN = 40;
+const CHART_SIZE = { width: 900, height: 380 };
+
+const lightAxis = {
+  ticks: { color: "#374151", font: { size: 11 } },
+  grid: { color: "rgba(156,163,175,0.35)" },
+};
+
+// renders one chart config to a PNG data URL
+function chartImage(config) {
+  const canvas = document.createElement("canvas");
+  canvas.width = CHART_SIZE.width;
+  canvas.height = CHART_SIZE.height;
+  const chart = new Chart(canvas, {
+    ...config,
+    options: {
+      ...config.options,
+      responsive: false,
+      animation: false,
+      devicePixelRatio: 1,
+      plugins: { legend: { labels: { color: "#111827" } } },
+    },
+    plugins: [
+      {
+        id: "white-background",
+        beforeDraw: (c) => {
+          c.ctx.save();
+          c.ctx.fillStyle = "#ffffff";
+          c.ctx.fillRect(0, 0, c.width, c.height);
+          c.ctx.restore();
+        },
+      },
+    ],
+  });
+  const url = chart.toBase64Image("image/png");
+  chart.destroy();
+  return url;
+}
+
+export function reportCharts(report) {
+  const standard = getStandard(report.standard.id);
+  const points = lttb(report.series.aqi, 600);
+
+  const aqi = chartImage({
+    type: "line",
+    data: {
+      datasets: [
+        {
+          label: report.series.timed ? "Daily mean computed AQI" : "Computed AQI",
+          data: points,
+          borderColor: "rgb(79, 70, 229)",
+          pointRadius: points.length > 120 ? 0 : 2,
+          pointBackgroundColor: points.map((p) => findCategory(p.y, standard)?.color),
+          borderWidth: 1.5,
+        },
+        {
+          label: `Exceedance (AQI ${report.exceedance.threshold})`,
+          data: points.length
+            ? [
+                { x: points[0].x, y: report.exceedance.threshold },
+                { x: points[points.length - 1].x, y: report.exceedance.threshold },
+              ]
+            : [],
+          borderColor: "rgb(220, 38, 38)",
+          borderDash: [6, 4],
+          pointRadius: 0,
+          borderWidth: 1,
+        },
+      ],
+    },
+    options: {
+      parsing: false,
+      scales: {
+        x: { ...lightAxis, type: report.series.timed ? "time" : "linear" },
+        y: lightAxis,
+      },
+    },
+  });
+
+  const composition = chartImage({
+    type: "bar",
+    data: {
+      labels: report.series.composition.map((c) => `${c.column} (${c.unit})`),
+      datasets: [
+        {
+          label: "Mean concentration",
+          data: report.series.composition.map((c) => c.mean),
+          backgroundColor: "rgba(13, 148, 136, 0.7)",
+        },
+      ],
+    },
+    options: { scales: { x: lightAxis, y: lightAxis } },
+  });
+
+  return { aqi, composition };
+}
+
+// jsPDF's built-in fonts only cover Latin-1: spell out subscripts, arrows
+// and Greek letters used in the chemistry notes
+const PDF_REPLACEMENTS = [
+  [/[₀-₉]/g, (c) => String(c.charCodeAt(0) - 0x2080)],
+  [/[⁰⁴-⁹]/g, (c) => String(c.charCodeAt(0) - 0x2070)],
+  [/⁺/g, "+"],
+  [/⁻/g, "-"],
+  [/•/g, "."],
+  [/→/g, "->"],
+  [/⇌/g, "<=>"],
+  [/μ/g, "µ"],
+  [/ν/g, "v"],
+  [/≤/g, "<="],
+  [/≥/g, ">="],
+];
+const pdfText = (text) =>
+  PDF_REPLACEMENTS.reduce((acc, [pattern, to]) => acc.replace(pattern, to), String(text));
+
+const fmt = (v) => (Number.isInteger(v) ? String(v) : v.toFixed(1));
+const pct = (share) => `${(share * 100).toFixed(1)}%`;
+
+export async function renderReportPdf(report, { title, notes = "" }) {
+  const [{ jsPDF }, { autoTable }] = await Promise.all([
+    import("jspdf"),
+    import("jspdf-autotable"),
+  ]);
+  const doc = new jsPDF({ unit: "pt", format: "a4" });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - PAGE_MARGIN * 2;
+  let y = PAGE_MARGIN;
+
+  const ensureSpace = (height) => {
+    if (y + height > pageHeight - PAGE_MARGIN) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+    }
+  };
+  const heading = (text) => {
+    ensureSpace(40);
+    y += 10;
+    doc.setFont("helvetica", "bold").setFontSize(13).text(pdfText(text), PAGE_MARGIN, y);
+    y += 14;
+  };
+  const paragraph = (text, size = 10) => {
+    doc.setFont("helvetica", "normal").setFontSize(size);
+    const lines = doc.splitTextToSize(pdfText(text), contentWidth);
+    ensureSpace(lines.length * size * 1.3);
+    doc.text(lines, PAGE_MARGIN, y);
+    y += lines.length * size * 1.3 + 4;
+  };
+  const table = (head, body) => {
+    autoTable(doc, {
+      head: [head.map(pdfText)],
+      body: body.map((row) => row.map(pdfText)),
+      startY: y,
+      margin: { left: PAGE_MARGIN, right: PAGE_MARGIN },
+      styles: { fontSize: 9, cellPadding: 3 },
+      headStyles: { fillColor: [30, 41, 59] },
+    });
+    y = doc.lastAutoTable.finalY + 10;
+  };
+  const image = (dataUrl) => {
+    const height = (contentWidth * CHART_SIZE.height) / CHART_SIZE.width;
+    ensureSpace(height);
+    doc.addImage(dataUrl, "PNG", PAGE_MARGIN, y, contentWidth, height);
+    y += height + 8;
+  };
+
+  // ---------------- title ----------------
+  doc.setFont("helvetica", "bold").setFontSize(18).text(pdfText(title), PAGE_MARGIN, y + 8);
+  y += 30;
+  paragraph(
+    [
+      `Standard: ${report.standard.name}`,
+      `Readings: ${report.rowCount}`,
+      report.stationCount ? `Stations: ${report.stationCount}` : null,
+      report.period
+        ? `Period: ${format(report.period.from, "dd MMM yyyy")} – ${format(report.period.to, "dd MMM yyyy")}`
+        : null,
+      `Generated: ${format(Date.now(), "dd MMM yyyy HH:mm")}`,
+    ]
+      .filter(Boolean)
+      .join("   ·   "),
+    9
+  );
+  if (notes.trim()) paragraph(notes.trim());
+
+  // ---------------- sections ----------------
+  heading("1. Summary statistics");
+  table(
+    ["Series", "Unit", "Readings", "Mean", "Median", "P95", "Min", "Max"],
+    report.summary.map((s) => [
+      s.label,
+      s.unit,
+      s.stats.count,
+      fmt(s.stats.mean),
+      fmt(s.stats.median),
+      fmt(s.stats.p95),
+      fmt(s.stats.min),
+      fmt(s.stats.max),
+    ])
+  );
+
+  const charts = reportCharts(report);
+  heading("2. AQI time series");
+  image(charts.aqi);
+  heading("3. Pollutant composition");
+  image(charts.composition);
+
+  heading("4. Exceedances");
+  const ex = report.exceedance;
+  paragraph(
+    `${ex.days} of ${ex.totalDays} ${report.series.timed ? "days" : "readings"} had a ` +
+      `${report.series.timed ? "daily mean " : ""}computed AQI above ${ex.threshold}; ` +
+      `${ex.readings} of ${ex.totalReadings} individual readings exceeded it.`
+  );
+  if (ex.byStation.length) {
+    table(
+      ["Station", "Exceedance days"],
+      ex.byStation.map((s) => [s.station, s.days])
+    );
+  }
+  table(
+    ["Category", "Readings", "Share"],
+    report.categories.map((c) => [
+      c.name,
+      c.count,
+      ex.totalReadings ? pct(c.count / ex.totalReadings) : "–",
+    ])
+  );
+
+  heading("5. Dominant pollutants");
+  table(
+    ["Pollutant", "Readings", "Share"],
+    report.dominant.map((d) => [d.pollutant, d.count, pct(d.share)])
+  );
+
+  heading("6. Chemistry notes");
+  report.chemistry.notes.forEach(({ pollutant, note }) => {
+    paragraph(`${pollutant}: ${note}`);
+  });
+  report.chemistry.topics.forEach((topic) => {
+    paragraph(
+      [topic.title, topic.intro, ...topic.reactions.map((id) => reactionText(getReaction(id))), topic.outro]
+        .filter(Boolean)
+        .join("\n")
+    );
+  });
+
+  // page numbers
+  const pages = doc.getNumberOfPages();
+  for (let i = 1; i <= pages; i++) {
+    doc.setPage(i);
+    doc
+      .setFont("helvetica", "normal")
+      .setFontSize(8)
+      .text(pdfText(`${title} – page ${i} of ${pages}`), PAGE_MARGIN, pageHeight - 20);
+  }
+
+  return doc.output("blob");
+}
@@ -0,0 +1,66 @@
+// What-if analysis on top of the breakpoint engine.
+// The AQI is the maximum sub-index, so a reading only moves down a category
+// once *every* pollutant's sub-index is at or below that category's upper
+// bound. Inverting the breakpoint tables gives the concentration each
+// pollutant has to reach.
+
+import { computeAqi, POLLUTANTS } from "./aqi";
+import { findCategory } from "./standards";
+
+// concentration whose sub-index equals `index` (inverse of aqi.subIndex)
+export function concentrationForIndex(index, segments) {
+  if (!segments?.length || index < 0) return null;
+  const seg = segments.find(([, , , iHi]) => index <= iHi) || segments[segments.length - 1];
+  const [cLo, cHi, iLo, iHi] = seg;
+  return cLo + ((index - iLo) * (cHi - cLo)) / (iHi - iLo);
+}
+
+export function categoryBelow(aqi, standard) {
+  const current = findCategory(aqi, standard);
+  const idx = standard.categories.indexOf(current);
+  return idx > 0 ? standard.categories[idx - 1] : null;
+}
+
+// What it takes to move `concentrations` down one category.
+// Returns null when the reading is already in the lowest category, otherwise
+// { target, category, reductions: [{ key, label, current, required, cut, cutPct }] }
+// where every listed pollutant has to drop (not just one of them).
+export function reductionsToLowerCategory(concentrations, standard) {
+  const { aqi } = computeAqi(concentrations, standard);
+  if (aqi === null) return null;
+  const lower = categoryBelow(aqi, standard);
+  if (!lower) return null;
+
+  const target = lower.max;
+  const reductions = [];
+  POLLUTANTS.forEach(({ key, label }) => {
+    const current = concentrations[key];
+    const result = computeAqi({ [key]: current }, standard);
+    if (result.aqi === null || result.aqi <= target) return;
+    const required = concentrationForIndex(target, standard.breakpoints[key]);
+    reductions.push({
+      key,
+      label,
+      current,
+      required,
+      cut: current - required,
+      cutPct: ((current - required) / current) * 100,
+    });
+  });
+  return {
+    target,
+    category: lower,
+    reductions: reductions.sort((a, b) => b.cutPct - a.cutPct),
+  };
+}
+
+// base concentrations scaled per pollutant: factors { so2: 0.6, ... } (1 = unchanged)
+export function scaleConcentrations(base, factors) {
+  const out = {};
+  POLLUTANTS.forEach(({ key }) => {
+    const value = base[key];
+    out[key] =
+      typeof value === "number" ? Math.round(value * (factors[key] ?? 1) * 1000) / 1000 : value;
+  });
+  return out;
+}
@@ -0,0 +1,492 @@
+// Registry of AQI standards.
+// Every standard carries its breakpoint tables, category names, colours,
+// health text and the averaging period each pollutant is defined on, so the
+// calculator, badges, charts and Health tab all read from one place.
+//
+// Breakpoints are [concLow, concHigh, indexLow, indexHigh] segments in the
+// calculator's input units: µg/m³ for everything except CO (mg/m³).
+// US EPA tables are published in ppb/ppm and are converted at 25 °C, 1 atm.
+// Concentrations above the last segment extrapolate it (up to maxIndex),
+// except for pollutants listed in a standard's `cappedTables`.
+//
+// `ink` is the badge text colour, chosen for at least 4.5:1 contrast (WCAG AA)
+// against the badge background.
+//
+// Each category's `severity` places it on the common 0–5 scale (good …
+// severe) that the health advice and the colour palettes share. Standards
+// with fewer categories do not reach 5: EU CAQI "Very High" asks everyone to
+// cut down outdoor activity, which is NAQI "Very Poor", not "Severe".
+
+import { convert, CANONICAL_UNITS } from "./units";
+
+// re-express a table published in ppb/ppm in the calculator's units
+const scaleSegments = (segments, unit, pollutant) =>
+  segments.map(([cLo, cHi, iLo, iHi]) => [
+    Math.round(convert(cLo, unit, CANONICAL_UNITS[pollutant], pollutant) * 100) / 100,
+    Math.round(convert(cHi, unit, CANONICAL_UNITS[pollutant], pollutant) * 100) / 100,
+    iLo,
+    iHi,
+  ]);
+
+/* ---------------- India NAQI (CPCB) ---------------- */
+
+const NAQI = {
+  id: "naqi",
+  name: "India NAQI",
+  agency: "CPCB",
+  maxIndex: 500,
+  // index above which a day counts as an exceedance (above "Satisfactory")
+  exceedanceAqi: 100,
+  breakpoints: {
+    pm25: [
+      [0, 30, 0, 50],
+      [30, 60, 50, 100],
+      [60, 90, 100, 200],
+      [90, 120, 200, 300],
+      [120, 250, 300, 400],
+      [250, 380, 400, 500],
+    ],
+    pm10: [
+      [0, 50, 0, 50],
+      [50, 100, 50, 100],
+      [100, 250, 100, 200],
+      [250, 350, 200, 300],
+      [350, 430, 300, 400],
+      [430, 510, 400, 500],
+    ],
+    so2: [
+      [0, 40, 0, 50],
+      [40, 80, 50, 100],
+      [80, 380, 100, 200],
+      [380, 800, 200, 300],
+      [800, 1600, 300, 400],
+      [1600, 2100, 400, 500],
+    ],
+    no2: [
+      [0, 40, 0, 50],
+      [40, 80, 50, 100],
+      [80, 180, 100, 200],
+      [180, 280, 200, 300],
+      [280, 400, 300, 400],
+      [400, 800, 400, 500],
+    ],
+    co: [
+      [0, 1, 0, 50],
+      [1, 2, 50, 100],
+      [2, 10, 100, 200],
+      [10, 17, 200, 300],
+      [17, 34, 300, 400],
+      [34, 50, 400, 500],
+    ],
+    o3: [
+      [0, 50, 0, 50],
+      [50, 100, 50, 100],
+      [100, 168, 100, 200],
+      [168, 208, 200, 300],
+      [208, 748, 300, 400],
+      [748, 1000, 400, 500],
+    ],
+  },
+  averaging: {
+    pm25: "24-hour",
+    pm10: "24-hour",
+    so2: "24-hour",
+    no2: "24-hour",
+    co: "8-hour",
+    o3: "8-hour",
+  },
+  categories: [
+    {
+      min: 0,
+      max: 50,
+      name: "Good",
+      severity: 0,
+      color: "#22c55e",
+      badge: "bg-green-500",
+      ink: "#020617",
+      card: "bg-green-500/20 border-green-500",
+      health: "Minimal impact. Clean air, only background levels of pollutants.",
+    },
+    {
+      min: 51,
+      max: 100,
+      name: "Satisfactory",
+      severity: 1,
+      color: "#84cc16",
+      badge: "bg-lime-500",
+      ink: "#020617",
+      card: "bg-lime-500/20 border-lime-500",
+      health: "Minor breathing discomfort to sensitive people.",
+    },
+    {
+      min: 101,
+      max: 200,
+      name: "Moderate",
+      severity: 2,
+      color: "#facc15",
+      badge: "bg-yellow-400",
+      ink: "#020617",
+      card: "bg-yellow-400/20 border-yellow-400",
+      health:
+        "Breathing discomfort to people with lung disease such as asthma, and discomfort to people with heart disease, children and older adults.",
+    },
+    {
+      min: 201,
+      max: 300,
+      name: "Poor",
+      severity: 3,
+      color: "#f97316",
+      badge: "bg-orange-500",
+      ink: "#020617",
+      card: "bg-orange-500/20 border-orange-500",
+      health:
+        "Breathing discomfort to people on prolonged exposure, and to people with heart disease.",
+    },
+    {
+      min: 301,
+      max: 400,
+      name: "Very Poor",
+      severity: 4,
+      color: "#dc2626",
+      badge: "bg-red-600",
+      ink: "#ffffff",
+      card: "bg-red-600/20 border-red-600",
+      health:
+        "Respiratory illness to people on prolonged exposure. Effect may be more pronounced in people with lung and heart diseases.",
+    },
+    {
+      min: 401,
+      max: Infinity,
+      name: "Severe",
+      severity: 5,
+      color: "#7e22ce",
+      badge: "bg-purple-700",
+      ink: "#ffffff",
+      card: "bg-purple-700/20 border-purple-700",
+      health:
+        "Respiratory effects even on healthy people, serious health impacts on people with lung/heart disease. Even light physical activity should be avoided.",
+    },
+  ],
+};
+
+/* ---------------- US EPA AQI ---------------- */
+
+const US_EPA = {
+  id: "us-epa",
+  name: "US EPA AQI",
+  agency: "EPA",
+  maxIndex: 500,
+  exceedanceAqi: 100,
+  breakpoints: {
+    pm25: [
+      [0, 9, 0, 50],
+      [9, 35.4, 50, 100],
+      [35.4, 55.4, 100, 150],
+      [55.4, 125.4, 150, 200],
+      [125.4, 225.4, 200, 300],
+      [225.4, 325.4, 300, 500],
+    ],
+    pm10: [
+      [0, 54, 0, 50],
+      [54, 154, 50, 100],
+      [154, 254, 100, 150],
+      [254, 354, 150, 200],
+      [354, 424, 200, 300],
+      [424, 604, 300, 500],
+    ],
+    // published in ppb (1-hour)
+    so2: scaleSegments(
+      [
+        [0, 35, 0, 50],
+        [35, 75, 50, 100],
+        [75, 185, 100, 150],
+        [185, 304, 150, 200],
+        [304, 604, 200, 300],
+        [604, 1004, 300, 500],
+      ],
+      "ppb",
+      "so2"
+    ),
+    // published in ppb (1-hour)
+    no2: scaleSegments(
+      [
+        [0, 53, 0, 50],
+        [53, 100, 50, 100],
+        [100, 360, 100, 150],
+        [360, 649, 150, 200],
+        [649, 1249, 200, 300],
+        [1249, 2049, 300, 500],
+      ],
+      "ppb",
+      "no2"
+    ),
+    // published in ppm (8-hour)
+    co: scaleSegments(
+      [
+        [0, 4.4, 0, 50],
+        [4.4, 9.4, 50, 100],
+        [9.4, 12.4, 100, 150],
+        [12.4, 15.4, 150, 200],
+        [15.4, 30.4, 200, 300],
+        [30.4, 50.4, 300, 500],
+      ],
+      "ppm",
+      "co"
+    ),
+    // published in ppb (8-hour); the table ends at 200 ppb / AQI 300
+    o3: scaleSegments(
+      [
+        [0, 54, 0, 50],
+        [54, 70, 50, 100],
+        [70, 85, 100, 150],
+        [85, 105, 150, 200],
+        [105, 200, 200, 300],
+      ],
+      "ppb",
+      "o3"
+    ),
+  },
+  // EPA defines AQI values above 300 for O₃ on 1-hour readings only, so 8-hour
+  // readings past the end of the table are held at its top and flagged
+  // instead of being extrapolated
+  cappedTables: ["o3"],
+  averaging: {
+    pm25: "24-hour",
+    pm10: "24-hour",
+    so2: "1-hour",
+    no2: "1-hour",
+    co: "8-hour",
+    o3: "8-hour",
+  },
+  categories: [
+    {
+      min: 0,
+      max: 50,
+      name: "Good",
+      severity: 0,
+      color: "#22c55e",
+      badge: "bg-green-500",
+      ink: "#020617",
+      card: "bg-green-500/20 border-green-500",
+      health:
+        "Air quality is satisfactory, and air pollution poses little or no risk.",
+    },
+    {
+      min: 51,
+      max: 100,
+      name: "Moderate",
+      severity: 1,
+      color: "#facc15",
+      badge: "bg-yellow-400",
+      ink: "#020617",
+      card: "bg-yellow-400/20 border-yellow-400",
+      health:
+        "Acceptable; some pollutants may be a concern for a very small number of unusually sensitive people.",
+    },
+    {
+      min: 101,
+      max: 150,
+      name: "Unhealthy for Sensitive Groups",
+      severity: 2,
+      color: "#f97316",
+      badge: "bg-orange-500",
+      ink: "#020617",
+      card: "bg-orange-500/20 border-orange-500",
+      health:
+        "Members of sensitive groups (asthma, heart disease, children, older adults) may experience health effects.",
+    },
+    {
+      min: 151,
+      max: 200,
+      name: "Unhealthy",
+      severity: 3,
+      color: "#dc2626",
+      badge: "bg-red-600",
+      ink: "#ffffff",
+      card: "bg-red-600/20 border-red-600",
+      health:
+        "Some members of the general public may experience health effects; sensitive groups more serious effects.",
+    },
+    {
+      min: 201,
+      max: 300,
+      name: "Very Unhealthy",
+      severity: 4,
+      color: "#9333ea",
+      badge: "bg-purple-600",
+      ink: "#ffffff",
+      card: "bg-purple-600/20 border-purple-600",
+      health: "Health alert: the risk of health effects is increased for everyone.",
+    },
+    {
+      min: 301,
+      max: Infinity,
+      name: "Hazardous",
+      severity: 5,
+      color: "#881337",
+      badge: "bg-rose-900",
+      ink: "#ffffff",
+      card: "bg-rose-900/30 border-rose-800",
+      health:
+        "Health warning of emergency conditions: everyone is more likely to be affected.",
+    },
+  ],
+};
+
+/* ---------------- EU CAQI (hourly grid) ---------------- */
+
+// CAQI is open-ended above 100; the last segment extrapolates to 150 so
+// extreme episodes still rank above "Very High" readings.
+const EU_CAQI = {
+  id: "eu-caqi",
+  name: "EU CAQI",
+  agency: "CITEAIR",
+  maxIndex: 150,
+  // CAQI has no "satisfactory" band; anything above "Low" is an exceedance
+  exceedanceAqi: 50,
+  breakpoints: {
+    pm25: [
+      [0, 15, 0, 25],
+      [15, 30, 25, 50],
+      [30, 55, 50, 75],
+      [55, 110, 75, 100],
+      [110, 220, 100, 150],
+    ],
+    pm10: [
+      [0, 25, 0, 25],
+      [25, 50, 25, 50],
+      [50, 90, 50, 75],
+      [90, 180, 75, 100],
+      [180, 360, 100, 150],
+    ],
+    so2: [
+      [0, 50, 0, 25],
+      [50, 100, 25, 50],
+      [100, 350, 50, 75],
+      [350, 500, 75, 100],
+      [500, 1000, 100, 150],
+    ],
+    no2: [
+      [0, 50, 0, 25],
+      [50, 100, 25, 50],
+      [100, 200, 50, 75],
+      [200, 400, 75, 100],
+      [400, 800, 100, 150],
+    ],
+    co: [
+      [0, 5, 0, 25],
+      [5, 7.5, 25, 50],
+      [7.5, 10, 50, 75],
+      [10, 20, 75, 100],
+      [20, 40, 100, 150],
+    ],
+    o3: [
+      [0, 60, 0, 25],
+      [60, 120, 25, 50],
+      [120, 180, 50, 75],
+      [180, 240, 75, 100],
+      [240, 480, 100, 150],
+    ],
+  },
+  averaging: {
+    pm25: "1-hour",
+    pm10: "1-hour",
+    so2: "1-hour",
+    no2: "1-hour",
+    co: "8-hour",
+    o3: "1-hour",
+  },
+  categories: [
+    {
+      min: 0,
+      max: 25,
+      name: "Very Low",
+      severity: 0,
+      color: "#79bc6a",
+      badge: "bg-emerald-500",
+      ink: "#020617",
+      card: "bg-emerald-500/20 border-emerald-500",
+      health: "Air quality is very good; enjoy usual outdoor activities.",
+    },
+    {
+      min: 25,
+      max: 50,
+      name: "Low",
+      severity: 1,
+      color: "#bbcf4c",
+      badge: "bg-lime-500",
+      ink: "#020617",
+      card: "bg-lime-500/20 border-lime-500",
+      health: "Air quality is good; no restrictions for the general population.",
+    },
+    {
+      min: 50,
+      max: 75,
+      name: "Medium",
+      severity: 2,
+      color: "#eec20b",
+      badge: "bg-yellow-400",
+      ink: "#020617",
+      card: "bg-yellow-400/20 border-yellow-400",
+      health:
+        "Sensitive people should consider reducing intense outdoor activity.",
+    },
+    {
+      min: 75,
+      max: 100,
+      name: "High",
+      severity: 3,
+      color: "#f29305",
+      badge: "bg-orange-500",
+      ink: "#020617",
+      card: "bg-orange-500/20 border-orange-500",
+      health:
+        "Sensitive groups should reduce outdoor exertion; others may feel irritation.",
+    },
+    {
+      min: 100,
+      max: Infinity,
+      name: "Very High",
+      severity: 4,
+      color: "#e8416f",
+      badge: "bg-rose-600",
+      ink: "#ffffff",
+      card: "bg-rose-600/20 border-rose-600",
+      health:
+        "Everyone should reduce outdoor physical activity; sensitive groups should avoid it.",
+    },
+  ],
+};
+
+export const STANDARDS = {
+  [NAQI.id]: NAQI,
+  [US_EPA.id]: US_EPA,
+  [EU_CAQI.id]: EU_CAQI,
+};
+
+export const STANDARD_LIST = Object.values(STANDARDS);
+
+export const DEFAULT_STANDARD_ID = NAQI.id;
+
+// the FastAPI backend only implements the Indian scale
+export const BACKEND_STANDARD_ID = NAQI.id;
+
+export function getStandard(id) {
+  return STANDARDS[id] || STANDARDS[DEFAULT_STANDARD_ID];
+}
+
+export function findCategory(aqi, standard = getStandard()) {
+  if (typeof aqi !== "number" || Number.isNaN(aqi)) return null;
+  const { categories } = standard;
+  return categories.find((c) => aqi <= c.max) || categories[categories.length - 1];
+}
+
+// lookup by name (e.g. the `category` string returned by the backend)
+export function categoryByName(name, standard = getStandard()) {
+  return standard.categories.find((c) => c.name === name) || null;
+}
+
+export function formatRange(category) {
+  if (category.max === Infinity) return `${category.min}+`;
+  return `${category.min} – ${category.max}`;
+}
@@ -0,0 +1,107 @@
+// Multi-station helpers: group a view's rows by the mapped "Station" column,
+// rank stations and summarise their pollutant composition.
+
+import { DERIVED_COLUMNS } from "./batch";
+import { POLLUTANT_FIELDS } from "./columnMapping";
+import { columnNumbers, columnReader, createView, timeColumn } from "./columnarStore";
+import { bucketStart } from "./timeseries";
+
+export const STATION_COLUMN = "Station";
+
+// distinct colours for overlaid station series
+export const STATION_COLORS = [
+  "#818cf8",
+  "#2dd4bf",
+  "#fb923c",
+  "#f472b6",
+  "#a3e635",
+  "#38bdf8",
+  "#facc15",
+  "#c084fc",
+  "#f87171",
+  "#94a3b8",
+];
+
+export const stationColor = (index) => STATION_COLORS[index % STATION_COLORS.length];
+
+const isStation = (v) => v !== undefined && v !== null && v !== "";
+
+export function hasStations(view) {
+  const station = columnReader(view, STATION_COLUMN);
+  for (let k = 0; k < view.length; k++) {
+    if (isStation(station(k))) return true;
+  }
+  return false;
+}
+
+// Map<station, view>, in order of first appearance
+export function groupByStation(view) {
+  const station = columnReader(view, STATION_COLUMN);
+  const groups = new Map();
+  for (let k = 0; k < view.length; k++) {
+    const value = station(k);
+    if (!isStation(value)) continue;
+    const key = String(value);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(view.index[k]);
+  }
+  return new Map(
+    [...groups].map(([key, rows]) => [key, createView(view.store, Uint32Array.from(rows))])
+  );
+}
+
+const mean = (values) =>
+  values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+
+// Days whose mean computed AQI is above `threshold`. Without dates every
+// reading counts as its own "day".
+export function exceedanceDays(view, threshold) {
+  const values = columnReader(view, DERIVED_COLUMNS.aqi);
+  const times = timeColumn(view);
+  const daily = new Map();
+  let undated = 0;
+  for (let k = 0; k < view.length; k++) {
+    const aqi = values(k);
+    if (typeof aqi !== "number") continue;
+    if (Number.isNaN(times[k])) {
+      if (aqi > threshold) undated += 1;
+      continue;
+    }
+    const day = bucketStart(times[k], "day");
+    if (!daily.has(day)) daily.set(day, []);
+    daily.get(day).push(aqi);
+  }
+  let count = undated;
+  daily.forEach((values) => {
+    if (mean(values) > threshold) count += 1;
+  });
+  return count;
+}
+
+// [{ station, readings, meanAqi, maxAqi, exceedanceDays }] sorted by `by`
+export function rankStations(view, threshold, by = "meanAqi") {
+  const ranking = [];
+  groupByStation(view).forEach((stationRows, station) => {
+    const aqi = columnNumbers(stationRows, DERIVED_COLUMNS.aqi);
+    ranking.push({
+      station,
+      readings: stationRows.length,
+      meanAqi: mean(aqi),
+      // reduce, not Math.max(...aqi): a large station overflows the call stack
+      maxAqi: aqi.length ? aqi.reduce((a, b) => (b > a ? b : a)) : null,
+      exceedanceDays: exceedanceDays(stationRows, threshold),
+    });
+  });
+  return ranking.sort((a, b) => (b[by] ?? -Infinity) - (a[by] ?? -Infinity));
+}
+
+// { station: { PM2_5: mean, PM10: mean, ... } }
+export function stationComposition(view) {
+  const out = {};
+  groupByStation(view).forEach((stationRows, station) => {
+    out[station] = Object.fromEntries(
+      POLLUTANT_FIELDS.map((f) => [f.column, mean(columnNumbers(stationRows, f.column))])
+    );
+  });
+  return out;
+}
@@ -0,0 +1,176 @@
+// Sorting, filtering and searching for the Data Explorer.
+// The query lives in App state so the same filtered view can drive the charts.
+
+import { parseDate } from "./dates";
+import {
+  columnReader,
+  filterView,
+  numberColumn,
+  reorderView,
+  timeColumn,
+  viewFields,
+} from "./columnarStore";
+
+const SAMPLE_SIZE = 200;
+const MAX_CATEGORIES = 25;
+
+export const EMPTY_QUERY = { search: "", filters: {}, sort: null };
+
+const isNumber = (v) => typeof v === "number" && !Number.isNaN(v);
+
+// "number" | "date" | "category" | "text", judged from a sample of values
+export function inferColumnType(view, column) {
+  const read = columnReader(view, column);
+  const sample = [];
+  for (let k = 0; k < view.length && sample.length < SAMPLE_SIZE; k++) {
+    const v = read(k);
+    if (v !== null && v !== undefined && v !== "") sample.push(v);
+  }
+  if (!sample.length) return "text";
+  if (sample.every(isNumber)) return "number";
+  if (sample.every((v) => parseDate(v) !== null)) return "date";
+
+  const distinct = new Set();
+  for (let k = 0; k < view.length && distinct.size <= MAX_CATEGORIES; k++) {
+    distinct.add(read(k));
+  }
+  return distinct.size <= MAX_CATEGORIES ? "category" : "text";
+}
+
+export function inferColumnTypes(view, columns) {
+  return Object.fromEntries(columns.map((c) => [c, inferColumnType(view, c)]));
+}
+
+export function distinctValues(view, column) {
+  const read = columnReader(view, column);
+  const values = new Set();
+  for (let k = 0; k < view.length; k++) {
+    const v = read(k);
+    if (v !== null && v !== undefined && v !== "") values.add(v);
+  }
+  return [...values].sort((a, b) => String(a).localeCompare(String(b)));
+}
+
+const toNumberOrNull = (v) => (v === "" || v === undefined ? null : Number(v));
+
+const isEmpty = (v) => v === null || v === undefined || v === "";
+
+// one predicate per active filter, called with a view position; filters that
+// are empty are skipped (view = null only checks whether a filter is active)
+function buildPredicate(view, column, filter) {
+  switch (filter.type) {
+    case "number": {
+      const min = toNumberOrNull(filter.min);
+      const max = toNumberOrNull(filter.max);
+      if (min === null && max === null) return null;
+      if (!view) return true;
+      const values = numberColumn(view, column);
+      return (k) => {
+        const v = values[k];
+        if (Number.isNaN(v)) return false;
+        return (min === null || v >= min) && (max === null || v <= max);
+      };
+    }
+    case "date": {
+      const from = filter.from ? parseDate(filter.from) : null;
+      // inclusive end date: everything before the following midnight
+      const to = filter.to ? parseDate(filter.to) + 24 * 3600 * 1000 : null;
+      if (from === null && to === null) return null;
+      if (!view) return true;
+      const times = timeColumn(view, column);
+      return (k) => {
+        const ts = times[k];
+        if (Number.isNaN(ts)) return false;
+        return (from === null || ts >= from) && (to === null || ts < to);
+      };
+    }
+    case "category": {
+      if (!filter.value) return null;
+      if (!view) return true;
+      const read = columnReader(view, column);
+      return (k) => String(read(k)) === filter.value;
+    }
+    default: {
+      const text = (filter.text || "").trim().toLowerCase();
+      if (!text) return null;
+      if (!view) return true;
+      const read = columnReader(view, column);
+      return (k) => String(read(k) ?? "").toLowerCase().includes(text);
+    }
+  }
+}
+
+// search across every column; a dictionary column is matched once per
+// distinct value instead of once per row
+function searchPredicate(view, search) {
+  const matches = (v) => v !== null && String(v).toLowerCase().includes(search);
+  const tests = viewFields(view).map((field) => {
+    const col = view.store.columns[field];
+    if (col.kind === "dict") {
+      const hit = col.dict.map(matches);
+      return (i) => hit[col.codes[i]];
+    }
+    if (col.kind === "number") return (i) => !Number.isNaN(col.data[i]) && matches(col.data[i]);
+    return (i) => matches(col.data[i]);
+  });
+  return (k) => {
+    const i = view.index[k];
+    return tests.some((test) => test(i));
+  };
+}
+
+// dates arrive here as timestamps (see sortKeys)
+function compareValues(a, b, type) {
+  const aEmpty = isEmpty(a);
+  const bEmpty = isEmpty(b);
+  if (aEmpty || bEmpty) return aEmpty === bEmpty ? 0 : aEmpty ? 1 : -1;
+  if (type === "number" || type === "date") return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+// value each position is sorted by; unreadable dates sort as 0 like before
+function sortKeys(view, column, type) {
+  const read = columnReader(view, column);
+  const times = type === "date" ? timeColumn(view, column) : null;
+  return Array.from({ length: view.length }, (_, k) => {
+    const v = read(k);
+    if (!times || isEmpty(v)) return v;
+    return Number.isNaN(times[k]) ? 0 : times[k];
+  });
+}
+
+// query: { search, filters: { column: filter }, sort: { column, dir } | null }
+// Returns a view over the matching rows, in order; no rows are copied.
+export function applyQuery(view, query, types = {}) {
+  const predicates = Object.entries(query.filters)
+    .map(([column, filter]) => buildPredicate(view, column, filter))
+    .filter(Boolean);
+
+  const search = query.search.trim().toLowerCase();
+  if (search) predicates.push(searchPredicate(view, search));
+
+  const result = predicates.length
+    ? filterView(view, (k) => predicates.every((p) => p(k)))
+    : view;
+
+  if (!query.sort) return result;
+  const { column, dir } = query.sort;
+  const type = types[column];
+  const sign = dir === "desc" ? -1 : 1;
+  // keys are worked out once per row, not once per comparison
+  const keys = sortKeys(result, column, type);
+  const order = Array.from({ length: result.length }, (_, k) => k);
+  order.sort((a, b) => {
+    const cmp = compareValues(keys[a], keys[b], type);
+    // empty values stay at the bottom in both directions
+    return isEmpty(keys[a]) || isEmpty(keys[b]) ? cmp : cmp * sign;
+  });
+  return reorderView(result, order);
+}
+
+export function isQueryActive(query) {
+  return Boolean(
+    query.search.trim() ||
+      Object.entries(query.filters).some(([column, f]) => buildPredicate(null, column, f))
+  );
+}
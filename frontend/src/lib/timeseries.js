@@ -0,0 +1,136 @@
+// Time-series helpers: real timestamps, resampling and the rolling windows
+// regulatory AQI is defined on (24-hour means, 8-hour running means).
+
+import { numberColumn, timeColumn } from "./columnarStore";
+
+const HOUR = 3600 * 1000;
+
+export const INTERVALS = [
+  { id: "raw", label: "Raw readings" },
+  { id: "hour", label: "Hourly" },
+  { id: "day", label: "Daily" },
+  { id: "week", label: "Weekly" },
+  { id: "month", label: "Monthly" },
+];
+
+export const AGGREGATIONS = [
+  { id: "mean", label: "Mean" },
+  { id: "max", label: "Max" },
+  { id: "percentile", label: "Percentile" },
+];
+
+// [{ t, v }] sorted by time; rows without a date or a numeric value are skipped
+export function toSeries(view, column, dateColumn = "date") {
+  const times = timeColumn(view, dateColumn);
+  const values = numberColumn(view, column);
+  const points = [];
+  for (let k = 0; k < view.length; k++) {
+    if (Number.isNaN(times[k]) || Number.isNaN(values[k])) continue;
+    points.push({ t: times[k], v: values[k] });
+  }
+  return points.sort((a, b) => a.t - b.t);
+}
+
+export function hasTimeAxis(view, dateColumn = "date") {
+  return timeColumn(view, dateColumn).some((t) => !Number.isNaN(t));
+}
+
+// start of the bucket a timestamp falls into (local time, weeks start Monday)
+export function bucketStart(t, interval) {
+  const d = new Date(t);
+  switch (interval) {
+    case "hour":
+      d.setMinutes(0, 0, 0);
+      break;
+    case "day":
+      d.setHours(0, 0, 0, 0);
+      break;
+    case "week":
+      d.setHours(0, 0, 0, 0);
+      d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+      break;
+    case "month":
+      d.setHours(0, 0, 0, 0);
+      d.setDate(1);
+      break;
+    default:
+      return t;
+  }
+  return d.getTime();
+}
+
+// linear-interpolated percentile of an already sorted array, p in [0, 100]
+export function percentile(sorted, p) {
+  if (!sorted.length) return NaN;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(rank);
+  const hi = Math.ceil(rank);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (rank - lo);
+}
+
+export function aggregate(values, agg, p = 95) {
+  if (!values.length) return NaN;
+  // reduce, not Math.max(...values): spreading 100k+ values overflows the stack
+  if (agg === "max") return values.reduce((a, b) => (b > a ? b : a), -Infinity);
+  if (agg === "percentile") {
+    return percentile([...values].sort((a, b) => a - b), p);
+  }
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+// points -> [{ t, v, n }] with one point per non-empty bucket
+export function resample(points, interval, agg = "mean", p = 95) {
+  if (interval === "raw") return points.map((pt) => ({ ...pt, n: 1 }));
+
+  const buckets = new Map();
+  points.forEach(({ t, v }) => {
+    const key = bucketStart(t, interval);
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(v);
+  });
+  return [...buckets.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([t, values]) => ({ t, v: aggregate(values, agg, p), n: values.length }));
+}
+
+// rolling windows regulatory AQI is built on, the same for every standard:
+// 24-h mean for PM and SO₂, 8-h (daily running max) for O₃ and CO
+export const ROLLING_WINDOWS = { pm25: 24, pm10: 24, so2: 24, o3: 8, co: 8 };
+
+// typical spacing between readings (median gap), in ms
+export function samplingStep(points) {
+  if (points.length < 2) return HOUR;
+  const gaps = [];
+  for (let i = 1; i < points.length; i++) {
+    const gap = points[i].t - points[i - 1].t;
+    if (gap > 0) gaps.push(gap);
+  }
+  return gaps.length ? percentile(gaps.sort((a, b) => a - b), 50) : HOUR;
+}
+
+// Trailing time-window mean. A value is only reported once the window holds
+// at least `minCoverage` of the expected readings (CPCB / EPA use 75%).
+export function rollingMean(points, hours, minCoverage = 0.75) {
+  const span = hours * HOUR;
+  const expected = Math.max(1, Math.round(span / samplingStep(points)));
+  const needed = Math.max(1, Math.ceil(expected * minCoverage));
+  const out = [];
+  let start = 0;
+  let sum = 0;
+
+  points.forEach((pt, i) => {
+    sum += pt.v;
+    while (points[start].t <= pt.t - span) {
+      sum -= points[start].v;
+      start += 1;
+    }
+    const count = i - start + 1;
+    if (count >= needed) out.push({ t: pt.t, v: sum / count });
+  });
+  return out;
+}
+
+// daily maximum of a rolling mean (the 8-hour O₃ / CO metric)
+export function dailyMaxRolling(points, hours, minCoverage = 0.75) {
+  return resample(rollingMean(points, hours, minCoverage), "day", "max");
+}
@@ -0,0 +1,100 @@
+// Concentration unit conversion.
+// Gas-phase mixing ratios (ppb / ppm) are converted to mass concentrations
+// with the ideal-gas molar volume at the given temperature and pressure:
+//   µg/m³ = ppb × MW / Vm,   Vm = 22.414 L/mol × (T / 273.15 K) × (101.325 kPa / P)
+
+// g/mol; particulate matter has no molecular weight
+export const MOLECULAR_WEIGHTS = {
+  so2: 64.066,
+  no2: 46.0055,
+  o3: 47.997,
+  co: 28.01,
+};
+
+// units the AQI engine and breakpoint tables expect
+export const CANONICAL_UNITS = {
+  pm25: "µg/m³",
+  pm10: "µg/m³",
+  so2: "µg/m³",
+  no2: "µg/m³",
+  co: "mg/m³",
+  o3: "µg/m³",
+};
+
+const MASS_UNITS = ["µg/m³", "mg/m³"];
+const MIXING_UNITS = ["ppb", "ppm"];
+
+// units offered per pollutant in the calculator and CSV import
+export const UNIT_OPTIONS = {
+  pm25: MASS_UNITS,
+  pm10: MASS_UNITS,
+  so2: [...MASS_UNITS, ...MIXING_UNITS],
+  no2: [...MASS_UNITS, ...MIXING_UNITS],
+  co: [...MASS_UNITS, ...MIXING_UNITS],
+  o3: [...MASS_UNITS, ...MIXING_UNITS],
+};
+
+// reference conditions used by US EPA and most sensor datasheets
+export const DEFAULT_CONDITIONS = { temperatureC: 25, pressureKPa: 101.325 };
+
+// accepted ambient range per condition; a pressure of 0 or a temperature of
+// absolute zero would make the molar volume infinite
+export const CONDITION_LIMITS = {
+  temperatureC: { min: -90, max: 60 },
+  pressureKPa: { min: 30, max: 110 },
+};
+
+export function isValidCondition(name, value) {
+  const limits = CONDITION_LIMITS[name];
+  return Number.isFinite(value) && value >= limits.min && value <= limits.max;
+}
+
+// out-of-range fields (e.g. from a hand-edited link) fall back to the defaults
+export function validConditions(conditions) {
+  const out = {};
+  Object.keys(DEFAULT_CONDITIONS).forEach((name) => {
+    out[name] = isValidCondition(name, conditions[name])
+      ? conditions[name]
+      : DEFAULT_CONDITIONS[name];
+  });
+  return out;
+}
+
+export function molarVolume({ temperatureC, pressureKPa } = DEFAULT_CONDITIONS) {
+  return 22.414 * ((temperatureC + 273.15) / 273.15) * (101.325 / pressureKPa);
+}
+
+// every unit expressed relative to µg/m³ (mass) or ppb (mixing ratio)
+const MASS_SCALE = { "µg/m³": 1, "mg/m³": 1000 };
+const MIXING_SCALE = { ppb: 1, ppm: 1000 };
+
+// value in `from` → value in `to` for the given pollutant key.
+// Returns NaN when the conversion needs a molecular weight the pollutant lacks.
+export function convert(value, from, to, pollutant, conditions = DEFAULT_CONDITIONS) {
+  if (typeof value !== "number" || Number.isNaN(value)) return NaN;
+  if (from === to) return value;
+
+  const vm = molarVolume(conditions);
+  const mw = MOLECULAR_WEIGHTS[pollutant];
+
+  let ugm3;
+  if (from in MASS_SCALE) {
+    ugm3 = value * MASS_SCALE[from];
+  } else if (from in MIXING_SCALE) {
+    if (!mw) return NaN;
+    ugm3 = (value * MIXING_SCALE[from] * mw) / vm;
+  } else {
+    return NaN;
+  }
+
+  if (to in MASS_SCALE) return ugm3 / MASS_SCALE[to];
+  if (to in MIXING_SCALE) {
+    if (!mw) return NaN;
+    return (ugm3 * vm) / mw / MIXING_SCALE[to];
+  }
+  return NaN;
+}
+
+export function toCanonical(value, unit, pollutant, conditions = DEFAULT_CONDITIONS) {
+  return convert(value, unit, CANONICAL_UNITS[pollutant], pollutant, conditions);
+}
@@ -0,0 +1,82 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_CONDITIONS,
+  convert,
+  isValidCondition,
+  molarVolume,
+  toCanonical,
+  validConditions,
+} from "./units";
+
+describe("molarVolume", () => {
+  it("is 22.414 L/mol at 0 °C and 1 atm", () => {
+    expect(molarVolume({ temperatureC: 0, pressureKPa: 101.325 })).toBeCloseTo(22.414, 6);
+  });
+
+  it("is about 24.46 L/mol at the default 25 °C", () => {
+    expect(molarVolume()).toBeCloseTo(24.465, 2);
+  });
+
+  it("grows with temperature and shrinks with pressure", () => {
+    const base = molarVolume(DEFAULT_CONDITIONS);
+    expect(molarVolume({ temperatureC: 35, pressureKPa: 101.325 })).toBeGreaterThan(base);
+    expect(molarVolume({ temperatureC: 25, pressureKPa: 90 })).toBeGreaterThan(base);
+  });
+});
+
+describe("convert", () => {
+  it("scales between mass units", () => {
+    expect(convert(1500, "µg/m³", "mg/m³", "pm25")).toBe(1.5);
+    expect(convert(2, "mg/m³", "µg/m³", "co")).toBe(2000);
+  });
+
+  it("converts mixing ratios with the molecular weight", () => {
+    // 1 ppb SO₂ ≈ 2.62 µg/m³ at 25 °C
+    expect(convert(1, "ppb", "µg/m³", "so2")).toBeCloseTo(2.619, 3);
+    expect(convert(1, "ppm", "mg/m³", "co")).toBeCloseTo(1.145, 3);
+  });
+
+  it("round-trips ppb through µg/m³", () => {
+    const ugm3 = convert(40, "ppb", "µg/m³", "no2");
+    expect(convert(ugm3, "µg/m³", "ppb", "no2")).toBeCloseTo(40, 10);
+  });
+
+  it("depends on temperature and pressure", () => {
+    const warm = { temperatureC: 40, pressureKPa: 101.325 };
+    expect(convert(100, "ppb", "µg/m³", "o3", warm)).toBeLessThan(
+      convert(100, "ppb", "µg/m³", "o3")
+    );
+  });
+
+  it("returns NaN for impossible conversions", () => {
+    expect(convert(10, "ppb", "µg/m³", "pm25")).toBeNaN();
+    expect(convert(10, "µg/m³", "furlongs", "so2")).toBeNaN();
+    expect(convert(null, "ppb", "µg/m³", "so2")).toBeNaN();
+  });
+
+  it("leaves values already in the target unit alone", () => {
+    expect(convert(12.5, "ppb", "ppb", "pm25")).toBe(12.5);
+  });
+});
+
+describe("toCanonical", () => {
+  it("converts to the unit the AQI tables use", () => {
+    expect(toCanonical(1000, "µg/m³", "co")).toBe(1);
+    expect(toCanonical(10, "ppb", "no2")).toBeCloseTo(18.8, 1);
+  });
+});
+
+describe("conditions", () => {
+  it("rejects temperatures and pressures outside the ambient range", () => {
+    expect(isValidCondition("temperatureC", 30)).toBe(true);
+    expect(isValidCondition("temperatureC", -300)).toBe(false);
+    expect(isValidCondition("pressureKPa", 0)).toBe(false);
+  });
+
+  it("falls back to the defaults per condition", () => {
+    expect(validConditions({ temperatureC: 30, pressureKPa: 0 })).toEqual({
+      temperatureC: 30,
+      pressureKPa: DEFAULT_CONDITIONS.pressureKPa,
+    });
+  });
+});
@@ -0,0 +1,166 @@
+// Persistent workspace in IndexedDB.
+// Keeps uploaded datasets (columnar store + import mapping) and a timestamped
+// history of calculator runs across page reloads. Dataset metadata and the
+// (potentially large) column data live in separate object stores so the
+// sidebar list never has to load every file.
+
+const DB_NAME = "aqi-dashboard";
+const DB_VERSION = 1;
+const DATASETS = "datasets";
+const DATASET_DATA = "datasetData";
+const CALCULATIONS = "calculations";
+
+// last opened dataset, reopened on the next visit
+const ACTIVE_KEY = "aqi-dashboard.active-dataset";
+
+export const HISTORY_LIMIT = 200;
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available in this browser."));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        db.createObjectStore(DATASETS, { keyPath: "id", autoIncrement: true });
+        db.createObjectStore(DATASET_DATA, { keyPath: "id" });
+        const calcs = db.createObjectStore(CALCULATIONS, {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+        calcs.createIndex("at", "at");
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // allow a retry after e.g. a blocked upgrade
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+const promisify = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+// runs `work(stores)` in one transaction and resolves once it has committed
+async function transaction(storeNames, mode, work) {
+  const db = await openDb();
+  const tx = db.transaction(storeNames, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const stores = Object.fromEntries(storeNames.map((n) => [n, tx.objectStore(n)]));
+  const result = await work(stores);
+  await done;
+  return result;
+}
+
+/* ---------------- datasets ---------------- */
+
+// [{ id, name, fileName, rowCount, savedAt, importConfig }] newest first;
+// importConfig is { mapping, units, conditions } from the import wizard
+export async function listDatasets() {
+  const all = await transaction([DATASETS], "readonly", (s) =>
+    promisify(s[DATASETS].getAll())
+  );
+  return all.sort((a, b) => b.savedAt - a.savedAt);
+}
+
+export function saveDataset({ name, fileName, store, importConfig }) {
+  return transaction([DATASETS, DATASET_DATA], "readwrite", async (s) => {
+    const id = await promisify(
+      s[DATASETS].add({
+        name,
+        fileName,
+        rowCount: store.rowCount,
+        savedAt: Date.now(),
+        importConfig,
+      })
+    );
+    s[DATASET_DATA].put({ id, store });
+    return id;
+  });
+}
+
+// { ...meta, store } or null when the dataset no longer exists
+export function loadDataset(id) {
+  return transaction([DATASETS, DATASET_DATA], "readonly", async (s) => {
+    const [meta, data] = await Promise.all([
+      promisify(s[DATASETS].get(id)),
+      promisify(s[DATASET_DATA].get(id)),
+    ]);
+    return meta && data ? { ...meta, store: data.store } : null;
+  });
+}
+
+export function updateDataset(id, patch) {
+  return transaction([DATASETS], "readwrite", async (s) => {
+    const meta = await promisify(s[DATASETS].get(id));
+    if (meta) s[DATASETS].put({ ...meta, ...patch, id });
+  });
+}
+
+export const renameDataset = (id, name) => updateDataset(id, { name });
+
+export function deleteDataset(id) {
+  if (getLastDatasetId() === id) setLastDatasetId(null);
+  return transaction([DATASETS, DATASET_DATA], "readwrite", (s) => {
+    s[DATASETS].delete(id);
+    s[DATASET_DATA].delete(id);
+  });
+}
+
+export function getLastDatasetId() {
+  const id = Number(localStorage.getItem(ACTIVE_KEY));
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+export function setLastDatasetId(id) {
+  if (id === null) localStorage.removeItem(ACTIVE_KEY);
+  else localStorage.setItem(ACTIVE_KEY, String(id));
+}
+
+/* ---------------- calculation history ---------------- */
+
+// entry: { form, units, conditions, standard, engine, result }
+export function addCalculation(entry) {
+  return transaction([CALCULATIONS], "readwrite", async (s) => {
+    const id = await promisify(s[CALCULATIONS].add({ ...entry, at: Date.now() }));
+    // keep the newest HISTORY_LIMIT runs
+    const keys = await promisify(s[CALCULATIONS].getAllKeys());
+    keys.slice(0, Math.max(0, keys.length - HISTORY_LIMIT)).forEach((key) => {
+      s[CALCULATIONS].delete(key);
+    });
+    return id;
+  });
+}
+
+// newest first
+export async function listCalculations(limit = HISTORY_LIMIT) {
+  const all = await transaction([CALCULATIONS], "readonly", (s) =>
+    promisify(s[CALCULATIONS].getAll())
+  );
+  return all.sort((a, b) => b.at - a.at).slice(0, limit);
+}
+
+export const deleteCalculation = (id) =>
+  transaction([CALCULATIONS], "readwrite", (s) => {
+    s[CALCULATIONS].delete(id);
+  });
+
+export const clearCalculations = () =>
+  transaction([CALCULATIONS], "readwrite", (s) => {
+    s[CALCULATIONS].clear();
+  });
@@ -0,0 +1,198 @@
+// Minimal XLSX writer for the exporters: plain sheets of numbers and text,
+// no styles or formulas. An .xlsx file is a zip of a few XML parts; they are
+// stored uncompressed, which every spreadsheet program reads, so no zip or
+// spreadsheet library is needed.
+
+const encoder = new TextEncoder();
+
+/* ---------------- zip (stored) ---------------- */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// files: [{ name, text }] -> Uint8Array of the zip archive
+function zip(files) {
+  const entries = files.map(({ name, text }) => {
+    const data = encoder.encode(text);
+    return { name: encoder.encode(name), data, crc: crc32(data) };
+  });
+  const size =
+    entries.reduce((acc, e) => acc + 30 + e.name.length + e.data.length + 46 + e.name.length, 0) +
+    22;
+  const out = new Uint8Array(size);
+  const view = new DataView(out.buffer);
+  let pos = 0;
+  const u16 = (v) => {
+    view.setUint16(pos, v, true);
+    pos += 2;
+  };
+  const u32 = (v) => {
+    view.setUint32(pos, v, true);
+    pos += 4;
+  };
+  const bytes = (b) => {
+    out.set(b, pos);
+    pos += b.length;
+  };
+
+  // version, flags (bit 11: UTF-8 names), method 0 (stored), time, date
+  const header = (e) => {
+    u16(20);
+    u16(0x0800);
+    u16(0);
+    u16(0);
+    u16(0x21);
+    u32(e.crc);
+    u32(e.data.length);
+    u32(e.data.length);
+    u16(e.name.length);
+    u16(0);
+  };
+
+  entries.forEach((e) => {
+    e.offset = pos;
+    u32(0x04034b50);
+    header(e);
+    bytes(e.name);
+    bytes(e.data);
+  });
+
+  const directory = pos;
+  entries.forEach((e) => {
+    u32(0x02014b50);
+    u16(20);
+    header(e);
+    u16(0); // comment length
+    u16(0); // disk
+    u16(0); // internal attributes
+    u32(0); // external attributes
+    u32(e.offset);
+    bytes(e.name);
+  });
+
+  const directorySize = pos - directory;
+  u32(0x06054b50);
+  u16(0);
+  u16(0);
+  u16(entries.length);
+  u16(entries.length);
+  u32(directorySize);
+  u32(directory);
+  u16(0);
+  return out;
+}
+
+/* ---------------- sheets ---------------- */
+
+const escapeXml = (text) =>
+  text
+    // control characters XML 1.0 does not allow: all below space but tab, LF, CR
+    .replace(/[^\t\n\r\u0020-\uffff]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// 0 -> "A", 27 -> "AB"
+function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function cellXml(value, ref) {
+  if (value === null || value === undefined || value === "") return "";
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? `<c r="${ref}"><v>${value}</v></c>` : "";
+  }
+  if (typeof value === "boolean") return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(
+    String(value)
+  )}</t></is></c>`;
+}
+
+// rows: array of arrays of cell values
+function sheetXml(rows) {
+  const body = rows.map((cells, r) => {
+    const xml = cells.map((v, c) => cellXml(v, `${columnName(c)}${r + 1}`)).join("");
+    return `<row r="${r + 1}">${xml}</row>`;
+  });
+  return (
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<sheetData>${body.join("")}</sheetData></worksheet>`
+  );
+}
+
+// sheets: [{ name, rows: [[value]] }] -> Uint8Array of the .xlsx file
+export function writeXlsx(sheets) {
+  const sheetParts = sheets.map((_, i) => `xl/worksheets/sheet${i + 1}.xml`);
+  return zip([
+    {
+      name: "[Content_Types].xml",
+      text:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        sheetParts
+          .map(
+            (part) =>
+              `<Override PartName="/${part}" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+          )
+          .join("") +
+        "</Types>",
+    },
+    {
+      name: "_rels/.rels",
+      text:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        "</Relationships>",
+    },
+    {
+      name: "xl/workbook.xml",
+      text:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        "<sheets>" +
+        sheets
+          .map((s, i) => `<sheet name="${escapeXml(s.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`)
+          .join("") +
+        "</sheets></workbook>",
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      text:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        sheetParts
+          .map(
+            (part, i) =>
+              `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="${part.slice(3)}"/>`
+          )
+          .join("") +
+        "</Relationships>",
+    },
+    ...sheets.map((s, i) => ({ name: sheetParts[i], text: sheetXml(s.rows) })),
+  ]);
+}
@@ -0,0 +1,58 @@
+import { describe, expect, it } from "vitest";
+import { writeXlsx } from "./xlsxWriter";
+
+// parts are stored uncompressed, so their XML can be read straight from the bytes
+const asText = (bytes) => new TextDecoder().decode(bytes);
+
+describe("writeXlsx", () => {
+  const bytes = writeXlsx([
+    { name: "Readings", rows: [["date", "pm25"], ["2024-01-01", 42.5], ["2024-01-02", null]] },
+    { name: "Notes & <flags>", rows: [[true, "a < b & \"c\""]] },
+  ]);
+  const text = asText(bytes);
+
+  it("writes a zip archive", () => {
+    expect(bytes).toBeInstanceOf(Uint8Array);
+    expect([...bytes.slice(0, 4)]).toEqual([0x50, 0x4b, 0x03, 0x04]);
+    // end of central directory record, with one entry per part
+    const end = bytes.length - 22;
+    expect([...bytes.slice(end, end + 4)]).toEqual([0x50, 0x4b, 0x05, 0x06]);
+    expect(new DataView(bytes.buffer).getUint16(end + 10, true)).toBe(6);
+  });
+
+  it("lists every sheet in the workbook", () => {
+    expect(text).toContain("xl/worksheets/sheet1.xml");
+    expect(text).toContain("xl/worksheets/sheet2.xml");
+    expect(text).toContain('<sheet name="Readings" sheetId="1" r:id="rId1"/>');
+    expect(text).toContain('<sheet name="Notes &amp; &lt;flags&gt;" sheetId="2" r:id="rId2"/>');
+  });
+
+  it("writes numbers, text and booleans as typed cells", () => {
+    expect(text).toContain('<c r="B2"><v>42.5</v></c>');
+    expect(text).toContain('<c r="A2" t="inlineStr"><is><t xml:space="preserve">2024-01-01</t></is></c>');
+    expect(text).toContain('<c r="A1" t="b"><v>1</v></c>');
+  });
+
+  it("leaves empty cells out", () => {
+    expect(text).toContain('<row r="3"><c r="A3" t="inlineStr">');
+    expect(text).not.toContain('r="B3"');
+  });
+
+  it("escapes XML in text", () => {
+    expect(text).toContain("a &lt; b &amp; &quot;c&quot;");
+  });
+
+  it("strips control characters XML cannot hold", () => {
+    const sheet = asText(writeXlsx([{ name: "S", rows: [["a\u0001b\u001fc\td\ne"]] }]));
+
+    expect(sheet).toContain(">abc\td\ne</t>");
+  });
+
+  it("names columns past Z with two letters", () => {
+    const row = Array.from({ length: 28 }, (_, i) => i);
+    const sheet = asText(writeXlsx([{ name: "Wide", rows: [row] }]));
+
+    expect(sheet).toContain('<c r="Z1"><v>25</v></c>');
+    expect(sheet).toContain('<c r="AB1"><v>27</v></c>');
+  });
+});
@@ -0,0 +1,657 @@
+// বাংলা (Bengali). Chemical formulas stay in Latin letters with Unicode
+// subscripts (SO₂, PM₂.₅).
+
+export default {
+  // ---------------- shell ----------------
+  "tabs.overview": "সারসংক্ষেপ",
+  "tabs.chemistry": "দূষকের রসায়ন",
+  "tabs.charts": "শহর ও চার্ট",
+  "tabs.health": "স্বাস্থ্য ও AQI শ্রেণি",
+  "tabs.data": "ডেটা এক্সপ্লোরার",
+  "app.kicker": "AQI ইন্টেলিজেন্স",
+  "app.title": "পরিবেশ রসায়ন ড্যাশবোর্ড",
+  "app.hero.title": "AQI বিশ্লেষণ ড্যাশবোর্ড –",
+  "app.hero.focus": "পরিবেশ রসায়নে কেন্দ্রিত",
+  "app.hero.chemistry": "বায়ুদূষণের রসায়ন",
+  "app.hero.reactions": "বায়ুমণ্ডলীয় বিক্রিয়া",
+  "app.hero.health": "স্বাস্থ্য ও পরিবেশ",
+  "app.hero.body":
+    "AQI-এর সংখ্যাকে {chemistry} এবং {particulates}-এর সঙ্গে যুক্ত করে। Python FastAPI ব্যাকএন্ড ও আধুনিক React ইন্টারফেসে তৈরি।",
+  "app.hero.chemistryTopics": "দহন রসায়ন, আলোক-রাসায়নিক ধোঁয়াশা, অম্লবৃষ্টি",
+  "app.hero.particulates": "কণা দূষণ",
+  "app.loading": "লোড হচ্ছে…",
+  "app.tabsLabel": "ড্যাশবোর্ডের বিভাগ",
+  "app.retrying": "ব্যাকএন্ড এখনও সাড়া দিচ্ছে না – আবার চেষ্টা {attempt}…",
+  "app.calcFailed": "AQI গণনা করা যায়নি। {reason}",
+  "app.datasetNotSaved": "ডেটাসেট সংরক্ষিত হয়নি: {reason}",
+  "app.datasetMissing": "সেই ডেটাসেট আর নেই।",
+  "app.meanConcentration": "গড় ঘনত্ব (CSV)",
+  "app.footer": "AQI ও বায়ুমণ্ডলীয় রসায়ন বিশ্লেষণের জন্য {backend} + {frontend} দিয়ে তৈরি।",
+  "apiError.network": "ব্যাকএন্ডে পৌঁছানো যায়নি। API URL বা আপনার সংযোগ পরীক্ষা করুন।",
+  "apiError.timeout": "ব্যাকএন্ড উত্তর দিতে অনেক দেরি করেছে (হয়তো এখনও চালু হচ্ছে)।",
+  "apiError.validation": "ব্যাকএন্ড ইনপুট প্রত্যাখ্যান করেছে: {message}",
+  "apiError.server": "ব্যাকএন্ড HTTP {status} সহ ব্যর্থ হয়েছে।",
+  "apiError.cancelled": "অনুরোধ বাতিল হয়েছে।",
+  "apiError.unknown": "ব্যাকএন্ডের সঙ্গে যোগাযোগে অপ্রত্যাশিত ত্রুটি।",
+
+  // ---------------- sidebar ----------------
+  "sidebar.controls": "নিয়ন্ত্রণ",
+  "sidebar.subtitle": "ডেটাসেট ও ইনপুট সেটিং",
+  "sidebar.language": "ভাষা",
+  "sidebar.palette": "শ্রেণির রং",
+  "sidebar.patterns": "প্যাটার্ন ভরাট",
+  "palette.standard": "মানক (সংস্থার রং)",
+  "palette.colorblind": "বর্ণান্ধতা-বান্ধব",
+  "palette.contrast": "উচ্চ কনট্রাস্ট",
+  "sidebar.upload": "AQI CSV আপলোড করুন",
+  "sidebar.uploadHelp":
+    "AQI ডেটাসেট CSV ফরম্যাটে আপলোড করুন। {columns}-এর মতো কলাম নিজে থেকে চেনা যায় এবং ইমপোর্টের সময় বদলানো যায়।",
+  "sidebar.loaded": "{count}টি সারি লোড হয়েছে।",
+  "sidebar.standard": "AQI মান",
+  "sidebar.chemistry": "রাসায়নিক দৃষ্টিভঙ্গি",
+  "sidebar.chemistry.combustion": "দহন → SO₂, NOₓ, CO, PM",
+  "sidebar.chemistry.oxidation": "বায়ুমণ্ডলীয় জারণ → অম্ল ও O₃",
+  "sidebar.chemistry.particles": "কণা বিষাক্ত ধাতু ও জৈব যৌগ বহন করে",
+  "sidebar.frontend": "ফ্রন্টএন্ড: React + Tailwind",
+  "sidebar.backend": "ব্যাকএন্ড: FastAPI (Python)",
+  "api.title": "ব্যাকএন্ড",
+  "api.baseUrl": "ব্যাকএন্ড বেস URL",
+  "api.mock": "মক API (সার্ভার ছাড়া)",
+  "api.test": "পরীক্ষা",
+  "api.checking": "পরীক্ষা চলছে…",
+  "api.mockActive": "মক অ্যাডাপ্টার সক্রিয়।",
+  "api.reachable": "ব্যাকএন্ডে পৌঁছানো যাচ্ছে।",
+
+  // ---------------- calculator ----------------
+  "calc.title": "AQI ক্যালকুলেটর",
+  "calc.intro":
+    "দূষকের ঘনত্ব লিখুন এবং প্রতিটি সেন্সরের একক বেছে নিন। ppb/ppm-এ গ্যাসের মান AQI হিসাবের আগে µg/m³-এ (CO হলে mg/m³-এ) রূপান্তর করা হয়।",
+  "calc.backendOnly":
+    "ব্যাকএন্ড শুধু ভারতের NAQI জানে – {standard} সবসময় ব্রাউজারে হিসাব করা হয়।",
+  "calc.serverStandard":
+    "ব্যাকএন্ড শুধু ভারতের NAQI জানে। {standard} হিসাব করতে ইঞ্জিন “স্বয়ংক্রিয়” বা “শুধু স্থানীয়”-তে বদলান।",
+  "calc.error.serverStandard":
+    "হিসাব হয়নি: ব্যাকএন্ড {standard} হিসাব করতে পারে না, আর ইঞ্জিন শুধু সার্ভারে সেট করা।",
+  "calc.error.empty": "অন্তত একটি দূষকের ঘনত্ব লিখুন।",
+  "calc.engine.auto": "স্বয়ংক্রিয় (সার্ভার → স্থানীয়)",
+  "calc.engine.server": "শুধু সার্ভার",
+  "calc.engine.local": "শুধু স্থানীয়",
+  "calc.temperature": "তাপমাত্রা (°C)",
+  "calc.pressure": "চাপ (kPa)",
+  "calc.conversionNote": "শুধু ppb/ppm রূপান্তরের জন্য (আদর্শ গ্যাসের মোলার আয়তন)।",
+  "calc.conditionRange": "{min} থেকে {max}-এর মধ্যে মান লিখুন; ততক্ষণ আগের বৈধ মানই ব্যবহৃত হবে।",
+  "calc.submit": "AQI হিসাব করুন",
+  "calc.calculating": "হিসাব চলছে...",
+  "calc.cancel": "বাতিল",
+  "calc.concentration": "ঘনত্ব",
+  "calc.unit": "{pollutant}-এর একক",
+
+  // ---------------- snapshot ----------------
+  "snapshot.title": "ফলাফল",
+  "snapshot.pin": "পিন করুন",
+  "snapshot.reading": "রিডিং {n}",
+  "snapshot.empty": "AQI, শ্রেণি ও রাসায়নিক সারাংশ দেখতে হিসাব করুন।",
+  "snapshot.aqi": "AQI",
+  "snapshot.category": "শ্রেণি",
+  "snapshot.dominant": "প্রধান দূষক",
+  "snapshot.subIndices": "উপ-সূচক",
+  "snapshot.beyondTable":
+    "{pollutants}: {standard} সারণির সর্বোচ্চ ঘনত্বের চেয়ে বেশি, তাই উপ-সূচক সারণির শীর্ষে আটকে রাখা হয়েছে এবং প্রকৃত AQI আরও বেশি হতে পারে।",
+  "snapshot.chemistry": "রাসায়নিক ব্যাখ্যা",
+  "snapshot.pathway": "{pollutant}-এর বিক্রিয়া-পথ →",
+  "snapshot.otherStandards": "একই রিডিং অন্যান্য মানে",
+  "snapshot.units": "ধরে নেওয়া একক",
+  "snapshot.enteredIn": "{pollutant}: {unit}-এ লেখা",
+  "snapshot.conversionAt": "রূপান্তর {temperature} °C, {pressure} kPa-তে।",
+  "snapshot.source.server": "FastAPI ব্যাকএন্ডে হিসাব",
+  "snapshot.source.local": "ব্রাউজারে হিসাব (ব্রেকপয়েন্ট টেবিল)",
+  "snapshot.source.local-fallback": "ব্যাকএন্ড পাওয়া যায়নি – ব্রাউজারে হিসাব",
+  "snapshot.source.mock": "মক API অ্যাডাপ্টারে হিসাব",
+  "snapshot.profile": "এই রিডিংয়ের দূষক প্রোফাইল",
+  "snapshot.profileHelp":
+    "সবচেয়ে উঁচু বার = প্রধান দূষক। (SO₂, NO₂, CO), গৌণ অ্যারোসল গঠন (সালফেট, নাইট্রেট) বা ধোঁয়াশা (O₃)।",
+
+  // ---------------- charts ----------------
+  "chart.table": "ডেটা টেবিল ও সারসংক্ষেপ",
+  "chart.summary": "{series}: {count}টি মান, সর্বনিম্ন {min} ({minAt}), সর্বোচ্চ {max} ({maxAt}), গড় {mean}।",
+  "chart.empty": "কোনো ডেটা প্লট হয়নি।",
+  "chart.time": "সময়",
+  "chart.label": "লেবেল",
+  "chart.series": "সিরিজ",
+  "chart.value": "মান",
+  "chart.truncated": "{total}টির মধ্যে প্রথম {shown}টি সারি; বাকিগুলোর জন্য চার্টের ডেটা এক্সপোর্ট করুন।",
+  "export.label": "রপ্তানি",
+  "export.failed": "রপ্তানি ব্যর্থ হয়েছে।",
+  "series.aqiComputed": "AQI (গণনা করা, {standard})",
+  "series.aqiReported": "AQI (প্রকাশিত)",
+
+  // ---------------- chemistry ----------------
+  "chemistry.title": "প্রধান AQI দূষকের রসায়ন",
+  "topic.acid-rain.title": "SO₂ → H₂SO₄ (অম্লবৃষ্টি)",
+  "topic.acid-rain.intro": "কয়লা / জ্বালানি দহনের SO₂ জারিত হয়:",
+  "topic.acid-rain.outro": "বৃষ্টির অম্লীয় ফোঁটা বাড়িঘর ও ধাতু ক্ষয় করে এবং পাতার ক্ষতি করে।",
+  "topic.smog.title": "NO₂ ও VOC → O₃ (আলোক-রাসায়নিক ধোঁয়াশা)",
+  "topic.smog.intro": "NO₂ সূর্যালোক শোষণ করে:",
+  "topic.smog.outro":
+    "VOC থাকলে এর থেকে বাদামি আলোক-রাসায়নিক ধোঁয়াশা তৈরি হয়; O₃ একটি তীব্র জারক যা ফুসফুসে জ্বালা ধরায়।",
+  "topic.particulates.title": "PM₂.₅ ও PM₁₀ (কণা পদার্থ)",
+  "topic.particulates.intro":
+    "সালফেট, নাইট্রেট, কার্বন ও ধাতুর জটিল মিশ্রণ। PM₂.₅ ফুসফুসের বায়ুথলি পর্যন্ত পৌঁছে রক্তে মিশতে পারে এবং বিষাক্ত রাসায়নিক বহন করে।",
+  "topic.carbon-monoxide.title": "CO (কার্বন মনোক্সাইড)",
+  "topic.carbon-monoxide.intro":
+    "অসম্পূর্ণ দহনে তৈরি হয়। রক্তের সঙ্গে কার্বক্সিহিমোগ্লোবিন (HbCO) তৈরি করে অক্সিজেন পরিবহন কমায়; বেশি মাত্রায় মাথাব্যথা, মাথা ঘোরা, এমনকি মৃত্যুও হতে পারে।",
+  "topic.primary-secondary.title": "প্রাথমিক ও গৌণ দূষক",
+  "topic.primary-secondary.intro":
+    "প্রাথমিক: সরাসরি নির্গত (SO₂, NO, CO, PM)। গৌণ: বায়ুমণ্ডলে তৈরি (O₃, PAN, অম্ল, কিছু PM)।",
+  "chemistryNote.PM2.5":
+    "PM2.5 হল সূক্ষ্ম কণা (<2.5 μm) যা ফুসফুসের গভীরে পৌঁছায়। এতে প্রায়ই ভারী ধাতু ও জৈব যৌগ লেগে থাকে, যা শ্বাসযন্ত্র ও হৃদ্‌রোগ ঘটায়।",
+  "chemistryNote.PM10":
+    "PM10 হল মোটা কণা (<10 μm)। এগুলি মূলত উপরের শ্বাসনালিতে জমে জ্বালা, কাশি ও শ্বাসকষ্ট ঘটায়।",
+  "chemistryNote.SO2":
+    "সালফারযুক্ত জ্বালানি পোড়ালে SO₂ নির্গত হয়। বাতাসে এটি SO₃ তৈরি করে, যা জলের সঙ্গে মিলে H₂SO₄ (সালফিউরিক অ্যাসিড) হয় এবং অম্লবৃষ্টি ও ক্ষয়ের কারণ হয়।\nবিক্রিয়া: SO₂ + ½O₂ → SO₃;  SO₃ + H₂O → H₂SO₄",
+  "chemistryNote.NO2":
+    "NO₂ যানবাহনের ধোঁয়ার প্রধান উপাদান। এটি আলোক-রাসায়নিক ধোঁয়াশায় অংশ নেয় এবং ট্রপোস্ফিয়ারে ওজোন (O₃) তৈরি করতে পারে।",
+  "chemistryNote.CO":
+    "জ্বালানির অসম্পূর্ণ দহনে CO তৈরি হয়। এটি হিমোগ্লোবিনের সঙ্গে দৃঢ়ভাবে যুক্ত হয়ে কার্বক্সিহিমোগ্লোবিন তৈরি করে এবং রক্তের অক্সিজেন বহনক্ষমতা কমায়।",
+  "chemistryNote.O3":
+    "ভূপৃষ্ঠের O₃ একটি গৌণ দূষক, যা সূর্যালোকে NOx ও VOC-এর বিক্রিয়ায় তৈরি হয়। এটি তীব্র জারক এবং চোখ ও ফুসফুসে জ্বালা ধরায়।",
+
+  // ---------------- categories ----------------
+  "category.Good": "ভালো",
+  "category.Satisfactory": "সন্তোষজনক",
+  "category.Moderate": "মাঝারি",
+  "category.Poor": "খারাপ",
+  "category.Very Poor": "খুব খারাপ",
+  "category.Severe": "গুরুতর",
+  "category.Unhealthy for Sensitive Groups": "সংবেদনশীলদের জন্য অস্বাস্থ্যকর",
+  "category.Unhealthy": "অস্বাস্থ্যকর",
+  "category.Very Unhealthy": "খুব অস্বাস্থ্যকর",
+  "category.Hazardous": "বিপজ্জনক",
+  "category.Very Low": "খুব কম",
+  "category.Low": "কম",
+  "category.Medium": "মাঝারি",
+  "category.High": "বেশি",
+  "category.Very High": "খুব বেশি",
+  "categoryHealth.naqi.Good": "ন্যূনতম প্রভাব। পরিষ্কার বাতাস, দূষক শুধু স্বাভাবিক মাত্রায়।",
+  "categoryHealth.naqi.Satisfactory": "সংবেদনশীল মানুষের সামান্য শ্বাসকষ্ট।",
+  "categoryHealth.naqi.Moderate":
+    "হাঁপানির মতো ফুসফুসের রোগীদের শ্বাসকষ্ট, এবং হৃদ্‌রোগী, শিশু ও বয়স্কদের অস্বস্তি।",
+  "categoryHealth.naqi.Poor": "দীর্ঘ সময় সংস্পর্শে বেশিরভাগ মানুষের এবং হৃদ্‌রোগীদের শ্বাসকষ্ট।",
+  "categoryHealth.naqi.Very Poor":
+    "দীর্ঘ সংস্পর্শে শ্বাসযন্ত্রের অসুখ। ফুসফুস ও হৃদ্‌রোগীদের ওপর প্রভাব বেশি হতে পারে।",
+  "categoryHealth.naqi.Severe":
+    "সুস্থ মানুষের ওপরও শ্বাসযন্ত্রের প্রভাব, ফুসফুস/হৃদ্‌রোগীদের গুরুতর ক্ষতি। হালকা শারীরিক পরিশ্রমও এড়িয়ে চলুন।",
+
+  // ---------------- health ----------------
+  "health.title": "স্বাস্থ্য পরামর্শ",
+  "health.intro":
+    "পরামর্শ {standard} মাপকাঠিতে প্রতিটি দূষকের উপ-সূচকের ওপর নির্ভর করে। বেছে নেওয়া গোষ্ঠীগুলি যে দূষকে সংবেদনশীল, সেগুলিতে এক ধাপ আগে সতর্ক হয়।",
+  "health.adviceFor": "কার জন্য পরামর্শ:",
+  "health.current": "বর্তমান রিডিং",
+  "health.currentSummary": "AQI {aqi} ({category}), প্রধান দূষক {pollutant}।",
+  "health.noResult": "এই রিডিংয়ের পরামর্শ পেতে সারসংক্ষেপ ট্যাবে AQI হিসাব করুন।",
+  "health.daily": "দৈনিক পরামর্শ · ডেটাসেটে {count} দিন",
+  "health.peak": "সর্বোচ্চ {time}",
+  "health.rows": "সারি →",
+  "health.more": "আরও {count} দিন দেখান",
+  "health.categories": "AQI শ্রেণি ও স্বাস্থ্যে প্রভাব",
+  "health.quote":
+    "“AQI, PM, SO₂, NO₂, CO ও O₃-এর ঘনত্বকে একটি মাপকাঠিতে আনে যা সরাসরি স্বাস্থ্যের প্রভাবের সঙ্গে যুক্ত।”",
+  "health.scale": "{standard} মাপকাঠি ({agency})। গড়ের সময়কাল: {periods}।",
+  "health.profile.general": "সবাই",
+  "health.profile.asthma": "হাঁপানি / ফুসফুসের রোগ",
+  "health.profile.heart": "হৃদ্‌রোগ",
+  "health.profile.children": "শিশু",
+  "health.profile.elderly": "বয়স্ক",
+  "health.profile.outdoor": "বাইরে কাজ করা কর্মী",
+  "health.profile.athletes": "খেলোয়াড়",
+  "health.level.0": "ভালো",
+  "health.level.1": "সন্তোষজনক",
+  "health.level.2": "মাঝারি",
+  "health.level.3": "খারাপ",
+  "health.level.4": "খুব খারাপ",
+  "health.level.5": "গুরুতর",
+  "advice.action.0": "বাইরের কাজকর্ম উপভোগ করুন",
+  "advice.action.1": "বাইরের কাজকর্মে অসুবিধা নেই",
+  "advice.action.2": "বাইরে সক্রিয় থাকুন, তবে কাশি বা গলা জ্বালা হলে একটু কমিয়ে দিন",
+  "advice.action.3": "বাইরে দীর্ঘ বা ভারী পরিশ্রম কমান",
+  "advice.action.4": "বাইরে দীর্ঘ বা ভারী পরিশ্রম এড়িয়ে চলুন এবং ব্যায়াম ঘরের ভেতরে করুন",
+  "advice.action.5": "বাইরের সব শারীরিক কাজ এড়িয়ে চলুন এবং যতটা পারেন ঘরে থাকুন",
+  "advice.timing.PM2.5": "সূক্ষ্ম কণা রাতে ও ভোরে জমে, বিশেষত শীতকালে",
+  "advice.timing.PM10": "নির্মাণস্থল, কাঁচা রাস্তার কাছে ও হাওয়ার দুপুরে ধুলো সবচেয়ে বেশি",
+  "advice.timing.SO2": "SO₂ আসে বিদ্যুৎকেন্দ্র ও কারখানা থেকে, তাই চিমনির বাতাসের দিকে যাবেন না",
+  "advice.timing.NO2": "ব্যস্ত রাস্তার কাছে অফিস-টাইমে NO₂ সবচেয়ে বেশি",
+  "advice.timing.CO": "CO ধীরগতির যানজটে এবং উনুন, হিটার ও জেনারেটরের কাছে জমে",
+  "advice.timing.O3": "O₃ দুপুরের পরে সর্বোচ্চ হয়, তাই ভোরে বা সন্ধ্যায় বাইরে যান",
+  "advice.rule.windows": "জানলা বন্ধ রাখুন এবং থাকলে এয়ার পিউরিফায়ার চালান",
+  "advice.rule.indoor-sources": "ঘরের দূষণ বাড়াবেন না: ধূপ, মোমবাতি বা কাঠ জ্বালাবেন না",
+  "advice.rule.inhaler": "রিলিভার ইনহেলার সঙ্গে রাখুন",
+  "advice.rule.so2-airways": "SO₂ কয়েক মিনিটেই শ্বাসনালি সংকুচিত করতে পারে; সাঁই সাঁই শব্দ হলেই পরিশ্রম থামান",
+  "advice.rule.action-plan": "হাঁপানির অ্যাকশন প্ল্যান মেনে চলুন এবং উপসর্গ না কমলে চিকিৎসকের কাছে যান",
+  "advice.rule.co-oxygen": "CO রক্তে অক্সিজেন কমায়; যানজট ও ধোঁয়া বেরোনোর ব্যবস্থা ছাড়া হিটার এড়িয়ে চলুন",
+  "advice.rule.cardiac-symptoms": "বুকে ব্যথা, বুক ধড়ফড় বা অস্বাভাবিক শ্বাসকষ্টে নজর রাখুন এবং ওষুধ হাতের কাছে রাখুন",
+  "advice.rule.school-sports": "বাইরে খেলার সময় কমান; স্কুলে খেলাধুলা ও PE ঘরের ভেতরে করান",
+  "advice.rule.morning-walks": "ধোঁয়াশা না কাটা পর্যন্ত ভোরের হাঁটা পিছিয়ে দিন",
+  "advice.rule.breaks": "ঘরের ভেতরে ঘন ঘন বিশ্রাম নিন এবং ভারী কাজ পালা করে করুন",
+  "advice.rule.respirator": "ঠিকমতো আঁটা N95 / FFP2 মাস্ক পরুন; এটি কণা আটকায়, গ্যাস নয়",
+  "advice.rule.intensity": "অনুশীলনের তীব্রতা ও সময় কমান; জোরে শ্বাস নিলে শরীরে ঢোকা দূষণ বহুগুণ বাড়ে",
+  "advice.rule.o3-training": "ওজোন বাড়ার আগে ভোরে অনুশীলন করুন",
+
+  // ---------------- city & charts ----------------
+  "charts.uploadPrompt": "সময়-সারি ও গঠন চার্ট দেখতে সাইডবার থেকে একটি CSV আপলোড করুন।",
+  "charts.filtered":
+    "চার্টে ডেটা এক্সপ্লোরারের ফিল্টারের সঙ্গে মেলে এমন {total}টির মধ্যে {shown}টি সারি দেখানো হচ্ছে।",
+  "charts.timeSeriesAll": "সময়-সারি (সব সারি)",
+  "charts.timeSeriesFiltered": "সময়-সারি (ফিল্টার করা সারি)",
+  "charts.composition": "গড় দূষক গঠন (CSV থেকে)",
+  "charts.compositionChart": "গড় দূষক গঠন",
+  "charts.noPollutants": "CSV-তে দূষকের কলাম নেই ({columns})।",
+
+  // ---------------- data explorer ----------------
+  "data.title": "কাঁচা ডেটা এক্সপ্লোরার",
+  "data.quote":
+    "“AQI ডেটাসেট পরীক্ষা ও যাচাইয়ের জন্য আমরা একটি React-ভিত্তিক ডেটা এক্সপ্লোরার ব্যবহার করেছি।”",
+  "data.reupload": "অন্য ফাইল পরীক্ষা করতে চাইলে এখানে আবার CSV আপলোড করতে পারেন।",
+  "data.uploadPrompt": "টেবিল দেখতে এখান থেকে বা সাইডবার থেকে একটি CSV আপলোড করুন।",
+  "data.exportAll": "{count}টি সারি রপ্তানি করুন",
+  "data.exportFiltered": "{count}টি ফিল্টার করা সারি রপ্তানি করুন",
+  "data.derivedNote":
+    "“_computed” দিয়ে শেষ হওয়া কলাম ও “SI_” উপ-সূচক {standard} দিয়ে গণনা করা। ফিল্টার করা সারিগুলো শহর ও চার্টের চার্টেও ব্যবহৃত হয়।",
+  "discrepancy.title": "প্রকাশিত বনাম গণনা করা AQI",
+  "discrepancy.intro":
+    "{standard} দিয়ে গণনা করা। দুটির পার্থক্য সহনসীমার বেশি হলে সারি চিহ্নিত হয়।",
+  "discrepancy.tolerance": "সহনসীমা (AQI পয়েন্ট)",
+  "discrepancy.compared": "তুলনা করা সারি",
+  "discrepancy.flagged": "চিহ্নিত",
+  "discrepancy.meanDiff": "গড় |পার্থক্য|",
+  "discrepancy.row": "সারি",
+  "discrepancy.date": "তারিখ",
+  "discrepancy.reported": "প্রকাশিত",
+  "discrepancy.computed": "গণনা করা",
+  "discrepancy.diff": "পার্থক্য",
+  "discrepancy.category": "গণনা করা বিভাগ",
+  "discrepancy.dominant": "প্রধান",
+  "discrepancy.truncated": "{total}টি চিহ্নিত সারির প্রথম {shown}টি দেখানো হচ্ছে।",
+
+  // ---------------- what-if planner ----------------
+  "whatIf.title": "কী-যদি পরিকল্পক",
+  "whatIf.intro": "এই রিডিংয়ের প্রতিটি দূষক কমান-বাড়ান ({standard})।",
+  "whatIf.reset": "রিসেট",
+  "whatIf.pin": "পরিস্থিতি পিন করুন",
+  "whatIf.label": "কী-যদি: {changes}",
+  "whatIf.unchanged": "কী-যদি: অপরিবর্তিত",
+  "whatIf.aqi": "পরিস্থিতির AQI",
+  "whatIf.dominant": "প্রধান: {pollutant}",
+  "whatIf.moveDown": "{category} (AQI ≤ {target})-এ নামতে:",
+  "whatIf.moveDownAll": "{category} (AQI ≤ {target})-এ নামতে এগুলোর সবকটি কমাতে হবে:",
+  "whatIf.reduction": "{pollutant} {from} থেকে ≤ {to}",
+  "whatIf.apply": "এই কমানো প্রয়োগ করুন",
+  "whatIf.noValid": "এই পরিস্থিতিতে কোনো বৈধ ঘনত্ব নেই।",
+  "whatIf.lowest": "ইতিমধ্যে এই স্কেলের সর্বনিম্ন বিভাগে আছে।",
+
+  // ---------------- pinned readings ----------------
+  "compare.title": "পিন করা রিডিং",
+  "compare.intro": "{standard} অনুযায়ী উপ-সূচক।",
+  "compare.clear": "সব মুছুন",
+  "compare.chart": "পিন করা রিডিংয়ের উপ-সূচক",
+  "compare.subIndex": "উপ-সূচক",
+  "compare.reading": "রিডিং",
+  "compare.aqi": "AQI",
+  "compare.category": "বিভাগ",
+  "compare.dominant": "প্রধান",
+  "compare.unpin": "{label} আনপিন করুন",
+
+  // ---------------- import wizard ----------------
+  "import.title": "CSV আমদানি করুন",
+  "import.summary":
+    "{file} · {rows}টি সারি · {columns}টি কলাম। প্রতিটি ফিল্ড কোন কলামে আছে এবং কোন এককে লেখা তা পরীক্ষা করুন।",
+  "import.preset": "প্রিসেট",
+  "import.autoDetected": "স্বয়ংক্রিয়ভাবে শনাক্ত",
+  "import.presetName": "প্রিসেটের নাম",
+  "import.savePreset": "প্রিসেট সংরক্ষণ করুন",
+  "import.delete": "মুছুন",
+  "import.notInFile": "— ফাইলে নেই —",
+  "import.noColumns": "এখনও কোনো কলাম ম্যাপ হয়নি – চার্ট খালি থাকবে।",
+  "import.cancel": "বাতিল",
+  "import.confirm": "{rows}টি সারি আমদানি করুন",
+  "import.reading": "{file} পড়া হচ্ছে – {pct} · {rows}টি সারি",
+  "import.error.empty": "CSV ফাঁকা বা অবৈধ।",
+  "import.error.unreadable": "CSV ফাইল পড়া যায়নি।",
+  "importField.date": "তারিখ / সময়",
+  "importField.station": "শহর / স্টেশন",
+
+  // ---------------- forecast ----------------
+  "forecast.title": "পূর্বাভাস",
+  "forecast.intro.day": "দৈনিক গড় থেকে পরের {horizon} দিন, {level}% পূর্বাভাস ব্যবধানসহ।",
+  "forecast.intro.hour":
+    "ঘণ্টাভিত্তিক গড় থেকে পরের {horizon} ঘণ্টা, {level}% পূর্বাভাস ব্যবধানসহ।",
+  "forecast.needsDate": "পূর্বাভাসের জন্য একটি তারিখ কলাম দরকার।",
+  "forecast.needsMore.day":
+    "{series}-এর অন্তত {needed}টি দৈনিক পর্ব দরকার; এই ডেটায় আছে {count}টি।",
+  "forecast.needsMore.hour":
+    "{series}-এর অন্তত {needed}টি ঘণ্টাভিত্তিক পর্ব দরকার; এই ডেটায় আছে {count}টি।",
+  "forecast.tryHourly": "ঘণ্টাভিত্তিক চেষ্টা করুন",
+  "forecast.history.day": "{series} (দৈনিক গড়)",
+  "forecast.history.hour": "{series} (ঘণ্টাভিত্তিক গড়)",
+  "forecast.lower": "{level}% ব্যবধান (নিম্ন)",
+  "forecast.band": "{level}% ব্যবধান",
+  "forecast.line": "{model} পূর্বাভাস",
+  "forecast.chart": "{series} পূর্বাভাস ({model})",
+  "forecast.ahead.day": "{count} দিন সামনে",
+  "forecast.ahead.hour": "{count} ঘণ্টা সামনে",
+  "forecast.index": "সূচক",
+  "forecast.peak": "{time}-এ সর্বোচ্চ {value} {unit}।",
+  "forecast.peakCategory": "{time}-এ সর্বোচ্চ {value} {unit} ({category})।",
+  "forecast.expected": "AQI {threshold}-এর ওপরে প্রত্যাশিত: {times}।",
+  "forecast.none.day": "কোনো দিন AQI {threshold}-এর ওপরে প্রত্যাশিত নয়।",
+  "forecast.none.hour": "কোনো ঘণ্টা AQI {threshold}-এর ওপরে প্রত্যাশিত নয়।",
+  "forecast.possible": "{level}% ব্যবধানের মধ্যে {count}টি।",
+  "forecast.filled.day": "ফিটিংয়ের আগে {count}টি অনুপস্থিত দিন অন্তর্বেশন করা হয়েছে।",
+  "forecast.filled.hour": "ফিটিংয়ের আগে {count}টি অনুপস্থিত ঘণ্টা অন্তর্বেশন করা হয়েছে।",
+  "forecast.arOrder": "AR ক্রম {order} (AIC অনুযায়ী)",
+  "forecast.backtest.day": "শেষ {count} দিনের ওপর ব্যাকটেস্ট",
+  "forecast.backtest.hour": "শেষ {count} ঘণ্টার ওপর ব্যাকটেস্ট",
+  "forecast.modelHeader": "মডেল",
+  "forecast.best": "সেরা",
+  "forecast.interval.hour": "ঘণ্টাভিত্তিক",
+  "forecast.interval.day": "দৈনিক",
+  "forecast.model.ar": "স্বনির্ভর প্রত্যাবৃত্তি (AR)",
+  "forecast.model.snaive": "মৌসুমি সরল",
+
+  // ---------------- time series ----------------
+  "timeSeries.resampled": "{series} · {interval} {agg}",
+  "timeSeries.rolling": "{hours}-ঘণ্টার চলমান গড়",
+  "timeSeries.dailyMax8h": "8-ঘণ্টা গড়ের দৈনিক সর্বোচ্চ",
+  "timeSeries.readingAxis": "রিডিং #",
+  "timeSeries.window": "{hours}-ঘণ্টার নিয়ন্ত্রক সময়সীমা",
+  "timeSeries.chart": "{series} সময়-সারি",
+  "timeSeries.stat.readings": "রিডিং",
+  "timeSeries.stat.mean": "গড়",
+  "timeSeries.stat.median": "মধ্যমা",
+  "timeSeries.stat.p95": "P95",
+  "timeSeries.stat.min": "সর্বনিম্ন",
+  "timeSeries.stat.max": "সর্বোচ্চ",
+  "timeSeries.downsampled":
+    "{total}টির মধ্যে {plotted}টি বিন্দু দেখানো হচ্ছে (LTTB ডাউনস্যাম্পলিং); পরিসংখ্যানে প্রতিটি রিডিং ব্যবহৃত হয়।",
+  "timeSeries.regulatory":
+    "এই দূষকের জন্য {standard}-এর নিয়ন্ত্রক গড় সময় {averaging}; চলমান মানের জন্য সময়সীমার 75% রিডিং দরকার।",
+  "timeSeries.timeAxis": "তারিখগুলো প্রকৃত সময় অক্ষে আঁকা হয়, তাই নমুনার ফাঁকগুলো দেখা যায়।",
+  "timeSeries.fileOrder": "পাঠযোগ্য তারিখ কলাম নেই – রিডিংগুলো ফাইলের ক্রমে আঁকা হয়েছে।",
+  "timeSeries.interval.raw": "কাঁচা রিডিং",
+  "timeSeries.interval.hour": "ঘণ্টাভিত্তিক",
+  "timeSeries.interval.day": "দৈনিক",
+  "timeSeries.interval.week": "সাপ্তাহিক",
+  "timeSeries.interval.month": "মাসিক",
+  "timeSeries.agg.mean": "গড়",
+  "timeSeries.agg.max": "সর্বোচ্চ",
+  "timeSeries.agg.percentile": "শতাংশক",
+
+  // ---------------- stations ----------------
+  "stations.title": "স্টেশন",
+  "stations.intro": "এই ডেটাসেটে {count}টি স্টেশন আছে। তুলনার জন্য কোনগুলো তা বেছে নিন।",
+  "stations.all": "সব",
+  "stations.aqi": "স্টেশনপ্রতি গণনা করা AQI",
+  "stations.aqiDaily": "স্টেশনপ্রতি গণনা করা AQI (দৈনিক গড়)",
+  "stations.composition": "গড় দূষক গঠন",
+  "stations.ranking": "স্টেশন র‍্যাঙ্কিং",
+  "stations.rankMean": "গড় AQI অনুযায়ী ক্রম",
+  "stations.rankExceedance": "সীমা-অতিক্রমের দিন অনুযায়ী ক্রম",
+  "stations.station": "স্টেশন",
+  "stations.readings": "রিডিং",
+  "stations.meanAqi": "গড় AQI",
+  "stations.maxAqi": "সর্বোচ্চ AQI",
+  "stations.daysAbove": "দিন > {threshold}",
+  "stations.exceedanceNote":
+    "সীমা-অতিক্রমের দিন = গণনা করা AQI-এর দৈনিক গড় {threshold}-এর ওপরে ({standard})।",
+
+  // ---------------- correlations ----------------
+  "correlation.title": "দূষকের সহসম্পর্ক",
+  "correlation.needsTwo": "অন্তত দুটি সংখ্যাসূচক দূষক কলাম দরকার।",
+  "correlation.intro":
+    "কোনো জোড়ার গ্রাফ দেখতে তার ঘরে ক্লিক করুন। প্রতিটি জোড়া শুধু সেই সারিগুলো ব্যবহার করে যেখানে দুটি মানই আছে।",
+  "correlation.pair": "{y} বনাম {x}",
+  "correlation.cell": "{y} বনাম {x}: r = {r} (n = {n})",
+  "correlation.noDate": "তারিখ নেই",
+  "correlation.fitLine": "লঘিষ্ঠ-বর্গ ফিট",
+  "correlation.opposite": "−1 বিপরীত দিকে",
+  "correlation.together": "+1 একসঙ্গে",
+  "correlation.summary": "{symbol} = {r} ({strength}, n = {n})",
+  "correlation.fit": "ফিট {formula}, R² = {r2}",
+  "correlation.strength.not enough data": "যথেষ্ট ডেটা নেই",
+  "correlation.strength.no clear relationship": "স্পষ্ট সম্পর্ক নেই",
+  "correlation.strength.strong positive": "দৃঢ় ধনাত্মক",
+  "correlation.strength.moderate positive": "মাঝারি ধনাত্মক",
+  "correlation.strength.weak positive": "দুর্বল ধনাত্মক",
+  "correlation.strength.strong negative": "দৃঢ় ঋণাত্মক",
+  "correlation.strength.moderate negative": "মাঝারি ঋণাত্মক",
+  "correlation.strength.weak negative": "দুর্বল ঋণাত্মক",
+  "correlation.method.pearson": "পিয়ারসন (রৈখিক)",
+  "correlation.method.spearman": "স্পিয়ারম্যান (ক্রম)",
+  "correlation.color.none": "একটি রং",
+  "correlation.color.hour": "দিনের সময়",
+  "correlation.color.season": "ঋতু",
+  "correlation.group.night": "রাত (00–06)",
+  "correlation.group.morning": "সকাল (06–12)",
+  "correlation.group.afternoon": "দুপুর (12–18)",
+  "correlation.group.evening": "সন্ধ্যা (18–24)",
+  "correlation.group.winter": "শীত (ডিসে–ফেব্রু)",
+  "correlation.group.summer": "বর্ষা-পূর্ব (মার্চ–মে)",
+  "correlation.group.monsoon": "বর্ষা (জুন–সেপ্টে)",
+  "correlation.group.postMonsoon": "বর্ষা-পরবর্তী (অক্টো–নভে)",
+
+  // ---------------- box model ----------------
+  "boxModel.title": "আলোক-রাসায়নিক বক্স মডেল",
+  "boxModel.intro":
+    "একটি ভালোভাবে মিশ্রিত বায়ুখণ্ডের জন্য NO₂ আলোক-বিয়োজন, NO + O₃ টাইট্রেশন এবং ঐচ্ছিক VOC / RO₂ ও SO₂ + OH রসায়ন সমাকলন করে; সূর্য ঘড়ির সঙ্গে চলে।",
+  "boxModel.so2Oxidation": "SO₂ জারণ",
+  "boxModel.initial": "প্রাথমিক ঘনত্ব",
+  "boxModel.emissions": "নির্গমন ও মিশ্রণ",
+  "boxModel.emission": "{species} নির্গমন",
+  "boxModel.mixing": "পটভূমি মিশ্রণ",
+  "boxModel.sun": "সূর্য",
+  "boxModel.start": "শুরুর সময়",
+  "boxModel.duration": "সময়কাল",
+  "boxModel.latitude": "অক্ষাংশ",
+  "boxModel.month": "মাস",
+  "boxModel.sunlight": "সূর্যালোক (কুয়াশা, মেঘ)",
+  "boxModel.ohNoon": "দুপুরে OH",
+  "boxModel.rates": "হার ধ্রুবক (cm³ s⁻¹)",
+  "boxModel.speciesChart": "দিনজুড়ে মডেল করা ঘনত্ব (ppb)",
+  "boxModel.sunChart": "দিনজুড়ে আলোক-বিয়োজন হার ও OH",
+  "boxModel.peak": "O₃ {time}-এ {value} নিয়ে সর্বোচ্চে পৌঁছায়",
+  "boxModel.peakVoc":
+    ": যতক্ষণ সূর্যালোক RO₂ দিয়ে NO-কে NO₂-তে রূপান্তর করায়, ওজোন জমতে থাকে, তাই সর্বোচ্চ মান আসে সৌর দুপুরের পরে।",
+  "boxModel.peakNoVoc":
+    ": VOC ছাড়া আলোক-বিয়োজন ও টাইট্রেশন শুধু NO ও NO₂-এর মধ্যে O₃ সরায়, তাই ওজোন জমতে পারে না।",
+  "boxModel.leighton": "দুপুরে লেইটন অনুপাত j[NO₂] / k[NO][O₃]: {ratio}",
+  "boxModel.leightonAbove": "(1-এর বেশি: পারক্সি মূলক অতিরিক্ত NO₂ তৈরি করছে)।",
+  "boxModel.leightonSteady": "(আলোক-স্থির অবস্থা)।",
+  "boxModel.species.H2SO4": "H₂SO₄ (সালফেট)",
+  "boxModel.preset.leighton": "শুধু লেইটন চক্র",
+  "boxModel.preset.urban": "শহুরে যানবাহন",
+  "boxModel.preset.industrial": "শিল্প ধোঁয়া (SO₂)",
+  "boxModel.preset.rural": "পরিষ্কার গ্রামীণ",
+
+  // ---------------- acid rain ----------------
+  "acidRain.title": "অম্লবৃষ্টি pH নির্ণায়ক",
+  "acidRain.intro":
+    "হেনরির সূত্র ও অম্ল বিয়োজনের মাধ্যমে বৃষ্টির জলকে গ্যাসের সঙ্গে সাম্যে আনে, SO₂ ও NO₂ থেকে আগেই তৈরি সালফেট ও নাইট্রেট যোগ করে এবং pH-এর জন্য আধান-সাম্য সমাধান করে। ক্ষারীয় ধুলো ও অ্যামোনিয়া উপেক্ষা করা হয়েছে, তাই প্রকৃত বৃষ্টি সাধারণত কম অম্লীয়।",
+  "acidRain.input": "ইনপুট: {source}",
+  "acidRain.source.example": "উদাহরণ শহুরে বায়ু",
+  "acidRain.source.form": "ক্যালকুলেটর ফর্ম",
+  "acidRain.source.row": "CSV সারি {n}{detail}",
+  "acidRain.fromCalculator": "ক্যালকুলেটর থেকে",
+  "acidRain.csvRow": "CSV সারি",
+  "acidRain.useRow": "সারি ব্যবহার করুন",
+  "acidRain.gases": "গ্যাস-দশার মাত্রা",
+  "acidRain.cloud": "মেঘ ও রূপান্তর",
+  "acidRain.toSulfate": "SO₂ → সালফেট",
+  "acidRain.toNitrate": "NO₂ → নাইট্রেট",
+  "acidRain.liquidWater": "তরল জল",
+  "acidRain.temperature": "তাপমাত্রা",
+  "acidRain.estimated": "আনুমানিক বৃষ্টির pH",
+  "acidRain.species": "প্রজাতি",
+  "acidRain.share": "অ্যানায়ন আধানে অংশ",
+  "acidRain.shareTooltip": "{value} µeq/L (অ্যানায়নের {share})",
+  "acidRain.sweepLabel": "{gas} (1× = {base} {unit})",
+  "acidRain.cleanRain": "পরিষ্কার বৃষ্টি (pH {ph})",
+  "acidRain.multiple": "বর্তমান মাত্রার {factor}×",
+  "acidRain.gasAxis": "গ্যাসের মাত্রা, বর্তমান ইনপুটের গুণিতক",
+  "acidRain.phAxis": "বৃষ্টির pH",
+  "acidRain.anionChart": "বৃষ্টির অ্যানায়ন (µeq/L)",
+  "acidRain.sweepChart": "প্রতিটি গ্যাস বদলালে বৃষ্টির pH",
+  "acidRain.sweepNote":
+    "প্রতিটি রেখা একটি গ্যাস বদলায়, বাকিগুলো বর্তমান ইনপুটে থাকে। সালফেট ও নাইট্রেট তীব্র অম্ল, তাই তাদের পূর্বসূরি বাড়লে pH কমতে থাকে; দ্রবীভূত SO₂ দুর্বল অম্ল এবং শুধু CO₂ বৃষ্টিকে প্রায় pH {ph}-এর নিচে নামাতে পারে না।",
+  "acidRain.ph.strong":
+    "তীব্র অম্লীয় বৃষ্টি, কয়লা বিদ্যুৎকেন্দ্র ও গলনশালার বায়ুপ্রবাহের দিকে সাধারণ",
+  "acidRain.ph.acid": "অম্লবৃষ্টি",
+  "acidRain.ph.mild": "মৃদু অম্লীয় বৃষ্টি",
+  "acidRain.ph.clean": "CO₂-এর সঙ্গে সাম্যে থাকা পরিষ্কার বৃষ্টির চেয়ে বেশি অম্লীয় নয়",
+
+  // ---------------- report ----------------
+  "report.title": "বিশ্লেষণ প্রতিবেদন",
+  "report.intro": "সারাংশ পরিসংখ্যান, চার্ট, সীমা-অতিক্রম, প্রধান দূষক ও রসায়ন টীকা PDF হিসেবে।",
+  "report.generate": "প্রতিবেদন তৈরি করুন",
+  "report.close": "বন্ধ করুন",
+  "report.titleField": "শিরোনাম",
+  "report.notes": "টীকা (ঐচ্ছিক, শিরোনামের নিচে ছাপা হবে)",
+  "report.readings": "রিডিং",
+  "report.period": "সময়কাল",
+  "report.noDates": "তারিখ নেই",
+  "report.daysAbove": "দিন > {threshold}",
+  "report.daysOf": "{total}-এর মধ্যে {days}",
+  "report.topPollutant": "শীর্ষ দূষক",
+  "report.dominant": "প্রধান দূষকের বিভাজন",
+  "report.chemistry": "অন্তর্ভুক্ত রসায়ন টীকা",
+  "report.pdfFailed": "PDF তৈরি করা যায়নি।",
+  "report.scope": "চার্টে এখন দেখানো {count}টি সারি ও {standard} স্কেল ব্যবহার করে।",
+  "report.building": "PDF তৈরি হচ্ছে…",
+  "report.download": "PDF ডাউনলোড করুন",
+
+  // ---------------- workspace ----------------
+  "workspace.title": "কর্মক্ষেত্র",
+  "workspace.datasets": "সংরক্ষিত ডেটাসেট",
+  "workspace.noDatasets": "আপলোড করা CSV এখানে সংরক্ষিত হয়।",
+  "workspace.save": "সংরক্ষণ",
+  "workspace.rows": "{count}টি সারি · {time}",
+  "workspace.rename": "নাম বদলান",
+  "workspace.delete": "মুছুন",
+  "workspace.confirmDelete": "\"{name}\" কর্মক্ষেত্র থেকে মুছবেন?",
+  "workspace.history": "গণনার ইতিহাস",
+  "workspace.clear": "মুছে ফেলুন",
+  "workspace.noHistory": "ক্যালকুলেটরের গণনা এখানে তালিকাভুক্ত হয়।",
+  "workspace.reopen": "এই গণনা আবার খুলুন",
+  "workspace.deleteCalculation": "গণনা মুছুন",
+  "workspace.showFewer": "কম দেখান",
+  "workspace.showAll": "সব {count}টি দেখান",
+
+  // ---------------- data quality ----------------
+  "quality.title": "ডেটার মান নিরীক্ষা",
+  "quality.clean": "{rows}টি সারিতে কোনো সমস্যা পাওয়া যায়নি।",
+  "quality.flagged":
+    "{rows}টি সারিতে {flags}টি চিহ্নিত মান। AQI ও চার্ট গণনার আগে প্রতিটি ধরনের জন্য কী করবেন বেছে নিন।",
+  "quality.completeness": "কলাম অনুযায়ী সম্পূর্ণতা",
+  "quality.missing": "{pct} · {missing}টি অনুপস্থিত",
+  "quality.rule": "নিয়ম",
+  "quality.values": "মান",
+  "quality.rows": "সারি",
+  "quality.action": "পদক্ষেপ",
+  "quality.sample": "সারি {row} · {column} = {value}",
+  "quality.more": "… আরও {count}টি",
+  "quality.inEffect": "কার্যকর: {steps}।",
+  "quality.inEffectExcluded": "কার্যকর: {steps} ({rows}টি সারি বাদ)।",
+  "quality.asUploaded": "সব মান আপলোড করা অবস্থায় ব্যবহৃত হচ্ছে।",
+  "quality.reset": "রিসেট",
+  "quality.apply": "পরিষ্করণ প্রয়োগ করুন",
+  "quality.log": "পরিষ্করণ লগ ({count}টি ধাপ)",
+  "quality.logEntry": "{date} – {step} ({values}টি মান)",
+  "quality.rule.nonNumeric": "অসংখ্যাসূচক মান",
+  "quality.rule.nonNumeric.description":
+    "দূষক কলামে লেখা (যেমন \"NA\", \"12,5\", ভুল পড়া সংখ্যা)।",
+  "quality.rule.negative": "ঋণাত্মক ঘনত্ব",
+  "quality.rule.negative.description": "শূন্যের নিচে; ক্যাপ করলে এটি 0 হয়।",
+  "quality.rule.implausible": "ভৌতভাবে অসম্ভব",
+  "quality.rule.implausible.description":
+    "দূষকের সম্ভাব্য সর্বোচ্চের ওপরে; ক্যাপ করলে সেখানে সীমিত হয়।",
+  "quality.rule.spike": "আকস্মিক উল্লম্ফন",
+  "quality.rule.spike.description":
+    "পার্শ্ববর্তী রিডিংয়ের মধ্যমার {ratio}× এর বেশি; ক্যাপ করলে সেই মধ্যমা দিয়ে প্রতিস্থাপিত হয়।",
+  "quality.rule.flatline": "আটকে থাকা সেন্সর",
+  "quality.rule.flatline.description": "পরপর {run} বা তার বেশি রিডিংয়ে একই মান।",
+  "quality.rule.duplicate": "পুনরাবৃত্ত সময়",
+  "quality.rule.duplicate.description": "আগের কোনো সারির মতো একই স্টেশন ও সময়।",
+  "quality.action.keep": "রাখুন",
+  "quality.action.coerce": "সংখ্যা হিসেবে পড়ুন",
+  "quality.action.blank": "ফাঁকা করুন",
+  "quality.action.interpolate": "অন্তর্বেশন করুন",
+  "quality.action.cap": "সীমিত করুন",
+  "quality.action.exclude": "সারি বাদ দিন",
+
+  // ---------------- reaction explorer ----------------
+  "reactions.title": "বিক্রিয়া অনুসন্ধান",
+  "reactions.intro":
+    "প্রতিটি AQI দূষকের গঠন ও অপসারণ বিক্রিয়া। প্রতিটি সমীকরণের পরমাণু ও আধান সমতা যাচাই করা হয়।",
+  "reactions.allPollutants": "সব দূষক",
+  "reactions.allKinds": "প্রাথমিক ও গৌণ",
+  "reactions.search": "প্রজাতি বা লেখা খুঁজুন…",
+  "reactions.none": "এই ফিল্টারগুলোর সাথে কোনো বিক্রিয়া মেলে না।",
+  "reactions.balanced": "✓ সমতাযুক্ত",
+  "reactions.unbalanced": "✗ অসমতাযুক্ত",
+  "reactions.atom": "পরমাণু",
+  "reactions.left": "বাম",
+  "reactions.right": "ডান",
+  "reactions.charge": "আধান",
+  "reactions.kind.primary": "প্রাথমিক",
+  "reactions.kind.secondary": "গৌণ",
+  "reactions.kindFilter.primary": "প্রাথমিক (উৎসে)",
+  "reactions.kindFilter.secondary": "গৌণ (বায়ুমণ্ডলে)",
+
+  // ---------------- exceedances ----------------
+  "exceedance.title": "সীমা অতিক্রম",
+  "exceedance.needsDate": "সীমা অতিক্রমের দিন ও ঘণ্টা গুনতে একটি তারিখ কলাম দরকার।",
+  "exceedance.introDay":
+    "প্রতি স্টেশনের দৈনিক গড় {limits} এর সাথে তুলনা; একাধিক স্টেশনে সবচেয়ে খারাপটি গণ্য হয়।",
+  "exceedance.introHour":
+    "প্রতি স্টেশনের ঘণ্টাভিত্তিক গড় {limits} এর সাথে তুলনা; একাধিক স্টেশনে সবচেয়ে খারাপটি গণ্য হয়।",
+  "exceedance.pollutant": "দূষক",
+  "exceedance.limit": "সীমা",
+  "exceedance.aboveDay": "সীমার ওপরে দিন",
+  "exceedance.aboveHour": "সীমার ওপরে ঘণ্টা",
+  "exceedance.peak": "সর্বোচ্চ",
+  "exceedance.longestRun": "দীর্ঘতম ধারা",
+  "exceedance.none": "নেই",
+  "exceedance.notAssessed": "মূল্যায়িত নয়",
+  "exceedance.days": "{count} দিন",
+  "exceedance.day": "1 দিন",
+  "exceedance.hours": "{count} ঘণ্টা",
+  "exceedance.hour": "1 ঘণ্টা",
+  "exceedance.calendar":
+    "দৈনিক গড় গণনা করা AQI ({standard}) · {days} দিনের মধ্যে {above} দিন {threshold} এর ওপরে। কোনো দিনের সারি ডেটা এক্সপ্লোরারে খুলতে সেই দিনে ক্লিক করুন।",
+  "exceedance.dayLabel": "{date}: AQI {aqi} ({category}), {readings}টি রিডিং",
+  "exceedance.basis.day": "দৈনিক গড়",
+  "exceedance.basis.hour": "ঘণ্টাভিত্তিক গড়",
+
+  // ---------------- data grid ----------------
+  "grid.min": "ন্যূনতম",
+  "grid.max": "সর্বোচ্চ",
+  "grid.minLabel": "{column} ন্যূনতম",
+  "grid.maxLabel": "{column} সর্বোচ্চ",
+  "grid.fromLabel": "{column} থেকে",
+  "grid.toLabel": "{column} পর্যন্ত",
+  "grid.filterLabel": "{column} ফিল্টার",
+  "grid.all": "সব",
+  "grid.contains": "ধারণ করে",
+  "grid.containsLabel": "{column} ধারণ করে",
+  "grid.search": "সব কলামে খুঁজুন…",
+  "grid.searchLabel": "সব কলামে খুঁজুন",
+  "grid.columns": "কলাম ({visible}/{total})",
+  "grid.clearFilters": "ফিল্টার মুছুন",
+  "grid.rows": "{count}টি সারি",
+  "grid.rowsMatch": "{total}টির মধ্যে {count}টি সারি মেলে",
+  "grid.showing": " · {from}–{to} দেখানো হচ্ছে",
+  "grid.allRows": "সব সারি",
+  "grid.perPage": "{size} / পৃষ্ঠা",
+  "grid.prev": "‹ আগের",
+  "grid.next": "পরের ›",
+  "grid.page": "পৃষ্ঠা {page} / {count}",
+};
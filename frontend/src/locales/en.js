@@ -0,0 +1,499 @@
+// English UI strings. Text that lives in lib data (category names and
+// health text, chemistry topics, advisory rules) is not repeated here: other
+// catalogs translate it under the keys listed in ../i18n.js and the lib
+// modules, and English falls back to the lib text itself.
+
+export default {
+  // ---------------- shell ----------------
+  "tabs.overview": "Overview",
+  "tabs.chemistry": "Chemistry of Pollutants",
+  "tabs.charts": "City & Charts",
+  "tabs.health": "Health & AQI Categories",
+  "tabs.data": "Data Explorer",
+  "app.kicker": "AQI Intelligence",
+  "app.title": "Environmental Chemistry Dashboard",
+  "app.hero.title": "AQI Analysis Dashboard –",
+  "app.hero.focus": "Environmental Chemistry Focus",
+  "app.hero.chemistry": "Air Pollution Chemistry",
+  "app.hero.reactions": "Atmospheric Reactions",
+  "app.hero.health": "Health & Environment",
+  "app.hero.body":
+    "Connects AQI numbers with {chemistry} and {particulates}, powered by a Python FastAPI backend and a modern React interface.",
+  "app.hero.chemistryTopics": "combustion chemistry, photochemical smog, acid rain",
+  "app.hero.particulates": "particulate pollution",
+  "app.loading": "Loading…",
+  "app.tabsLabel": "Dashboard sections",
+  "app.retrying": "Backend not answering yet – retry {attempt}…",
+  "app.calcFailed": "Failed to calculate AQI. {reason}",
+  "app.datasetNotSaved": "Dataset not saved: {reason}",
+  "app.datasetMissing": "That dataset no longer exists.",
+  "app.meanConcentration": "Mean concentration (CSV)",
+  "app.footer": "Built with {backend} + {frontend} for AQI and atmospheric chemistry analysis.",
+  "apiError.network": "Could not reach the backend. Check the API URL or your connection.",
+  "apiError.timeout": "The backend took too long to answer (it may still be waking up).",
+  "apiError.validation": "The backend rejected the input: {message}",
+  "apiError.server": "The backend failed with HTTP {status}.",
+  "apiError.cancelled": "Request cancelled.",
+  "apiError.unknown": "Unexpected error talking to the backend.",
+
+  // ---------------- sidebar ----------------
+  "sidebar.controls": "Controls",
+  "sidebar.subtitle": "Dataset & input settings",
+  "sidebar.language": "Language",
+  "sidebar.palette": "Category colours",
+  "sidebar.patterns": "Pattern fills",
+  "palette.standard": "Standard (agency colours)",
+  "palette.colorblind": "Colour-blind safe",
+  "palette.contrast": "High contrast",
+  "sidebar.upload": "Upload AQI CSV",
+  "sidebar.uploadHelp":
+    "Upload the AQI dataset in CSV format. Columns such as {columns} are detected and can be re-mapped on import.",
+  "sidebar.loaded": "Loaded {count} rows.",
+  "sidebar.standard": "AQI standard",
+  "sidebar.chemistry": "Chemistry perspective",
+  "sidebar.chemistry.combustion": "Combustion → SO₂, NOₓ, CO, PM",
+  "sidebar.chemistry.oxidation": "Atmospheric oxidation → acids & O₃",
+  "sidebar.chemistry.particles": "Particles carry toxic metals & organics",
+  "sidebar.frontend": "Frontend: React + Tailwind",
+  "sidebar.backend": "Backend: FastAPI (Python)",
+  "api.title": "Backend",
+  "api.baseUrl": "Backend base URL",
+  "api.mock": "Mock API (no server)",
+  "api.test": "Test",
+  "api.checking": "Checking…",
+  "api.mockActive": "Mock adapter active.",
+  "api.reachable": "Backend reachable.",
+
+  // ---------------- calculator ----------------
+  "calc.title": "AQI Calculator",
+  "calc.intro":
+    "Enter pollutant concentrations and pick the unit each sensor reports. Gas readings in ppb/ppm are converted to µg/m³ (CO to mg/m³) before the AQI is calculated.",
+  "calc.backendOnly":
+    "The backend only implements India NAQI – {standard} is always computed in the browser.",
+  "calc.serverStandard":
+    "The backend only implements India NAQI. Switch the engine to Auto or Local to calculate {standard}.",
+  "calc.error.serverStandard":
+    "Not calculated: the backend cannot compute {standard}, and the engine is set to server only.",
+  "calc.error.empty": "Enter at least one pollutant concentration.",
+  "calc.engine.auto": "Auto (server → local)",
+  "calc.engine.server": "Server only",
+  "calc.engine.local": "Local only",
+  "calc.temperature": "Temperature (°C)",
+  "calc.pressure": "Pressure (kPa)",
+  "calc.conversionNote": "Used only for ppb/ppm conversion (ideal-gas molar volume).",
+  "calc.conditionRange": "Enter a value from {min} to {max}; the last valid value is still used.",
+  "calc.submit": "Calculate AQI",
+  "calc.calculating": "Calculating...",
+  "calc.cancel": "Cancel",
+  "calc.concentration": "Concentration",
+  "calc.unit": "{pollutant} unit",
+
+  // ---------------- snapshot ----------------
+  "snapshot.title": "Snapshot",
+  "snapshot.pin": "Pin",
+  "snapshot.reading": "Reading {n}",
+  "snapshot.empty": "Run a calculation to see AQI, category and a chemistry summary.",
+  "snapshot.aqi": "AQI",
+  "snapshot.category": "Category",
+  "snapshot.dominant": "Dominant pollutant",
+  "snapshot.subIndices": "Sub-indices",
+  "snapshot.beyondTable":
+    "{pollutants}: above the highest concentration of the {standard} table, so the sub-index is held at the table's top and the true AQI may be higher.",
+  "snapshot.chemistry": "Chemistry insight",
+  "snapshot.pathway": "{pollutant} reaction pathway →",
+  "snapshot.otherStandards": "Same reading in other standards",
+  "snapshot.units": "Units assumed",
+  "snapshot.enteredIn": "{pollutant}: entered in {unit}",
+  "snapshot.conversionAt": "Conversion at {temperature} °C, {pressure} kPa.",
+  "snapshot.source.server": "Computed by FastAPI backend",
+  "snapshot.source.local": "Computed in browser (breakpoint tables)",
+  "snapshot.source.local-fallback": "Backend unreachable – computed in browser",
+  "snapshot.source.mock": "Computed by the mock API adapter",
+  "snapshot.profile": "Pollutant profile for this reading",
+  "snapshot.profileHelp":
+    "Tallest bar = dominant pollutant. (SO₂, NO₂, CO), secondary aerosol formation (sulfates, nitrates) or smog (O₃).",
+
+  // ---------------- charts ----------------
+  "chart.table": "Data table and summary",
+  "chart.summary": "{series}: {count} values, lowest {min} at {minAt}, highest {max} at {maxAt}, mean {mean}.",
+  "chart.empty": "No data plotted.",
+  "chart.time": "Time",
+  "chart.label": "Label",
+  "chart.series": "Series",
+  "chart.value": "Value",
+  "chart.truncated": "First {shown} of {total} rows; export the chart data for the rest.",
+  "export.label": "Export",
+  "export.failed": "Export failed.",
+  "series.aqiComputed": "AQI (computed, {standard})",
+  "series.aqiReported": "AQI (reported)",
+
+  // ---------------- chemistry ----------------
+  "chemistry.title": "Chemistry of Major AQI Pollutants",
+
+  // ---------------- health ----------------
+  "health.title": "Health advisory",
+  "health.intro":
+    "Advice follows each pollutant's sub-index on the {standard} scale. Groups you select react one level earlier to the pollutants they are sensitive to.",
+  "health.adviceFor": "Advice for:",
+  "health.current": "Current reading",
+  "health.currentSummary": "AQI {aqi} ({category}), dominated by {pollutant}.",
+  "health.noResult": "Calculate an AQI on the Overview tab to get advice for that reading.",
+  "health.daily": "Daily advisories · {count} days in the dataset",
+  "health.peak": "peak {time}",
+  "health.rows": "Rows →",
+  "health.more": "Show {count} more days",
+  "health.categories": "AQI Categories & Health Effects",
+  "health.quote":
+    "“AQI compresses concentrations of PM, SO₂, NO₂, CO and O₃ into a single scale that directly relates to health impact.”",
+  "health.scale": "Showing the {standard} scale ({agency}). Averaging periods: {periods}.",
+
+  // ---------------- city & charts ----------------
+  "charts.uploadPrompt":
+    "Upload a CSV from the sidebar to unlock time-series and composition charts.",
+  "charts.filtered":
+    "Charts show {shown} of {total} rows matching the filters set in the Data Explorer.",
+  "charts.timeSeriesAll": "Time series (all rows)",
+  "charts.timeSeriesFiltered": "Time series (filtered rows)",
+  "charts.composition": "Average pollutant composition (from CSV)",
+  "charts.compositionChart": "Average pollutant composition",
+  "charts.noPollutants": "CSV missing pollutant columns ({columns}).",
+
+  // ---------------- data explorer ----------------
+  "data.title": "Raw Data Explorer",
+  "data.quote": "“We used a React-based data explorer to inspect and verify the AQI dataset.”",
+  "data.reupload": "You can re-upload a CSV here if you want to test a different file.",
+  "data.uploadPrompt": "Upload a CSV from here or from the sidebar to explore the table.",
+  "data.exportAll": "Export {count} rows",
+  "data.exportFiltered": "Export {count} filtered rows",
+  "data.derivedNote":
+    "Columns ending in “_computed” and “SI_” sub-indices are derived with {standard}. Filtered rows also drive the charts in City & Charts.",
+  "discrepancy.title": "Reported vs computed AQI",
+  "discrepancy.intro":
+    "Computed with {standard}. Rows are flagged when the two differ by more than the tolerance.",
+  "discrepancy.tolerance": "Tolerance (AQI points)",
+  "discrepancy.compared": "Rows compared",
+  "discrepancy.flagged": "Flagged",
+  "discrepancy.meanDiff": "Mean |diff|",
+  "discrepancy.row": "Row",
+  "discrepancy.date": "Date",
+  "discrepancy.reported": "Reported",
+  "discrepancy.computed": "Computed",
+  "discrepancy.diff": "Diff",
+  "discrepancy.category": "Computed category",
+  "discrepancy.dominant": "Dominant",
+  "discrepancy.truncated": "Showing first {shown} of {total} flagged rows.",
+
+  // ---------------- what-if planner ----------------
+  "whatIf.title": "What-if planner",
+  "whatIf.intro": "Scale each pollutant of this reading ({standard}).",
+  "whatIf.reset": "Reset",
+  "whatIf.pin": "Pin scenario",
+  "whatIf.label": "What-if: {changes}",
+  "whatIf.unchanged": "What-if: unchanged",
+  "whatIf.aqi": "Scenario AQI",
+  "whatIf.dominant": "Dominant: {pollutant}",
+  "whatIf.moveDown": "To move down to {category} (AQI ≤ {target}):",
+  "whatIf.moveDownAll": "To move down to {category} (AQI ≤ {target}) all of these must drop:",
+  "whatIf.reduction": "{pollutant} from {from} to ≤ {to}",
+  "whatIf.apply": "Apply these cuts",
+  "whatIf.noValid": "No valid concentrations in this scenario.",
+  "whatIf.lowest": "Already in the lowest category of this scale.",
+
+  // ---------------- pinned readings ----------------
+  "compare.title": "Pinned readings",
+  "compare.intro": "Sub-indices under {standard}.",
+  "compare.clear": "Clear all",
+  "compare.chart": "Sub-indices of pinned readings",
+  "compare.subIndex": "Sub-index",
+  "compare.reading": "Reading",
+  "compare.aqi": "AQI",
+  "compare.category": "Category",
+  "compare.dominant": "Dominant",
+  "compare.unpin": "Unpin {label}",
+
+  // ---------------- import wizard ----------------
+  "import.title": "Import CSV",
+  "import.summary":
+    "{file} · {rows} rows · {columns} columns. Check which column holds each field and the unit it is reported in.",
+  "import.preset": "Preset",
+  "import.autoDetected": "Auto-detected",
+  "import.presetName": "Preset name",
+  "import.savePreset": "Save preset",
+  "import.delete": "Delete",
+  "import.notInFile": "— not in file —",
+  "import.noColumns": "No columns mapped yet – charts would stay empty.",
+  "import.cancel": "Cancel",
+  "import.confirm": "Import {rows} rows",
+  "import.reading": "Reading {file} – {pct} · {rows} rows",
+  "import.error.empty": "CSV is empty or invalid.",
+  "import.error.unreadable": "Could not read CSV file.",
+
+  // ---------------- forecast ----------------
+  "forecast.title": "Forecast",
+  "forecast.intro.day":
+    "Next {horizon} days from the daily mean, with a {level}% prediction interval.",
+  "forecast.intro.hour":
+    "Next {horizon} hours from the hourly mean, with a {level}% prediction interval.",
+  "forecast.needsDate": "Needs a date column to forecast.",
+  "forecast.needsMore.day":
+    "Needs at least {needed} daily periods of {series}; this data has {count}.",
+  "forecast.needsMore.hour":
+    "Needs at least {needed} hourly periods of {series}; this data has {count}.",
+  "forecast.tryHourly": "Try hourly",
+  "forecast.history.day": "{series} (daily mean)",
+  "forecast.history.hour": "{series} (hourly mean)",
+  "forecast.lower": "{level}% interval (low)",
+  "forecast.band": "{level}% interval",
+  "forecast.line": "{model} forecast",
+  "forecast.chart": "{series} forecast ({model})",
+  "forecast.ahead.day": "{count} days ahead",
+  "forecast.ahead.hour": "{count} hours ahead",
+  "forecast.index": "index",
+  "forecast.peak": "Peak {value} {unit} on {time}.",
+  "forecast.peakCategory": "Peak {value} {unit} on {time} ({category}).",
+  "forecast.expected": "Expected above AQI {threshold}: {times}.",
+  "forecast.none.day": "No day expected above AQI {threshold}.",
+  "forecast.none.hour": "No hour expected above AQI {threshold}.",
+  "forecast.possible": "{count} within the {level}% interval.",
+  "forecast.filled.day": "{count} missing days were interpolated before fitting.",
+  "forecast.filled.hour": "{count} missing hours were interpolated before fitting.",
+  "forecast.arOrder": "AR order {order} (by AIC)",
+  "forecast.backtest.day": "Backtest on the last {count} days",
+  "forecast.backtest.hour": "Backtest on the last {count} hours",
+  "forecast.modelHeader": "Model",
+  "forecast.best": "best",
+
+  // ---------------- time series ----------------
+  "timeSeries.resampled": "{series} · {interval} {agg}",
+  "timeSeries.rolling": "{hours}-h rolling mean",
+  "timeSeries.dailyMax8h": "Daily max of 8-h mean",
+  "timeSeries.readingAxis": "Reading #",
+  "timeSeries.window": "{hours}-h regulatory window",
+  "timeSeries.chart": "{series} time series",
+  "timeSeries.stat.readings": "Readings",
+  "timeSeries.stat.mean": "Mean",
+  "timeSeries.stat.median": "Median",
+  "timeSeries.stat.p95": "P95",
+  "timeSeries.stat.min": "Min",
+  "timeSeries.stat.max": "Max",
+  "timeSeries.downsampled":
+    "Showing {plotted} of {total} points (LTTB downsampling); statistics use every reading.",
+  "timeSeries.regulatory":
+    "Regulatory {standard} averaging for this pollutant is {averaging}; rolling values need 75% of the window's readings.",
+  "timeSeries.timeAxis": "Dates are plotted on a real time axis, so gaps in sampling stay visible.",
+  "timeSeries.fileOrder": "No parseable date column – readings are plotted in file order.",
+
+  // ---------------- stations ----------------
+  "stations.title": "Stations",
+  "stations.intro": "{count} stations in this dataset. Select which ones to compare.",
+  "stations.all": "All",
+  "stations.aqi": "Computed AQI per station",
+  "stations.aqiDaily": "Computed AQI per station (daily mean)",
+  "stations.composition": "Mean pollutant composition",
+  "stations.ranking": "Station ranking",
+  "stations.rankMean": "Rank by mean AQI",
+  "stations.rankExceedance": "Rank by exceedance days",
+  "stations.station": "Station",
+  "stations.readings": "Readings",
+  "stations.meanAqi": "Mean AQI",
+  "stations.maxAqi": "Max AQI",
+  "stations.daysAbove": "Days > {threshold}",
+  "stations.exceedanceNote":
+    "Exceedance day = daily mean computed AQI above {threshold} ({standard}).",
+
+  // ---------------- correlations ----------------
+  "correlation.title": "Pollutant correlations",
+  "correlation.needsTwo": "Needs at least two numeric pollutant columns.",
+  "correlation.intro":
+    "Click a cell to plot that pair. Each pair uses only rows where both values are present.",
+  "correlation.pair": "{y} vs {x}",
+  "correlation.cell": "{y} vs {x}: r = {r} (n = {n})",
+  "correlation.noDate": "No date",
+  "correlation.fitLine": "Least-squares fit",
+  "correlation.opposite": "−1 moves opposite",
+  "correlation.together": "+1 moves together",
+  "correlation.summary": "{symbol} = {r} ({strength}, n = {n})",
+  "correlation.fit": "fit {formula}, R² = {r2}",
+
+  // ---------------- box model ----------------
+  "boxModel.title": "Photochemical box model",
+  "boxModel.intro":
+    "Integrates NO₂ photolysis, NO + O₃ titration and optional VOC / RO₂ and SO₂ + OH chemistry for one well-mixed air parcel, with the sun following the clock.",
+  "boxModel.so2Oxidation": "SO₂ oxidation",
+  "boxModel.initial": "Initial concentrations",
+  "boxModel.emissions": "Emissions and mixing",
+  "boxModel.emission": "{species} emission",
+  "boxModel.mixing": "Background mixing",
+  "boxModel.sun": "Sun",
+  "boxModel.start": "Start time",
+  "boxModel.duration": "Duration",
+  "boxModel.latitude": "Latitude",
+  "boxModel.month": "Month",
+  "boxModel.sunlight": "Sunlight (haze, cloud)",
+  "boxModel.ohNoon": "OH at noon",
+  "boxModel.rates": "Rate constants (cm³ s⁻¹)",
+  "boxModel.speciesChart": "Modelled concentrations over the day (ppb)",
+  "boxModel.sunChart": "Photolysis rate and OH over the day",
+  "boxModel.peak": "O₃ peaks at {time} with {value}",
+  "boxModel.peakVoc":
+    ": as long as sunlight keeps RO₂ converting NO to NO₂, ozone keeps accumulating, so the maximum comes after solar noon.",
+  "boxModel.peakNoVoc":
+    ": without VOCs photolysis and titration only shift O₃ between NO and NO₂, so ozone cannot build up.",
+  "boxModel.leighton": "Leighton ratio j[NO₂] / k[NO][O₃] at noon: {ratio}",
+  "boxModel.leightonAbove": "(above 1: peroxy radicals are making extra NO₂).",
+  "boxModel.leightonSteady": "(photostationary state).",
+
+  // ---------------- acid rain ----------------
+  "acidRain.title": "Acid rain pH estimator",
+  "acidRain.intro":
+    "Equilibrates rainwater with the gases through Henry's law and acid dissociation, adds the sulfate and nitrate already formed from SO₂ and NO₂, and solves the charge balance for pH. Alkaline dust and ammonia are ignored, so real rain is usually less acidic.",
+  "acidRain.input": "Input: {source}",
+  "acidRain.source.example": "Example urban air",
+  "acidRain.source.form": "Calculator form",
+  "acidRain.source.row": "CSV row {n}{detail}",
+  "acidRain.fromCalculator": "From calculator",
+  "acidRain.csvRow": "CSV row",
+  "acidRain.useRow": "Use row",
+  "acidRain.gases": "Gas-phase levels",
+  "acidRain.cloud": "Cloud and conversion",
+  "acidRain.toSulfate": "SO₂ → sulfate",
+  "acidRain.toNitrate": "NO₂ → nitrate",
+  "acidRain.liquidWater": "Liquid water",
+  "acidRain.temperature": "Temperature",
+  "acidRain.estimated": "Estimated rain pH",
+  "acidRain.species": "Species",
+  "acidRain.share": "Share of anion charge",
+  "acidRain.shareTooltip": "{value} µeq/L ({share} of anions)",
+  "acidRain.sweepLabel": "{gas} (1× = {base} {unit})",
+  "acidRain.cleanRain": "Clean rain (pH {ph})",
+  "acidRain.multiple": "{factor}× current level",
+  "acidRain.gasAxis": "gas level, multiple of current input",
+  "acidRain.phAxis": "rain pH",
+  "acidRain.anionChart": "Rain anions (µeq/L)",
+  "acidRain.sweepChart": "Rain pH as each gas is scaled",
+  "acidRain.sweepNote":
+    "Each line scales one gas while the others stay at the current input. Sulfate and nitrate are strong acids, so pH keeps falling as their precursors rise; dissolved SO₂ is a weak acid and CO₂ alone cannot take rain below about pH {ph}.",
+
+  // ---------------- report ----------------
+  "report.title": "Analysis report",
+  "report.intro":
+    "Summary statistics, charts, exceedances, dominant pollutants and chemistry notes as a PDF.",
+  "report.generate": "Generate report",
+  "report.close": "Close",
+  "report.titleField": "Title",
+  "report.notes": "Notes (optional, printed under the title)",
+  "report.readings": "Readings",
+  "report.period": "Period",
+  "report.noDates": "no dates",
+  "report.daysAbove": "Days > {threshold}",
+  "report.daysOf": "{days} of {total}",
+  "report.topPollutant": "Top pollutant",
+  "report.dominant": "Dominant pollutant breakdown",
+  "report.chemistry": "Chemistry notes included",
+  "report.pdfFailed": "Could not generate the PDF.",
+  "report.scope": "Uses the {count} rows currently shown in the charts and the {standard} scale.",
+  "report.building": "Building PDF…",
+  "report.download": "Download PDF",
+
+  // ---------------- workspace ----------------
+  "workspace.title": "Workspace",
+  "workspace.datasets": "Saved datasets",
+  "workspace.noDatasets": "Uploaded CSVs are saved here.",
+  "workspace.save": "Save",
+  "workspace.rows": "{count} rows · {time}",
+  "workspace.rename": "Rename",
+  "workspace.delete": "Delete",
+  "workspace.confirmDelete": "Delete \"{name}\" from the workspace?",
+  "workspace.history": "Calculation history",
+  "workspace.clear": "Clear",
+  "workspace.noHistory": "Calculator runs are listed here.",
+  "workspace.reopen": "Re-open this calculation",
+  "workspace.deleteCalculation": "Delete calculation",
+  "workspace.showFewer": "Show fewer",
+  "workspace.showAll": "Show all {count}",
+
+  // ---------------- data quality ----------------
+  "quality.title": "Data quality audit",
+  "quality.clean": "No problems found in {rows} rows.",
+  "quality.flagged":
+    "{flags} flagged values in {rows} rows. Choose what to do with each kind before the AQI and charts are computed.",
+  "quality.completeness": "Completeness per column",
+  "quality.missing": "{pct} · {missing} missing",
+  "quality.rule": "Rule",
+  "quality.values": "Values",
+  "quality.rows": "Rows",
+  "quality.action": "Action",
+  "quality.sample": "row {row} · {column} = {value}",
+  "quality.more": "… {count} more",
+  "quality.inEffect": "In effect: {steps}.",
+  "quality.inEffectExcluded": "In effect: {steps} ({rows} rows excluded).",
+  "quality.asUploaded": "All values are used as uploaded.",
+  "quality.reset": "Reset",
+  "quality.apply": "Apply cleaning",
+  "quality.log": "Cleaning log ({count} steps)",
+  "quality.logEntry": "{date} – {step} ({values} values)",
+
+  // ---------------- reaction explorer ----------------
+  "reactions.title": "Reaction explorer",
+  "reactions.intro":
+    "Formation and removal reactions for each AQI pollutant. Every equation is checked for atom and charge balance.",
+  "reactions.allPollutants": "All pollutants",
+  "reactions.allKinds": "Primary & secondary",
+  "reactions.search": "Search species or text…",
+  "reactions.none": "No reactions match these filters.",
+  "reactions.balanced": "✓ balanced",
+  "reactions.unbalanced": "✗ unbalanced",
+  "reactions.atom": "Atom",
+  "reactions.left": "Left",
+  "reactions.right": "Right",
+  "reactions.charge": "Charge",
+  "reactions.kind.primary": "primary",
+  "reactions.kind.secondary": "secondary",
+
+  // ---------------- exceedances ----------------
+  "exceedance.title": "Exceedances",
+  "exceedance.needsDate": "Needs a date column to count exceeded days and hours.",
+  "exceedance.introDay":
+    "Daily means per station compared with {limits}; with several stations the worst one counts.",
+  "exceedance.introHour":
+    "Hourly means per station compared with {limits}; with several stations the worst one counts.",
+  "exceedance.pollutant": "Pollutant",
+  "exceedance.limit": "Limit",
+  "exceedance.aboveDay": "Days above",
+  "exceedance.aboveHour": "Hours above",
+  "exceedance.peak": "Peak",
+  "exceedance.longestRun": "Longest run",
+  "exceedance.none": "none",
+  "exceedance.notAssessed": "not assessed",
+  "exceedance.days": "{count} days",
+  "exceedance.day": "1 day",
+  "exceedance.hours": "{count} hours",
+  "exceedance.hour": "1 hour",
+  "exceedance.calendar":
+    "Daily mean computed AQI ({standard}) · {above} of {days} days above {threshold}. Click a day to open its rows in the Data Explorer.",
+  "exceedance.dayLabel": "{date}: AQI {aqi} ({category}), {readings} readings",
+
+  // ---------------- data grid ----------------
+  "grid.min": "min",
+  "grid.max": "max",
+  "grid.minLabel": "{column} minimum",
+  "grid.maxLabel": "{column} maximum",
+  "grid.fromLabel": "{column} from",
+  "grid.toLabel": "{column} to",
+  "grid.filterLabel": "{column} filter",
+  "grid.all": "All",
+  "grid.contains": "contains",
+  "grid.containsLabel": "{column} contains",
+  "grid.search": "Search all columns…",
+  "grid.searchLabel": "Search all columns",
+  "grid.columns": "Columns ({visible}/{total})",
+  "grid.clearFilters": "Clear filters",
+  "grid.rows": "{count} rows",
+  "grid.rowsMatch": "{count} of {total} rows match",
+  "grid.showing": " · showing {from}–{to}",
+  "grid.allRows": "All rows",
+  "grid.perPage": "{size} / page",
+  "grid.prev": "‹ Prev",
+  "grid.next": "Next ›",
+  "grid.page": "Page {page} / {count}",
+};
@@ -0,0 +1,658 @@
+// हिन्दी (Hindi). Chemical formulas stay in Latin letters with Unicode
+// subscripts (SO₂, PM₂.₅) as in school textbooks.
+
+export default {
+  // ---------------- shell ----------------
+  "tabs.overview": "सारांश",
+  "tabs.chemistry": "प्रदूषकों का रसायन",
+  "tabs.charts": "शहर और चार्ट",
+  "tabs.health": "स्वास्थ्य और AQI श्रेणियाँ",
+  "tabs.data": "डेटा एक्सप्लोरर",
+  "app.kicker": "AQI इंटेलिजेंस",
+  "app.title": "पर्यावरण रसायन डैशबोर्ड",
+  "app.hero.title": "AQI विश्लेषण डैशबोर्ड –",
+  "app.hero.focus": "पर्यावरण रसायन पर केंद्रित",
+  "app.hero.chemistry": "वायु प्रदूषण रसायन",
+  "app.hero.reactions": "वायुमंडलीय अभिक्रियाएँ",
+  "app.hero.health": "स्वास्थ्य और पर्यावरण",
+  "app.hero.body":
+    "AQI के आँकड़ों को {chemistry} और {particulates} से जोड़ता है। Python FastAPI बैकएंड और आधुनिक React इंटरफ़ेस पर आधारित।",
+  "app.hero.chemistryTopics": "दहन रसायन, प्रकाश-रासायनिक धुंध, अम्लीय वर्षा",
+  "app.hero.particulates": "कणीय प्रदूषण",
+  "app.loading": "लोड हो रहा है…",
+  "app.tabsLabel": "डैशबोर्ड अनुभाग",
+  "app.retrying": "बैकएंड अभी जवाब नहीं दे रहा – पुनः प्रयास {attempt}…",
+  "app.calcFailed": "AQI की गणना नहीं हो सकी। {reason}",
+  "app.datasetNotSaved": "डेटासेट सहेजा नहीं गया: {reason}",
+  "app.datasetMissing": "वह डेटासेट अब मौजूद नहीं है।",
+  "app.meanConcentration": "औसत सांद्रता (CSV)",
+  "app.footer": "AQI और वायुमंडलीय रसायन विश्लेषण के लिए {backend} + {frontend} से बनाया गया।",
+  "apiError.network": "बैकएंड तक नहीं पहुँच सके। API URL या अपना कनेक्शन जाँचें।",
+  "apiError.timeout": "बैकएंड ने जवाब देने में बहुत देर की (शायद वह अभी शुरू हो रहा है)।",
+  "apiError.validation": "बैकएंड ने इनपुट अस्वीकार कर दिया: {message}",
+  "apiError.server": "बैकएंड HTTP {status} के साथ विफल रहा।",
+  "apiError.cancelled": "अनुरोध रद्द किया गया।",
+  "apiError.unknown": "बैकएंड से बात करते समय अप्रत्याशित त्रुटि।",
+
+  // ---------------- sidebar ----------------
+  "sidebar.controls": "नियंत्रण",
+  "sidebar.subtitle": "डेटासेट और इनपुट सेटिंग",
+  "sidebar.language": "भाषा",
+  "sidebar.palette": "श्रेणी रंग",
+  "sidebar.patterns": "पैटर्न भराव",
+  "palette.standard": "मानक (एजेंसी के रंग)",
+  "palette.colorblind": "रंग-अंधता के अनुकूल",
+  "palette.contrast": "उच्च कंट्रास्ट",
+  "sidebar.upload": "AQI CSV अपलोड करें",
+  "sidebar.uploadHelp":
+    "AQI डेटासेट CSV प्रारूप में अपलोड करें। {columns} जैसे कॉलम अपने-आप पहचाने जाते हैं और इम्पोर्ट के समय बदले जा सकते हैं।",
+  "sidebar.loaded": "{count} पंक्तियाँ लोड हुईं।",
+  "sidebar.standard": "AQI मानक",
+  "sidebar.chemistry": "रासायनिक दृष्टिकोण",
+  "sidebar.chemistry.combustion": "दहन → SO₂, NOₓ, CO, PM",
+  "sidebar.chemistry.oxidation": "वायुमंडलीय ऑक्सीकरण → अम्ल और O₃",
+  "sidebar.chemistry.particles": "कण विषैली धातुएँ और कार्बनिक यौगिक ढोते हैं",
+  "sidebar.frontend": "फ़्रंटएंड: React + Tailwind",
+  "sidebar.backend": "बैकएंड: FastAPI (Python)",
+  "api.title": "बैकएंड",
+  "api.baseUrl": "बैकएंड बेस URL",
+  "api.mock": "मॉक API (बिना सर्वर)",
+  "api.test": "जाँचें",
+  "api.checking": "जाँच हो रही है…",
+  "api.mockActive": "मॉक एडेप्टर सक्रिय है।",
+  "api.reachable": "बैकएंड उपलब्ध है।",
+
+  // ---------------- calculator ----------------
+  "calc.title": "AQI कैलकुलेटर",
+  "calc.intro":
+    "प्रदूषकों की सांद्रता भरें और हर सेंसर की इकाई चुनें। ppb/ppm में गैस रीडिंग AQI निकालने से पहले µg/m³ (CO के लिए mg/m³) में बदली जाती है।",
+  "calc.backendOnly":
+    "बैकएंड केवल भारत NAQI लागू करता है – {standard} हमेशा ब्राउज़र में गणना होता है।",
+  "calc.serverStandard":
+    "बैकएंड केवल भारत NAQI लागू करता है। {standard} की गणना के लिए इंजन को “स्वचालित” या “केवल स्थानीय” पर बदलें।",
+  "calc.error.serverStandard":
+    "गणना नहीं हुई: बैकएंड {standard} की गणना नहीं कर सकता और इंजन केवल सर्वर पर सेट है।",
+  "calc.error.empty": "कम से कम एक प्रदूषक की सांद्रता दर्ज करें।",
+  "calc.engine.auto": "स्वचालित (सर्वर → स्थानीय)",
+  "calc.engine.server": "केवल सर्वर",
+  "calc.engine.local": "केवल स्थानीय",
+  "calc.temperature": "तापमान (°C)",
+  "calc.pressure": "दाब (kPa)",
+  "calc.conversionNote": "केवल ppb/ppm रूपांतरण के लिए (आदर्श गैस मोलर आयतन)।",
+  "calc.conditionRange":
+    "{min} से {max} के बीच मान दर्ज करें; तब तक पिछला मान्य मान ही उपयोग होगा।",
+  "calc.submit": "AQI निकालें",
+  "calc.calculating": "गणना हो रही है...",
+  "calc.cancel": "रद्द करें",
+  "calc.concentration": "सांद्रता",
+  "calc.unit": "{pollutant} की इकाई",
+
+  // ---------------- snapshot ----------------
+  "snapshot.title": "परिणाम",
+  "snapshot.pin": "पिन करें",
+  "snapshot.reading": "रीडिंग {n}",
+  "snapshot.empty": "AQI, श्रेणी और रासायनिक सारांश देखने के लिए गणना करें।",
+  "snapshot.aqi": "AQI",
+  "snapshot.category": "श्रेणी",
+  "snapshot.dominant": "प्रमुख प्रदूषक",
+  "snapshot.subIndices": "उप-सूचकांक",
+  "snapshot.beyondTable":
+    "{pollutants}: {standard} तालिका की सबसे ऊँची सांद्रता से अधिक, इसलिए उप-सूचकांक तालिका के शीर्ष पर रोका गया है और वास्तविक AQI इससे अधिक हो सकता है।",
+  "snapshot.chemistry": "रासायनिक जानकारी",
+  "snapshot.pathway": "{pollutant} की अभिक्रिया-श्रृंखला →",
+  "snapshot.otherStandards": "यही रीडिंग अन्य मानकों में",
+  "snapshot.units": "मानी गई इकाइयाँ",
+  "snapshot.enteredIn": "{pollutant}: {unit} में भरा गया",
+  "snapshot.conversionAt": "रूपांतरण {temperature} °C, {pressure} kPa पर।",
+  "snapshot.source.server": "FastAPI बैकएंड द्वारा गणना",
+  "snapshot.source.local": "ब्राउज़र में गणना (ब्रेकपॉइंट तालिकाएँ)",
+  "snapshot.source.local-fallback": "बैकएंड उपलब्ध नहीं – ब्राउज़र में गणना",
+  "snapshot.source.mock": "मॉक API एडैप्टर द्वारा गणना",
+  "snapshot.profile": "इस रीडिंग का प्रदूषक प्रोफ़ाइल",
+  "snapshot.profileHelp":
+    "सबसे ऊँचा बार = प्रमुख प्रदूषक। (SO₂, NO₂, CO), द्वितीयक एरोसोल निर्माण (सल्फेट, नाइट्रेट) या धुंध (O₃)।",
+
+  // ---------------- charts ----------------
+  "chart.table": "डेटा तालिका और सारांश",
+  "chart.summary": "{series}: {count} मान, न्यूनतम {min} ({minAt}), अधिकतम {max} ({maxAt}), औसत {mean}।",
+  "chart.empty": "कोई डेटा प्लॉट नहीं हुआ।",
+  "chart.time": "समय",
+  "chart.label": "लेबल",
+  "chart.series": "श्रृंखला",
+  "chart.value": "मान",
+  "chart.truncated": "{total} में से पहली {shown} पंक्तियाँ; बाकी के लिए चार्ट डेटा निर्यात करें।",
+  "export.label": "निर्यात",
+  "export.failed": "निर्यात विफल रहा।",
+  "series.aqiComputed": "AQI (गणना, {standard})",
+  "series.aqiReported": "AQI (रिपोर्ट किया गया)",
+
+  // ---------------- chemistry ----------------
+  "chemistry.title": "प्रमुख AQI प्रदूषकों का रसायन",
+  "topic.acid-rain.title": "SO₂ → H₂SO₄ (अम्लीय वर्षा)",
+  "topic.acid-rain.intro": "कोयले / ईंधन के दहन से निकली SO₂ का ऑक्सीकरण होता है:",
+  "topic.acid-rain.outro": "वर्षा की अम्लीय बूँदें इमारतों और धातुओं को संक्षारित करती हैं और पत्तियों को नुकसान पहुँचाती हैं।",
+  "topic.smog.title": "NO₂ और VOC → O₃ (प्रकाश-रासायनिक धुंध)",
+  "topic.smog.intro": "NO₂ सूर्य का प्रकाश अवशोषित करती है:",
+  "topic.smog.outro":
+    "VOC की उपस्थिति में इससे भूरी प्रकाश-रासायनिक धुंध बनती है; O₃ एक प्रबल ऑक्सीकारक है जो फेफड़ों में जलन करता है।",
+  "topic.particulates.title": "PM₂.₅ और PM₁₀ (कणीय पदार्थ)",
+  "topic.particulates.intro":
+    "सल्फेट, नाइट्रेट, कार्बन और धातुओं का जटिल मिश्रण। PM₂.₅ फेफड़ों की वायुकोष्ठिकाओं तक पहुँचकर रक्त में जा सकता है और विषैले रसायनों का वाहक बनता है।",
+  "topic.carbon-monoxide.title": "CO (कार्बन मोनोऑक्साइड)",
+  "topic.carbon-monoxide.intro":
+    "अपूर्ण दहन से बनती है। रक्त के साथ कार्बोक्सीहीमोग्लोबिन (HbCO) बनाकर ऑक्सीजन परिवहन घटाती है; अधिक स्तर पर सिरदर्द, चक्कर और मृत्यु तक हो सकती है।",
+  "topic.primary-secondary.title": "प्राथमिक और द्वितीयक प्रदूषक",
+  "topic.primary-secondary.intro":
+    "प्राथमिक: सीधे उत्सर्जित (SO₂, NO, CO, PM)। द्वितीयक: वायुमंडल में बनते हैं (O₃, PAN, अम्ल, कुछ PM)।",
+  "chemistryNote.PM2.5":
+    "PM2.5 सूक्ष्म कण (<2.5 μm) हैं जो फेफड़ों में गहराई तक पहुँचते हैं। इन पर अक्सर भारी धातुएँ और कार्बनिक यौगिक चिपके रहते हैं, जिससे श्वसन और हृदय रोग होते हैं।",
+  "chemistryNote.PM10":
+    "PM10 मोटे कण (<10 μm) हैं। ये मुख्यतः ऊपरी श्वसन मार्ग में जमते हैं और जलन, खाँसी और साँस लेने में कठिनाई पैदा करते हैं।",
+  "chemistryNote.SO2":
+    "सल्फ़र युक्त ईंधन जलाने पर SO₂ निकलती है। हवा में यह SO₃ बनाती है जो पानी से मिलकर H₂SO₄ (सल्फ़्यूरिक अम्ल) बनाती है, जिससे अम्लीय वर्षा और संक्षारण होता है।\nअभिक्रियाएँ: SO₂ + ½O₂ → SO₃;  SO₃ + H₂O → H₂SO₄",
+  "chemistryNote.NO2":
+    "NO₂ वाहनों के धुएँ का मुख्य घटक है। यह प्रकाश-रासायनिक धुंध में भाग लेती है और क्षोभमंडल में ओज़ोन (O₃) बनने का कारण बन सकती है।",
+  "chemistryNote.CO":
+    "CO ईंधन के अपूर्ण दहन से बनती है। यह हीमोग्लोबिन से मज़बूती से जुड़कर कार्बोक्सीहीमोग्लोबिन बनाती है और रक्त की ऑक्सीजन ले जाने की क्षमता घटाती है।",
+  "chemistryNote.O3":
+    "धरातलीय O₃ एक द्वितीयक प्रदूषक है जो सूर्य के प्रकाश में NOx और VOC की अभिक्रिया से बनता है। यह प्रबल ऑक्सीकारक है और आँखों व फेफड़ों में जलन करता है।",
+
+  // ---------------- categories ----------------
+  "category.Good": "अच्छा",
+  "category.Satisfactory": "संतोषजनक",
+  "category.Moderate": "मध्यम",
+  "category.Poor": "ख़राब",
+  "category.Very Poor": "बहुत ख़राब",
+  "category.Severe": "गंभीर",
+  "category.Unhealthy for Sensitive Groups": "संवेदनशील समूहों के लिए अस्वास्थ्यकर",
+  "category.Unhealthy": "अस्वास्थ्यकर",
+  "category.Very Unhealthy": "बहुत अस्वास्थ्यकर",
+  "category.Hazardous": "ख़तरनाक",
+  "category.Very Low": "बहुत कम",
+  "category.Low": "कम",
+  "category.Medium": "मध्यम",
+  "category.High": "अधिक",
+  "category.Very High": "बहुत अधिक",
+  "categoryHealth.naqi.Good": "न्यूनतम प्रभाव। स्वच्छ हवा, प्रदूषक केवल सामान्य स्तर पर।",
+  "categoryHealth.naqi.Satisfactory": "संवेदनशील लोगों को साँस लेने में हल्की असुविधा।",
+  "categoryHealth.naqi.Moderate":
+    "दमा जैसे फेफड़ों के रोगियों को साँस लेने में तकलीफ़, और हृदय रोगियों, बच्चों व बुज़ुर्गों को असुविधा।",
+  "categoryHealth.naqi.Poor": "लंबे संपर्क पर अधिकांश लोगों को और हृदय रोगियों को साँस लेने में तकलीफ़।",
+  "categoryHealth.naqi.Very Poor":
+    "लंबे संपर्क पर श्वसन रोग। फेफड़ों और हृदय के रोगियों पर असर अधिक हो सकता है।",
+  "categoryHealth.naqi.Severe":
+    "स्वस्थ लोगों पर भी श्वसन प्रभाव, फेफड़ों/हृदय रोगियों पर गंभीर असर। हल्की शारीरिक गतिविधि से भी बचें।",
+
+  // ---------------- health ----------------
+  "health.title": "स्वास्थ्य परामर्श",
+  "health.intro":
+    "परामर्श {standard} पैमाने पर हर प्रदूषक के उप-सूचकांक पर आधारित है। चुने गए समूह उन प्रदूषकों पर एक स्तर पहले सावधानी बरतते हैं जिनके प्रति वे संवेदनशील हैं।",
+  "health.adviceFor": "परामर्श किसके लिए:",
+  "health.current": "वर्तमान रीडिंग",
+  "health.currentSummary": "AQI {aqi} ({category}), प्रमुख प्रदूषक {pollutant}।",
+  "health.noResult": "इस रीडिंग पर परामर्श पाने के लिए सारांश टैब में AQI निकालें।",
+  "health.daily": "दैनिक परामर्श · डेटासेट में {count} दिन",
+  "health.peak": "शिखर {time}",
+  "health.rows": "पंक्तियाँ →",
+  "health.more": "{count} और दिन दिखाएँ",
+  "health.categories": "AQI श्रेणियाँ और स्वास्थ्य प्रभाव",
+  "health.quote":
+    "“AQI, PM, SO₂, NO₂, CO और O₃ की सांद्रता को एक ही पैमाने में समेटता है जो सीधे स्वास्थ्य प्रभाव से जुड़ा है।”",
+  "health.scale": "{standard} पैमाना ({agency})। औसत अवधि: {periods}।",
+  "health.profile.general": "सभी लोग",
+  "health.profile.asthma": "दमा / फेफड़ों के रोगी",
+  "health.profile.heart": "हृदय रोगी",
+  "health.profile.children": "बच्चे",
+  "health.profile.elderly": "बुज़ुर्ग",
+  "health.profile.outdoor": "बाहर काम करने वाले",
+  "health.profile.athletes": "खिलाड़ी",
+  "health.level.0": "अच्छा",
+  "health.level.1": "संतोषजनक",
+  "health.level.2": "मध्यम",
+  "health.level.3": "ख़राब",
+  "health.level.4": "बहुत ख़राब",
+  "health.level.5": "गंभीर",
+  "advice.action.0": "बाहरी गतिविधियों का आनंद लें",
+  "advice.action.1": "बाहरी गतिविधि ठीक है",
+  "advice.action.2": "बाहर सक्रिय रहें, पर खाँसी या गले में जलन हो तो गतिविधि कम करें",
+  "advice.action.3": "लंबे समय तक या भारी बाहरी परिश्रम कम करें",
+  "advice.action.4": "लंबे समय तक या भारी बाहरी परिश्रम से बचें और व्यायाम घर के अंदर करें",
+  "advice.action.5": "हर तरह की बाहरी शारीरिक गतिविधि से बचें और जितना हो सके घर के अंदर रहें",
+  "advice.timing.PM2.5": "सूक्ष्म कण रात और सुबह-सुबह जमा होते हैं, ख़ासकर सर्दियों में",
+  "advice.timing.PM10": "धूल निर्माण स्थलों, कच्ची सड़कों के पास और हवादार दोपहर में सबसे अधिक होती है",
+  "advice.timing.SO2": "SO₂ बिजलीघरों और उद्योगों से आती है, इसलिए चिमनियों की हवा की दिशा वाली ओर न जाएँ",
+  "advice.timing.NO2": "NO₂ व्यस्त सड़कों के पास भीड़ के समय सबसे अधिक होती है",
+  "advice.timing.CO": "CO धीमे ट्रैफ़िक और चूल्हों, हीटरों व जनरेटरों के आसपास जमा होती है",
+  "advice.timing.O3": "O₃ दोपहर में चरम पर होती है, इसलिए सुबह जल्दी या शाम को बाहर जाएँ",
+  "advice.rule.windows": "खिड़कियाँ बंद रखें और हो सके तो एयर प्यूरीफ़ायर चलाएँ",
+  "advice.rule.indoor-sources": "घर के अंदर प्रदूषण न बढ़ाएँ: अगरबत्ती, मोमबत्ती या लकड़ी न जलाएँ",
+  "advice.rule.inhaler": "अपना रिलीवर इनहेलर साथ रखें",
+  "advice.rule.so2-airways": "SO₂ कुछ ही मिनटों में श्वास नलियाँ सिकोड़ सकती है; घरघराहट होते ही परिश्रम रोकें",
+  "advice.rule.action-plan": "अपनी दमा कार्य-योजना का पालन करें और लक्षण न घटें तो डॉक्टर से मिलें",
+  "advice.rule.co-oxygen": "CO रक्त में ऑक्सीजन घटाती है; ट्रैफ़िक जाम और बिना धुआँ-निकास वाले हीटरों से बचें",
+  "advice.rule.cardiac-symptoms": "सीने में दर्द, धड़कन बढ़ने या असामान्य साँस फूलने पर ध्यान दें और दवाएँ पास रखें",
+  "advice.rule.school-sports": "बाहर खेलने का समय घटाएँ; स्कूल खेल और PE घर के अंदर कराएँ",
+  "advice.rule.morning-walks": "धुंध छँटने तक सुबह की सैर टाल दें",
+  "advice.rule.breaks": "घर के अंदर अधिक बार विश्राम करें और भारी काम बारी-बारी से करें",
+  "advice.rule.respirator": "ठीक से फ़िट N95 / FFP2 मास्क पहनें; यह कणों को रोकता है, गैसों को नहीं",
+  "advice.rule.intensity": "अभ्यास की तीव्रता और अवधि घटाएँ; तेज़ साँस लेने से शरीर में जाने वाली मात्रा कई गुना बढ़ जाती है",
+  "advice.rule.o3-training": "ओज़ोन बढ़ने से पहले, सुबह जल्दी अभ्यास करें",
+
+  // ---------------- city & charts ----------------
+  "charts.uploadPrompt": "समय-श्रृंखला और संरचना चार्ट देखने के लिए साइडबार से CSV अपलोड करें।",
+  "charts.filtered":
+    "चार्ट डेटा एक्सप्लोरर के फ़िल्टर से मेल खाने वाली {total} में से {shown} पंक्तियाँ दिखाते हैं।",
+  "charts.timeSeriesAll": "समय-श्रृंखला (सभी पंक्तियाँ)",
+  "charts.timeSeriesFiltered": "समय-श्रृंखला (फ़िल्टर की गई पंक्तियाँ)",
+  "charts.composition": "औसत प्रदूषक संरचना (CSV से)",
+  "charts.compositionChart": "औसत प्रदूषक संरचना",
+  "charts.noPollutants": "CSV में प्रदूषक कॉलम नहीं हैं ({columns})।",
+
+  // ---------------- data explorer ----------------
+  "data.title": "कच्चा डेटा एक्सप्लोरर",
+  "data.quote":
+    "“AQI डेटासेट की जाँच और सत्यापन के लिए हमने React-आधारित डेटा एक्सप्लोरर का उपयोग किया।”",
+  "data.reupload": "किसी दूसरी फ़ाइल को आज़माने के लिए आप यहाँ CSV फिर से अपलोड कर सकते हैं।",
+  "data.uploadPrompt": "तालिका देखने के लिए यहाँ से या साइडबार से CSV अपलोड करें।",
+  "data.exportAll": "{count} पंक्तियाँ निर्यात करें",
+  "data.exportFiltered": "{count} फ़िल्टर की गई पंक्तियाँ निर्यात करें",
+  "data.derivedNote":
+    "“_computed” पर समाप्त होने वाले कॉलम और “SI_” उप-सूचकांक {standard} से निकाले गए हैं। फ़िल्टर की गई पंक्तियाँ शहर और चार्ट के चार्ट भी चलाती हैं।",
+  "discrepancy.title": "रिपोर्ट किया गया बनाम गणना किया गया AQI",
+  "discrepancy.intro":
+    "{standard} से गणना की गई। दोनों में सहनशीलता से अधिक अंतर होने पर पंक्तियाँ चिह्नित की जाती हैं।",
+  "discrepancy.tolerance": "सहनशीलता (AQI अंक)",
+  "discrepancy.compared": "तुलना की गई पंक्तियाँ",
+  "discrepancy.flagged": "चिह्नित",
+  "discrepancy.meanDiff": "औसत |अंतर|",
+  "discrepancy.row": "पंक्ति",
+  "discrepancy.date": "दिनांक",
+  "discrepancy.reported": "रिपोर्ट किया गया",
+  "discrepancy.computed": "गणना किया गया",
+  "discrepancy.diff": "अंतर",
+  "discrepancy.category": "गणना की गई श्रेणी",
+  "discrepancy.dominant": "प्रमुख",
+  "discrepancy.truncated": "{total} चिह्नित पंक्तियों में से पहली {shown} दिखाई गई हैं।",
+
+  // ---------------- what-if planner ----------------
+  "whatIf.title": "क्या-अगर योजनाकार",
+  "whatIf.intro": "इस रीडिंग के हर प्रदूषक को घटाएँ-बढ़ाएँ ({standard})।",
+  "whatIf.reset": "रीसेट",
+  "whatIf.pin": "परिदृश्य पिन करें",
+  "whatIf.label": "क्या-अगर: {changes}",
+  "whatIf.unchanged": "क्या-अगर: अपरिवर्तित",
+  "whatIf.aqi": "परिदृश्य AQI",
+  "whatIf.dominant": "प्रमुख: {pollutant}",
+  "whatIf.moveDown": "{category} (AQI ≤ {target}) तक नीचे आने के लिए:",
+  "whatIf.moveDownAll": "{category} (AQI ≤ {target}) तक नीचे आने के लिए ये सभी घटने चाहिए:",
+  "whatIf.reduction": "{pollutant} {from} से ≤ {to} तक",
+  "whatIf.apply": "ये कटौतियाँ लागू करें",
+  "whatIf.noValid": "इस परिदृश्य में कोई मान्य सांद्रता नहीं है।",
+  "whatIf.lowest": "पहले से ही इस पैमाने की सबसे निचली श्रेणी में है।",
+
+  // ---------------- pinned readings ----------------
+  "compare.title": "पिन की गई रीडिंग",
+  "compare.intro": "{standard} के अंतर्गत उप-सूचकांक।",
+  "compare.clear": "सभी हटाएँ",
+  "compare.chart": "पिन की गई रीडिंग के उप-सूचकांक",
+  "compare.subIndex": "उप-सूचकांक",
+  "compare.reading": "रीडिंग",
+  "compare.aqi": "AQI",
+  "compare.category": "श्रेणी",
+  "compare.dominant": "प्रमुख",
+  "compare.unpin": "{label} अनपिन करें",
+
+  // ---------------- import wizard ----------------
+  "import.title": "CSV आयात करें",
+  "import.summary":
+    "{file} · {rows} पंक्तियाँ · {columns} कॉलम। जाँचें कि हर फ़ील्ड किस कॉलम में है और किस इकाई में दर्ज है।",
+  "import.preset": "प्रीसेट",
+  "import.autoDetected": "स्वतः पहचाना गया",
+  "import.presetName": "प्रीसेट का नाम",
+  "import.savePreset": "प्रीसेट सहेजें",
+  "import.delete": "हटाएँ",
+  "import.notInFile": "— फ़ाइल में नहीं —",
+  "import.noColumns": "अभी कोई कॉलम मैप नहीं हुआ – चार्ट खाली रहेंगे।",
+  "import.cancel": "रद्द करें",
+  "import.confirm": "{rows} पंक्तियाँ आयात करें",
+  "import.reading": "{file} पढ़ी जा रही है – {pct} · {rows} पंक्तियाँ",
+  "import.error.empty": "CSV खाली या अमान्य है।",
+  "import.error.unreadable": "CSV फ़ाइल पढ़ी नहीं जा सकी।",
+  "importField.date": "दिनांक / समय",
+  "importField.station": "शहर / स्टेशन",
+
+  // ---------------- forecast ----------------
+  "forecast.title": "पूर्वानुमान",
+  "forecast.intro.day": "दैनिक औसत से अगले {horizon} दिन, {level}% पूर्वानुमान अंतराल के साथ।",
+  "forecast.intro.hour": "घंटेवार औसत से अगले {horizon} घंटे, {level}% पूर्वानुमान अंतराल के साथ।",
+  "forecast.needsDate": "पूर्वानुमान के लिए दिनांक कॉलम चाहिए।",
+  "forecast.needsMore.day":
+    "{series} की कम से कम {needed} दैनिक अवधियाँ चाहिए; इस डेटा में {count} हैं।",
+  "forecast.needsMore.hour":
+    "{series} की कम से कम {needed} घंटेवार अवधियाँ चाहिए; इस डेटा में {count} हैं।",
+  "forecast.tryHourly": "घंटेवार आज़माएँ",
+  "forecast.history.day": "{series} (दैनिक औसत)",
+  "forecast.history.hour": "{series} (घंटेवार औसत)",
+  "forecast.lower": "{level}% अंतराल (निचला)",
+  "forecast.band": "{level}% अंतराल",
+  "forecast.line": "{model} पूर्वानुमान",
+  "forecast.chart": "{series} पूर्वानुमान ({model})",
+  "forecast.ahead.day": "{count} दिन आगे",
+  "forecast.ahead.hour": "{count} घंटे आगे",
+  "forecast.index": "सूचकांक",
+  "forecast.peak": "{time} को शिखर {value} {unit}।",
+  "forecast.peakCategory": "{time} को शिखर {value} {unit} ({category})।",
+  "forecast.expected": "AQI {threshold} से ऊपर अपेक्षित: {times}।",
+  "forecast.none.day": "कोई भी दिन AQI {threshold} से ऊपर अपेक्षित नहीं।",
+  "forecast.none.hour": "कोई भी घंटा AQI {threshold} से ऊपर अपेक्षित नहीं।",
+  "forecast.possible": "{level}% अंतराल के भीतर {count}।",
+  "forecast.filled.day": "फ़िटिंग से पहले {count} छूटे दिनों का अंतर्वेशन किया गया।",
+  "forecast.filled.hour": "फ़िटिंग से पहले {count} छूटे घंटों का अंतर्वेशन किया गया।",
+  "forecast.arOrder": "AR क्रम {order} (AIC द्वारा)",
+  "forecast.backtest.day": "पिछले {count} दिनों पर बैकटेस्ट",
+  "forecast.backtest.hour": "पिछले {count} घंटों पर बैकटेस्ट",
+  "forecast.modelHeader": "मॉडल",
+  "forecast.best": "सर्वश्रेष्ठ",
+  "forecast.interval.hour": "घंटेवार",
+  "forecast.interval.day": "दैनिक",
+  "forecast.model.ar": "स्वसमाश्रयी (AR)",
+  "forecast.model.snaive": "मौसमी सरल",
+
+  // ---------------- time series ----------------
+  "timeSeries.resampled": "{series} · {interval} {agg}",
+  "timeSeries.rolling": "{hours}-घंटे चल औसत",
+  "timeSeries.dailyMax8h": "8-घंटे औसत का दैनिक अधिकतम",
+  "timeSeries.readingAxis": "रीडिंग #",
+  "timeSeries.window": "{hours}-घंटे नियामक अवधि",
+  "timeSeries.chart": "{series} समय-श्रृंखला",
+  "timeSeries.stat.readings": "रीडिंग",
+  "timeSeries.stat.mean": "औसत",
+  "timeSeries.stat.median": "माध्यिका",
+  "timeSeries.stat.p95": "P95",
+  "timeSeries.stat.min": "न्यूनतम",
+  "timeSeries.stat.max": "अधिकतम",
+  "timeSeries.downsampled":
+    "{total} में से {plotted} बिंदु दिखाए गए (LTTB डाउनसैंपलिंग); आँकड़े हर रीडिंग का उपयोग करते हैं।",
+  "timeSeries.regulatory":
+    "इस प्रदूषक के लिए {standard} की नियामक औसत अवधि {averaging} है; चल मानों के लिए अवधि की 75% रीडिंग चाहिए।",
+  "timeSeries.timeAxis":
+    "तिथियाँ वास्तविक समय अक्ष पर दिखाई जाती हैं, इसलिए नमूनों के अंतराल दिखते रहते हैं।",
+  "timeSeries.fileOrder": "पढ़ने योग्य दिनांक कॉलम नहीं – रीडिंग फ़ाइल के क्रम में दिखाई गई हैं।",
+  "timeSeries.interval.raw": "कच्ची रीडिंग",
+  "timeSeries.interval.hour": "घंटेवार",
+  "timeSeries.interval.day": "दैनिक",
+  "timeSeries.interval.week": "साप्ताहिक",
+  "timeSeries.interval.month": "मासिक",
+  "timeSeries.agg.mean": "औसत",
+  "timeSeries.agg.max": "अधिकतम",
+  "timeSeries.agg.percentile": "प्रतिशतक",
+
+  // ---------------- stations ----------------
+  "stations.title": "स्टेशन",
+  "stations.intro": "इस डेटासेट में {count} स्टेशन हैं। तुलना के लिए स्टेशन चुनें।",
+  "stations.all": "सभी",
+  "stations.aqi": "प्रति स्टेशन गणना किया गया AQI",
+  "stations.aqiDaily": "प्रति स्टेशन गणना किया गया AQI (दैनिक औसत)",
+  "stations.composition": "औसत प्रदूषक संरचना",
+  "stations.ranking": "स्टेशन रैंकिंग",
+  "stations.rankMean": "औसत AQI से क्रम",
+  "stations.rankExceedance": "सीमा-पार दिनों से क्रम",
+  "stations.station": "स्टेशन",
+  "stations.readings": "रीडिंग",
+  "stations.meanAqi": "औसत AQI",
+  "stations.maxAqi": "अधिकतम AQI",
+  "stations.daysAbove": "दिन > {threshold}",
+  "stations.exceedanceNote":
+    "सीमा-पार दिन = गणना किए गए AQI का दैनिक औसत {threshold} से ऊपर ({standard})।",
+
+  // ---------------- correlations ----------------
+  "correlation.title": "प्रदूषक सहसंबंध",
+  "correlation.needsTwo": "कम से कम दो संख्यात्मक प्रदूषक कॉलम चाहिए।",
+  "correlation.intro":
+    "किसी जोड़ी का ग्राफ़ देखने के लिए उसके सेल पर क्लिक करें। हर जोड़ी केवल उन पंक्तियों का उपयोग करती है जिनमें दोनों मान हों।",
+  "correlation.pair": "{y} बनाम {x}",
+  "correlation.cell": "{y} बनाम {x}: r = {r} (n = {n})",
+  "correlation.noDate": "दिनांक नहीं",
+  "correlation.fitLine": "न्यूनतम-वर्ग फ़िट",
+  "correlation.opposite": "−1 उलटी दिशा में",
+  "correlation.together": "+1 साथ-साथ",
+  "correlation.summary": "{symbol} = {r} ({strength}, n = {n})",
+  "correlation.fit": "फ़िट {formula}, R² = {r2}",
+  "correlation.strength.not enough data": "पर्याप्त डेटा नहीं",
+  "correlation.strength.no clear relationship": "कोई स्पष्ट संबंध नहीं",
+  "correlation.strength.strong positive": "प्रबल धनात्मक",
+  "correlation.strength.moderate positive": "मध्यम धनात्मक",
+  "correlation.strength.weak positive": "कमज़ोर धनात्मक",
+  "correlation.strength.strong negative": "प्रबल ऋणात्मक",
+  "correlation.strength.moderate negative": "मध्यम ऋणात्मक",
+  "correlation.strength.weak negative": "कमज़ोर ऋणात्मक",
+  "correlation.method.pearson": "पियर्सन (रैखिक)",
+  "correlation.method.spearman": "स्पीयरमैन (क्रम)",
+  "correlation.color.none": "एक रंग",
+  "correlation.color.hour": "दिन का समय",
+  "correlation.color.season": "मौसम",
+  "correlation.group.night": "रात (00–06)",
+  "correlation.group.morning": "सुबह (06–12)",
+  "correlation.group.afternoon": "दोपहर (12–18)",
+  "correlation.group.evening": "शाम (18–24)",
+  "correlation.group.winter": "सर्दी (दिसं–फ़र)",
+  "correlation.group.summer": "मानसून-पूर्व (मार्च–मई)",
+  "correlation.group.monsoon": "मानसून (जून–सितं)",
+  "correlation.group.postMonsoon": "मानसून-पश्चात (अक्टू–नवं)",
+
+  // ---------------- box model ----------------
+  "boxModel.title": "प्रकाश-रासायनिक बॉक्स मॉडल",
+  "boxModel.intro":
+    "एक अच्छी तरह मिश्रित वायु खंड के लिए NO₂ प्रकाश-अपघटन, NO + O₃ अनुमापन और वैकल्पिक VOC / RO₂ तथा SO₂ + OH रसायन को समाकलित करता है; सूर्य घड़ी के साथ चलता है।",
+  "boxModel.so2Oxidation": "SO₂ ऑक्सीकरण",
+  "boxModel.initial": "प्रारंभिक सांद्रता",
+  "boxModel.emissions": "उत्सर्जन और मिश्रण",
+  "boxModel.emission": "{species} उत्सर्जन",
+  "boxModel.mixing": "पृष्ठभूमि मिश्रण",
+  "boxModel.sun": "सूर्य",
+  "boxModel.start": "आरंभ समय",
+  "boxModel.duration": "अवधि",
+  "boxModel.latitude": "अक्षांश",
+  "boxModel.month": "महीना",
+  "boxModel.sunlight": "धूप (धुंध, बादल)",
+  "boxModel.ohNoon": "दोपहर में OH",
+  "boxModel.rates": "दर स्थिरांक (cm³ s⁻¹)",
+  "boxModel.speciesChart": "दिन भर की मॉडल की गई सांद्रता (ppb)",
+  "boxModel.sunChart": "दिन भर प्रकाश-अपघटन दर और OH",
+  "boxModel.peak": "O₃ {time} पर {value} के साथ शिखर पर पहुँचता है",
+  "boxModel.peakVoc":
+    ": जब तक धूप RO₂ से NO को NO₂ में बदलवाती रहती है, ओज़ोन जमा होती रहती है, इसलिए अधिकतम सौर दोपहर के बाद आता है।",
+  "boxModel.peakNoVoc":
+    ": VOC के बिना प्रकाश-अपघटन और अनुमापन O₃ को केवल NO और NO₂ के बीच स्थानांतरित करते हैं, इसलिए ओज़ोन जमा नहीं हो सकती।",
+  "boxModel.leighton": "दोपहर में लेटन अनुपात j[NO₂] / k[NO][O₃]: {ratio}",
+  "boxModel.leightonAbove": "(1 से अधिक: पेरॉक्सी मूलक अतिरिक्त NO₂ बना रहे हैं)।",
+  "boxModel.leightonSteady": "(प्रकाश-स्थिर अवस्था)।",
+  "boxModel.species.H2SO4": "H₂SO₄ (सल्फ़ेट)",
+  "boxModel.preset.leighton": "केवल लेटन चक्र",
+  "boxModel.preset.urban": "शहरी यातायात",
+  "boxModel.preset.industrial": "औद्योगिक धुआँ (SO₂)",
+  "boxModel.preset.rural": "स्वच्छ ग्रामीण",
+
+  // ---------------- acid rain ----------------
+  "acidRain.title": "अम्लीय वर्षा pH अनुमानक",
+  "acidRain.intro":
+    "हेनरी के नियम और अम्ल वियोजन से वर्षाजल को गैसों के साथ साम्य में लाता है, SO₂ और NO₂ से पहले ही बने सल्फ़ेट और नाइट्रेट जोड़ता है, और pH के लिए आवेश संतुलन हल करता है। क्षारीय धूल और अमोनिया को नज़रअंदाज़ किया गया है, इसलिए वास्तविक वर्षा आमतौर पर कम अम्लीय होती है।",
+  "acidRain.input": "इनपुट: {source}",
+  "acidRain.source.example": "उदाहरण शहरी वायु",
+  "acidRain.source.form": "कैलकुलेटर फ़ॉर्म",
+  "acidRain.source.row": "CSV पंक्ति {n}{detail}",
+  "acidRain.fromCalculator": "कैलकुलेटर से",
+  "acidRain.csvRow": "CSV पंक्ति",
+  "acidRain.useRow": "पंक्ति उपयोग करें",
+  "acidRain.gases": "गैस-अवस्था स्तर",
+  "acidRain.cloud": "बादल और रूपांतरण",
+  "acidRain.toSulfate": "SO₂ → सल्फ़ेट",
+  "acidRain.toNitrate": "NO₂ → नाइट्रेट",
+  "acidRain.liquidWater": "तरल जल",
+  "acidRain.temperature": "तापमान",
+  "acidRain.estimated": "अनुमानित वर्षा pH",
+  "acidRain.species": "प्रजाति",
+  "acidRain.share": "ऋणायन आवेश में हिस्सा",
+  "acidRain.shareTooltip": "{value} µeq/L (ऋणायनों का {share})",
+  "acidRain.sweepLabel": "{gas} (1× = {base} {unit})",
+  "acidRain.cleanRain": "स्वच्छ वर्षा (pH {ph})",
+  "acidRain.multiple": "वर्तमान स्तर का {factor}×",
+  "acidRain.gasAxis": "गैस स्तर, वर्तमान इनपुट का गुणज",
+  "acidRain.phAxis": "वर्षा pH",
+  "acidRain.anionChart": "वर्षा के ऋणायन (µeq/L)",
+  "acidRain.sweepChart": "हर गैस बदलने पर वर्षा pH",
+  "acidRain.sweepNote":
+    "हर रेखा एक गैस को बदलती है जबकि बाकी वर्तमान इनपुट पर रहती हैं। सल्फ़ेट और नाइट्रेट प्रबल अम्ल हैं, इसलिए उनके पूर्ववर्ती बढ़ने पर pH गिरता रहता है; घुला हुआ SO₂ दुर्बल अम्ल है और अकेली CO₂ वर्षा को लगभग pH {ph} से नीचे नहीं ले जा सकती।",
+  "acidRain.ph.strong": "प्रबल अम्लीय वर्षा, कोयला बिजलीघरों और प्रगलकों की हवा की दिशा में आम",
+  "acidRain.ph.acid": "अम्लीय वर्षा",
+  "acidRain.ph.mild": "हल्की अम्लीय वर्षा",
+  "acidRain.ph.clean": "CO₂ के साथ साम्य में स्वच्छ वर्षा से अधिक अम्लीय नहीं",
+
+  // ---------------- report ----------------
+  "report.title": "विश्लेषण रिपोर्ट",
+  "report.intro":
+    "सारांश आँकड़े, चार्ट, सीमा-पार, प्रमुख प्रदूषक और रसायन टिप्पणियाँ PDF के रूप में।",
+  "report.generate": "रिपोर्ट बनाएँ",
+  "report.close": "बंद करें",
+  "report.titleField": "शीर्षक",
+  "report.notes": "टिप्पणियाँ (वैकल्पिक, शीर्षक के नीचे छपेंगी)",
+  "report.readings": "रीडिंग",
+  "report.period": "अवधि",
+  "report.noDates": "कोई तिथि नहीं",
+  "report.daysAbove": "दिन > {threshold}",
+  "report.daysOf": "{total} में से {days}",
+  "report.topPollutant": "शीर्ष प्रदूषक",
+  "report.dominant": "प्रमुख प्रदूषक का विभाजन",
+  "report.chemistry": "शामिल रसायन टिप्पणियाँ",
+  "report.pdfFailed": "PDF नहीं बन सका।",
+  "report.scope": "चार्ट में अभी दिख रही {count} पंक्तियों और {standard} पैमाने का उपयोग करता है।",
+  "report.building": "PDF बन रहा है…",
+  "report.download": "PDF डाउनलोड करें",
+
+  // ---------------- workspace ----------------
+  "workspace.title": "कार्यक्षेत्र",
+  "workspace.datasets": "सहेजे गए डेटासेट",
+  "workspace.noDatasets": "अपलोड की गई CSV यहाँ सहेजी जाती हैं।",
+  "workspace.save": "सहेजें",
+  "workspace.rows": "{count} पंक्तियाँ · {time}",
+  "workspace.rename": "नाम बदलें",
+  "workspace.delete": "हटाएँ",
+  "workspace.confirmDelete": "\"{name}\" को कार्यक्षेत्र से हटाएँ?",
+  "workspace.history": "गणना इतिहास",
+  "workspace.clear": "साफ़ करें",
+  "workspace.noHistory": "कैलकुलेटर की गणनाएँ यहाँ दिखती हैं।",
+  "workspace.reopen": "यह गणना फिर से खोलें",
+  "workspace.deleteCalculation": "गणना हटाएँ",
+  "workspace.showFewer": "कम दिखाएँ",
+  "workspace.showAll": "सभी {count} दिखाएँ",
+
+  // ---------------- data quality ----------------
+  "quality.title": "डेटा गुणवत्ता जाँच",
+  "quality.clean": "{rows} पंक्तियों में कोई समस्या नहीं मिली।",
+  "quality.flagged":
+    "{rows} पंक्तियों में {flags} चिह्नित मान। AQI और चार्ट की गणना से पहले चुनें कि हर प्रकार के साथ क्या करना है।",
+  "quality.completeness": "प्रति कॉलम पूर्णता",
+  "quality.missing": "{pct} · {missing} अनुपलब्ध",
+  "quality.rule": "नियम",
+  "quality.values": "मान",
+  "quality.rows": "पंक्तियाँ",
+  "quality.action": "कार्रवाई",
+  "quality.sample": "पंक्ति {row} · {column} = {value}",
+  "quality.more": "… {count} और",
+  "quality.inEffect": "लागू: {steps}।",
+  "quality.inEffectExcluded": "लागू: {steps} ({rows} पंक्तियाँ हटाई गईं)।",
+  "quality.asUploaded": "सभी मान अपलोड किए गए रूप में उपयोग किए जाते हैं।",
+  "quality.reset": "रीसेट",
+  "quality.apply": "सफ़ाई लागू करें",
+  "quality.log": "सफ़ाई लॉग ({count} चरण)",
+  "quality.logEntry": "{date} – {step} ({values} मान)",
+  "quality.rule.nonNumeric": "गैर-संख्यात्मक मान",
+  "quality.rule.nonNumeric.description":
+    "प्रदूषक कॉलम में पाठ (जैसे \"NA\", \"12,5\", गलत पढ़ी गई संख्या)।",
+  "quality.rule.negative": "ऋणात्मक सांद्रता",
+  "quality.rule.negative.description": "शून्य से कम; कैप करने पर यह 0 हो जाता है।",
+  "quality.rule.implausible": "भौतिक रूप से असंभव",
+  "quality.rule.implausible.description":
+    "प्रदूषक के संभव अधिकतम से ऊपर; कैप करने पर उसी पर सीमित हो जाता है।",
+  "quality.rule.spike": "अचानक उछाल",
+  "quality.rule.spike.description":
+    "पड़ोसी रीडिंग के माध्यिका के {ratio}× से अधिक; कैप करने पर उसे उसी माध्यिका से बदल दिया जाता है।",
+  "quality.rule.flatline": "अटका हुआ सेंसर",
+  "quality.rule.flatline.description": "लगातार {run} या अधिक रीडिंग में एक ही मान।",
+  "quality.rule.duplicate": "दोहराया गया समय",
+  "quality.rule.duplicate.description": "किसी पिछली पंक्ति जैसा ही स्टेशन और समय।",
+  "quality.action.keep": "रखें",
+  "quality.action.coerce": "संख्या के रूप में पढ़ें",
+  "quality.action.blank": "खाली करें",
+  "quality.action.interpolate": "अंतर्वेशन करें",
+  "quality.action.cap": "सीमित करें",
+  "quality.action.exclude": "पंक्ति हटाएँ",
+
+  // ---------------- reaction explorer ----------------
+  "reactions.title": "अभिक्रिया एक्सप्लोरर",
+  "reactions.intro":
+    "हर AQI प्रदूषक के बनने और हटने की अभिक्रियाएँ। हर समीकरण के परमाणु और आवेश संतुलन की जाँच की जाती है।",
+  "reactions.allPollutants": "सभी प्रदूषक",
+  "reactions.allKinds": "प्राथमिक और द्वितीयक",
+  "reactions.search": "स्पीशीज़ या पाठ खोजें…",
+  "reactions.none": "इन फ़िल्टरों से कोई अभिक्रिया मेल नहीं खाती।",
+  "reactions.balanced": "✓ संतुलित",
+  "reactions.unbalanced": "✗ असंतुलित",
+  "reactions.atom": "परमाणु",
+  "reactions.left": "बायाँ",
+  "reactions.right": "दायाँ",
+  "reactions.charge": "आवेश",
+  "reactions.kind.primary": "प्राथमिक",
+  "reactions.kind.secondary": "द्वितीयक",
+  "reactions.kindFilter.primary": "प्राथमिक (स्रोत पर)",
+  "reactions.kindFilter.secondary": "द्वितीयक (वायुमंडल में)",
+
+  // ---------------- exceedances ----------------
+  "exceedance.title": "सीमा से अधिकता",
+  "exceedance.needsDate": "सीमा से अधिक दिन और घंटे गिनने के लिए दिनांक कॉलम चाहिए।",
+  "exceedance.introDay":
+    "प्रति स्टेशन दैनिक औसत की तुलना {limits} से; कई स्टेशनों में सबसे खराब गिना जाता है।",
+  "exceedance.introHour":
+    "प्रति स्टेशन प्रति घंटा औसत की तुलना {limits} से; कई स्टेशनों में सबसे खराब गिना जाता है।",
+  "exceedance.pollutant": "प्रदूषक",
+  "exceedance.limit": "सीमा",
+  "exceedance.aboveDay": "सीमा से ऊपर दिन",
+  "exceedance.aboveHour": "सीमा से ऊपर घंटे",
+  "exceedance.peak": "शिखर",
+  "exceedance.longestRun": "सबसे लंबा क्रम",
+  "exceedance.none": "कोई नहीं",
+  "exceedance.notAssessed": "आकलन नहीं",
+  "exceedance.days": "{count} दिन",
+  "exceedance.day": "1 दिन",
+  "exceedance.hours": "{count} घंटे",
+  "exceedance.hour": "1 घंटा",
+  "exceedance.calendar":
+    "दैनिक औसत गणना किया गया AQI ({standard}) · {days} में से {above} दिन {threshold} से ऊपर। किसी दिन की पंक्तियाँ डेटा एक्सप्लोरर में खोलने के लिए उस पर क्लिक करें।",
+  "exceedance.dayLabel": "{date}: AQI {aqi} ({category}), {readings} रीडिंग",
+  "exceedance.basis.day": "दैनिक औसत",
+  "exceedance.basis.hour": "प्रति घंटा औसत",
+
+  // ---------------- data grid ----------------
+  "grid.min": "न्यूनतम",
+  "grid.max": "अधिकतम",
+  "grid.minLabel": "{column} न्यूनतम",
+  "grid.maxLabel": "{column} अधिकतम",
+  "grid.fromLabel": "{column} से",
+  "grid.toLabel": "{column} तक",
+  "grid.filterLabel": "{column} फ़िल्टर",
+  "grid.all": "सभी",
+  "grid.contains": "शामिल है",
+  "grid.containsLabel": "{column} में शामिल",
+  "grid.search": "सभी कॉलम में खोजें…",
+  "grid.searchLabel": "सभी कॉलम में खोजें",
+  "grid.columns": "कॉलम ({visible}/{total})",
+  "grid.clearFilters": "फ़िल्टर हटाएँ",
+  "grid.rows": "{count} पंक्तियाँ",
+  "grid.rowsMatch": "{total} में से {count} पंक्तियाँ मेल खाती हैं",
+  "grid.showing": " · {from}–{to} दिखाई जा रही हैं",
+  "grid.allRows": "सभी पंक्तियाँ",
+  "grid.perPage": "{size} / पृष्ठ",
+  "grid.prev": "‹ पिछला",
+  "grid.next": "अगला ›",
+  "grid.page": "पृष्ठ {page} / {count}",
+};
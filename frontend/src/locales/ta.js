@@ -0,0 +1,669 @@
+// தமிழ் (Tamil). Chemical formulas stay in Latin letters with Unicode
+// subscripts (SO₂, PM₂.₅).
+
+export default {
+  // ---------------- shell ----------------
+  "tabs.overview": "மேலோட்டம்",
+  "tabs.chemistry": "மாசுபடுத்திகளின் வேதியியல்",
+  "tabs.charts": "நகரம் & விளக்கப்படங்கள்",
+  "tabs.health": "உடல்நலம் & AQI வகைகள்",
+  "tabs.data": "தரவு ஆய்வு",
+  "app.kicker": "AQI நுண்ணறிவு",
+  "app.title": "சுற்றுச்சூழல் வேதியியல் டாஷ்போர்டு",
+  "app.hero.title": "AQI பகுப்பாய்வு டாஷ்போர்டு –",
+  "app.hero.focus": "சுற்றுச்சூழல் வேதியியல் கவனம்",
+  "app.hero.chemistry": "காற்று மாசு வேதியியல்",
+  "app.hero.reactions": "வளிமண்டல வினைகள்",
+  "app.hero.health": "உடல்நலம் & சுற்றுச்சூழல்",
+  "app.hero.body":
+    "AQI எண்களை {chemistry} மற்றும் {particulates} உடன் இணைக்கிறது. Python FastAPI பின்தளம் மற்றும் நவீன React இடைமுகத்தில் இயங்குகிறது.",
+  "app.hero.chemistryTopics": "எரிப்பு வேதியியல், ஒளிவேதிப் புகைமூட்டம், அமில மழை",
+  "app.hero.particulates": "துகள் மாசு",
+  "app.loading": "ஏற்றுகிறது…",
+  "app.tabsLabel": "டாஷ்போர்டு பிரிவுகள்",
+  "app.retrying": "சேவையகம் இன்னும் பதிலளிக்கவில்லை – மறுமுயற்சி {attempt}…",
+  "app.calcFailed": "AQI கணக்கிட முடியவில்லை. {reason}",
+  "app.datasetNotSaved": "தரவுத்தொகுப்பு சேமிக்கப்படவில்லை: {reason}",
+  "app.datasetMissing": "அந்தத் தரவுத்தொகுப்பு இனி இல்லை.",
+  "app.meanConcentration": "சராசரி செறிவு (CSV)",
+  "app.footer":
+    "AQI மற்றும் வளிமண்டல வேதியியல் பகுப்பாய்வுக்காக {backend} + {frontend} கொண்டு உருவாக்கப்பட்டது.",
+  "apiError.network":
+    "சேவையகத்தை அடைய முடியவில்லை. API URL அல்லது உங்கள் இணைப்பைச் சரிபார்க்கவும்.",
+  "apiError.timeout":
+    "சேவையகம் பதிலளிக்க அதிக நேரம் எடுத்தது (அது இன்னும் தொடங்கிக்கொண்டிருக்கலாம்).",
+  "apiError.validation": "சேவையகம் உள்ளீட்டை நிராகரித்தது: {message}",
+  "apiError.server": "சேவையகம் HTTP {status} பிழையுடன் தோல்வியடைந்தது.",
+  "apiError.cancelled": "கோரிக்கை ரத்து செய்யப்பட்டது.",
+  "apiError.unknown": "சேவையகத்துடன் தொடர்புகொள்ளும்போது எதிர்பாராத பிழை.",
+
+  // ---------------- sidebar ----------------
+  "sidebar.controls": "கட்டுப்பாடுகள்",
+  "sidebar.subtitle": "தரவுத்தொகுப்பு & உள்ளீட்டு அமைப்புகள்",
+  "sidebar.language": "மொழி",
+  "sidebar.palette": "வகை நிறங்கள்",
+  "sidebar.patterns": "வடிவ நிரப்பல்கள்",
+  "palette.standard": "நிலையானது (நிறுவன நிறங்கள்)",
+  "palette.colorblind": "நிறக்குருடு நட்பு",
+  "palette.contrast": "உயர் மாறுபாடு",
+  "sidebar.upload": "AQI CSV பதிவேற்று",
+  "sidebar.uploadHelp":
+    "AQI தரவுத்தொகுப்பை CSV வடிவில் பதிவேற்றவும். {columns} போன்ற நெடுவரிசைகள் தானாகக் கண்டறியப்பட்டு, இறக்குமதியின் போது மாற்றலாம்.",
+  "sidebar.loaded": "{count} வரிசைகள் ஏற்றப்பட்டன.",
+  "sidebar.standard": "AQI தரநிலை",
+  "sidebar.chemistry": "வேதியியல் பார்வை",
+  "sidebar.chemistry.combustion": "எரிப்பு → SO₂, NOₓ, CO, PM",
+  "sidebar.chemistry.oxidation": "வளிமண்டல ஆக்சிஜனேற்றம் → அமிலங்கள் & O₃",
+  "sidebar.chemistry.particles": "துகள்கள் நச்சு உலோகங்களையும் கரிமச் சேர்மங்களையும் சுமக்கின்றன",
+  "sidebar.frontend": "முன்தளம்: React + Tailwind",
+  "sidebar.backend": "பின்தளம்: FastAPI (Python)",
+  "api.title": "சேவையகம்",
+  "api.baseUrl": "சேவையக அடிப்படை URL",
+  "api.mock": "மாதிரி API (சேவையகம் இல்லை)",
+  "api.test": "சோதி",
+  "api.checking": "சரிபார்க்கிறது…",
+  "api.mockActive": "மாதிரி அடாப்டர் செயலில் உள்ளது.",
+  "api.reachable": "சேவையகத்தை அடைய முடிகிறது.",
+
+  // ---------------- calculator ----------------
+  "calc.title": "AQI கணிப்பான்",
+  "calc.intro":
+    "மாசுபடுத்திகளின் செறிவை உள்ளிட்டு ஒவ்வொரு உணரியின் அலகைத் தேர்ந்தெடுக்கவும். ppb/ppm வாயு அளவீடுகள் AQI கணக்கிடும் முன் µg/m³ ஆக (CO எனில் mg/m³) மாற்றப்படும்.",
+  "calc.backendOnly":
+    "பின்தளம் இந்திய NAQI-ஐ மட்டுமே செயல்படுத்துகிறது – {standard} எப்போதும் உலாவியில் கணக்கிடப்படும்.",
+  "calc.serverStandard":
+    "பின்தளம் இந்திய NAQI-ஐ மட்டுமே செயல்படுத்துகிறது. {standard} கணக்கிட இயந்திரத்தை “தானியங்கு” அல்லது “உள்ளூர் மட்டும்” என மாற்றவும்.",
+  "calc.error.serverStandard":
+    "கணக்கிடப்படவில்லை: பின்தளம் {standard}-ஐ கணக்கிட முடியாது, இயந்திரம் சேவையகம் மட்டும் என அமைக்கப்பட்டுள்ளது.",
+  "calc.error.empty": "குறைந்தது ஒரு மாசுபடுத்தியின் செறிவை உள்ளிடவும்.",
+  "calc.engine.auto": "தானியங்கு (சேவையகம் → உள்ளூர்)",
+  "calc.engine.server": "சேவையகம் மட்டும்",
+  "calc.engine.local": "உள்ளூர் மட்டும்",
+  "calc.temperature": "வெப்பநிலை (°C)",
+  "calc.pressure": "அழுத்தம் (kPa)",
+  "calc.conversionNote": "ppb/ppm மாற்றத்திற்கு மட்டும் (இலட்சிய வாயு மோலார் கனஅளவு).",
+  "calc.conditionRange":
+    "{min} முதல் {max} வரையிலான மதிப்பை உள்ளிடவும்; அதுவரை கடைசி சரியான மதிப்பே பயன்படுத்தப்படும்.",
+  "calc.submit": "AQI கணக்கிடு",
+  "calc.calculating": "கணக்கிடுகிறது...",
+  "calc.cancel": "ரத்து",
+  "calc.concentration": "செறிவு",
+  "calc.unit": "{pollutant} அலகு",
+
+  // ---------------- snapshot ----------------
+  "snapshot.title": "முடிவு",
+  "snapshot.pin": "பொருத்து",
+  "snapshot.reading": "அளவீடு {n}",
+  "snapshot.empty": "AQI, வகை மற்றும் வேதியியல் சுருக்கத்தைக் காண கணக்கிடவும்.",
+  "snapshot.aqi": "AQI",
+  "snapshot.category": "வகை",
+  "snapshot.dominant": "முதன்மை மாசுபடுத்தி",
+  "snapshot.subIndices": "துணைக் குறியீடுகள்",
+  "snapshot.beyondTable":
+    "{pollutants}: {standard} அட்டவணையின் அதிகபட்ச செறிவை விட அதிகம், எனவே துணைக் குறியீடு அட்டவணையின் உச்சத்தில் நிறுத்தப்பட்டுள்ளது; உண்மையான AQI இதைவிட அதிகமாக இருக்கலாம்.",
+  "snapshot.chemistry": "வேதியியல் விளக்கம்",
+  "snapshot.pathway": "{pollutant} வினைப் பாதை →",
+  "snapshot.otherStandards": "இதே அளவீடு பிற தரநிலைகளில்",
+  "snapshot.units": "எடுத்துக்கொண்ட அலகுகள்",
+  "snapshot.enteredIn": "{pollutant}: {unit} இல் உள்ளிடப்பட்டது",
+  "snapshot.conversionAt": "மாற்றம் {temperature} °C, {pressure} kPa இல்.",
+  "snapshot.source.server": "FastAPI பின்தளத்தால் கணக்கிடப்பட்டது",
+  "snapshot.source.local": "உலாவியில் கணக்கிடப்பட்டது (முறிவுப்புள்ளி அட்டவணைகள்)",
+  "snapshot.source.local-fallback": "பின்தளம் கிடைக்கவில்லை – உலாவியில் கணக்கிடப்பட்டது",
+  "snapshot.source.mock": "மாதிரி API இணைப்பியால் கணக்கிடப்பட்டது",
+  "snapshot.profile": "இந்த அளவீட்டின் மாசு சுயவிவரம்",
+  "snapshot.profileHelp":
+    "உயரமான பட்டை = முதன்மை மாசுபடுத்தி. (SO₂, NO₂, CO), இரண்டாம்நிலை ஏரோசல் உருவாக்கம் (சல்பேட், நைட்ரேட்) அல்லது புகைமூட்டம் (O₃).",
+
+  // ---------------- charts ----------------
+  "chart.table": "தரவு அட்டவணை & சுருக்கம்",
+  "chart.summary": "{series}: {count} மதிப்புகள், குறைந்தது {min} ({minAt}), அதிகம் {max} ({maxAt}), சராசரி {mean}.",
+  "chart.empty": "வரையப்பட்ட தரவு இல்லை.",
+  "chart.time": "நேரம்",
+  "chart.label": "லேபிள்",
+  "chart.series": "தொடர்",
+  "chart.value": "மதிப்பு",
+  "chart.truncated": "{total} வரிசைகளில் முதல் {shown}; மீதமுள்ளவற்றுக்கு விளக்கப்படத் தரவை ஏற்றுமதி செய்யவும்.",
+  "export.label": "ஏற்றுமதி",
+  "export.failed": "ஏற்றுமதி தோல்வியடைந்தது.",
+  "series.aqiComputed": "AQI (கணக்கிட்டது, {standard})",
+  "series.aqiReported": "AQI (அறிவிக்கப்பட்டது)",
+
+  // ---------------- chemistry ----------------
+  "chemistry.title": "முக்கிய AQI மாசுபடுத்திகளின் வேதியியல்",
+  "topic.acid-rain.title": "SO₂ → H₂SO₄ (அமில மழை)",
+  "topic.acid-rain.intro": "நிலக்கரி / எரிபொருள் எரிப்பிலிருந்து வரும் SO₂ ஆக்சிஜனேற்றம் அடைகிறது:",
+  "topic.acid-rain.outro": "மழையின் அமிலத் துளிகள் கட்டடங்களையும் உலோகங்களையும் அரிக்கின்றன, இலைகளைச் சேதப்படுத்துகின்றன.",
+  "topic.smog.title": "NO₂ & VOC → O₃ (ஒளிவேதிப் புகைமூட்டம்)",
+  "topic.smog.intro": "NO₂ சூரிய ஒளியை உறிஞ்சுகிறது:",
+  "topic.smog.outro":
+    "VOC இருக்கும்போது இது பழுப்பு நிற ஒளிவேதிப் புகைமூட்டத்தை உருவாக்குகிறது; O₃ நுரையீரலை எரிச்சலூட்டும் வலிமையான ஆக்சிஜனேற்றி.",
+  "topic.particulates.title": "PM₂.₅ & PM₁₀ (துகள் பொருள்)",
+  "topic.particulates.intro":
+    "சல்பேட், நைட்ரேட், கார்பன் மற்றும் உலோகங்களின் சிக்கலான கலவை. PM₂.₅ நுரையீரல் காற்றுப்பைகள் வரை ஊடுருவி இரத்தத்தில் கலக்கலாம்; நச்சு வேதிப்பொருட்களைச் சுமந்து செல்கிறது.",
+  "topic.carbon-monoxide.title": "CO (கார்பன் மோனாக்சைடு)",
+  "topic.carbon-monoxide.intro":
+    "முழுமையற்ற எரிப்பால் உருவாகிறது. இரத்தத்துடன் கார்பாக்சிஹீமோகுளோபின் (HbCO) உருவாக்கி ஆக்சிஜன் கடத்தலைக் குறைக்கிறது; அதிக அளவில் தலைவலி, தலைச்சுற்றல், உயிரிழப்பு கூட ஏற்படலாம்.",
+  "topic.primary-secondary.title": "முதன்மை மற்றும் இரண்டாம்நிலை மாசுபடுத்திகள்",
+  "topic.primary-secondary.intro":
+    "முதன்மை: நேரடியாக வெளியேற்றப்படுபவை (SO₂, NO, CO, PM). இரண்டாம்நிலை: வளிமண்டலத்தில் உருவாகுபவை (O₃, PAN, அமிலங்கள், சில PM).",
+  "chemistryNote.PM2.5":
+    "PM2.5 என்பவை நுரையீரலின் ஆழம் வரை செல்லும் நுண்துகள்கள் (<2.5 μm). இவற்றில் கன உலோகங்களும் கரிமச் சேர்மங்களும் ஒட்டியிருப்பதால் சுவாச மற்றும் இதய நோய்கள் ஏற்படுகின்றன.",
+  "chemistryNote.PM10":
+    "PM10 என்பவை பெரிய துகள்கள் (<10 μm). இவை பெரும்பாலும் மேல் சுவாசப் பாதையில் படிந்து எரிச்சல், இருமல், மூச்சுத் திணறல் ஏற்படுத்துகின்றன.",
+  "chemistryNote.SO2":
+    "கந்தகம் உள்ள எரிபொருட்கள் எரியும்போது SO₂ வெளியாகிறது. காற்றில் இது SO₃ ஆகி நீருடன் வினைபுரிந்து H₂SO₄ (கந்தக அமிலம்) உருவாக்குகிறது; இது அமில மழைக்கும் அரிப்புக்கும் காரணமாகிறது.\nவினைகள்: SO₂ + ½O₂ → SO₃;  SO₃ + H₂O → H₂SO₄",
+  "chemistryNote.NO2":
+    "NO₂ வாகனப் புகையின் முக்கியக் கூறு. இது ஒளிவேதிப் புகைமூட்டத்தில் பங்கேற்று அடிவளிமண்டலத்தில் ஓசோன் (O₃) உருவாகக் காரணமாகலாம்.",
+  "chemistryNote.CO":
+    "எரிபொருளின் முழுமையற்ற எரிப்பால் CO உருவாகிறது. இது ஹீமோகுளோபினுடன் உறுதியாகப் பிணைந்து கார்பாக்சிஹீமோகுளோபின் உருவாக்கி, இரத்தத்தின் ஆக்சிஜன் சுமக்கும் திறனைக் குறைக்கிறது.",
+  "chemistryNote.O3":
+    "தரைமட்ட O₃ ஒரு இரண்டாம்நிலை மாசுபடுத்தி; சூரிய ஒளியில் NOx மற்றும் VOC வினைபுரிவதால் உருவாகிறது. இது வலிமையான ஆக்சிஜனேற்றி, கண்களையும் நுரையீரலையும் எரிச்சலூட்டுகிறது.",
+
+  // ---------------- categories ----------------
+  "category.Good": "நன்று",
+  "category.Satisfactory": "திருப்திகரம்",
+  "category.Moderate": "மிதமானது",
+  "category.Poor": "மோசம்",
+  "category.Very Poor": "மிக மோசம்",
+  "category.Severe": "கடுமையானது",
+  "category.Unhealthy for Sensitive Groups": "உணர்திறன் உள்ளவர்களுக்கு ஆரோக்கியமற்றது",
+  "category.Unhealthy": "ஆரோக்கியமற்றது",
+  "category.Very Unhealthy": "மிக ஆரோக்கியமற்றது",
+  "category.Hazardous": "அபாயகரமானது",
+  "category.Very Low": "மிகக் குறைவு",
+  "category.Low": "குறைவு",
+  "category.Medium": "நடுத்தரம்",
+  "category.High": "அதிகம்",
+  "category.Very High": "மிக அதிகம்",
+  "categoryHealth.naqi.Good": "குறைந்தபட்ச பாதிப்பு. தூய்மையான காற்று, மாசுபடுத்திகள் இயல்பான அளவில் மட்டும்.",
+  "categoryHealth.naqi.Satisfactory": "உணர்திறன் உள்ளவர்களுக்குச் சிறிய சுவாச அசௌகரியம்.",
+  "categoryHealth.naqi.Moderate":
+    "ஆஸ்துமா போன்ற நுரையீரல் நோயாளிகளுக்குச் சுவாசச் சிரமம்; இதய நோயாளிகள், குழந்தைகள், முதியோருக்கு அசௌகரியம்.",
+  "categoryHealth.naqi.Poor": "நீண்ட நேர வெளிப்பாட்டில் பெரும்பாலானோருக்கும் இதய நோயாளிகளுக்கும் சுவாசச் சிரமம்.",
+  "categoryHealth.naqi.Very Poor":
+    "நீண்ட நேர வெளிப்பாட்டில் சுவாச நோய். நுரையீரல், இதய நோயாளிகளுக்குப் பாதிப்பு அதிகமாக இருக்கலாம்.",
+  "categoryHealth.naqi.Severe":
+    "ஆரோக்கியமானவர்களுக்கும் சுவாசப் பாதிப்பு, நுரையீரல்/இதய நோயாளிகளுக்குக் கடும் பாதிப்பு. இலேசான உடல் உழைப்பையும் தவிர்க்கவும்.",
+
+  // ---------------- health ----------------
+  "health.title": "உடல்நல அறிவுரை",
+  "health.intro":
+    "அறிவுரை {standard} அளவுகோலில் ஒவ்வொரு மாசுபடுத்தியின் துணைக் குறியீட்டைப் பின்பற்றுகிறது. நீங்கள் தேர்ந்தெடுக்கும் குழுக்கள், தாங்கள் உணர்திறன் கொண்ட மாசுபடுத்திகளுக்கு ஒரு நிலை முன்பே எச்சரிக்கை பெறும்.",
+  "health.adviceFor": "யாருக்கான அறிவுரை:",
+  "health.current": "தற்போதைய அளவீடு",
+  "health.currentSummary": "AQI {aqi} ({category}), முதன்மை மாசுபடுத்தி {pollutant}.",
+  "health.noResult": "அந்த அளவீட்டுக்கான அறிவுரையைப் பெற மேலோட்டம் தாவலில் AQI கணக்கிடவும்.",
+  "health.daily": "தினசரி அறிவுரைகள் · தரவில் {count} நாட்கள்",
+  "health.peak": "உச்சம் {time}",
+  "health.rows": "வரிசைகள் →",
+  "health.more": "மேலும் {count} நாட்களைக் காட்டு",
+  "health.categories": "AQI வகைகள் & உடல்நல விளைவுகள்",
+  "health.quote":
+    "“AQI, PM, SO₂, NO₂, CO மற்றும் O₃ செறிவுகளை உடல்நல பாதிப்புடன் நேரடியாகத் தொடர்புடைய ஒரே அளவுகோலாகச் சுருக்குகிறது.”",
+  "health.scale": "{standard} அளவுகோல் ({agency}). சராசரிக் காலங்கள்: {periods}.",
+  "health.profile.general": "அனைவரும்",
+  "health.profile.asthma": "ஆஸ்துமா / நுரையீரல் நோய்",
+  "health.profile.heart": "இதய நோய்",
+  "health.profile.children": "குழந்தைகள்",
+  "health.profile.elderly": "முதியோர்",
+  "health.profile.outdoor": "வெளிப்புறத் தொழிலாளர்கள்",
+  "health.profile.athletes": "விளையாட்டு வீரர்கள்",
+  "health.level.0": "நன்று",
+  "health.level.1": "திருப்திகரம்",
+  "health.level.2": "மிதமானது",
+  "health.level.3": "மோசம்",
+  "health.level.4": "மிக மோசம்",
+  "health.level.5": "கடுமையானது",
+  "advice.action.0": "வெளிப்புறச் செயல்பாடுகளை அனுபவியுங்கள்",
+  "advice.action.1": "வெளிப்புறச் செயல்பாடு நல்லது",
+  "advice.action.2": "வெளியே சுறுசுறுப்பாக இருங்கள், ஆனால் இருமல் அல்லது தொண்டை எரிச்சல் இருந்தால் குறைத்துக்கொள்ளுங்கள்",
+  "advice.action.3": "நீண்ட அல்லது கடுமையான வெளிப்புற உழைப்பைக் குறையுங்கள்",
+  "advice.action.4": "நீண்ட அல்லது கடுமையான வெளிப்புற உழைப்பைத் தவிர்த்து, உடற்பயிற்சியை உள்ளே செய்யுங்கள்",
+  "advice.action.5": "அனைத்து வெளிப்புற உடல் உழைப்பையும் தவிர்த்து, முடிந்தவரை வீட்டுக்குள் இருங்கள்",
+  "advice.timing.PM2.5": "நுண்துகள்கள் இரவிலும் அதிகாலையிலும், குறிப்பாகக் குளிர்காலத்தில் சேர்கின்றன",
+  "advice.timing.PM10": "கட்டுமான இடங்கள், மண் சாலைகள் அருகிலும் காற்று வீசும் மதியங்களிலும் தூசு அதிகம்",
+  "advice.timing.SO2": "SO₂ மின் நிலையங்கள், தொழிற்சாலைகளிலிருந்து வருகிறது; புகைபோக்கிகளின் காற்றோட்டத் திசையில் செல்லாதீர்கள்",
+  "advice.timing.NO2": "நெரிசல் நேரத்தில் பரபரப்பான சாலைகள் அருகே NO₂ மிக அதிகம்",
+  "advice.timing.CO": "மெதுவான போக்குவரத்திலும் அடுப்பு, ஹீட்டர், ஜெனரேட்டர் அருகிலும் CO சேர்கிறது",
+  "advice.timing.O3": "O₃ மதியத்திற்குப் பின் உச்சமடைகிறது; அதிகாலை அல்லது மாலையில் வெளியே செல்லுங்கள்",
+  "advice.rule.windows": "ஜன்னல்களை மூடி வைத்து, இருந்தால் காற்று சுத்திகரிப்பானை இயக்குங்கள்",
+  "advice.rule.indoor-sources": "வீட்டுக்குள் மாசைக் கூட்டாதீர்கள்: ஊதுபத்தி, மெழுகுவர்த்தி, விறகு எரிக்காதீர்கள்",
+  "advice.rule.inhaler": "நிவாரண இன்ஹேலரை உடன் வைத்திருங்கள்",
+  "advice.rule.so2-airways": "SO₂ சில நிமிடங்களில் மூச்சுக்குழாய்களைச் சுருக்கும்; மூச்சிரைப்பு தொடங்கியதும் உழைப்பை நிறுத்துங்கள்",
+  "advice.rule.action-plan": "உங்கள் ஆஸ்துமா செயல் திட்டத்தைப் பின்பற்றி, அறிகுறிகள் குறையாவிட்டால் மருத்துவரை அணுகுங்கள்",
+  "advice.rule.co-oxygen": "CO இரத்தத்தின் ஆக்சிஜனைக் குறைக்கிறது; போக்குவரத்து நெரிசலையும் புகைபோக்கியில்லா ஹீட்டர்களையும் தவிர்க்கவும்",
+  "advice.rule.cardiac-symptoms": "நெஞ்சுவலி, படபடப்பு அல்லது அசாதாரண மூச்சுத்திணறலைக் கவனித்து, மருந்துகளை அருகில் வைத்திருங்கள்",
+  "advice.rule.school-sports": "வெளியே விளையாடும் நேரத்தைக் குறையுங்கள்; பள்ளிகள் விளையாட்டு மற்றும் PE-ஐ உள்ளே நடத்த வேண்டும்",
+  "advice.rule.morning-walks": "புகைமூட்டம் விலகும் வரை காலை நடைப்பயிற்சியைத் தள்ளிவையுங்கள்",
+  "advice.rule.breaks": "அடிக்கடி உள்ளே ஓய்வெடுத்து, கடினமான வேலைகளைச் சுழற்சி முறையில் செய்யுங்கள்",
+  "advice.rule.respirator": "சரியாகப் பொருந்தும் N95 / FFP2 முகக்கவசம் அணியுங்கள்; இது துகள்களை வடிகட்டும், வாயுக்களை அல்ல",
+  "advice.rule.intensity": "பயிற்சியின் தீவிரத்தையும் நேரத்தையும் குறையுங்கள்; வேகமான சுவாசம் உள்ளிழுக்கும் அளவைப் பன்மடங்காக்கும்",
+  "advice.rule.o3-training": "ஓசோன் உயரும் முன் அதிகாலையில் பயிற்சி செய்யுங்கள்",
+
+  // ---------------- city & charts ----------------
+  "charts.uploadPrompt":
+    "நேரத் தொடர் மற்றும் கலவை வரைபடங்களைப் பார்க்க பக்கப்பட்டியிலிருந்து CSV பதிவேற்றவும்.",
+  "charts.filtered":
+    "தரவு ஆய்வியின் வடிகட்டிகளுக்குப் பொருந்தும் {total} வரிசைகளில் {shown} வரைபடங்களில் காட்டப்படுகின்றன.",
+  "charts.timeSeriesAll": "நேரத் தொடர் (அனைத்து வரிசைகள்)",
+  "charts.timeSeriesFiltered": "நேரத் தொடர் (வடிகட்டிய வரிசைகள்)",
+  "charts.composition": "சராசரி மாசுக் கலவை (CSV இலிருந்து)",
+  "charts.compositionChart": "சராசரி மாசுக் கலவை",
+  "charts.noPollutants": "CSV இல் மாசுபடுத்தி நெடுவரிசைகள் இல்லை ({columns}).",
+
+  // ---------------- data explorer ----------------
+  "data.title": "மூலத் தரவு ஆய்வி",
+  "data.quote":
+    "“AQI தரவுத்தொகுப்பை ஆய்ந்து சரிபார்க்க React அடிப்படையிலான தரவு ஆய்வியைப் பயன்படுத்தினோம்.”",
+  "data.reupload": "வேறு கோப்பைச் சோதிக்க இங்கே CSV ஐ மீண்டும் பதிவேற்றலாம்.",
+  "data.uploadPrompt": "அட்டவணையை ஆராய இங்கிருந்து அல்லது பக்கப்பட்டியிலிருந்து CSV பதிவேற்றவும்.",
+  "data.exportAll": "{count} வரிசைகளை ஏற்றுமதி செய்",
+  "data.exportFiltered": "வடிகட்டிய {count} வரிசைகளை ஏற்றுமதி செய்",
+  "data.derivedNote":
+    "“_computed” இல் முடியும் நெடுவரிசைகளும் “SI_” துணைக் குறியீடுகளும் {standard} மூலம் கணக்கிடப்படுகின்றன. வடிகட்டிய வரிசைகள் நகரம் & வரைபடங்கள் பகுதியின் வரைபடங்களையும் இயக்குகின்றன.",
+  "discrepancy.title": "அறிவிக்கப்பட்ட எதிர் கணக்கிட்ட AQI",
+  "discrepancy.intro":
+    "{standard} மூலம் கணக்கிடப்பட்டது. இரண்டும் சகிப்பு வரம்பை விட அதிகம் வேறுபட்டால் வரிசைகள் குறிக்கப்படும்.",
+  "discrepancy.tolerance": "சகிப்பு வரம்பு (AQI புள்ளிகள்)",
+  "discrepancy.compared": "ஒப்பிட்ட வரிசைகள்",
+  "discrepancy.flagged": "குறிக்கப்பட்டவை",
+  "discrepancy.meanDiff": "சராசரி |வேறுபாடு|",
+  "discrepancy.row": "வரிசை",
+  "discrepancy.date": "தேதி",
+  "discrepancy.reported": "அறிவிக்கப்பட்டது",
+  "discrepancy.computed": "கணக்கிட்டது",
+  "discrepancy.diff": "வேறுபாடு",
+  "discrepancy.category": "கணக்கிட்ட வகை",
+  "discrepancy.dominant": "முதன்மை",
+  "discrepancy.truncated": "குறிக்கப்பட்ட {total} வரிசைகளில் முதல் {shown} காட்டப்படுகின்றன.",
+
+  // ---------------- what-if planner ----------------
+  "whatIf.title": "என்ன-ஆனால் திட்டமிடல்",
+  "whatIf.intro": "இந்த அளவீட்டின் ஒவ்வொரு மாசுபடுத்தியையும் மாற்றி அளவிடுங்கள் ({standard}).",
+  "whatIf.reset": "மீட்டமை",
+  "whatIf.pin": "சூழ்நிலையைப் பொருத்து",
+  "whatIf.label": "என்ன-ஆனால்: {changes}",
+  "whatIf.unchanged": "என்ன-ஆனால்: மாற்றமில்லை",
+  "whatIf.aqi": "சூழ்நிலை AQI",
+  "whatIf.dominant": "முதன்மை: {pollutant}",
+  "whatIf.moveDown": "{category} (AQI ≤ {target}) நிலைக்கு இறங்க:",
+  "whatIf.moveDownAll": "{category} (AQI ≤ {target}) நிலைக்கு இறங்க இவை அனைத்தும் குறைய வேண்டும்:",
+  "whatIf.reduction": "{pollutant} {from} இலிருந்து ≤ {to} வரை",
+  "whatIf.apply": "இந்தக் குறைப்புகளைப் பயன்படுத்து",
+  "whatIf.noValid": "இந்தச் சூழ்நிலையில் செல்லுபடியான செறிவுகள் இல்லை.",
+  "whatIf.lowest": "ஏற்கனவே இந்த அளவுகோலின் மிகக் குறைந்த வகையில் உள்ளது.",
+
+  // ---------------- pinned readings ----------------
+  "compare.title": "பொருத்திய அளவீடுகள்",
+  "compare.intro": "{standard} இன் கீழ் துணைக் குறியீடுகள்.",
+  "compare.clear": "அனைத்தையும் அழி",
+  "compare.chart": "பொருத்திய அளவீடுகளின் துணைக் குறியீடுகள்",
+  "compare.subIndex": "துணைக் குறியீடு",
+  "compare.reading": "அளவீடு",
+  "compare.aqi": "AQI",
+  "compare.category": "வகை",
+  "compare.dominant": "முதன்மை",
+  "compare.unpin": "{label} ஐ நீக்கு",
+
+  // ---------------- import wizard ----------------
+  "import.title": "CSV இறக்குமதி",
+  "import.summary":
+    "{file} · {rows} வரிசைகள் · {columns} நெடுவரிசைகள். ஒவ்வொரு புலமும் எந்த நெடுவரிசையில், எந்த அலகில் உள்ளது எனச் சரிபார்க்கவும்.",
+  "import.preset": "முன்னமைவு",
+  "import.autoDetected": "தானாகக் கண்டறியப்பட்டது",
+  "import.presetName": "முன்னமைவின் பெயர்",
+  "import.savePreset": "முன்னமைவைச் சேமி",
+  "import.delete": "நீக்கு",
+  "import.notInFile": "— கோப்பில் இல்லை —",
+  "import.noColumns":
+    "இன்னும் எந்த நெடுவரிசையும் பொருத்தப்படவில்லை – வரைபடங்கள் காலியாக இருக்கும்.",
+  "import.cancel": "ரத்து",
+  "import.confirm": "{rows} வரிசைகளை இறக்குமதி செய்",
+  "import.reading": "{file} படிக்கப்படுகிறது – {pct} · {rows} வரிசைகள்",
+  "import.error.empty": "CSV காலியாக அல்லது தவறாக உள்ளது.",
+  "import.error.unreadable": "CSV கோப்பைப் படிக்க முடியவில்லை.",
+  "importField.date": "தேதி / நேரம்",
+  "importField.station": "நகரம் / நிலையம்",
+
+  // ---------------- forecast ----------------
+  "forecast.title": "முன்னறிவிப்பு",
+  "forecast.intro.day":
+    "தினசரி சராசரியிலிருந்து அடுத்த {horizon} நாட்கள், {level}% கணிப்பு இடைவெளியுடன்.",
+  "forecast.intro.hour":
+    "மணிநேரச் சராசரியிலிருந்து அடுத்த {horizon} மணிநேரங்கள், {level}% கணிப்பு இடைவெளியுடன்.",
+  "forecast.needsDate": "முன்னறிவிக்க தேதி நெடுவரிசை தேவை.",
+  "forecast.needsMore.day":
+    "{series} இன் குறைந்தது {needed} தினசரி காலங்கள் தேவை; இந்தத் தரவில் {count} உள்ளன.",
+  "forecast.needsMore.hour":
+    "{series} இன் குறைந்தது {needed} மணிநேரக் காலங்கள் தேவை; இந்தத் தரவில் {count} உள்ளன.",
+  "forecast.tryHourly": "மணிநேர அளவில் முயல்க",
+  "forecast.history.day": "{series} (தினசரி சராசரி)",
+  "forecast.history.hour": "{series} (மணிநேரச் சராசரி)",
+  "forecast.lower": "{level}% இடைவெளி (கீழ்)",
+  "forecast.band": "{level}% இடைவெளி",
+  "forecast.line": "{model} முன்னறிவிப்பு",
+  "forecast.chart": "{series} முன்னறிவிப்பு ({model})",
+  "forecast.ahead.day": "{count} நாட்கள் முன்னால்",
+  "forecast.ahead.hour": "{count} மணிநேரம் முன்னால்",
+  "forecast.index": "குறியீடு",
+  "forecast.peak": "{time} அன்று உச்சம் {value} {unit}.",
+  "forecast.peakCategory": "{time} அன்று உச்சம் {value} {unit} ({category}).",
+  "forecast.expected": "AQI {threshold} க்கு மேல் எதிர்பார்க்கப்படுவது: {times}.",
+  "forecast.none.day": "எந்த நாளும் AQI {threshold} க்கு மேல் எதிர்பார்க்கப்படவில்லை.",
+  "forecast.none.hour": "எந்த மணிநேரமும் AQI {threshold} க்கு மேல் எதிர்பார்க்கப்படவில்லை.",
+  "forecast.possible": "{level}% இடைவெளிக்குள் {count}.",
+  "forecast.filled.day": "பொருத்தும் முன் விடுபட்ட {count} நாட்கள் இடைக்கணிக்கப்பட்டன.",
+  "forecast.filled.hour": "பொருத்தும் முன் விடுபட்ட {count} மணிநேரங்கள் இடைக்கணிக்கப்பட்டன.",
+  "forecast.arOrder": "AR வரிசை {order} (AIC மூலம்)",
+  "forecast.backtest.day": "கடைசி {count} நாட்களில் பின்சோதனை",
+  "forecast.backtest.hour": "கடைசி {count} மணிநேரங்களில் பின்சோதனை",
+  "forecast.modelHeader": "மாதிரி",
+  "forecast.best": "சிறந்தது",
+  "forecast.interval.hour": "மணிநேர",
+  "forecast.interval.day": "தினசரி",
+  "forecast.model.ar": "தன்னியக்கப் பின்னடைவு (AR)",
+  "forecast.model.snaive": "பருவகால எளிய",
+
+  // ---------------- time series ----------------
+  "timeSeries.resampled": "{series} · {interval} {agg}",
+  "timeSeries.rolling": "{hours}-மணிநேர நகரும் சராசரி",
+  "timeSeries.dailyMax8h": "8-மணிநேரச் சராசரியின் தினசரி உச்சம்",
+  "timeSeries.readingAxis": "அளவீடு #",
+  "timeSeries.window": "{hours}-மணிநேர ஒழுங்குமுறைச் சாளரம்",
+  "timeSeries.chart": "{series} நேரத் தொடர்",
+  "timeSeries.stat.readings": "அளவீடுகள்",
+  "timeSeries.stat.mean": "சராசரி",
+  "timeSeries.stat.median": "இடைநிலை",
+  "timeSeries.stat.p95": "P95",
+  "timeSeries.stat.min": "குறைந்தபட்சம்",
+  "timeSeries.stat.max": "அதிகபட்சம்",
+  "timeSeries.downsampled":
+    "{total} புள்ளிகளில் {plotted} காட்டப்படுகின்றன (LTTB குறைமாதிரி); புள்ளிவிவரங்கள் ஒவ்வொரு அளவீட்டையும் பயன்படுத்துகின்றன.",
+  "timeSeries.regulatory":
+    "இந்த மாசுபடுத்திக்கான {standard} ஒழுங்குமுறைச் சராசரிக் காலம் {averaging}; நகரும் மதிப்புகளுக்கு சாளரத்தின் 75% அளவீடுகள் தேவை.",
+  "timeSeries.timeAxis": "தேதிகள் உண்மையான நேர அச்சில் வரையப்படுவதால் மாதிரி இடைவெளிகள் தெரியும்.",
+  "timeSeries.fileOrder":
+    "படிக்கக்கூடிய தேதி நெடுவரிசை இல்லை – அளவீடுகள் கோப்பு வரிசையில் வரையப்படுகின்றன.",
+  "timeSeries.interval.raw": "மூல அளவீடுகள்",
+  "timeSeries.interval.hour": "மணிநேர",
+  "timeSeries.interval.day": "தினசரி",
+  "timeSeries.interval.week": "வாராந்திர",
+  "timeSeries.interval.month": "மாதாந்திர",
+  "timeSeries.agg.mean": "சராசரி",
+  "timeSeries.agg.max": "அதிகபட்சம்",
+  "timeSeries.agg.percentile": "சதமானம்",
+
+  // ---------------- stations ----------------
+  "stations.title": "நிலையங்கள்",
+  "stations.intro":
+    "இந்தத் தரவுத்தொகுப்பில் {count} நிலையங்கள் உள்ளன. ஒப்பிட வேண்டியவற்றைத் தேர்ந்தெடுக்கவும்.",
+  "stations.all": "அனைத்தும்",
+  "stations.aqi": "நிலைய வாரியாகக் கணக்கிட்ட AQI",
+  "stations.aqiDaily": "நிலைய வாரியாகக் கணக்கிட்ட AQI (தினசரி சராசரி)",
+  "stations.composition": "சராசரி மாசுக் கலவை",
+  "stations.ranking": "நிலைய வரிசை",
+  "stations.rankMean": "சராசரி AQI படி வரிசைப்படுத்து",
+  "stations.rankExceedance": "மீறல் நாட்கள் படி வரிசைப்படுத்து",
+  "stations.station": "நிலையம்",
+  "stations.readings": "அளவீடுகள்",
+  "stations.meanAqi": "சராசரி AQI",
+  "stations.maxAqi": "அதிகபட்ச AQI",
+  "stations.daysAbove": "நாட்கள் > {threshold}",
+  "stations.exceedanceNote":
+    "மீறல் நாள் = கணக்கிட்ட AQI இன் தினசரி சராசரி {threshold} க்கு மேல் ({standard}).",
+
+  // ---------------- correlations ----------------
+  "correlation.title": "மாசுபடுத்தி தொடர்புகள்",
+  "correlation.needsTwo": "குறைந்தது இரண்டு எண்ணியல் மாசுபடுத்தி நெடுவரிசைகள் தேவை.",
+  "correlation.intro":
+    "ஒரு ஜோடியை வரைய அதன் கலத்தைக் கிளிக் செய்யவும். ஒவ்வொரு ஜோடியும் இரு மதிப்புகளும் உள்ள வரிசைகளை மட்டுமே பயன்படுத்தும்.",
+  "correlation.pair": "{y} எதிர் {x}",
+  "correlation.cell": "{y} எதிர் {x}: r = {r} (n = {n})",
+  "correlation.noDate": "தேதி இல்லை",
+  "correlation.fitLine": "குறைந்த-வர்க்கப் பொருத்தம்",
+  "correlation.opposite": "−1 எதிர்த் திசையில்",
+  "correlation.together": "+1 ஒன்றாக",
+  "correlation.summary": "{symbol} = {r} ({strength}, n = {n})",
+  "correlation.fit": "பொருத்தம் {formula}, R² = {r2}",
+  "correlation.strength.not enough data": "போதுமான தரவு இல்லை",
+  "correlation.strength.no clear relationship": "தெளிவான தொடர்பு இல்லை",
+  "correlation.strength.strong positive": "வலுவான நேர்",
+  "correlation.strength.moderate positive": "மிதமான நேர்",
+  "correlation.strength.weak positive": "பலவீனமான நேர்",
+  "correlation.strength.strong negative": "வலுவான எதிர்",
+  "correlation.strength.moderate negative": "மிதமான எதிர்",
+  "correlation.strength.weak negative": "பலவீனமான எதிர்",
+  "correlation.method.pearson": "பியர்சன் (நேரியல்)",
+  "correlation.method.spearman": "ஸ்பியர்மேன் (தரவரிசை)",
+  "correlation.color.none": "ஒற்றை நிறம்",
+  "correlation.color.hour": "நாளின் நேரம்",
+  "correlation.color.season": "பருவம்",
+  "correlation.group.night": "இரவு (00–06)",
+  "correlation.group.morning": "காலை (06–12)",
+  "correlation.group.afternoon": "மதியம் (12–18)",
+  "correlation.group.evening": "மாலை (18–24)",
+  "correlation.group.winter": "குளிர்காலம் (டிச–பிப்)",
+  "correlation.group.summer": "பருவமழைக்கு முன் (மார்–மே)",
+  "correlation.group.monsoon": "பருவமழை (ஜூன்–செப்)",
+  "correlation.group.postMonsoon": "பருவமழைக்குப் பின் (அக்–நவ)",
+
+  // ---------------- box model ----------------
+  "boxModel.title": "ஒளி வேதியியல் பெட்டி மாதிரி",
+  "boxModel.intro":
+    "நன்கு கலந்த ஒரு காற்றுப் பொதிக்கு NO₂ ஒளிப்பகுப்பு, NO + O₃ தரம்பார்த்தல் மற்றும் விருப்பத்தேர்வான VOC / RO₂, SO₂ + OH வேதியியலை ஒருங்கிணைக்கிறது; சூரியன் கடிகாரத்தைப் பின்பற்றுகிறது.",
+  "boxModel.so2Oxidation": "SO₂ ஆக்சிஜனேற்றம்",
+  "boxModel.initial": "தொடக்கச் செறிவுகள்",
+  "boxModel.emissions": "உமிழ்வுகள் மற்றும் கலப்பு",
+  "boxModel.emission": "{species} உமிழ்வு",
+  "boxModel.mixing": "பின்னணிக் கலப்பு",
+  "boxModel.sun": "சூரியன்",
+  "boxModel.start": "தொடக்க நேரம்",
+  "boxModel.duration": "கால அளவு",
+  "boxModel.latitude": "அட்சரேகை",
+  "boxModel.month": "மாதம்",
+  "boxModel.sunlight": "சூரிய ஒளி (மூட்டம், மேகம்)",
+  "boxModel.ohNoon": "நண்பகலில் OH",
+  "boxModel.rates": "வீத மாறிலிகள் (cm³ s⁻¹)",
+  "boxModel.speciesChart": "நாள் முழுவதும் மாதிரியாக்கப்பட்ட செறிவுகள் (ppb)",
+  "boxModel.sunChart": "நாள் முழுவதும் ஒளிப்பகுப்பு வீதம் மற்றும் OH",
+  "boxModel.peak": "O₃ {time} மணிக்கு {value} உடன் உச்சத்தை அடைகிறது",
+  "boxModel.peakVoc":
+    ": சூரிய ஒளி RO₂ மூலம் NO ஐ NO₂ ஆக மாற்றும் வரை ஓசோன் குவிந்துகொண்டே இருக்கும், எனவே உச்சம் சூரிய நண்பகலுக்குப் பின் வருகிறது.",
+  "boxModel.peakNoVoc":
+    ": VOC இல்லாமல் ஒளிப்பகுப்பும் தரம்பார்த்தலும் O₃ ஐ NO, NO₂ இடையே மட்டுமே மாற்றுகின்றன, எனவே ஓசோன் குவிய முடியாது.",
+  "boxModel.leighton": "நண்பகலில் லெய்டன் விகிதம் j[NO₂] / k[NO][O₃]: {ratio}",
+  "boxModel.leightonAbove": "(1 க்கு மேல்: பெராக்ஸி மூலக்கூறுகள் கூடுதல் NO₂ உருவாக்குகின்றன).",
+  "boxModel.leightonSteady": "(ஒளி நிலைத்த நிலை).",
+  "boxModel.species.H2SO4": "H₂SO₄ (சல்பேட்)",
+  "boxModel.preset.leighton": "லெய்டன் சுழற்சி மட்டும்",
+  "boxModel.preset.urban": "நகரப் போக்குவரத்து",
+  "boxModel.preset.industrial": "தொழிற்சாலைப் புகை (SO₂)",
+  "boxModel.preset.rural": "தூய்மையான கிராமப்புறம்",
+
+  // ---------------- acid rain ----------------
+  "acidRain.title": "அமில மழை pH மதிப்பீட்டி",
+  "acidRain.intro":
+    "ஹென்றி விதி மற்றும் அமிலப் பிரிகை மூலம் மழைநீரை வாயுக்களுடன் சமநிலைப்படுத்தி, SO₂, NO₂ இலிருந்து ஏற்கனவே உருவான சல்பேட், நைட்ரேட்டைச் சேர்த்து, pH க்கான மின்னூட்டச் சமநிலையைத் தீர்க்கிறது. காரத் தூசியும் அம்மோனியாவும் கணக்கில் கொள்ளப்படவில்லை, எனவே உண்மையான மழை பொதுவாகக் குறைவான அமிலத்தன்மை கொண்டது.",
+  "acidRain.input": "உள்ளீடு: {source}",
+  "acidRain.source.example": "உதாரண நகரக் காற்று",
+  "acidRain.source.form": "கணிப்பான் படிவம்",
+  "acidRain.source.row": "CSV வரிசை {n}{detail}",
+  "acidRain.fromCalculator": "கணிப்பானிலிருந்து",
+  "acidRain.csvRow": "CSV வரிசை",
+  "acidRain.useRow": "வரிசையைப் பயன்படுத்து",
+  "acidRain.gases": "வாயு நிலை அளவுகள்",
+  "acidRain.cloud": "மேகம் மற்றும் மாற்றம்",
+  "acidRain.toSulfate": "SO₂ → சல்பேட்",
+  "acidRain.toNitrate": "NO₂ → நைட்ரேட்",
+  "acidRain.liquidWater": "திரவ நீர்",
+  "acidRain.temperature": "வெப்பநிலை",
+  "acidRain.estimated": "மதிப்பிடப்பட்ட மழை pH",
+  "acidRain.species": "இனம்",
+  "acidRain.share": "எதிர்மின் அயனி மின்னூட்டப் பங்கு",
+  "acidRain.shareTooltip": "{value} µeq/L (எதிர்மின் அயனிகளில் {share})",
+  "acidRain.sweepLabel": "{gas} (1× = {base} {unit})",
+  "acidRain.cleanRain": "தூய மழை (pH {ph})",
+  "acidRain.multiple": "தற்போதைய அளவின் {factor}×",
+  "acidRain.gasAxis": "வாயு அளவு, தற்போதைய உள்ளீட்டின் மடங்கு",
+  "acidRain.phAxis": "மழை pH",
+  "acidRain.anionChart": "மழை எதிர்மின் அயனிகள் (µeq/L)",
+  "acidRain.sweepChart": "ஒவ்வொரு வாயுவும் மாற்றப்படும்போது மழை pH",
+  "acidRain.sweepNote":
+    "ஒவ்வொரு கோடும் ஒரு வாயுவை மாற்றுகிறது, மற்றவை தற்போதைய உள்ளீட்டில் இருக்கும். சல்பேட், நைட்ரேட் வலிய அமிலங்கள், எனவே அவற்றின் முன்னோடிகள் உயர pH குறைந்துகொண்டே போகும்; கரைந்த SO₂ வலுவற்ற அமிலம், CO₂ மட்டும் மழையை சுமார் pH {ph} க்குக் கீழே கொண்டு செல்ல முடியாது.",
+  "acidRain.ph.strong":
+    "கடும் அமில மழை, நிலக்கரி மின் நிலையங்கள், உருக்காலைகளின் காற்றோட்டத் திசையில் வழக்கமானது",
+  "acidRain.ph.acid": "அமில மழை",
+  "acidRain.ph.mild": "லேசான அமில மழை",
+  "acidRain.ph.clean": "CO₂ உடன் சமநிலையில் உள்ள தூய மழையை விட அதிக அமிலத்தன்மை இல்லை",
+
+  // ---------------- report ----------------
+  "report.title": "பகுப்பாய்வு அறிக்கை",
+  "report.intro":
+    "சுருக்கப் புள்ளிவிவரங்கள், வரைபடங்கள், மீறல்கள், முதன்மை மாசுபடுத்திகள், வேதியியல் குறிப்புகள் PDF ஆக.",
+  "report.generate": "அறிக்கையை உருவாக்கு",
+  "report.close": "மூடு",
+  "report.titleField": "தலைப்பு",
+  "report.notes": "குறிப்புகள் (விருப்பம், தலைப்பின் கீழ் அச்சிடப்படும்)",
+  "report.readings": "அளவீடுகள்",
+  "report.period": "காலம்",
+  "report.noDates": "தேதிகள் இல்லை",
+  "report.daysAbove": "நாட்கள் > {threshold}",
+  "report.daysOf": "{total} இல் {days}",
+  "report.topPollutant": "முதன்மை மாசுபடுத்தி",
+  "report.dominant": "முதன்மை மாசுபடுத்தி பகிர்வு",
+  "report.chemistry": "சேர்க்கப்பட்ட வேதியியல் குறிப்புகள்",
+  "report.pdfFailed": "PDF ஐ உருவாக்க முடியவில்லை.",
+  "report.scope":
+    "வரைபடங்களில் தற்போது காட்டப்படும் {count} வரிசைகளையும் {standard} அளவுகோலையும் பயன்படுத்துகிறது.",
+  "report.building": "PDF உருவாகிறது…",
+  "report.download": "PDF பதிவிறக்கு",
+
+  // ---------------- workspace ----------------
+  "workspace.title": "பணியிடம்",
+  "workspace.datasets": "சேமித்த தரவுத்தொகுப்புகள்",
+  "workspace.noDatasets": "பதிவேற்றிய CSV கள் இங்கே சேமிக்கப்படும்.",
+  "workspace.save": "சேமி",
+  "workspace.rows": "{count} வரிசைகள் · {time}",
+  "workspace.rename": "பெயர்மாற்று",
+  "workspace.delete": "நீக்கு",
+  "workspace.confirmDelete": "\"{name}\" ஐப் பணியிடத்திலிருந்து நீக்கவா?",
+  "workspace.history": "கணக்கீட்டு வரலாறு",
+  "workspace.clear": "அழி",
+  "workspace.noHistory": "கணிப்பான் இயக்கங்கள் இங்கே பட்டியலிடப்படும்.",
+  "workspace.reopen": "இந்தக் கணக்கீட்டை மீண்டும் திற",
+  "workspace.deleteCalculation": "கணக்கீட்டை நீக்கு",
+  "workspace.showFewer": "குறைவாகக் காட்டு",
+  "workspace.showAll": "அனைத்து {count} ஐயும் காட்டு",
+
+  // ---------------- data quality ----------------
+  "quality.title": "தரவுத் தர தணிக்கை",
+  "quality.clean": "{rows} வரிசைகளில் சிக்கல் எதுவும் இல்லை.",
+  "quality.flagged":
+    "{rows} வரிசைகளில் {flags} குறிக்கப்பட்ட மதிப்புகள். AQI மற்றும் வரைபடங்கள் கணக்கிடப்படும் முன் ஒவ்வொரு வகைக்கும் என்ன செய்வது என்று தேர்வு செய்யவும்.",
+  "quality.completeness": "நெடுவரிசை வாரியான முழுமை",
+  "quality.missing": "{pct} · {missing} விடுபட்டவை",
+  "quality.rule": "விதி",
+  "quality.values": "மதிப்புகள்",
+  "quality.rows": "வரிசைகள்",
+  "quality.action": "செயல்",
+  "quality.sample": "வரிசை {row} · {column} = {value}",
+  "quality.more": "… மேலும் {count}",
+  "quality.inEffect": "நடைமுறையில்: {steps}.",
+  "quality.inEffectExcluded": "நடைமுறையில்: {steps} ({rows} வரிசைகள் நீக்கப்பட்டன).",
+  "quality.asUploaded": "அனைத்து மதிப்புகளும் பதிவேற்றியபடியே பயன்படுத்தப்படுகின்றன.",
+  "quality.reset": "மீட்டமை",
+  "quality.apply": "சுத்திகரிப்பைப் பயன்படுத்து",
+  "quality.log": "சுத்திகரிப்புப் பதிவு ({count} படிகள்)",
+  "quality.logEntry": "{date} – {step} ({values} மதிப்புகள்)",
+  "quality.rule.nonNumeric": "எண் அல்லாத மதிப்பு",
+  "quality.rule.nonNumeric.description":
+    "மாசு நெடுவரிசையில் உரை (எ.கா. \"NA\", \"12,5\", தவறாகப் படித்த எண்).",
+  "quality.rule.negative": "எதிர்மறை செறிவு",
+  "quality.rule.negative.description": "பூஜ்ஜியத்திற்குக் கீழ்; வரம்பிடுதல் அதை 0 ஆக்கும்.",
+  "quality.rule.implausible": "இயற்பியல் ரீதியாக நம்பமுடியாதது",
+  "quality.rule.implausible.description":
+    "மாசுபடுத்தியின் நம்பத்தகு அதிகபட்சத்திற்கு மேல்; வரம்பிடுதல் அதற்குள் கட்டுப்படுத்தும்.",
+  "quality.rule.spike": "திடீர் உயர்வு",
+  "quality.rule.spike.description":
+    "அண்டை அளவீடுகளின் இடைநிலையின் {ratio}× ஐ விட அதிகம்; வரம்பிடுதல் அதை அந்த இடைநிலையால் மாற்றும்.",
+  "quality.rule.flatline": "முடங்கிய சென்சார்",
+  "quality.rule.flatline.description":
+    "தொடர்ந்து {run} அல்லது அதற்கு மேற்பட்ட அளவீடுகளில் ஒரே மதிப்பு.",
+  "quality.rule.duplicate": "நகல் நேர முத்திரை",
+  "quality.rule.duplicate.description": "முந்தைய வரிசையின் அதே நிலையம் மற்றும் நேரம்.",
+  "quality.action.keep": "வைத்திரு",
+  "quality.action.coerce": "எண்ணாகப் படி",
+  "quality.action.blank": "வெறுமையாக்கு",
+  "quality.action.interpolate": "இடைக்கணிப்பு செய்",
+  "quality.action.cap": "வரம்பிடு",
+  "quality.action.exclude": "வரிசையை நீக்கு",
+
+  // ---------------- reaction explorer ----------------
+  "reactions.title": "வினை ஆய்வி",
+  "reactions.intro":
+    "ஒவ்வொரு AQI மாசுபடுத்தியின் உருவாக்க மற்றும் நீக்க வினைகள். ஒவ்வொரு சமன்பாடும் அணு மற்றும் மின்னூட்டச் சமநிலைக்குச் சரிபார்க்கப்படுகிறது.",
+  "reactions.allPollutants": "அனைத்து மாசுபடுத்திகள்",
+  "reactions.allKinds": "முதன்மை & இரண்டாம் நிலை",
+  "reactions.search": "வேதிப்பொருள் அல்லது உரையைத் தேடு…",
+  "reactions.none": "இந்த வடிகட்டிகளுக்குப் பொருந்தும் வினைகள் இல்லை.",
+  "reactions.balanced": "✓ சமநிலையானது",
+  "reactions.unbalanced": "✗ சமநிலையற்றது",
+  "reactions.atom": "அணு",
+  "reactions.left": "இடம்",
+  "reactions.right": "வலம்",
+  "reactions.charge": "மின்னூட்டம்",
+  "reactions.kind.primary": "முதன்மை",
+  "reactions.kind.secondary": "இரண்டாம் நிலை",
+  "reactions.kindFilter.primary": "முதன்மை (மூலத்தில்)",
+  "reactions.kindFilter.secondary": "இரண்டாம் நிலை (வளிமண்டலத்தில்)",
+
+  // ---------------- exceedances ----------------
+  "exceedance.title": "வரம்பு மீறல்கள்",
+  "exceedance.needsDate": "வரம்பு மீறிய நாட்களையும் மணிநேரங்களையும் எண்ண ஒரு தேதி நெடுவரிசை தேவை.",
+  "exceedance.introDay":
+    "ஒவ்வொரு நிலையத்தின் தினசரி சராசரி {limits} உடன் ஒப்பிடப்படுகிறது; பல நிலையங்களில் மோசமானது கணக்கில் கொள்ளப்படும்.",
+  "exceedance.introHour":
+    "ஒவ்வொரு நிலையத்தின் மணிநேர சராசரி {limits} உடன் ஒப்பிடப்படுகிறது; பல நிலையங்களில் மோசமானது கணக்கில் கொள்ளப்படும்.",
+  "exceedance.pollutant": "மாசுபடுத்தி",
+  "exceedance.limit": "வரம்பு",
+  "exceedance.aboveDay": "வரம்பை மீறிய நாட்கள்",
+  "exceedance.aboveHour": "வரம்பை மீறிய மணிநேரங்கள்",
+  "exceedance.peak": "உச்சம்",
+  "exceedance.longestRun": "நீண்ட தொடர்",
+  "exceedance.none": "இல்லை",
+  "exceedance.notAssessed": "மதிப்பிடப்படவில்லை",
+  "exceedance.days": "{count} நாட்கள்",
+  "exceedance.day": "1 நாள்",
+  "exceedance.hours": "{count} மணிநேரங்கள்",
+  "exceedance.hour": "1 மணிநேரம்",
+  "exceedance.calendar":
+    "தினசரி சராசரி கணக்கிட்ட AQI ({standard}) · {days} நாட்களில் {above} நாட்கள் {threshold} க்கு மேல். ஒரு நாளின் வரிசைகளைத் தரவு ஆய்வியில் திறக்க அதைக் கிளிக் செய்யவும்.",
+  "exceedance.dayLabel": "{date}: AQI {aqi} ({category}), {readings} அளவீடுகள்",
+  "exceedance.basis.day": "தினசரி சராசரிகள்",
+  "exceedance.basis.hour": "மணிநேர சராசரிகள்",
+
+  // ---------------- data grid ----------------
+  "grid.min": "குறைந்தது",
+  "grid.max": "அதிகபட்சம்",
+  "grid.minLabel": "{column} குறைந்தபட்சம்",
+  "grid.maxLabel": "{column} அதிகபட்சம்",
+  "grid.fromLabel": "{column} இருந்து",
+  "grid.toLabel": "{column} வரை",
+  "grid.filterLabel": "{column} வடிகட்டி",
+  "grid.all": "அனைத்தும்",
+  "grid.contains": "கொண்டுள்ளது",
+  "grid.containsLabel": "{column} கொண்டுள்ளது",
+  "grid.search": "அனைத்து நெடுவரிசைகளிலும் தேடு…",
+  "grid.searchLabel": "அனைத்து நெடுவரிசைகளிலும் தேடு",
+  "grid.columns": "நெடுவரிசைகள் ({visible}/{total})",
+  "grid.clearFilters": "வடிகட்டிகளை அழி",
+  "grid.rows": "{count} வரிசைகள்",
+  "grid.rowsMatch": "{total} இல் {count} வரிசைகள் பொருந்துகின்றன",
+  "grid.showing": " · {from}–{to} காட்டப்படுகின்றன",
+  "grid.allRows": "அனைத்து வரிசைகள்",
+  "grid.perPage": "{size} / பக்கம்",
+  "grid.prev": "‹ முந்தைய",
+  "grid.next": "அடுத்த ›",
+  "grid.page": "பக்கம் {page} / {count}",
+};
@@ -0,0 +1,662 @@
+// తెలుగు (Telugu). Chemical formulas stay in Latin letters with Unicode
+// subscripts (SO₂, PM₂.₅).
+
+export default {
+  // ---------------- shell ----------------
+  "tabs.overview": "అవలోకనం",
+  "tabs.chemistry": "కాలుష్యకాల రసాయనశాస్త్రం",
+  "tabs.charts": "నగరం & చార్ట్‌లు",
+  "tabs.health": "ఆరోగ్యం & AQI వర్గాలు",
+  "tabs.data": "డేటా ఎక్స్‌ప్లోరర్",
+  "app.kicker": "AQI ఇంటెలిజెన్స్",
+  "app.title": "పర్యావరణ రసాయనశాస్త్ర డాష్‌బోర్డ్",
+  "app.hero.title": "AQI విశ్లేషణ డాష్‌బోర్డ్ –",
+  "app.hero.focus": "పర్యావరణ రసాయనశాస్త్రంపై దృష్టి",
+  "app.hero.chemistry": "వాయు కాలుష్య రసాయనశాస్త్రం",
+  "app.hero.reactions": "వాతావరణ చర్యలు",
+  "app.hero.health": "ఆరోగ్యం & పర్యావరణం",
+  "app.hero.body":
+    "AQI సంఖ్యలను {chemistry} మరియు {particulates}తో అనుసంధానిస్తుంది. Python FastAPI బ్యాకెండ్, ఆధునిక React ఇంటర్‌ఫేస్‌తో పనిచేస్తుంది.",
+  "app.hero.chemistryTopics": "దహన రసాయనశాస్త్రం, కాంతి-రసాయన పొగమంచు, ఆమ్ల వర్షం",
+  "app.hero.particulates": "కణ కాలుష్యం",
+  "app.loading": "లోడ్ అవుతోంది…",
+  "app.tabsLabel": "డాష్‌బోర్డ్ విభాగాలు",
+  "app.retrying": "బ్యాకెండ్ ఇంకా స్పందించడం లేదు – మళ్లీ ప్రయత్నం {attempt}…",
+  "app.calcFailed": "AQI లెక్కించడం విఫలమైంది. {reason}",
+  "app.datasetNotSaved": "డేటాసెట్ సేవ్ కాలేదు: {reason}",
+  "app.datasetMissing": "ఆ డేటాసెట్ ఇక లేదు.",
+  "app.meanConcentration": "సగటు గాఢత (CSV)",
+  "app.footer": "AQI మరియు వాతావరణ రసాయన విశ్లేషణ కోసం {backend} + {frontend} తో నిర్మించబడింది.",
+  "apiError.network": "బ్యాకెండ్‌ను చేరుకోలేకపోయాం. API URL లేదా మీ కనెక్షన్‌ను తనిఖీ చేయండి.",
+  "apiError.timeout":
+    "బ్యాకెండ్ స్పందించడానికి చాలా సమయం తీసుకుంది (అది ఇంకా ప్రారంభమవుతుండవచ్చు).",
+  "apiError.validation": "బ్యాకెండ్ ఇన్‌పుట్‌ను తిరస్కరించింది: {message}",
+  "apiError.server": "బ్యాకెండ్ HTTP {status} తో విఫలమైంది.",
+  "apiError.cancelled": "అభ్యర్థన రద్దు చేయబడింది.",
+  "apiError.unknown": "బ్యాకెండ్‌తో మాట్లాడుతున్నప్పుడు ఊహించని లోపం.",
+
+  // ---------------- sidebar ----------------
+  "sidebar.controls": "నియంత్రణలు",
+  "sidebar.subtitle": "డేటాసెట్ & ఇన్‌పుట్ సెట్టింగ్‌లు",
+  "sidebar.language": "భాష",
+  "sidebar.palette": "వర్గ రంగులు",
+  "sidebar.patterns": "నమూనా పూరణలు",
+  "palette.standard": "ప్రామాణికం (సంస్థ రంగులు)",
+  "palette.colorblind": "వర్ణాంధత్వానికి అనుకూలం",
+  "palette.contrast": "అధిక కాంట్రాస్ట్",
+  "sidebar.upload": "AQI CSV అప్‌లోడ్ చేయండి",
+  "sidebar.uploadHelp":
+    "AQI డేటాసెట్‌ను CSV ఫార్మాట్‌లో అప్‌లోడ్ చేయండి. {columns} వంటి నిలువు వరుసలు స్వయంచాలకంగా గుర్తించబడతాయి, ఇంపోర్ట్ సమయంలో మార్చవచ్చు.",
+  "sidebar.loaded": "{count} వరుసలు లోడ్ అయ్యాయి.",
+  "sidebar.standard": "AQI ప్రమాణం",
+  "sidebar.chemistry": "రసాయన దృక్కోణం",
+  "sidebar.chemistry.combustion": "దహనం → SO₂, NOₓ, CO, PM",
+  "sidebar.chemistry.oxidation": "వాతావరణ ఆక్సీకరణం → ఆమ్లాలు & O₃",
+  "sidebar.chemistry.particles": "కణాలు విషపూరిత లోహాలు & కర్బన సమ్మేళనాలను మోసుకెళ్తాయి",
+  "sidebar.frontend": "ఫ్రంటెండ్: React + Tailwind",
+  "sidebar.backend": "బ్యాకెండ్: FastAPI (Python)",
+  "api.title": "బ్యాకెండ్",
+  "api.baseUrl": "బ్యాకెండ్ బేస్ URL",
+  "api.mock": "మాక్ API (సర్వర్ లేకుండా)",
+  "api.test": "పరీక్షించు",
+  "api.checking": "తనిఖీ చేస్తోంది…",
+  "api.mockActive": "మాక్ అడాప్టర్ సక్రియంగా ఉంది.",
+  "api.reachable": "బ్యాకెండ్ అందుబాటులో ఉంది.",
+
+  // ---------------- calculator ----------------
+  "calc.title": "AQI కాలిక్యులేటర్",
+  "calc.intro":
+    "కాలుష్యకాల గాఢతను నమోదు చేసి, ప్రతి సెన్సర్ యూనిట్‌ను ఎంచుకోండి. ppb/ppm లోని వాయు రీడింగ్‌లు AQI లెక్కించే ముందు µg/m³ (CO అయితే mg/m³) కి మార్చబడతాయి.",
+  "calc.backendOnly":
+    "బ్యాకెండ్ భారత NAQI ని మాత్రమే అమలు చేస్తుంది – {standard} ఎల్లప్పుడూ బ్రౌజర్‌లో లెక్కించబడుతుంది.",
+  "calc.serverStandard":
+    "బ్యాకెండ్ భారత NAQI ని మాత్రమే అమలు చేస్తుంది. {standard} లెక్కించడానికి ఇంజిన్‌ను “ఆటో” లేదా “స్థానికం మాత్రమే” కు మార్చండి.",
+  "calc.error.serverStandard":
+    "లెక్కించలేదు: బ్యాకెండ్ {standard} ను లెక్కించలేదు, ఇంజిన్ సర్వర్ మాత్రమే అని సెట్ చేయబడింది.",
+  "calc.error.empty": "కనీసం ఒక కాలుష్యకారక గాఢతను నమోదు చేయండి.",
+  "calc.engine.auto": "ఆటో (సర్వర్ → స్థానికం)",
+  "calc.engine.server": "సర్వర్ మాత్రమే",
+  "calc.engine.local": "స్థానికం మాత్రమే",
+  "calc.temperature": "ఉష్ణోగ్రత (°C)",
+  "calc.pressure": "పీడనం (kPa)",
+  "calc.conversionNote": "ppb/ppm మార్పిడికి మాత్రమే (ఆదర్శ వాయు మోలార్ ఘనపరిమాణం).",
+  "calc.conditionRange":
+    "{min} నుండి {max} మధ్య విలువను నమోదు చేయండి; అప్పటివరకు చివరి సరైన విలువే ఉపయోగించబడుతుంది.",
+  "calc.submit": "AQI లెక్కించండి",
+  "calc.calculating": "లెక్కిస్తోంది...",
+  "calc.cancel": "రద్దు",
+  "calc.concentration": "గాఢత",
+  "calc.unit": "{pollutant} యూనిట్",
+
+  // ---------------- snapshot ----------------
+  "snapshot.title": "ఫలితం",
+  "snapshot.pin": "పిన్ చేయండి",
+  "snapshot.reading": "రీడింగ్ {n}",
+  "snapshot.empty": "AQI, వర్గం మరియు రసాయన సారాంశం చూడటానికి లెక్కించండి.",
+  "snapshot.aqi": "AQI",
+  "snapshot.category": "వర్గం",
+  "snapshot.dominant": "ప్రధాన కాలుష్యకం",
+  "snapshot.subIndices": "ఉప-సూచికలు",
+  "snapshot.beyondTable":
+    "{pollutants}: {standard} పట్టికలోని అత్యధిక గాఢత కంటే ఎక్కువ, కాబట్టి ఉప-సూచిక పట్టిక పైభాగంలో నిలిపివేయబడింది; అసలు AQI ఇంకా ఎక్కువగా ఉండవచ్చు.",
+  "snapshot.chemistry": "రసాయన వివరణ",
+  "snapshot.pathway": "{pollutant} చర్యా మార్గం →",
+  "snapshot.otherStandards": "ఇదే రీడింగ్ ఇతర ప్రమాణాల్లో",
+  "snapshot.units": "భావించిన యూనిట్లు",
+  "snapshot.enteredIn": "{pollutant}: {unit} లో నమోదు",
+  "snapshot.conversionAt": "మార్పిడి {temperature} °C, {pressure} kPa వద్ద.",
+  "snapshot.source.server": "FastAPI బ్యాకెండ్ లెక్కించింది",
+  "snapshot.source.local": "బ్రౌజర్‌లో లెక్కించబడింది (బ్రేక్‌పాయింట్ పట్టికలు)",
+  "snapshot.source.local-fallback": "బ్యాకెండ్ అందుబాటులో లేదు – బ్రౌజర్‌లో లెక్కించబడింది",
+  "snapshot.source.mock": "మాక్ API అడాప్టర్ లెక్కించింది",
+  "snapshot.profile": "ఈ రీడింగ్ కాలుష్య ప్రొఫైల్",
+  "snapshot.profileHelp":
+    "ఎత్తైన బార్ = ప్రధాన కాలుష్యకం. (SO₂, NO₂, CO), ద్వితీయ ఏరోసోల్ ఏర్పాటు (సల్ఫేట్లు, నైట్రేట్లు) లేదా పొగమంచు (O₃).",
+
+  // ---------------- charts ----------------
+  "chart.table": "డేటా పట్టిక & సారాంశం",
+  "chart.summary": "{series}: {count} విలువలు, కనిష్ఠం {min} ({minAt}), గరిష్ఠం {max} ({maxAt}), సగటు {mean}.",
+  "chart.empty": "చిత్రించిన డేటా లేదు.",
+  "chart.time": "సమయం",
+  "chart.label": "లేబుల్",
+  "chart.series": "శ్రేణి",
+  "chart.value": "విలువ",
+  "chart.truncated": "{total} వరుసల్లో మొదటి {shown}; మిగతావాటికి చార్ట్ డేటాను ఎగుమతి చేయండి.",
+  "export.label": "ఎగుమతి",
+  "export.failed": "ఎగుమతి విఫలమైంది.",
+  "series.aqiComputed": "AQI (లెక్కించినది, {standard})",
+  "series.aqiReported": "AQI (నివేదించినది)",
+
+  // ---------------- chemistry ----------------
+  "chemistry.title": "ప్రధాన AQI కాలుష్యకాల రసాయనశాస్త్రం",
+  "topic.acid-rain.title": "SO₂ → H₂SO₄ (ఆమ్ల వర్షం)",
+  "topic.acid-rain.intro": "బొగ్గు / ఇంధన దహనం నుండి వచ్చే SO₂ ఆక్సీకరణం చెందుతుంది:",
+  "topic.acid-rain.outro": "వర్షంలోని ఆమ్ల బిందువులు భవనాలు, లోహాలను క్షయింపజేస్తాయి, ఆకులను దెబ్బతీస్తాయి.",
+  "topic.smog.title": "NO₂ & VOC → O₃ (కాంతి-రసాయన పొగమంచు)",
+  "topic.smog.intro": "NO₂ సూర్యకాంతిని గ్రహిస్తుంది:",
+  "topic.smog.outro":
+    "VOC ల సమక్షంలో ఇది గోధుమ రంగు కాంతి-రసాయన పొగమంచుకు దారితీస్తుంది; O₃ ఊపిరితిత్తులను చికాకుపరిచే బలమైన ఆక్సీకరణి.",
+  "topic.particulates.title": "PM₂.₅ & PM₁₀ (కణ పదార్థం)",
+  "topic.particulates.intro":
+    "సల్ఫేట్లు, నైట్రేట్లు, కార్బన్ మరియు లోహాల సంక్లిష్ట మిశ్రమం. PM₂.₅ ఊపిరితిత్తుల వాయుకోశాల వరకు చొచ్చుకుపోయి రక్తంలో కలవగలదు; విష రసాయనాలను మోసుకెళ్తుంది.",
+  "topic.carbon-monoxide.title": "CO (కార్బన్ మోనాక్సైడ్)",
+  "topic.carbon-monoxide.intro":
+    "అసంపూర్ణ దహనం వల్ల ఏర్పడుతుంది. రక్తంతో కార్బాక్సీహీమోగ్లోబిన్ (HbCO) ఏర్పరచి ఆక్సిజన్ రవాణాను తగ్గిస్తుంది; ఎక్కువ స్థాయిల్లో తలనొప్పి, తల తిరగడం, మరణం కూడా సంభవించవచ్చు.",
+  "topic.primary-secondary.title": "ప్రాథమిక మరియు ద్వితీయ కాలుష్యకాలు",
+  "topic.primary-secondary.intro":
+    "ప్రాథమిక: నేరుగా విడుదలయ్యేవి (SO₂, NO, CO, PM). ద్వితీయ: వాతావరణంలో ఏర్పడేవి (O₃, PAN, ఆమ్లాలు, కొన్ని PM).",
+  "chemistryNote.PM2.5":
+    "PM2.5 అనేవి ఊపిరితిత్తుల లోతుల వరకు చేరగల సూక్ష్మ కణాలు (<2.5 μm). వీటికి తరచూ భార లోహాలు, కర్బన సమ్మేళనాలు అంటుకుని ఉండి శ్వాసకోశ, హృదయ సమస్యలు కలిగిస్తాయి.",
+  "chemistryNote.PM10":
+    "PM10 అనేవి ముతక కణాలు (<10 μm). ఇవి ఎక్కువగా ఎగువ శ్వాసనాళంలో పేరుకుని చికాకు, దగ్గు, శ్వాస ఇబ్బంది కలిగిస్తాయి.",
+  "chemistryNote.SO2":
+    "సల్ఫర్ ఉన్న ఇంధనాలు మండినప్పుడు SO₂ విడుదలవుతుంది. గాలిలో ఇది SO₃ గా మారి నీటితో చర్య జరిపి H₂SO₄ (సల్ఫ్యూరిక్ ఆమ్లం) ఏర్పరుస్తుంది; ఇది ఆమ్ల వర్షానికి, క్షయానికి కారణం.\nచర్యలు: SO₂ + ½O₂ → SO₃;  SO₃ + H₂O → H₂SO₄",
+  "chemistryNote.NO2":
+    "NO₂ వాహన పొగలో ప్రధాన భాగం. ఇది కాంతి-రసాయన పొగమంచులో పాల్గొని, ట్రోపోస్ఫియర్‌లో ఓజోన్ (O₃) ఏర్పడటానికి దారితీయవచ్చు.",
+  "chemistryNote.CO":
+    "ఇంధనాల అసంపూర్ణ దహనం వల్ల CO ఏర్పడుతుంది. ఇది హీమోగ్లోబిన్‌తో గట్టిగా బంధించుకుని కార్బాక్సీహీమోగ్లోబిన్ ఏర్పరచి, రక్తం ఆక్సిజన్ మోసే సామర్థ్యాన్ని తగ్గిస్తుంది.",
+  "chemistryNote.O3":
+    "నేలస్థాయి O₃ ఒక ద్వితీయ కాలుష్యకం; సూర్యకాంతిలో NOx మరియు VOC లు చర్య జరపడం వల్ల ఏర్పడుతుంది. ఇది బలమైన ఆక్సీకరణి, కళ్లను ఊపిరితిత్తులను చికాకుపరుస్తుంది.",
+
+  // ---------------- categories ----------------
+  "category.Good": "మంచిది",
+  "category.Satisfactory": "సంతృప్తికరం",
+  "category.Moderate": "మధ్యస్థం",
+  "category.Poor": "పేలవం",
+  "category.Very Poor": "చాలా పేలవం",
+  "category.Severe": "తీవ్రం",
+  "category.Unhealthy for Sensitive Groups": "సున్నితమైన వర్గాలకు అనారోగ్యకరం",
+  "category.Unhealthy": "అనారోగ్యకరం",
+  "category.Very Unhealthy": "చాలా అనారోగ్యకరం",
+  "category.Hazardous": "ప్రమాదకరం",
+  "category.Very Low": "చాలా తక్కువ",
+  "category.Low": "తక్కువ",
+  "category.Medium": "మధ్యస్థం",
+  "category.High": "ఎక్కువ",
+  "category.Very High": "చాలా ఎక్కువ",
+  "categoryHealth.naqi.Good": "కనీస ప్రభావం. స్వచ్ఛమైన గాలి, కాలుష్యకాలు సాధారణ స్థాయిలోనే.",
+  "categoryHealth.naqi.Satisfactory": "సున్నితమైన వారికి స్వల్ప శ్వాస అసౌకర్యం.",
+  "categoryHealth.naqi.Moderate":
+    "ఆస్తమా వంటి ఊపిరితిత్తుల వ్యాధిగ్రస్తులకు శ్వాస ఇబ్బంది; హృద్రోగులు, పిల్లలు, వృద్ధులకు అసౌకర్యం.",
+  "categoryHealth.naqi.Poor": "ఎక్కువ సేపు గురైతే చాలామందికి, హృద్రోగులకు శ్వాస ఇబ్బంది.",
+  "categoryHealth.naqi.Very Poor":
+    "ఎక్కువ సేపు గురైతే శ్వాసకోశ వ్యాధులు. ఊపిరితిత్తులు, గుండె వ్యాధిగ్రస్తులపై ప్రభావం ఎక్కువగా ఉండవచ్చు.",
+  "categoryHealth.naqi.Severe":
+    "ఆరోగ్యవంతులపై కూడా శ్వాసకోశ ప్రభావాలు, ఊపిరితిత్తులు/గుండె వ్యాధిగ్రస్తులపై తీవ్ర ప్రభావం. తేలికపాటి శారీరక శ్రమను కూడా నివారించండి.",
+
+  // ---------------- health ----------------
+  "health.title": "ఆరోగ్య సలహా",
+  "health.intro":
+    "సలహా {standard} స్కేల్‌పై ప్రతి కాలుష్యకపు ఉప-సూచికను అనుసరిస్తుంది. మీరు ఎంచుకున్న వర్గాలు తాము సున్నితంగా ఉండే కాలుష్యకాలకు ఒక స్థాయి ముందే జాగ్రత్త పడతాయి.",
+  "health.adviceFor": "ఎవరికి సలహా:",
+  "health.current": "ప్రస్తుత రీడింగ్",
+  "health.currentSummary": "AQI {aqi} ({category}), ప్రధాన కాలుష్యకం {pollutant}.",
+  "health.noResult": "ఆ రీడింగ్‌కు సలహా పొందడానికి అవలోకనం ట్యాబ్‌లో AQI లెక్కించండి.",
+  "health.daily": "రోజువారీ సలహాలు · డేటాసెట్‌లో {count} రోజులు",
+  "health.peak": "గరిష్ఠం {time}",
+  "health.rows": "వరుసలు →",
+  "health.more": "మరో {count} రోజులు చూపించు",
+  "health.categories": "AQI వర్గాలు & ఆరోగ్య ప్రభావాలు",
+  "health.quote":
+    "“AQI, PM, SO₂, NO₂, CO మరియు O₃ గాఢతలను ఆరోగ్య ప్రభావంతో నేరుగా సంబంధం ఉన్న ఒకే స్కేల్‌లోకి కుదిస్తుంది.”",
+  "health.scale": "{standard} స్కేల్ ({agency}). సగటు కాలవ్యవధులు: {periods}.",
+  "health.profile.general": "అందరూ",
+  "health.profile.asthma": "ఆస్తమా / ఊపిరితిత్తుల వ్యాధి",
+  "health.profile.heart": "గుండె జబ్బు",
+  "health.profile.children": "పిల్లలు",
+  "health.profile.elderly": "వృద్ధులు",
+  "health.profile.outdoor": "బయట పనిచేసే కార్మికులు",
+  "health.profile.athletes": "క్రీడాకారులు",
+  "health.level.0": "మంచిది",
+  "health.level.1": "సంతృప్తికరం",
+  "health.level.2": "మధ్యస్థం",
+  "health.level.3": "పేలవం",
+  "health.level.4": "చాలా పేలవం",
+  "health.level.5": "తీవ్రం",
+  "advice.action.0": "బయటి కార్యకలాపాలను ఆస్వాదించండి",
+  "advice.action.1": "బయటి కార్యకలాపాలు సరే",
+  "advice.action.2": "బయట చురుకుగా ఉండండి, కానీ దగ్గు లేదా గొంతు చికాకు ఉంటే తగ్గించండి",
+  "advice.action.3": "దీర్ఘమైన లేదా భారీ బయటి శ్రమను తగ్గించండి",
+  "advice.action.4": "దీర్ఘమైన లేదా భారీ బయటి శ్రమను నివారించి, వ్యాయామం లోపల చేయండి",
+  "advice.action.5": "బయటి శారీరక శ్రమ అంతా నివారించి, వీలైనంత వరకు ఇంట్లోనే ఉండండి",
+  "advice.timing.PM2.5": "సూక్ష్మ కణాలు రాత్రి, తెల్లవారుజామున పేరుకుంటాయి, ముఖ్యంగా చలికాలంలో",
+  "advice.timing.PM10": "నిర్మాణ ప్రదేశాలు, మట్టి రోడ్ల దగ్గర, గాలి వీచే మధ్యాహ్నాల్లో ధూళి ఎక్కువ",
+  "advice.timing.SO2": "SO₂ విద్యుత్ కేంద్రాలు, పరిశ్రమల నుండి వస్తుంది; పొగగొట్టాల గాలి దిశలో వెళ్లకండి",
+  "advice.timing.NO2": "రద్దీ సమయంలో బిజీ రోడ్ల దగ్గర NO₂ అత్యధికం",
+  "advice.timing.CO": "CO నెమ్మదైన ట్రాఫిక్‌లో, పొయ్యిలు, హీటర్లు, జనరేటర్ల దగ్గర పేరుకుంటుంది",
+  "advice.timing.O3": "O₃ మధ్యాహ్నం తర్వాత గరిష్ఠానికి చేరుతుంది; తెల్లవారుజామున లేదా సాయంత్రం బయటికి వెళ్లండి",
+  "advice.rule.windows": "కిటికీలు మూసి ఉంచి, ఉంటే ఎయిర్ ప్యూరిఫైయర్ నడపండి",
+  "advice.rule.indoor-sources": "ఇంట్లో కాలుష్యం పెంచకండి: అగరుబత్తీలు, కొవ్వొత్తులు, కట్టెలు కాల్చకండి",
+  "advice.rule.inhaler": "మీ రిలీవర్ ఇన్‌హేలర్‌ను వెంట ఉంచుకోండి",
+  "advice.rule.so2-airways": "SO₂ నిమిషాల్లోనే శ్వాసనాళాలను బిగించగలదు; గురక మొదలవగానే శ్రమ ఆపండి",
+  "advice.rule.action-plan": "మీ ఆస్తమా కార్యాచరణ ప్రణాళికను పాటించండి, లక్షణాలు తగ్గకపోతే వైద్యుడిని సంప్రదించండి",
+  "advice.rule.co-oxygen": "CO రక్తంలో ఆక్సిజన్ సరఫరాను తగ్గిస్తుంది; ట్రాఫిక్ జామ్‌లు, పొగ గొట్టం లేని హీటర్లను నివారించండి",
+  "advice.rule.cardiac-symptoms": "ఛాతీ నొప్పి, గుండె దడ లేదా అసాధారణ ఆయాసాన్ని గమనించి, మందులు దగ్గర ఉంచుకోండి",
+  "advice.rule.school-sports": "బయట ఆడే సమయం తగ్గించండి; పాఠశాలలు క్రీడలు, PE ని లోపల నిర్వహించాలి",
+  "advice.rule.morning-walks": "పొగమంచు తొలగే వరకు ఉదయపు నడకను వాయిదా వేయండి",
+  "advice.rule.breaks": "తరచూ లోపల విశ్రాంతి తీసుకుని, భారీ పనులను మార్చి మార్చి చేయండి",
+  "advice.rule.respirator": "సరిగ్గా అమరే N95 / FFP2 మాస్క్ ధరించండి; ఇది కణాలను వడపోస్తుంది, వాయువులను కాదు",
+  "advice.rule.intensity": "శిక్షణ తీవ్రత, వ్యవధిని తగ్గించండి; వేగంగా శ్వాసించడం పీల్చే మోతాదును చాలా రెట్లు పెంచుతుంది",
+  "advice.rule.o3-training": "ఓజోన్ పెరగకముందే తెల్లవారుజామున శిక్షణ చేయండి",
+
+  // ---------------- city & charts ----------------
+  "charts.uploadPrompt":
+    "టైమ్-సిరీస్ మరియు కూర్పు చార్ట్‌ల కోసం సైడ్‌బార్ నుండి CSV అప్‌లోడ్ చేయండి.",
+  "charts.filtered":
+    "డేటా ఎక్స్‌ప్లోరర్ ఫిల్టర్‌లకు సరిపోలే {total} వరుసలలో {shown} చార్ట్‌లలో చూపబడుతున్నాయి.",
+  "charts.timeSeriesAll": "టైమ్ సిరీస్ (అన్ని వరుసలు)",
+  "charts.timeSeriesFiltered": "టైమ్ సిరీస్ (ఫిల్టర్ చేసిన వరుసలు)",
+  "charts.composition": "సగటు కాలుష్య కూర్పు (CSV నుండి)",
+  "charts.compositionChart": "సగటు కాలుష్య కూర్పు",
+  "charts.noPollutants": "CSVలో కాలుష్య కాలమ్‌లు లేవు ({columns}).",
+
+  // ---------------- data explorer ----------------
+  "data.title": "ముడి డేటా ఎక్స్‌ప్లోరర్",
+  "data.quote":
+    "“AQI డేటాసెట్‌ను పరిశీలించి ధృవీకరించడానికి React ఆధారిత డేటా ఎక్స్‌ప్లోరర్‌ను ఉపయోగించాము.”",
+  "data.reupload": "వేరే ఫైల్‌ను పరీక్షించాలంటే ఇక్కడ CSVని మళ్లీ అప్‌లోడ్ చేయవచ్చు.",
+  "data.uploadPrompt":
+    "పట్టికను అన్వేషించడానికి ఇక్కడి నుండి లేదా సైడ్‌బార్ నుండి CSV అప్‌లోడ్ చేయండి.",
+  "data.exportAll": "{count} వరుసలను ఎగుమతి చేయండి",
+  "data.exportFiltered": "ఫిల్టర్ చేసిన {count} వరుసలను ఎగుమతి చేయండి",
+  "data.derivedNote":
+    "“_computed” తో ముగిసే కాలమ్‌లు, “SI_” ఉప-సూచికలు {standard} తో లెక్కించబడతాయి. ఫిల్టర్ చేసిన వరుసలు నగరం & చార్ట్‌లలోని చార్ట్‌లను కూడా నడుపుతాయి.",
+  "discrepancy.title": "నివేదించిన vs లెక్కించిన AQI",
+  "discrepancy.intro":
+    "{standard} తో లెక్కించబడింది. రెండింటి మధ్య తేడా సహన పరిమితి కంటే ఎక్కువైతే వరుసలు గుర్తించబడతాయి.",
+  "discrepancy.tolerance": "సహన పరిమితి (AQI పాయింట్లు)",
+  "discrepancy.compared": "పోల్చిన వరుసలు",
+  "discrepancy.flagged": "గుర్తించినవి",
+  "discrepancy.meanDiff": "సగటు |తేడా|",
+  "discrepancy.row": "వరుస",
+  "discrepancy.date": "తేదీ",
+  "discrepancy.reported": "నివేదించినది",
+  "discrepancy.computed": "లెక్కించినది",
+  "discrepancy.diff": "తేడా",
+  "discrepancy.category": "లెక్కించిన వర్గం",
+  "discrepancy.dominant": "ప్రధానం",
+  "discrepancy.truncated": "గుర్తించిన {total} వరుసలలో మొదటి {shown} చూపబడుతున్నాయి.",
+
+  // ---------------- what-if planner ----------------
+  "whatIf.title": "ఏమైతే ప్లానర్",
+  "whatIf.intro": "ఈ రీడింగ్‌లోని ప్రతి కాలుష్యాన్ని మార్చి చూడండి ({standard}).",
+  "whatIf.reset": "రీసెట్",
+  "whatIf.pin": "సన్నివేశాన్ని పిన్ చేయండి",
+  "whatIf.label": "ఏమైతే: {changes}",
+  "whatIf.unchanged": "ఏమైతే: మార్పు లేదు",
+  "whatIf.aqi": "సన్నివేశ AQI",
+  "whatIf.dominant": "ప్రధానం: {pollutant}",
+  "whatIf.moveDown": "{category} (AQI ≤ {target}) కి దిగడానికి:",
+  "whatIf.moveDownAll": "{category} (AQI ≤ {target}) కి దిగడానికి ఇవన్నీ తగ్గాలి:",
+  "whatIf.reduction": "{pollutant} {from} నుండి ≤ {to} వరకు",
+  "whatIf.apply": "ఈ తగ్గింపులను వర్తింపజేయండి",
+  "whatIf.noValid": "ఈ సన్నివేశంలో చెల్లుబాటు అయ్యే గాఢతలు లేవు.",
+  "whatIf.lowest": "ఇప్పటికే ఈ స్కేల్‌లోని అత్యల్ప వర్గంలో ఉంది.",
+
+  // ---------------- pinned readings ----------------
+  "compare.title": "పిన్ చేసిన రీడింగ్‌లు",
+  "compare.intro": "{standard} ప్రకారం ఉప-సూచికలు.",
+  "compare.clear": "అన్నీ తొలగించు",
+  "compare.chart": "పిన్ చేసిన రీడింగ్‌ల ఉప-సూచికలు",
+  "compare.subIndex": "ఉప-సూచిక",
+  "compare.reading": "రీడింగ్",
+  "compare.aqi": "AQI",
+  "compare.category": "వర్గం",
+  "compare.dominant": "ప్రధానం",
+  "compare.unpin": "{label} ను అన్‌పిన్ చేయండి",
+
+  // ---------------- import wizard ----------------
+  "import.title": "CSV దిగుమతి",
+  "import.summary":
+    "{file} · {rows} వరుసలు · {columns} కాలమ్‌లు. ప్రతి ఫీల్డ్ ఏ కాలమ్‌లో ఉందో, ఏ యూనిట్‌లో నమోదైందో తనిఖీ చేయండి.",
+  "import.preset": "ప్రీసెట్",
+  "import.autoDetected": "స్వయంచాలకంగా గుర్తించబడింది",
+  "import.presetName": "ప్రీసెట్ పేరు",
+  "import.savePreset": "ప్రీసెట్ సేవ్ చేయండి",
+  "import.delete": "తొలగించు",
+  "import.notInFile": "— ఫైల్‌లో లేదు —",
+  "import.noColumns": "ఇంకా ఏ కాలమ్ మ్యాప్ కాలేదు – చార్ట్‌లు ఖాళీగా ఉంటాయి.",
+  "import.cancel": "రద్దు",
+  "import.confirm": "{rows} వరుసలను దిగుమతి చేయండి",
+  "import.reading": "{file} చదువుతోంది – {pct} · {rows} వరుసలు",
+  "import.error.empty": "CSV ఖాళీగా లేదా చెల్లనిదిగా ఉంది.",
+  "import.error.unreadable": "CSV ఫైల్‌ను చదవలేకపోయాం.",
+  "importField.date": "తేదీ / సమయం",
+  "importField.station": "నగరం / స్టేషన్",
+
+  // ---------------- forecast ----------------
+  "forecast.title": "అంచనా",
+  "forecast.intro.day": "రోజువారీ సగటు నుండి తదుపరి {horizon} రోజులు, {level}% అంచనా పరిధితో.",
+  "forecast.intro.hour": "గంటవారీ సగటు నుండి తదుపరి {horizon} గంటలు, {level}% అంచనా పరిధితో.",
+  "forecast.needsDate": "అంచనా వేయడానికి తేదీ కాలమ్ అవసరం.",
+  "forecast.needsMore.day":
+    "{series} యొక్క కనీసం {needed} రోజువారీ కాలాలు అవసరం; ఈ డేటాలో {count} ఉన్నాయి.",
+  "forecast.needsMore.hour":
+    "{series} యొక్క కనీసం {needed} గంటవారీ కాలాలు అవసరం; ఈ డేటాలో {count} ఉన్నాయి.",
+  "forecast.tryHourly": "గంటవారీగా ప్రయత్నించండి",
+  "forecast.history.day": "{series} (రోజువారీ సగటు)",
+  "forecast.history.hour": "{series} (గంటవారీ సగటు)",
+  "forecast.lower": "{level}% పరిధి (దిగువ)",
+  "forecast.band": "{level}% పరిధి",
+  "forecast.line": "{model} అంచనా",
+  "forecast.chart": "{series} అంచనా ({model})",
+  "forecast.ahead.day": "{count} రోజులు ముందు",
+  "forecast.ahead.hour": "{count} గంటలు ముందు",
+  "forecast.index": "సూచిక",
+  "forecast.peak": "{time} న గరిష్ఠం {value} {unit}.",
+  "forecast.peakCategory": "{time} న గరిష్ఠం {value} {unit} ({category}).",
+  "forecast.expected": "AQI {threshold} కంటే ఎక్కువ అంచనా: {times}.",
+  "forecast.none.day": "ఏ రోజూ AQI {threshold} కంటే ఎక్కువ ఉంటుందని అంచనా లేదు.",
+  "forecast.none.hour": "ఏ గంటా AQI {threshold} కంటే ఎక్కువ ఉంటుందని అంచనా లేదు.",
+  "forecast.possible": "{level}% పరిధిలో {count}.",
+  "forecast.filled.day": "ఫిట్ చేసే ముందు తప్పిపోయిన {count} రోజులు ఇంటర్‌పోలేట్ చేయబడ్డాయి.",
+  "forecast.filled.hour": "ఫిట్ చేసే ముందు తప్పిపోయిన {count} గంటలు ఇంటర్‌పోలేట్ చేయబడ్డాయి.",
+  "forecast.arOrder": "AR క్రమం {order} (AIC ద్వారా)",
+  "forecast.backtest.day": "చివరి {count} రోజులపై బ్యాక్‌టెస్ట్",
+  "forecast.backtest.hour": "చివరి {count} గంటలపై బ్యాక్‌టెస్ట్",
+  "forecast.modelHeader": "మోడల్",
+  "forecast.best": "ఉత్తమం",
+  "forecast.interval.hour": "గంటవారీ",
+  "forecast.interval.day": "రోజువారీ",
+  "forecast.model.ar": "ఆటోరిగ్రెసివ్ (AR)",
+  "forecast.model.snaive": "సీజనల్ సరళ",
+
+  // ---------------- time series ----------------
+  "timeSeries.resampled": "{series} · {interval} {agg}",
+  "timeSeries.rolling": "{hours}-గంటల చలన సగటు",
+  "timeSeries.dailyMax8h": "8-గంటల సగటు యొక్క రోజువారీ గరిష్ఠం",
+  "timeSeries.readingAxis": "రీడింగ్ #",
+  "timeSeries.window": "{hours}-గంటల నియంత్రణ వ్యవధి",
+  "timeSeries.chart": "{series} టైమ్ సిరీస్",
+  "timeSeries.stat.readings": "రీడింగ్‌లు",
+  "timeSeries.stat.mean": "సగటు",
+  "timeSeries.stat.median": "మధ్యగతం",
+  "timeSeries.stat.p95": "P95",
+  "timeSeries.stat.min": "కనిష్ఠం",
+  "timeSeries.stat.max": "గరిష్ఠం",
+  "timeSeries.downsampled":
+    "{total} బిందువులలో {plotted} చూపబడుతున్నాయి (LTTB డౌన్‌శాంప్లింగ్); గణాంకాలు ప్రతి రీడింగ్‌ను ఉపయోగిస్తాయి.",
+  "timeSeries.regulatory":
+    "ఈ కాలుష్యానికి {standard} నియంత్రణ సగటు వ్యవధి {averaging}; చలన విలువలకు వ్యవధిలోని 75% రీడింగ్‌లు అవసరం.",
+  "timeSeries.timeAxis":
+    "తేదీలు నిజమైన సమయ అక్షంపై చూపబడతాయి, కాబట్టి నమూనాలోని ఖాళీలు కనిపిస్తాయి.",
+  "timeSeries.fileOrder": "చదవగలిగే తేదీ కాలమ్ లేదు – రీడింగ్‌లు ఫైల్ క్రమంలో చూపబడతాయి.",
+  "timeSeries.interval.raw": "ముడి రీడింగ్‌లు",
+  "timeSeries.interval.hour": "గంటవారీ",
+  "timeSeries.interval.day": "రోజువారీ",
+  "timeSeries.interval.week": "వారపు",
+  "timeSeries.interval.month": "నెలవారీ",
+  "timeSeries.agg.mean": "సగటు",
+  "timeSeries.agg.max": "గరిష్ఠం",
+  "timeSeries.agg.percentile": "శతాంశం",
+
+  // ---------------- stations ----------------
+  "stations.title": "స్టేషన్‌లు",
+  "stations.intro": "ఈ డేటాసెట్‌లో {count} స్టేషన్‌లు ఉన్నాయి. పోల్చడానికి వేటిని ఎంచుకోండి.",
+  "stations.all": "అన్నీ",
+  "stations.aqi": "స్టేషన్ వారీగా లెక్కించిన AQI",
+  "stations.aqiDaily": "స్టేషన్ వారీగా లెక్కించిన AQI (రోజువారీ సగటు)",
+  "stations.composition": "సగటు కాలుష్య కూర్పు",
+  "stations.ranking": "స్టేషన్ ర్యాంకింగ్",
+  "stations.rankMean": "సగటు AQI ప్రకారం ర్యాంక్",
+  "stations.rankExceedance": "మితిమీరిన రోజుల ప్రకారం ర్యాంక్",
+  "stations.station": "స్టేషన్",
+  "stations.readings": "రీడింగ్‌లు",
+  "stations.meanAqi": "సగటు AQI",
+  "stations.maxAqi": "గరిష్ఠ AQI",
+  "stations.daysAbove": "రోజులు > {threshold}",
+  "stations.exceedanceNote":
+    "మితిమీరిన రోజు = లెక్కించిన AQI రోజువారీ సగటు {threshold} కంటే ఎక్కువ ({standard}).",
+
+  // ---------------- correlations ----------------
+  "correlation.title": "కాలుష్య సహసంబంధాలు",
+  "correlation.needsTwo": "కనీసం రెండు సంఖ్యా కాలుష్య కాలమ్‌లు అవసరం.",
+  "correlation.intro":
+    "ఒక జతను గీయడానికి దాని సెల్‌పై క్లిక్ చేయండి. ప్రతి జత రెండు విలువలూ ఉన్న వరుసలను మాత్రమే ఉపయోగిస్తుంది.",
+  "correlation.pair": "{y} vs {x}",
+  "correlation.cell": "{y} vs {x}: r = {r} (n = {n})",
+  "correlation.noDate": "తేదీ లేదు",
+  "correlation.fitLine": "కనిష్ఠ-వర్గాల ఫిట్",
+  "correlation.opposite": "−1 వ్యతిరేక దిశలో",
+  "correlation.together": "+1 కలిసి",
+  "correlation.summary": "{symbol} = {r} ({strength}, n = {n})",
+  "correlation.fit": "ఫిట్ {formula}, R² = {r2}",
+  "correlation.strength.not enough data": "తగినంత డేటా లేదు",
+  "correlation.strength.no clear relationship": "స్పష్టమైన సంబంధం లేదు",
+  "correlation.strength.strong positive": "బలమైన ధనాత్మక",
+  "correlation.strength.moderate positive": "మధ్యస్థ ధనాత్మక",
+  "correlation.strength.weak positive": "బలహీన ధనాత్మక",
+  "correlation.strength.strong negative": "బలమైన ఋణాత్మక",
+  "correlation.strength.moderate negative": "మధ్యస్థ ఋణాత్మక",
+  "correlation.strength.weak negative": "బలహీన ఋణాత్మక",
+  "correlation.method.pearson": "పియర్సన్ (రేఖీయ)",
+  "correlation.method.spearman": "స్పియర్‌మన్ (ర్యాంక్)",
+  "correlation.color.none": "ఒకే రంగు",
+  "correlation.color.hour": "రోజులో సమయం",
+  "correlation.color.season": "ఋతువు",
+  "correlation.group.night": "రాత్రి (00–06)",
+  "correlation.group.morning": "ఉదయం (06–12)",
+  "correlation.group.afternoon": "మధ్యాహ్నం (12–18)",
+  "correlation.group.evening": "సాయంత్రం (18–24)",
+  "correlation.group.winter": "శీతాకాలం (డిసెం–ఫిబ్ర)",
+  "correlation.group.summer": "రుతుపవనాల ముందు (మార్చి–మే)",
+  "correlation.group.monsoon": "రుతుపవనాలు (జూన్–సెప్టెం)",
+  "correlation.group.postMonsoon": "రుతుపవనాల తర్వాత (అక్టో–నవం)",
+
+  // ---------------- box model ----------------
+  "boxModel.title": "ఫోటోకెమికల్ బాక్స్ మోడల్",
+  "boxModel.intro":
+    "బాగా కలిసిన ఒక గాలి భాగానికి NO₂ ఫోటోలిసిస్, NO + O₃ టైట్రేషన్ మరియు ఐచ్ఛిక VOC / RO₂, SO₂ + OH రసాయనశాస్త్రాన్ని సమాకలనం చేస్తుంది; సూర్యుడు గడియారాన్ని అనుసరిస్తాడు.",
+  "boxModel.so2Oxidation": "SO₂ ఆక్సీకరణ",
+  "boxModel.initial": "ప్రారంభ గాఢతలు",
+  "boxModel.emissions": "ఉద్గారాలు మరియు మిశ్రణం",
+  "boxModel.emission": "{species} ఉద్గారం",
+  "boxModel.mixing": "నేపథ్య మిశ్రణం",
+  "boxModel.sun": "సూర్యుడు",
+  "boxModel.start": "ప్రారంభ సమయం",
+  "boxModel.duration": "వ్యవధి",
+  "boxModel.latitude": "అక్షాంశం",
+  "boxModel.month": "నెల",
+  "boxModel.sunlight": "సూర్యకాంతి (పొగమంచు, మేఘం)",
+  "boxModel.ohNoon": "మధ్యాహ్నం OH",
+  "boxModel.rates": "రేటు స్థిరాంకాలు (cm³ s⁻¹)",
+  "boxModel.speciesChart": "రోజంతా మోడల్ చేసిన గాఢతలు (ppb)",
+  "boxModel.sunChart": "రోజంతా ఫోటోలిసిస్ రేటు మరియు OH",
+  "boxModel.peak": "O₃ {time} కి {value} తో గరిష్ఠానికి చేరుతుంది",
+  "boxModel.peakVoc":
+    ": సూర్యకాంతి RO₂ ద్వారా NO ని NO₂ గా మార్చినంత కాలం ఓజోన్ పేరుకుపోతూనే ఉంటుంది, కాబట్టి గరిష్ఠం సౌర మధ్యాహ్నం తర్వాత వస్తుంది.",
+  "boxModel.peakNoVoc":
+    ": VOC లు లేకుండా ఫోటోలిసిస్, టైట్రేషన్ O₃ ని NO, NO₂ మధ్య మాత్రమే మారుస్తాయి, కాబట్టి ఓజోన్ పేరుకుపోదు.",
+  "boxModel.leighton": "మధ్యాహ్నం లైటన్ నిష్పత్తి j[NO₂] / k[NO][O₃]: {ratio}",
+  "boxModel.leightonAbove": "(1 కంటే ఎక్కువ: పెరాక్సీ రాడికల్స్ అదనపు NO₂ ను తయారు చేస్తున్నాయి).",
+  "boxModel.leightonSteady": "(ఫోటోస్టేషనరీ స్థితి).",
+  "boxModel.species.H2SO4": "H₂SO₄ (సల్ఫేట్)",
+  "boxModel.preset.leighton": "లైటన్ చక్రం మాత్రమే",
+  "boxModel.preset.urban": "పట్టణ ట్రాఫిక్",
+  "boxModel.preset.industrial": "పారిశ్రామిక పొగ (SO₂)",
+  "boxModel.preset.rural": "శుభ్రమైన గ్రామీణ",
+
+  // ---------------- acid rain ----------------
+  "acidRain.title": "ఆమ్ల వర్షం pH అంచనా",
+  "acidRain.intro":
+    "హెన్రీ నియమం మరియు ఆమ్ల వియోజనం ద్వారా వర్షపు నీటిని వాయువులతో సమతుల్యం చేసి, SO₂, NO₂ నుండి ఇప్పటికే ఏర్పడిన సల్ఫేట్, నైట్రేట్‌ను కలిపి, pH కోసం ఆవేశ సమతుల్యాన్ని పరిష్కరిస్తుంది. క్షార ధూళి, అమ్మోనియా పరిగణించబడలేదు, కాబట్టి నిజమైన వర్షం సాధారణంగా తక్కువ ఆమ్లంగా ఉంటుంది.",
+  "acidRain.input": "ఇన్‌పుట్: {source}",
+  "acidRain.source.example": "ఉదాహరణ పట్టణ గాలి",
+  "acidRain.source.form": "కాలిక్యులేటర్ ఫారం",
+  "acidRain.source.row": "CSV వరుస {n}{detail}",
+  "acidRain.fromCalculator": "కాలిక్యులేటర్ నుండి",
+  "acidRain.csvRow": "CSV వరుస",
+  "acidRain.useRow": "వరుసను ఉపయోగించు",
+  "acidRain.gases": "వాయు దశ స్థాయిలు",
+  "acidRain.cloud": "మేఘం మరియు మార్పిడి",
+  "acidRain.toSulfate": "SO₂ → సల్ఫేట్",
+  "acidRain.toNitrate": "NO₂ → నైట్రేట్",
+  "acidRain.liquidWater": "ద్రవ నీరు",
+  "acidRain.temperature": "ఉష్ణోగ్రత",
+  "acidRain.estimated": "అంచనా వేసిన వర్షపు pH",
+  "acidRain.species": "జాతి",
+  "acidRain.share": "ఆనయాన్ ఆవేశంలో వాటా",
+  "acidRain.shareTooltip": "{value} µeq/L (ఆనయాన్‌లలో {share})",
+  "acidRain.sweepLabel": "{gas} (1× = {base} {unit})",
+  "acidRain.cleanRain": "శుభ్రమైన వర్షం (pH {ph})",
+  "acidRain.multiple": "ప్రస్తుత స్థాయికి {factor}×",
+  "acidRain.gasAxis": "వాయు స్థాయి, ప్రస్తుత ఇన్‌పుట్ గుణకం",
+  "acidRain.phAxis": "వర్షపు pH",
+  "acidRain.anionChart": "వర్షపు ఆనయాన్‌లు (µeq/L)",
+  "acidRain.sweepChart": "ప్రతి వాయువును మార్చినప్పుడు వర్షపు pH",
+  "acidRain.sweepNote":
+    "ప్రతి రేఖ ఒక వాయువును మారుస్తుంది, మిగిలినవి ప్రస్తుత ఇన్‌పుట్‌లోనే ఉంటాయి. సల్ఫేట్, నైట్రేట్ బలమైన ఆమ్లాలు, కాబట్టి వాటి పూర్వగాములు పెరిగేకొద్దీ pH తగ్గుతూనే ఉంటుంది; కరిగిన SO₂ బలహీన ఆమ్లం, CO₂ ఒక్కటే వర్షాన్ని సుమారు pH {ph} కంటే కిందికి తీసుకెళ్లలేదు.",
+  "acidRain.ph.strong":
+    "తీవ్ర ఆమ్ల వర్షం, బొగ్గు విద్యుత్ కేంద్రాలు, కరిగించే కర్మాగారాల గాలి దిశలో సాధారణం",
+  "acidRain.ph.acid": "ఆమ్ల వర్షం",
+  "acidRain.ph.mild": "స్వల్ప ఆమ్ల వర్షం",
+  "acidRain.ph.clean": "CO₂ తో సమతుల్యంలో ఉన్న శుభ్రమైన వర్షం కంటే ఎక్కువ ఆమ్లం కాదు",
+
+  // ---------------- report ----------------
+  "report.title": "విశ్లేషణ నివేదిక",
+  "report.intro":
+    "సారాంశ గణాంకాలు, చార్ట్‌లు, మితిమీరడాలు, ప్రధాన కాలుష్యాలు, రసాయన గమనికలు PDF గా.",
+  "report.generate": "నివేదికను రూపొందించు",
+  "report.close": "మూసివేయి",
+  "report.titleField": "శీర్షిక",
+  "report.notes": "గమనికలు (ఐచ్ఛికం, శీర్షిక కింద ముద్రించబడతాయి)",
+  "report.readings": "రీడింగ్‌లు",
+  "report.period": "కాలం",
+  "report.noDates": "తేదీలు లేవు",
+  "report.daysAbove": "రోజులు > {threshold}",
+  "report.daysOf": "{total} లో {days}",
+  "report.topPollutant": "ప్రధాన కాలుష్యం",
+  "report.dominant": "ప్రధాన కాలుష్య విభజన",
+  "report.chemistry": "చేర్చిన రసాయన గమనికలు",
+  "report.pdfFailed": "PDF రూపొందించలేకపోయాం.",
+  "report.scope": "చార్ట్‌లలో ప్రస్తుతం చూపిన {count} వరుసలను, {standard} స్కేల్‌ను ఉపయోగిస్తుంది.",
+  "report.building": "PDF తయారవుతోంది…",
+  "report.download": "PDF డౌన్‌లోడ్ చేయండి",
+
+  // ---------------- workspace ----------------
+  "workspace.title": "వర్క్‌స్పేస్",
+  "workspace.datasets": "సేవ్ చేసిన డేటాసెట్‌లు",
+  "workspace.noDatasets": "అప్‌లోడ్ చేసిన CSV లు ఇక్కడ సేవ్ అవుతాయి.",
+  "workspace.save": "సేవ్",
+  "workspace.rows": "{count} వరుసలు · {time}",
+  "workspace.rename": "పేరు మార్చు",
+  "workspace.delete": "తొలగించు",
+  "workspace.confirmDelete": "\"{name}\" ను వర్క్‌స్పేస్ నుండి తొలగించాలా?",
+  "workspace.history": "లెక్కింపు చరిత్ర",
+  "workspace.clear": "తుడిచివేయి",
+  "workspace.noHistory": "కాలిక్యులేటర్ లెక్కింపులు ఇక్కడ జాబితా అవుతాయి.",
+  "workspace.reopen": "ఈ లెక్కింపును మళ్లీ తెరువు",
+  "workspace.deleteCalculation": "లెక్కింపును తొలగించు",
+  "workspace.showFewer": "తక్కువ చూపు",
+  "workspace.showAll": "మొత్తం {count} చూపు",
+
+  // ---------------- data quality ----------------
+  "quality.title": "డేటా నాణ్యత తనిఖీ",
+  "quality.clean": "{rows} వరుసలలో సమస్యలు ఏవీ కనబడలేదు.",
+  "quality.flagged":
+    "{rows} వరుసలలో {flags} గుర్తించిన విలువలు. AQI, చార్టులు లెక్కించే ముందు ప్రతి రకానికి ఏం చేయాలో ఎంచుకోండి.",
+  "quality.completeness": "నిలువు వరుస వారీ సంపూర్ణత",
+  "quality.missing": "{pct} · {missing} లేవు",
+  "quality.rule": "నియమం",
+  "quality.values": "విలువలు",
+  "quality.rows": "వరుసలు",
+  "quality.action": "చర్య",
+  "quality.sample": "వరుస {row} · {column} = {value}",
+  "quality.more": "… మరో {count}",
+  "quality.inEffect": "అమలులో: {steps}.",
+  "quality.inEffectExcluded": "అమలులో: {steps} ({rows} వరుసలు మినహాయించబడ్డాయి).",
+  "quality.asUploaded": "అన్ని విలువలు అప్‌లోడ్ చేసినట్లే వాడబడతాయి.",
+  "quality.reset": "రీసెట్",
+  "quality.apply": "శుద్ధీకరణ వర్తింపజేయి",
+  "quality.log": "శుద్ధీకరణ లాగ్ ({count} దశలు)",
+  "quality.logEntry": "{date} – {step} ({values} విలువలు)",
+  "quality.rule.nonNumeric": "సంఖ్య కాని విలువ",
+  "quality.rule.nonNumeric.description":
+    "కాలుష్య కారక నిలువు వరుసలో వచనం (ఉదా. \"NA\", \"12,5\", తప్పుగా చదివిన సంఖ్య).",
+  "quality.rule.negative": "ఋణాత్మక గాఢత",
+  "quality.rule.negative.description": "సున్నా కంటే తక్కువ; పరిమితి విధిస్తే 0 అవుతుంది.",
+  "quality.rule.implausible": "భౌతికంగా అసంభవం",
+  "quality.rule.implausible.description":
+    "కాలుష్య కారకానికి సాధ్యమైన గరిష్ఠం కంటే ఎక్కువ; పరిమితి విధిస్తే దానికి పరిమితమవుతుంది.",
+  "quality.rule.spike": "ఆకస్మిక పెరుగుదల",
+  "quality.rule.spike.description":
+    "పొరుగు రీడింగ్‌ల మధ్యస్థానికి {ratio}× కంటే ఎక్కువ; పరిమితి విధిస్తే ఆ మధ్యస్థంతో భర్తీ అవుతుంది.",
+  "quality.rule.flatline": "నిలిచిపోయిన సెన్సార్",
+  "quality.rule.flatline.description": "వరుసగా {run} లేదా అంతకంటే ఎక్కువ రీడింగ్‌లలో ఒకే విలువ.",
+  "quality.rule.duplicate": "పునరావృత సమయం",
+  "quality.rule.duplicate.description": "మునుపటి వరుసలోని అదే స్టేషన్, అదే సమయం.",
+  "quality.action.keep": "ఉంచు",
+  "quality.action.coerce": "సంఖ్యగా చదువు",
+  "quality.action.blank": "ఖాళీ చేయి",
+  "quality.action.interpolate": "అంతర్వేశనం చేయి",
+  "quality.action.cap": "పరిమితం చేయి",
+  "quality.action.exclude": "వరుసను మినహాయించు",
+
+  // ---------------- reaction explorer ----------------
+  "reactions.title": "చర్యల అన్వేషణ",
+  "reactions.intro":
+    "ప్రతి AQI కాలుష్య కారకం ఏర్పడే, తొలగే చర్యలు. ప్రతి సమీకరణం పరమాణు, ఆవేశ సమతుల్యత కోసం తనిఖీ చేయబడుతుంది.",
+  "reactions.allPollutants": "అన్ని కాలుష్య కారకాలు",
+  "reactions.allKinds": "ప్రాథమిక & ద్వితీయ",
+  "reactions.search": "రసాయనం లేదా వచనం వెతకండి…",
+  "reactions.none": "ఈ ఫిల్టర్లకు సరిపోయే చర్యలు లేవు.",
+  "reactions.balanced": "✓ సమతుల్యం",
+  "reactions.unbalanced": "✗ అసమతుల్యం",
+  "reactions.atom": "పరమాణువు",
+  "reactions.left": "ఎడమ",
+  "reactions.right": "కుడి",
+  "reactions.charge": "ఆవేశం",
+  "reactions.kind.primary": "ప్రాథమిక",
+  "reactions.kind.secondary": "ద్వితీయ",
+  "reactions.kindFilter.primary": "ప్రాథమిక (మూలం వద్ద)",
+  "reactions.kindFilter.secondary": "ద్వితీయ (వాతావరణంలో)",
+
+  // ---------------- exceedances ----------------
+  "exceedance.title": "పరిమితి మించడం",
+  "exceedance.needsDate": "పరిమితి మించిన రోజులు, గంటలు లెక్కించడానికి తేదీ నిలువు వరుస అవసరం.",
+  "exceedance.introDay":
+    "ప్రతి స్టేషన్ రోజువారీ సగటు {limits} తో పోల్చబడుతుంది; పలు స్టేషన్లు ఉంటే అత్యంత చెడ్డది లెక్కలోకి వస్తుంది.",
+  "exceedance.introHour":
+    "ప్రతి స్టేషన్ గంటవారీ సగటు {limits} తో పోల్చబడుతుంది; పలు స్టేషన్లు ఉంటే అత్యంత చెడ్డది లెక్కలోకి వస్తుంది.",
+  "exceedance.pollutant": "కాలుష్య కారకం",
+  "exceedance.limit": "పరిమితి",
+  "exceedance.aboveDay": "పరిమితి మించిన రోజులు",
+  "exceedance.aboveHour": "పరిమితి మించిన గంటలు",
+  "exceedance.peak": "గరిష్ఠం",
+  "exceedance.longestRun": "అతి పొడవైన వరుస",
+  "exceedance.none": "లేదు",
+  "exceedance.notAssessed": "అంచనా వేయలేదు",
+  "exceedance.days": "{count} రోజులు",
+  "exceedance.day": "1 రోజు",
+  "exceedance.hours": "{count} గంటలు",
+  "exceedance.hour": "1 గంట",
+  "exceedance.calendar":
+    "రోజువారీ సగటు లెక్కించిన AQI ({standard}) · {days} రోజులలో {above} రోజులు {threshold} పైన. ఒక రోజు వరుసలను డేటా ఎక్స్‌ప్లోరర్‌లో తెరవడానికి దానిపై క్లిక్ చేయండి.",
+  "exceedance.dayLabel": "{date}: AQI {aqi} ({category}), {readings} రీడింగ్‌లు",
+  "exceedance.basis.day": "రోజువారీ సగటులు",
+  "exceedance.basis.hour": "గంటవారీ సగటులు",
+
+  // ---------------- data grid ----------------
+  "grid.min": "కనిష్ఠ",
+  "grid.max": "గరిష్ఠ",
+  "grid.minLabel": "{column} కనిష్ఠం",
+  "grid.maxLabel": "{column} గరిష్ఠం",
+  "grid.fromLabel": "{column} నుండి",
+  "grid.toLabel": "{column} వరకు",
+  "grid.filterLabel": "{column} ఫిల్టర్",
+  "grid.all": "అన్నీ",
+  "grid.contains": "కలిగి ఉంది",
+  "grid.containsLabel": "{column} కలిగి ఉంది",
+  "grid.search": "అన్ని నిలువు వరుసలలో వెతకండి…",
+  "grid.searchLabel": "అన్ని నిలువు వరుసలలో వెతకండి",
+  "grid.columns": "నిలువు వరుసలు ({visible}/{total})",
+  "grid.clearFilters": "ఫిల్టర్లు తొలగించు",
+  "grid.rows": "{count} వరుసలు",
+  "grid.rowsMatch": "{total} లో {count} వరుసలు సరిపోతాయి",
+  "grid.showing": " · {from}–{to} చూపబడుతున్నాయి",
+  "grid.allRows": "అన్ని వరుసలు",
+  "grid.perPage": "{size} / పేజీ",
+  "grid.prev": "‹ మునుపటి",
+  "grid.next": "తదుపరి ›",
+  "grid.page": "పేజీ {page} / {count}",
+};
@@ -0,0 +1,218 @@
+// Category colours for badges, cards, calendars and charts.
+//
+// "standard" keeps each agency's own colours from lib/standards.js; the other
+// palettes replace them by category severity (0 = best … 5 = worst) so they work
+// the same for every standard. Pattern fills add a texture per level, so
+// categories can be told apart without relying on colour at all.
+//
+// Like the UI language this is a per-browser preference kept in localStorage.
+
+import { useSyncExternalStore } from "react";
+import { categoryByName } from "./lib/standards";
+
+const PALETTE_KEY = "aqi-dashboard.palette";
+const CHANGE_EVENT = "aqi-dashboard:palette";
+
+// `fill` is the category colour, `ink` the text / pattern colour on top of it
+export const PALETTES = [
+  { id: "standard", levels: null },
+  {
+    // viridis: ordered by lightness, readable with every common colour-vision deficiency
+    id: "colorblind",
+    levels: [
+      { fill: "#fde725", ink: "#0f172a" },
+      { fill: "#90d743", ink: "#0f172a" },
+      { fill: "#35b779", ink: "#0f172a" },
+      { fill: "#21918c", ink: "#0f172a" },
+      { fill: "#31688e", ink: "#ffffff" },
+      { fill: "#440154", ink: "#ffffff" },
+    ],
+  },
+  {
+    id: "contrast",
+    levels: [
+      { fill: "#ffffff", ink: "#000000" },
+      { fill: "#ffff00", ink: "#000000" },
+      { fill: "#ff9f00", ink: "#000000" },
+      { fill: "#ff3b30", ink: "#000000" },
+      { fill: "#ff00ff", ink: "#000000" },
+      { fill: "#000000", ink: "#ffffff" },
+    ],
+  },
+];
+
+// texture per level; the best category stays plain
+const PATTERNS = ["none", "dots", "diagonal", "horizontal", "cross", "dense"];
+
+const DEFAULTS = { palette: "standard", patterns: false };
+
+function loadSettings() {
+  try {
+    return { ...DEFAULTS, ...JSON.parse(localStorage.getItem(PALETTE_KEY) || "{}") };
+  } catch {
+    return { ...DEFAULTS };
+  }
+}
+
+// ---------------- pattern fills ----------------
+
+// CSS background-image drawing `kind` in `ink` (a #rrggbb colour)
+function cssPattern(kind, ink) {
+  const c = `${ink}80`;
+  const line = (angle, width, gap) =>
+    `repeating-linear-gradient(${angle}deg, ${c} 0 ${width}px, transparent ${width}px ${gap}px)`;
+  switch (kind) {
+    case "dots":
+      return { backgroundImage: `radial-gradient(${c} 1px, transparent 1.5px)`, backgroundSize: "5px 5px" };
+    case "diagonal":
+      return { backgroundImage: line(45, 1, 5) };
+    case "horizontal":
+      return { backgroundImage: line(0, 1, 4) };
+    case "cross":
+      return { backgroundImage: `${line(45, 1, 5)}, ${line(-45, 1, 5)}` };
+    case "dense":
+      return { backgroundImage: line(45, 2, 4) };
+    default:
+      return {};
+  }
+}
+
+const canvasPatterns = new Map();
+
+// the same textures as CanvasPatterns for Chart.js backgrounds
+function canvasPattern(kind, fill, ink) {
+  const key = `${kind}|${fill}|${ink}`;
+  if (canvasPatterns.has(key)) return canvasPatterns.get(key);
+  const size = 8;
+  const canvas = document.createElement("canvas");
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = fill;
+  ctx.fillRect(0, 0, size, size);
+  ctx.fillStyle = `${ink}99`;
+  ctx.strokeStyle = `${ink}99`;
+  const diagonal = (width, flip = false) => {
+    ctx.lineWidth = width;
+    ctx.beginPath();
+    for (const offset of [-size, 0, size]) {
+      ctx.moveTo(offset, flip ? 0 : size);
+      ctx.lineTo(offset + size, flip ? size : 0);
+    }
+    ctx.stroke();
+  };
+  switch (kind) {
+    case "dots":
+      ctx.beginPath();
+      ctx.arc(size / 2, size / 2, 1.3, 0, 2 * Math.PI);
+      ctx.fill();
+      break;
+    case "diagonal":
+      diagonal(1);
+      break;
+    case "horizontal":
+      ctx.fillRect(0, size / 2, size, 1);
+      break;
+    case "cross":
+      diagonal(1);
+      diagonal(1, true);
+      break;
+    case "dense":
+      diagonal(2.5);
+      break;
+    default:
+      break;
+  }
+  const pattern = ctx.createPattern(canvas, "repeat");
+  canvasPatterns.set(key, pattern);
+  return pattern;
+}
+
+// ---------------- palette ----------------
+
+// a category's place on the 0…5 scale, shared with the health advice
+const levelOf = (category, standard) =>
+  categoryByName(category.name, standard)?.severity ?? 0;
+
+function createPalette({ palette, patterns }) {
+  const scheme = PALETTES.find((p) => p.id === palette) || PALETTES[0];
+
+  const colours = (category, standard) => {
+    const level = levelOf(category, standard);
+    const custom = scheme.levels?.[level];
+    return {
+      level,
+      fill: custom ? custom.fill : category.color,
+      ink: custom ? custom.ink : category.ink,
+    };
+  };
+  const texture = (level, ink) => (patterns ? cssPattern(PATTERNS[level], ink) : {});
+
+  // solid colour for lines, legends and exports
+  const color = (category, standard) => colours(category, standard).fill;
+
+  // Chart.js background: colour, or a CanvasPattern when patterns are on
+  const fill = (category, standard) => {
+    const { level, fill: c, ink } = colours(category, standard);
+    return patterns && PATTERNS[level] !== "none" ? canvasPattern(PATTERNS[level], c, ink) : c;
+  };
+
+  // { className, style } for a text badge; null category = unknown, grey
+  const badge = (category, standard) => {
+    if (!category) return { className: "bg-slate-700 text-slate-100", style: {} };
+    const { level, fill: c, ink } = colours(category, standard);
+    if (!scheme.levels) {
+      return { className: category.badge, style: { color: ink, ...texture(level, ink) } };
+    }
+    return {
+      className: "",
+      style: { backgroundColor: c, color: ink, boxShadow: `inset 0 0 0 1px ${ink}`, ...texture(level, ink) },
+    };
+  };
+
+  // { className, style } for a tinted card (Health tab category reference)
+  const card = (category, standard) => {
+    const { level, fill: c } = colours(category, standard);
+    if (!scheme.levels) return { className: category.card, style: texture(level, "#ffffff") };
+    return {
+      className: "",
+      style: { backgroundColor: `${c}33`, borderColor: c, ...texture(level, "#ffffff") },
+    };
+  };
+
+  // inline style for a small swatch or calendar cell
+  const swatch = (category, standard) => {
+    const { level, fill: c, ink } = colours(category, standard);
+    return { backgroundColor: c, ...texture(level, ink) };
+  };
+
+  return { palette: scheme.id, patterns, color, fill, badge, card, swatch };
+}
+
+// ---------------- store ----------------
+
+let current = createPalette(loadSettings());
+
+function subscribe(callback) {
+  window.addEventListener(CHANGE_EVENT, callback);
+  return () => window.removeEventListener(CHANGE_EVENT, callback);
+}
+
+const getSnapshot = () => current;
+
+// patch = { palette?, patterns? }
+export function setPalette(patch) {
+  const settings = { palette: current.palette, patterns: current.patterns, ...patch };
+  try {
+    localStorage.setItem(PALETTE_KEY, JSON.stringify(settings));
+  } catch {
+    // not remembered, but still applied for this session
+  }
+  current = createPalette(settings);
+  window.dispatchEvent(new Event(CHANGE_EVENT));
+}
+
+// { palette, patterns, color, fill, badge, card, swatch }; re-renders on change
+export function usePalette() {
+  return useSyncExternalStore(subscribe, getSnapshot);
+}
@@ -0,0 +1,114 @@
+// Hash-based routing and URL-backed state.
+//
+//   #/charts?std=us-epa&pm25=180&no2=90&ts_interval=day
+//
+// The path is the active tab; calculator inputs and chart settings live in
+// the query string, so any view can be bookmarked, shared and restored.
+// Hash URLs work on static hosts without rewrite rules.
+//
+// Changing tab pushes a history entry (back/forward moves between tabs);
+// changing a setting replaces the current entry so typing does not flood
+// the history.
+
+import { useCallback, useMemo, useSyncExternalStore } from "react";
+
+// pushState/replaceState do not fire popstate, so we announce our own writes
+const NAVIGATE_EVENT = "aqi-dashboard:navigate";
+
+function subscribe(callback) {
+  window.addEventListener("popstate", callback);
+  window.addEventListener("hashchange", callback);
+  window.addEventListener(NAVIGATE_EVENT, callback);
+  return () => {
+    window.removeEventListener("popstate", callback);
+    window.removeEventListener("hashchange", callback);
+    window.removeEventListener(NAVIGATE_EVENT, callback);
+  };
+}
+
+const getHash = () => window.location.hash;
+
+export function parseHash(hash) {
+  const [path = "", query = ""] = hash.replace(/^#\/?/, "").split("?");
+  return { path, params: new URLSearchParams(query) };
+}
+
+export function buildHash(path, params) {
+  const query = params.toString();
+  return `#/${path}${query ? `?${query}` : ""}`;
+}
+
+function writeHash(hash, { replace }) {
+  if (hash === window.location.hash) return;
+  window.history[replace ? "replaceState" : "pushState"](null, "", hash);
+  window.dispatchEvent(new Event(NAVIGATE_EVENT));
+}
+
+// ---------------- tab ----------------
+
+// [tab, navigate]; unknown paths fall back to `fallback`
+export function useRoute(paths, fallback) {
+  const hash = useSyncExternalStore(subscribe, getHash);
+  const { path } = parseHash(hash);
+  const navigate = useCallback((next) => {
+    const { params } = parseHash(window.location.hash);
+    writeHash(buildHash(next, params), { replace: false });
+  }, []);
+  return [paths.includes(path) ? path : fallback, navigate];
+}
+
+// ---------------- query state ----------------
+
+// value types follow the defaults: numbers, booleans ("1"/"0") or strings
+function readParam(params, key, fallback) {
+  if (!params.has(key)) return fallback;
+  const raw = params.get(key);
+  if (typeof fallback === "number") {
+    const n = Number(raw);
+    return raw === "" || Number.isNaN(n) ? fallback : n;
+  }
+  if (typeof fallback === "boolean") return raw === "1";
+  return raw;
+}
+
+function readGroup(params, defaults, prefix) {
+  const values = {};
+  Object.entries(defaults).forEach(([key, fallback]) => {
+    values[key] = readParam(params, prefix + key, fallback);
+  });
+  return values;
+}
+
+// Like useState for an object whose fields are stored in the query string.
+// Fields equal to their default are left out of the URL. `defaults` must be
+// a stable (module-level) object.
+export function useQueryState(defaults, prefix = "") {
+  const hash = useSyncExternalStore(subscribe, getHash);
+  const values = useMemo(
+    () => readGroup(parseHash(hash).params, defaults, prefix),
+    [hash, defaults, prefix]
+  );
+
+  const setValues = useCallback(
+    (patch) => {
+      const { path, params } = parseHash(window.location.hash);
+      const current = readGroup(params, defaults, prefix);
+      const next = { ...current, ...(typeof patch === "function" ? patch(current) : patch) };
+      Object.entries(defaults).forEach(([key, fallback]) => {
+        const value = next[key];
+        if (value === fallback || value === undefined || value === null) {
+          params.delete(prefix + key);
+        } else {
+          params.set(
+            prefix + key,
+            typeof value === "boolean" ? (value ? "1" : "0") : String(value)
+          );
+        }
+      });
+      writeHash(buildHash(path, params), { replace: true });
+    },
+    [defaults, prefix]
+  );
+
+  return [values, setValues];
+}
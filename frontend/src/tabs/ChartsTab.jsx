@@ -0,0 +1,127 @@
+import { Bar } from "react-chartjs-2";
+import TimeSeriesPanel from "../components/TimeSeriesPanel";
+import StationsPanel from "../components/StationsPanel";
+import ReportPanel from "../components/ReportPanel";
+import CorrelationPanel from "../components/CorrelationPanel";
+import ExceedancePanel from "../components/ExceedancePanel";
+import ForecastPanel from "../components/ForecastPanel";
+import AccessibleChart from "../components/AccessibleChart";
+import ExportMenu from "../components/ExportMenu";
+import { hasStations } from "../lib/stations";
+import { describeColumn } from "../lib/exporters";
+import { useI18n } from "../i18n";
+
+/* =============== CHARTS / CITY TAB =============== */
+
+function ChartsTab({
+  csvData,
+  filteredData,
+  filterActive,
+  standard,
+  pollutantMeanData,
+  onShowDay,
+}) {
+  const { t } = useI18n();
+
+  return (
+    <div className="space-y-5">
+      {csvData.length === 0 && (
+        <p className="text-xs md:text-sm text-slate-300">
+          {t("charts.uploadPrompt")}
+        </p>
+      )}
+
+      {csvData.length > 0 && filterActive && (
+        <p className="text-[11px] text-amber-300">
+          {t("charts.filtered", { shown: filteredData.length, total: csvData.length })}
+        </p>
+      )}
+
+      {csvData.length > 0 && (
+        <div className="grid lg:grid-cols-2 gap-5">
+          <TimeSeriesPanel
+            rows={filteredData}
+            standard={standard}
+            title={t(filterActive ? "charts.timeSeriesFiltered" : "charts.timeSeriesAll")}
+          />
+
+          <section className="bg-slate-900/80 border border-slate-700 rounded-2xl p-5 shadow-xl">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+              <h3 className="text-sm font-semibold">{t("charts.composition")}</h3>
+              {pollutantMeanData && (
+                <ExportMenu
+                  getDataset={() => ({
+                    name: "pollutant-means",
+                    title: "Average pollutant composition",
+                    meta: {
+                      Rows: `${filteredData.length} of ${csvData.length}${
+                        filterActive ? " (Data Explorer filters applied)" : ""
+                      }`,
+                    },
+                    columns: [
+                      { key: "column", unit: "", description: "Pollutant column" },
+                      { key: "mean", unit: "", description: "Mean concentration, in unit" },
+                      { key: "unit", unit: "", description: "Concentration unit" },
+                    ],
+                    rows: pollutantMeanData.labels.map((column, i) => ({
+                      column,
+                      mean: pollutantMeanData.datasets[0].data[i],
+                      unit: describeColumn(column, standard).unit,
+                    })),
+                  })}
+                />
+              )}
+            </div>
+            {pollutantMeanData ? (
+              <AccessibleChart
+                chart={Bar}
+                title={t("charts.compositionChart")}
+                data={pollutantMeanData}
+                options={{
+                  responsive: true,
+                  plugins: {
+                    legend: { labels: { color: "#e5e7eb", font: { size: 10 } } },
+                  },
+                  scales: {
+                    x: {
+                      ticks: { color: "#9ca3af", font: { size: 10 } },
+                      grid: { color: "rgba(75,85,99,0.25)" },
+                    },
+                    y: {
+                      ticks: { color: "#9ca3af", font: { size: 9 } },
+                      grid: { color: "rgba(75,85,99,0.25)" },
+                    },
+                  },
+                }}
+              />
+            ) : (
+              <p className="text-xs text-slate-400">
+                {t("charts.noPollutants", { columns: "PM2_5, PM10, NO2, SO2, O3, CO" })}
+              </p>
+            )}
+          </section>
+        </div>
+      )}
+
+      {csvData.length > 0 && (
+        <ForecastPanel rows={filteredData} standard={standard} />
+      )}
+
+      {csvData.length > 0 && (
+        <ExceedancePanel rows={filteredData} standard={standard} onShowDay={onShowDay} />
+      )}
+
+      {csvData.length > 0 && <CorrelationPanel rows={filteredData} />}
+
+      {hasStations(filteredData) && (
+        <StationsPanel rows={filteredData} standard={standard} />
+      )}
+
+      {csvData.length > 0 && (
+        <ReportPanel rows={filteredData} standard={standard} />
+      )}
+    </div>
+  );
+}
+
+export default ChartsTab;
@@ -0,0 +1,59 @@
+import { CHEMISTRY_TOPICS } from "../lib/chemistryTopics";
+import { getReaction } from "../lib/reactions";
+import ChemicalEquation, { FormulaText } from "../components/ChemicalEquation";
+import ReactionExplorer from "../components/ReactionExplorer";
+import BoxModelPanel from "../components/BoxModelPanel";
+import AcidRainPanel from "../components/AcidRainPanel";
+import { useI18n } from "../i18n";
+
+/* =============== CHEMISTRY TAB =============== */
+
+function ChemistryTab({ form, units, conditions, csvData }) {
+  const { t } = useI18n();
+  // topic text lives in lib/chemistryTopics.js; catalogs key it by topic id
+  const topicText = (topic, field) =>
+    t(`topic.${topic.id}.${field}`, { defaultValue: topic[field] });
+  return (
+    <div className="space-y-5">
+      <section className="bg-slate-900/80 border border-slate-700 rounded-2xl p-5 shadow-xl space-y-3 text-xs md:text-sm text-slate-200">
+        <h2 className="text-lg font-semibold mb-1">
+          {t("chemistry.title")}
+        </h2>
+        <p className="text-slate-300">
+  
+        </p>
+
+        <ul className="space-y-3">
+          {CHEMISTRY_TOPICS.map((topic) => (
+            <li key={topic.id}>
+              <span className="font-semibold text-cyan-300">
+                <FormulaText>{topicText(topic, "title")}</FormulaText>:
+              </span>{" "}
+              <FormulaText>{topicText(topic, "intro")}</FormulaText>
+              {topic.reactions.map((id) => (
+                <span key={id}>
+                  <br />
+                  <ChemicalEquation reaction={getReaction(id)} />
+                </span>
+              ))}
+              {topic.outro && (
+                <>
+                  <br />
+                  <FormulaText>{topicText(topic, "outro")}</FormulaText>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      </section>
+
+      <ReactionExplorer />
+
+      <BoxModelPanel />
+
+      <AcidRainPanel form={form} units={units} conditions={conditions} rows={csvData} />
+    </div>
+  );
+}
+
+export default ChemistryTab;
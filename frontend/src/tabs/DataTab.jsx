@@ -0,0 +1,112 @@
+import DataGrid from "../components/DataGrid";
+import DiscrepancyPanel from "../components/DiscrepancyPanel";
+import ImportProgress from "../components/ImportProgress";
+import ExportMenu from "../components/ExportMenu";
+import DataQualityPanel from "../components/DataQualityPanel";
+import { describeColumn } from "../lib/exporters";
+import { describeStep } from "../lib/dataQuality";
+import { useI18n } from "../i18n";
+
+/* =============== DATA TAB =============== */
+
+function DataTab({
+  csvData,
+  filteredData,
+  columns,
+  columnTypes,
+  tableQuery,
+  setTableQuery,
+  standard,
+  hasReportedAqi,
+  qualityAudit,
+  cleaning,
+  cleaningSteps,
+  onCleaningChange,
+  ingest,
+  handleFileUpload,
+}) {
+  const { t } = useI18n();
+
+  return (
+    <div className="space-y-4">
+      <section className="bg-slate-900/80 border border-slate-700 rounded-2xl p-5 shadow-xl">
+        <h2 className="text-lg font-semibold mb-1">{t("data.title")}</h2>
+        <p className="text-xs text-slate-300 mb-2">
+          {t("data.quote")}
+        </p>
+        <p className="text-[11px] text-slate-400 mb-2">
+          {t("data.reupload")}
+        </p>
+        <input
+          type="file"
+          accept=".csv"
+          onChange={handleFileUpload}
+          className="text-xs file:mr-3 file:px-3 file:py-1.5 file:rounded-full file:border-0 file:bg-cyan-500 file:text-slate-950 file:text-xs file:font-semibold hover:file:bg-cyan-400"
+        />
+        {ingest && (
+          <ImportProgress
+            ingest={ingest}
+            onCancel={ingest.cancel}
+            className="mt-3 max-w-md"
+          />
+        )}
+
+      </section>
+
+      {qualityAudit.rowCount > 0 && (
+        <DataQualityPanel
+          key={JSON.stringify(cleaning.actions)}
+          audit={qualityAudit}
+          cleaning={cleaning}
+          steps={cleaningSteps}
+          onChange={onCleaningChange}
+        />
+      )}
+
+      {csvData.length > 0 && hasReportedAqi && (
+        <DiscrepancyPanel csvData={csvData} standard={standard} />
+      )}
+
+      {csvData.length === 0 ? (
+        <p className="text-xs md:text-sm text-slate-300">
+          {t("data.uploadPrompt")}
+        </p>
+      ) : (
+        <>
+          <ExportMenu
+            label={t(
+              filteredData.length === csvData.length ? "data.exportAll" : "data.exportFiltered",
+              { count: filteredData.length }
+            )}
+            getDataset={() => ({
+              name: "aqi-data",
+              title: "AQI dataset (enriched)",
+              meta: {
+                Standard: standard.name,
+                Rows: `${filteredData.length} of ${csvData.length}`,
+                Cleaning: cleaningSteps.length
+                  ? cleaningSteps.map(describeStep).join("; ")
+                  : "none",
+              },
+              columns: columns.map((c) => describeColumn(c, standard)),
+              rows: filteredData,
+            })}
+          />
+          <DataGrid
+            rows={filteredData}
+            allRows={csvData}
+            columns={columns}
+            types={columnTypes}
+            query={tableQuery}
+            setQuery={setTableQuery}
+          />
+          <p className="text-[10px] text-slate-500">
+            {t("data.derivedNote", { standard: standard.name })}
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default DataTab;
@@ -0,0 +1,269 @@
+import { useMemo, useState } from "react";
+import { POLLUTANTS, computeAqi } from "../lib/aqi";
+import { formatRange, getStandard } from "../lib/standards";
+import {
+  HEALTH_PARAMS,
+  LEVEL_NAMES,
+  PROFILES,
+  adviceFor,
+  dailyAdvice,
+  parseProfiles,
+  worstGroup,
+} from "../lib/healthAdvice";
+import { useQueryState } from "../router";
+import { categoryHealth, categoryName, useI18n } from "../i18n";
+import { usePalette } from "../palette";
+import { FormulaText } from "../components/ChemicalEquation";
+import CategoryBadge from "../components/CategoryBadge";
+
+const DAYS_PER_PAGE = 30;
+
+// card tint per advice level (0 good … 5 severe)
+const LEVEL_STYLES = [
+  "border-emerald-500/50 bg-emerald-500/10",
+  "border-lime-500/50 bg-lime-500/10",
+  "border-yellow-500/50 bg-yellow-500/10",
+  "border-orange-500/50 bg-orange-500/10",
+  "border-red-500/50 bg-red-500/10",
+  "border-rose-700/60 bg-rose-700/20",
+];
+
+const hourLabel = (h) => `${String(h).padStart(2, "0")}:00`;
+
+// advice items are built from translatable parts; the lib text is the English
+const itemText = (t, item) =>
+  item.parts.map((part) => t(part.key, { defaultValue: part.text })).join("; ");
+
+const audienceLabel = (t, audience) =>
+  t(`health.profile.${audience.id}`, { defaultValue: audience.label });
+
+// a level in the standard's own words: its category of that severity, or its
+// worst one when a sensitive profile is pushed past the end of its scale
+function levelName(t, standard, level) {
+  const category = standard.categories.findLast((c) => c.severity <= level);
+  return category
+    ? categoryName(t, category.name)
+    : t(`health.level.${level}`, { defaultValue: LEVEL_NAMES[level] });
+}
+
+function AdviceGroups({ advice, standard }) {
+  const { t } = useI18n();
+  return (
+    <div className="grid md:grid-cols-2 xl:grid-cols-3 gap-3">
+      {advice.groups.map((group) => (
+        <div
+          key={group.audience.id}
+          className={`rounded-xl border px-3 py-2 text-xs ${LEVEL_STYLES[group.level]}`}
+        >
+          <p className="flex items-baseline justify-between gap-2">
+            <span className="font-semibold text-slate-50">{audienceLabel(t, group.audience)}</span>
+            <span className="text-[10px] uppercase text-slate-300">
+              {levelName(t, standard, group.level)} ·{" "}
+              {group.driver}
+            </span>
+          </p>
+          <ul className="mt-1 space-y-1 list-disc list-inside text-slate-100 text-[11px]">
+            {group.items.map((item) => (
+              <li key={item.id}>
+                <FormulaText>{itemText(t, item)}</FormulaText>
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/* =============== HEALTH TAB =============== */
+
+function HealthTab({ standard, result, csvData, onShowDay }) {
+  const { t, formatNumber, formatDate } = useI18n();
+  const { card } = usePalette();
+  const [params, setParams] = useQueryState(HEALTH_PARAMS, "hp_");
+  const profiles = parseProfiles(params.profiles);
+  const [openDay, setOpenDay] = useState(null);
+  const [visibleDays, setVisibleDays] = useState(DAYS_PER_PAGE);
+
+  const toggleProfile = (id) => {
+    const next = profiles.includes(id) ? profiles.filter((p) => p !== id) : [...profiles, id];
+    setParams({ profiles: next.join(",") });
+  };
+
+  // judged on the scale the reading was calculated with; backend answers
+  // carry no sub-indices, so those are rebuilt from the submitted input
+  const resultStandard = result ? getStandard(result.standard) : null;
+  const currentAdvice =
+    result && result.aqi !== null
+      ? adviceFor(
+          {
+            subIndices: result.sub_indices ?? computeAqi(result.input, resultStandard).sub_indices,
+            dominant: result.dominant_pollutant,
+          },
+          resultStandard,
+          profiles
+        )
+      : null;
+
+  const days = useMemo(
+    () => dailyAdvice(csvData, standard, parseProfiles(params.profiles)).reverse(),
+    [csvData, standard, params.profiles]
+  );
+
+  const chip = (active) =>
+    `px-2.5 py-1 rounded-full text-[11px] border transition ${
+      active
+        ? "bg-cyan-500 text-slate-950 font-semibold border-transparent"
+        : "text-slate-300 border-slate-600 hover:bg-slate-800"
+    }`;
+
+  return (
+    <div className="space-y-5">
+      <section className="bg-slate-900/80 border border-slate-700 rounded-2xl p-5 shadow-xl space-y-4">
+        <div>
+          <h2 className="text-lg font-semibold">{t("health.title")}</h2>
+          <p className="text-[11px] text-slate-400">
+            {t("health.intro", { standard: standard.name })}
+          </p>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-1.5">
+          <span className="text-[11px] text-slate-400 mr-1">{t("health.adviceFor")}</span>
+          {PROFILES.map((p) => (
+            <button
+              key={p.id}
+              type="button"
+              onClick={() => toggleProfile(p.id)}
+              aria-pressed={profiles.includes(p.id)}
+              className={chip(profiles.includes(p.id))}
+            >
+              {audienceLabel(t, p)}
+            </button>
+          ))}
+        </div>
+
+        <div className="space-y-2">
+          <p className="text-[11px] uppercase text-slate-400">{t("health.current")}</p>
+          {currentAdvice ? (
+            <>
+              <p className="text-xs text-slate-300">
+                {t("health.currentSummary", {
+                  aqi: formatNumber(Math.round(result.aqi)),
+                  category: categoryName(t, result.category),
+                  pollutant: result.dominant_pollutant,
+                })}
+              </p>
+              <AdviceGroups advice={currentAdvice} standard={resultStandard} />
+            </>
+          ) : (
+            <p className="text-xs text-slate-400">
+              {t("health.noResult")}
+            </p>
+          )}
+        </div>
+
+        {days.length > 0 && (
+          <div className="space-y-2">
+            <p className="text-[11px] uppercase text-slate-400">
+              {t("health.daily", { count: formatNumber(days.length) })}
+            </p>
+            <ul className="divide-y divide-slate-800 text-xs">
+              {days.slice(0, visibleDays).map((day) => {
+                const worst = worstGroup(day.advice);
+                const open = openDay === day.t;
+                return (
+                  <li key={day.t} className="py-1.5 space-y-2">
+                    <div className="flex flex-wrap items-center gap-2">
+                      <button
+                        type="button"
+                        onClick={() => setOpenDay(open ? null : day.t)}
+                        aria-expanded={open}
+                        className="w-32 text-left text-slate-200 hover:text-cyan-300"
+                      >
+                        <span aria-hidden="true">{open ? "▾" : "▸"}</span>{" "}
+                        {formatDate(day.t, "EEE dd MMM yyyy")}
+                      </button>
+                      <CategoryBadge
+                        category={day.category}
+                        standard={standard}
+                        className="px-2 py-0.5 rounded-full text-[10px] font-semibold"
+                      >
+                        {formatNumber(Math.round(day.aqi))} {categoryName(t, day.category.name)}
+                      </CategoryBadge>
+                      <span className="text-[11px] text-slate-400">
+                        {day.dominant}
+                        {day.peakHour !== null &&
+                          `, ${t("health.peak", { time: hourLabel(day.peakHour) })}`}
+                      </span>
+                      <span className="flex-1 min-w-[12rem] text-[11px] text-slate-300">
+                        {worst.audience.id !== "general" && (
+                          <span className="font-semibold">{audienceLabel(t, worst.audience)}: </span>
+                        )}
+                        <FormulaText>{itemText(t, worst.items[0])}</FormulaText>
+                      </span>
+                      {onShowDay && (
+                        <button
+                          type="button"
+                          onClick={() => onShowDay(day.t)}
+                          className="text-[11px] text-cyan-300 hover:underline"
+                        >
+                          {t("health.rows")}
+                        </button>
+                      )}
+                    </div>
+                    {open && <AdviceGroups advice={day.advice} standard={standard} />}
+                  </li>
+                );
+              })}
+            </ul>
+            {visibleDays < days.length && (
+              <button
+                type="button"
+                onClick={() => setVisibleDays(visibleDays + DAYS_PER_PAGE)}
+                className="text-[11px] text-cyan-300 hover:underline"
+              >
+                {t("health.more", { count: Math.min(DAYS_PER_PAGE, days.length - visibleDays) })}
+              </button>
+            )}
+          </div>
+        )}
+      </section>
+
+      <section className="bg-slate-900/80 border border-slate-700 rounded-2xl p-5 shadow-xl space-y-4">
+        <h2 className="text-lg font-semibold">{t("health.categories")}</h2>
+        <p className="text-xs md:text-sm text-slate-300">
+          <FormulaText>{t("health.quote")}</FormulaText>
+        </p>
+        <p className="text-[11px] text-slate-400">
+          {t("health.scale", {
+            standard: standard.name,
+            agency: standard.agency,
+            periods: POLLUTANTS.map(
+              ({ key, label }) => `${label} ${standard.averaging[key]}`
+            ).join(", "),
+          })}
+        </p>
+
+        <div className="grid md:grid-cols-3 gap-3">
+          {standard.categories.map((cat) => (
+            <div
+              key={cat.name}
+              className={`rounded-xl border px-3 py-3 text-xs md:text-sm ${card(cat, standard).className}`}
+              style={card(cat, standard).style}
+            >
+              <p className="text-[11px] uppercase tracking-wide text-slate-100">
+                {formatRange(cat)}
+              </p>
+              <p className="font-semibold text-slate-50">{categoryName(t, cat.name)}</p>
+              <p className="mt-1 text-slate-100 text-[11px] md:text-xs">
+                {categoryHealth(t, standard, cat)}
+              </p>
+            </div>
+          ))}
+        </div>
+      </section>
+    </div>
+  );
+}
+
+export default HealthTab;
@@ -0,0 +1,63 @@
+import { act } from "react";
+import { createRoot } from "react-dom/client";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import HealthTab from "./HealthTab";
+import { mockRequest } from "../lib/mockApi";
+import { computeAqi } from "../lib/aqi";
+import { EMPTY_VIEW } from "../lib/columnarStore";
+import { BACKEND_STANDARD_ID, getStandard } from "../lib/standards";
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+const INPUT = { pm25: 180, pm10: 220, so2: 20, no2: 45, co: 1.2, o3: 60 };
+
+let container;
+let root;
+
+beforeEach(() => {
+  container = document.createElement("div");
+  document.body.appendChild(container);
+  root = createRoot(container);
+});
+
+afterEach(() => {
+  act(() => root.unmount());
+  container.remove();
+});
+
+const render = (result, standard = getStandard(BACKEND_STANDARD_ID)) =>
+  act(() => {
+    root.render(
+      <HealthTab standard={standard} result={result} csvData={EMPTY_VIEW} onShowDay={null} />
+    );
+  });
+
+describe("HealthTab", () => {
+  // the backend (and its mock) answer without sub_indices; App adds the input
+  it("gives current advice for a server-shaped result", async () => {
+    const data = await mockRequest("/api/calc-aqi", { method: "POST", body: INPUT });
+    expect(data.sub_indices).toBeUndefined();
+
+    render({ ...data, standard: BACKEND_STANDARD_ID, source: "server", input: INPUT });
+
+    expect(container.textContent).toContain(data.dominant_pollutant);
+    expect(container.querySelectorAll("li").length).toBeGreaterThan(0);
+  });
+
+  it("gives current advice for a local result", () => {
+    const standard = getStandard("eu-caqi");
+    render({ ...computeAqi(INPUT, standard), source: "local", input: INPUT }, standard);
+
+    expect(container.querySelectorAll("li").length).toBeGreaterThan(0);
+  });
+
+  it("labels advice levels with the result's standard", () => {
+    const standard = getStandard("us-epa");
+    const input = { pm25: 45, pm10: 20, so2: 5, no2: 10, co: 0.2, o3: 20 };
+    render({ ...computeAqi(input, standard), source: "local", input }, standard);
+
+    // general public, severity 2: EPA's own name, not NAQI's "Moderate"
+    const label = container.querySelector("ul").previousElementSibling.textContent;
+    expect(label).toContain("Unhealthy for Sensitive Groups");
+  });
+});
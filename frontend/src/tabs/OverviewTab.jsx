@@ -0,0 +1,505 @@
+import { useState } from "react";
+import { Bar } from "react-chartjs-2";
+import { computeAqi, POLLUTANTS } from "../lib/aqi";
+import {
+  STANDARD_LIST,
+  BACKEND_STANDARD_ID,
+  categoryByName,
+  getStandard,
+} from "../lib/standards";
+import {
+  CANONICAL_UNITS,
+  CONDITION_LIMITS,
+  UNIT_OPTIONS,
+  isValidCondition,
+} from "../lib/units";
+import { categoryName, useI18n } from "../i18n";
+import { FormulaText } from "../components/ChemicalEquation";
+import AccessibleChart from "../components/AccessibleChart";
+import CategoryBadge from "../components/CategoryBadge";
+import ExportMenu from "../components/ExportMenu";
+import WhatIfPanel from "../components/WhatIfPanel";
+import ComparePanel from "../components/ComparePanel";
+
+/* =============== OVERVIEW TAB =============== */
+
+// labels are the `calc.engine.<id>` catalog keys
+const ENGINES = ["auto", "server", "local"];
+
+const RESULT_SOURCES = {
+  server: "Computed by FastAPI backend",
+  local: "Computed in browser (breakpoint tables)",
+  "local-fallback": "Backend unreachable – computed in browser",
+  mock: "Computed by the mock API adapter",
+};
+
+// calculator result -> export: one row per pollutant, headline values in meta
+function snapshotDataset(result) {
+  const standard = getStandard(result.standard);
+  return {
+    name: "aqi-snapshot",
+    title: "AQI calculator snapshot",
+    meta: {
+      AQI: result.aqi,
+      Category: result.category,
+      "Dominant pollutant": result.dominant_pollutant,
+      Standard: standard.name,
+      Source: RESULT_SOURCES[result.source] || result.source,
+      ...(result.conditions && {
+        Conditions: `${result.conditions.temperatureC} °C, ${result.conditions.pressureKPa} kPa`,
+      }),
+    },
+    columns: [
+      { key: "pollutant", unit: "", description: "Pollutant" },
+      { key: "entered", unit: "", description: "Value typed into the calculator, in entered_unit" },
+      { key: "entered_unit", unit: "", description: "Unit the value was entered in" },
+      { key: "concentration", unit: "", description: "Value the AQI was computed from, in unit" },
+      { key: "unit", unit: "", description: "Unit the standard's breakpoints use" },
+      { key: "averaging", unit: "", description: `${standard.name} averaging period` },
+      { key: "sub_index", unit: "index", description: `${standard.name} sub-index` },
+    ],
+    rows: POLLUTANTS.map(({ key, label }) => ({
+      pollutant: label,
+      entered: result.entered?.[key] ?? null,
+      entered_unit: result.units?.[key] ?? CANONICAL_UNITS[key],
+      concentration: result.input?.[key] ?? null,
+      unit: CANONICAL_UNITS[key],
+      averaging: standard.averaging[key],
+      sub_index: result.sub_indices?.[label] ?? null,
+    })),
+  };
+}
+
+// temperature / pressure input. While the typed text is out of range it is
+// kept on screen and marked invalid; the parent keeps the last valid value.
+function ConditionField({ name, label, value, onChange }) {
+  const { t, formatNumber } = useI18n();
+  // text being typed, null when the field shows the applied value
+  const [draft, setDraft] = useState(null);
+  const { min, max } = CONDITION_LIMITS[name];
+  const invalid = draft !== null && !isValidCondition(name, parseFloat(draft));
+  return (
+    <div className="space-y-1">
+      <label htmlFor={`calc-${name}`} className="block text-[11px] text-slate-300">
+        {label}
+      </label>
+      <input
+        id={`calc-${name}`}
+        type="number"
+        step="0.1"
+        min={min}
+        max={max}
+        name={name}
+        value={draft ?? value}
+        onChange={(e) => {
+          setDraft(e.target.value);
+          onChange(e);
+        }}
+        onBlur={() => setDraft(null)}
+        aria-invalid={invalid}
+        aria-describedby={invalid ? `calc-${name}-range` : undefined}
+        className={`w-full rounded-lg bg-slate-800 border px-3 py-2 text-xs focus:outline-none focus:ring-2 focus:ring-cyan-400 ${
+          invalid ? "border-red-500" : "border-slate-600"
+        }`}
+      />
+      {invalid && (
+        <p id={`calc-${name}-range`} className="text-[10px] text-red-300">
+          {t("calc.conditionRange", { min: formatNumber(min), max: formatNumber(max) })}
+        </p>
+      )}
+    </div>
+  );
+}
+
+function OverviewTab({
+  form,
+  handleChange,
+  units,
+  handleUnitChange,
+  conditions,
+  handleConditionChange,
+  handleSubmit,
+  loading,
+  status,
+  onCancel,
+  error,
+  result,
+  engine,
+  setEngine,
+  standard,
+  pollutantChartData,
+  pins,
+  onPin,
+  onUnpin,
+  onClearPins,
+  onShowReactions,
+}) {
+  const { t, formatNumber } = useI18n();
+  // "server only" cannot calculate standards the backend does not implement
+  const serverUnavailable = engine === "server" && standard.id !== BACKEND_STANDARD_ID;
+  return (
+    <div className="grid xl:grid-cols-2 gap-5 items-start">
+      {/* LEFT: calculator */}
+      <section className="bg-slate-900/80 border border-slate-700 rounded-2xl p-5 shadow-xl">
+        <h2 className="text-lg font-semibold mb-1">{t("calc.title")}</h2>
+        <p className="text-xs text-slate-400 mb-4">
+          <FormulaText>{t("calc.intro")}</FormulaText>
+        </p>
+        {standard.id !== BACKEND_STANDARD_ID && (
+          <p className="text-[11px] text-amber-300 mb-3">
+            {t(engine === "server" ? "calc.serverStandard" : "calc.backendOnly", {
+              standard: standard.name,
+            })}
+          </p>
+        )}
+
+        <div className="flex bg-slate-800/80 rounded-full border border-slate-700 p-1 mb-4">
+          {ENGINES.map((id) => (
+            <button
+              key={id}
+              type="button"
+              onClick={() => setEngine(id)}
+              aria-pressed={engine === id}
+              className={`flex-1 px-3 py-1 text-[11px] rounded-full font-medium transition ${
+                engine === id
+                  ? "bg-cyan-500 text-slate-950"
+                  : "text-slate-300 hover:bg-slate-700/80"
+              }`}
+            >
+              {t(`calc.engine.${id}`)}
+            </button>
+          ))}
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            {[
+              { name: "pm25", label: "PM₂.₅" },
+              { name: "pm10", label: "PM₁₀" },
+              { name: "so2", label: "SO₂" },
+              { name: "no2", label: "NO₂" },
+              { name: "co", label: "CO" },
+              { name: "o3", label: "O₃" },
+            ].map((field) => (
+              <div key={field.name} className="space-y-1">
+                <label htmlFor={`calc-${field.name}`} className="block text-[11px] text-slate-300">
+                  <FormulaText>{field.label}</FormulaText>{" "}
+                  <span className="text-slate-500">
+                    · {standard.averaging[field.name]}
+                  </span>
+                </label>
+                <div className="flex gap-1">
+                  <input
+                    id={`calc-${field.name}`}
+                    type="number"
+                    step="0.01"
+                    name={field.name}
+                    value={form[field.name]}
+                    onChange={handleChange}
+                    className="w-full min-w-0 rounded-lg bg-slate-800 border border-slate-600 px-3 py-2 text-xs focus:outline-none focus:ring-2 focus:ring-cyan-400"
+                  />
+                  <select
+                    name={field.name}
+                    aria-label={t("calc.unit", { pollutant: field.label })}
+                    value={units[field.name]}
+                    onChange={handleUnitChange}
+                    className="rounded-lg bg-slate-800 border border-slate-600 px-1 text-[11px] focus:outline-none focus:ring-2 focus:ring-cyan-400"
+                  >
+                    {UNIT_OPTIONS[field.name].map((u) => (
+                      <option key={u} value={u}>
+                        {u}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            {[
+              { name: "temperatureC", label: "calc.temperature" },
+              { name: "pressureKPa", label: "calc.pressure" },
+            ].map((field) => (
+              <ConditionField
+                key={field.name}
+                name={field.name}
+                label={t(field.label)}
+                value={conditions[field.name]}
+                onChange={handleConditionChange}
+              />
+            ))}
+          </div>
+          <p className="text-[10px] text-slate-500 -mt-2">
+            {t("calc.conversionNote")}
+          </p>
+
+          {error && (
+            <p
+              role="alert"
+              className="text-xs text-red-300 bg-red-900/40 border border-red-700 rounded-lg px-3 py-2"
+            >
+              {error}
+            </p>
+          )}
+
+          {status && (
+            <p role="status" className="text-[11px] text-amber-300">
+              {status}
+            </p>
+          )}
+
+          <div className="flex gap-2 mt-1">
+            <button
+              type="submit"
+              disabled={loading || serverUnavailable}
+              className="flex-1 rounded-xl bg-cyan-500 hover:bg-cyan-400 disabled:opacity-60 disabled:cursor-not-allowed py-2.5 text-sm font-semibold shadow-lg shadow-cyan-500/30 transition"
+            >
+              {loading ? t("calc.calculating") : t("calc.submit")}
+            </button>
+            {loading && (
+              <button
+                type="button"
+                onClick={onCancel}
+                className="px-4 rounded-xl border border-slate-600 text-sm hover:bg-slate-800"
+              >
+                {t("calc.cancel")}
+              </button>
+            )}
+          </div>
+        </form>
+      </section>
+
+      {/* RIGHT: result + chart */}
+      <section className="space-y-4">
+        <div className="bg-slate-900/80 border border-slate-700 rounded-2xl p-5 shadow-xl">
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+            <h2 className="text-lg font-semibold">{t("snapshot.title")}</h2>
+            {result && (
+              <div className="flex items-center gap-2">
+                {result.input && (
+                  <button
+                    type="button"
+                    onClick={() => onPin(t("snapshot.reading", { n: pins.length + 1 }), result.input)}
+                    className="px-2 py-0.5 rounded-full border border-cyan-500 text-[11px] text-cyan-200 hover:bg-cyan-500/10"
+                  >
+                    {t("snapshot.pin")}
+                  </button>
+                )}
+                <ExportMenu getDataset={() => snapshotDataset(result)} />
+              </div>
+            )}
+          </div>
+
+          {!result && (
+            <p className="text-sm text-slate-300">
+              {t("snapshot.empty")}
+            </p>
+          )}
+
+          {result && (
+            <div className="space-y-4">
+              <div className="flex items-center justify-between gap-3">
+                <div>
+                  <p className="text-[11px] uppercase text-slate-400">{t("snapshot.aqi")}</p>
+                  <p className="text-4xl font-bold">{formatNumber(result.aqi)}</p>
+                </div>
+                <div className="text-right">
+                  <p className="text-[11px] uppercase text-slate-400">
+                    {t("snapshot.category")}
+                  </p>
+                  <CategoryBadge
+                    category={categoryByName(result.category, getStandard(result.standard))}
+                    standard={getStandard(result.standard)}
+                    className="inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold"
+                  >
+                    {categoryName(t, result.category)}
+                  </CategoryBadge>
+                </div>
+              </div>
+
+              <div className="border-t border-slate-700 pt-3">
+                <p className="text-[11px] uppercase text-slate-400 mb-1">
+                  {t("snapshot.dominant")}
+                </p>
+                <p className="text-xs md:text-sm font-medium">
+                  {result.dominant_pollutant}
+                </p>
+              </div>
+
+              {result.sub_indices && (
+                <div className="border-t border-slate-700 pt-3">
+                  <p className="text-[11px] uppercase text-slate-400 mb-1">
+                    {t("snapshot.subIndices")}
+                  </p>
+                  <div className="grid grid-cols-3 gap-2 text-[11px]">
+                    {Object.entries(result.sub_indices).map(([name, value]) => (
+                      <div
+                        key={name}
+                        className={`rounded-lg border px-2 py-1 ${
+                          name === result.dominant_pollutant
+                            ? "border-cyan-400 bg-cyan-400/10"
+                            : "border-slate-700 bg-slate-800/60"
+                        }`}
+                      >
+                        <span className="text-slate-400">{name}</span>{" "}
+                        <span className="font-semibold">{formatNumber(value)}</span>
+                      </div>
+                    ))}
+                  </div>
+                  {result.beyond_table?.length > 0 && (
+                    <p className="mt-2 text-[11px] text-amber-300">
+                      {t("snapshot.beyondTable", {
+                        pollutants: result.beyond_table.join(", "),
+                        standard: getStandard(result.standard).name,
+                      })}
+                    </p>
+                  )}
+                </div>
+              )}
+
+              <div className="border-t border-slate-700 pt-3">
+                <p className="text-[11px] uppercase text-slate-400 mb-1">
+                  {t("snapshot.chemistry")}
+                </p>
+                <p className="text-xs md:text-sm text-slate-200 leading-relaxed whitespace-pre-line">
+                  <FormulaText>
+                    {t(`chemistryNote.${result.dominant_pollutant}`, {
+                      defaultValue: result.chemistry_note,
+                    })}
+                  </FormulaText>
+                </p>
+                {result.dominant_pollutant && (
+                  <button
+                    type="button"
+                    onClick={() => onShowReactions(result.dominant_pollutant)}
+                    className="mt-2 text-[11px] text-cyan-300 hover:text-cyan-200"
+                  >
+                    {t("snapshot.pathway", { pollutant: result.dominant_pollutant })}
+                  </button>
+                )}
+              </div>
+
+              {result.input && (
+                <div className="border-t border-slate-700 pt-3">
+                  <p className="text-[11px] uppercase text-slate-400 mb-1">
+                    {t("snapshot.otherStandards")}
+                  </p>
+                  <div className="space-y-1 text-[11px]">
+                    {STANDARD_LIST.map((s) => {
+                      const other = computeAqi(result.input, s);
+                      return (
+                        <div
+                          key={s.id}
+                          className="flex items-center justify-between gap-2"
+                        >
+                          <span className="text-slate-300">{s.name}</span>
+                          <span className="flex items-center gap-2">
+                            <span className="font-semibold">{formatNumber(other.aqi)}</span>
+                            <CategoryBadge
+                              category={categoryByName(other.category, s)}
+                              standard={s}
+                              className="px-2 py-0.5 rounded-full text-[10px] font-semibold"
+                            />
+                          </span>
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+              )}
+
+              {result.units && (
+                <div className="border-t border-slate-700 pt-3">
+                  <p className="text-[11px] uppercase text-slate-400 mb-1">
+                    {t("snapshot.units")}
+                  </p>
+                  <div className="grid grid-cols-2 gap-x-3 gap-y-0.5 text-[11px]">
+                    {POLLUTANTS.map(({ key, label }) => (
+                      <p key={key} className="text-slate-300">
+                        {t("snapshot.enteredIn", { pollutant: label, unit: result.units[key] })}
+                        {result.units[key] !== CANONICAL_UNITS[key] &&
+                          result.input[key] !== null && (
+                            <span className="text-slate-400">
+                              {" "}
+                              → {formatNumber(result.input[key])} {CANONICAL_UNITS[key]}
+                            </span>
+                          )}
+                      </p>
+                    ))}
+                  </div>
+                  <p className="mt-1 text-[10px] text-slate-500">
+                    {t("snapshot.conversionAt", {
+                      temperature: formatNumber(result.conditions.temperatureC),
+                      pressure: formatNumber(result.conditions.pressureKPa),
+                    })}
+                  </p>
+                </div>
+              )}
+
+              {result.source && (
+                <p className="text-[10px] text-slate-500">
+                  {t(`snapshot.source.${result.source}`, {
+                    defaultValue: RESULT_SOURCES[result.source],
+                  })}{" "}
+                  ·{" "}
+                  {getStandard(result.standard).name}
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="bg-slate-900/70 border border-slate-700 rounded-2xl p-5 shadow-lg">
+          <h3 className="text-sm font-semibold mb-2">
+            {t("snapshot.profile")}
+          </h3>
+          <p className="text-[11px] text-slate-400 mb-2">
+            <FormulaText>{t("snapshot.profileHelp")}</FormulaText>
+          </p>
+          <AccessibleChart
+            chart={Bar}
+            title={t("snapshot.profile")}
+            data={pollutantChartData}
+            options={{
+              responsive: true,
+              plugins: {
+                legend: { labels: { color: "#e5e7eb", font: { size: 10 } } },
+              },
+              scales: {
+                x: {
+                  ticks: { color: "#9ca3af", font: { size: 9 } },
+                  grid: { color: "rgba(75,85,99,0.3)" },
+                },
+                y: {
+                  ticks: { color: "#9ca3af", font: { size: 9 } },
+                  grid: { color: "rgba(75,85,99,0.25)" },
+                },
+              },
+            }}
+          />
+        </div>
+
+        {result?.input && (
+          <WhatIfPanel
+            key={JSON.stringify(result.input)}
+            input={result.input}
+            standard={standard}
+            onPin={onPin}
+          />
+        )}
+
+        {pins.length > 0 && (
+          <ComparePanel
+            pins={pins}
+            standard={standard}
+            onRemove={onUnpin}
+            onClear={onClearPins}
+          />
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default OverviewTab;
@@ -0,0 +1,58 @@
+// Parses an uploaded CSV off the main thread.
+// Streams the file in chunks, encodes each chunk straight into the columnar
+// store (see columnBuilder), reports progress, and posts back the store with
+// its numeric buffers transferred rather than copied.
+//
+// in:  { file }
+// out: { type: "progress", loaded, total, rows }
+//      { type: "done", store }
+//      { type: "error", reason }   reason: "empty" | "unreadable"
+
+import Papa from "papaparse";
+import { columnBuilder, transferables } from "../lib/columnarStore";
+
+const CHUNK_SIZE = 1024 * 1024;
+
+self.onmessage = ({ data }) => {
+  const { file } = data;
+  let fields = null;
+  const builders = {};
+  let rowCount = 0;
+
+  Papa.parse(file, {
+    header: true,
+    dynamicTyping: true,
+    skipEmptyLines: true,
+    chunkSize: CHUNK_SIZE,
+    chunk: (results) => {
+      if (!fields) {
+        fields = results.meta.fields || [];
+        fields.forEach((f) => {
+          builders[f] = columnBuilder();
+        });
+      }
+      results.data.forEach((row) => {
+        fields.forEach((f) => builders[f].push(row[f]));
+      });
+      rowCount += results.data.length;
+      self.postMessage({
+        type: "progress",
+        loaded: results.meta.cursor,
+        total: file.size,
+        rows: rowCount,
+      });
+    },
+    complete: () => {
+      if (!fields || rowCount === 0) {
+        self.postMessage({ type: "error", reason: "empty" });
+        return;
+      }
+      const columns = Object.fromEntries(fields.map((f) => [f, builders[f].finish()]));
+      const store = { fields, columns, rowCount };
+      self.postMessage({ type: "done", store }, transferables(store));
+    },
+    error: () => {
+      self.postMessage({ type: "error", reason: "unreadable" });
+    },
+  });
+};
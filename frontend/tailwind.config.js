@@ -1,3 +1,5 @@
+import defaultTheme from "tailwindcss/defaultTheme";
+
 /** @type {import('tailwindcss').Config} */
 export default {
   content: [
@@ -5,7 +7,23 @@ export default {
     "./src/**/*.{js,ts,jsx,tsx}",
   ],
   theme: {
-    extend: {},
+    extend: {
+      fontFamily: {
+        // Indic fallbacks after the Latin stack so each script gets a face
+        // that covers it
+        sans: [
+          ...defaultTheme.fontFamily.sans,
+          "Noto Sans Devanagari",
+          "Noto Sans Bengali",
+          "Noto Sans Tamil",
+          "Noto Sans Telugu",
+          "Nirmala UI",
+        ],
+        // formulas inside translated text: a Latin face with the Unicode
+        // sub/superscript block (₀-₉, ⁺⁻), never the Indic font's fallback glyphs
+        formula: ["Noto Sans", "Segoe UI", "DejaVu Sans", "Arial", "sans-serif"],
+      },
+    },
   },
   plugins: [],
 };